@@ -0,0 +1,72 @@
+-- Migration: Add delivery aggregator order intake
+-- Date: 2026-10-18
+-- Description: Delivery platforms we take orders from, their menu mappings,
+--              and the orders received with commission and status sync state
+
+CREATE TABLE IF NOT EXISTS aggregator_platforms (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  code VARCHAR(50) NOT NULL COMMENT 'Lowercase slug used in the webhook URL, e.g. ubereats',
+  name VARCHAR(100) NOT NULL,
+  adapter VARCHAR(50) NOT NULL DEFAULT 'generic' COMMENT 'Payload adapter in services/aggregatorAdapters',
+  cashierId INT NOT NULL COMMENT 'User the platform''s sales are recorded under',
+  commissionRate DECIMAL(5, 4) DEFAULT 0.0000 COMMENT 'Share of the platform order total the platform keeps',
+  deliveredBy ENUM('platform', 'restaurant') DEFAULT 'platform' COMMENT 'platform: their riders collect the order; restaurant: we dispatch our own driver',
+  webhookSecret VARCHAR(255) NOT NULL COMMENT 'Shared secret the platform signs inbound orders with',
+  apiBaseUrl VARCHAR(255) NULL COMMENT 'Where status updates are sent; none are sent when empty',
+  apiKey VARCHAR(255) NULL COMMENT 'Bearer token for status updates',
+  isActive BOOLEAN DEFAULT TRUE,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_code (code),
+  INDEX idx_is_active (isActive),
+  FOREIGN KEY (cashierId) REFERENCES users(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS aggregator_menu_mappings (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  platformId INT NOT NULL,
+  type ENUM('item', 'modifier') NOT NULL DEFAULT 'item',
+  externalId VARCHAR(100) NOT NULL COMMENT 'The platform''s ID for the item or modifier',
+  externalName VARCHAR(255) NULL,
+  menuItemId INT NULL,
+  modifierId INT NULL,
+  isActive BOOLEAN DEFAULT TRUE,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_platform_external (platformId, type, externalId),
+  INDEX idx_menu_item (menuItemId),
+  FOREIGN KEY (platformId) REFERENCES aggregator_platforms(id) ON DELETE CASCADE,
+  FOREIGN KEY (menuItemId) REFERENCES menu_items(id) ON DELETE CASCADE,
+  FOREIGN KEY (modifierId) REFERENCES menu_modifiers(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS aggregator_orders (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  platformId INT NOT NULL,
+  platformCode VARCHAR(50) NOT NULL,
+  externalOrderId VARCHAR(100) NOT NULL COMMENT 'The platform''s order reference',
+  status ENUM('received', 'accepted', 'rejected') DEFAULT 'received',
+  rejectionReason VARCHAR(500) NULL,
+  unmappedItems JSON NULL COMMENT 'Platform items or modifiers with no menu mapping',
+  saleId INT NULL,
+  saleNumber VARCHAR(100) NULL,
+  customerName VARCHAR(255) NULL,
+  customerPhone VARCHAR(20) NULL,
+  platformTotal DECIMAL(10, 2) DEFAULT 0.00 COMMENT 'Order total charged to the customer by the platform',
+  commissionRate DECIMAL(5, 4) DEFAULT 0.0000,
+  commissionAmount DECIMAL(10, 2) DEFAULT 0.00,
+  netPayout DECIMAL(10, 2) DEFAULT 0.00 COMMENT 'Platform total less commission',
+  payload JSON NULL COMMENT 'Order as received from the platform',
+  lastStatusPushed VARCHAR(50) NULL COMMENT 'Last status the platform acknowledged',
+  lastStatusPushedAt DATETIME NULL,
+  statusPushError VARCHAR(500) NULL COMMENT 'Why the last status update failed, cleared on success',
+  statusPushAttempts INT DEFAULT 0,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_platform_order (platformId, externalOrderId),
+  INDEX idx_sale (saleId),
+  INDEX idx_status (status),
+  INDEX idx_created_at (createdAt),
+  FOREIGN KEY (platformId) REFERENCES aggregator_platforms(id),
+  FOREIGN KEY (saleId) REFERENCES sales(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,11 @@
+-- Migration: Add course firing to kitchen orders
+-- Date: 2026-10-18
+-- Description: Items are tagged by course; later courses are held on the ticket
+--              until fired, and prep time is measured from fire time
+
+ALTER TABLE kitchen_orders
+  ADD COLUMN IF NOT EXISTS firedAt DATETIME NULL COMMENT 'When the latest course was fired to the stations (null while every course is held)' AFTER completedAt,
+  ADD COLUMN IF NOT EXISTS courseTimings JSON NULL COMMENT 'Per course: course, firedAt, startedAt, readyAt (null for tickets without courses)' AFTER firedAt;
+
+-- Tickets sent before courses existed were fired when they were created
+UPDATE kitchen_orders SET firedAt = createdAt WHERE firedAt IS NULL;
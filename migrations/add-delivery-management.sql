@@ -0,0 +1,102 @@
+-- Migration: Add delivery management
+-- Date: 2026-10-18
+-- Description: Delivery zones with fees and minimum order values, drivers,
+--              a dispatch record per delivery sale and driver cash settlements
+
+CREATE TABLE IF NOT EXISTS delivery_zones (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(500) NULL,
+  areas JSON NULL COMMENT 'Cities, neighbourhoods or postal codes covered by the zone',
+  deliveryFee DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  minimumOrderValue DECIMAL(10, 2) NOT NULL DEFAULT 0.00 COMMENT 'Smallest bill total (VAT inclusive, before the fee) accepted for delivery',
+  freeDeliveryAbove DECIMAL(10, 2) NULL COMMENT 'Bill total at or above which the fee is waived (null = never)',
+  estimatedMinutes INT NULL COMMENT 'Typical travel time from the restaurant',
+  isActive BOOLEAN DEFAULT TRUE,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_name (name),
+  INDEX idx_is_active (isActive)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS drivers (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(255) NOT NULL,
+  phone VARCHAR(20) NOT NULL,
+  vehicleNumber VARCHAR(20) NULL,
+  notes TEXT NULL,
+  isActive BOOLEAN DEFAULT TRUE,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_phone (phone),
+  INDEX idx_is_active (isActive)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS driver_settlements (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  driverId INT NOT NULL,
+  driverName VARCHAR(255) NOT NULL,
+  cashDrawerId INT NULL COMMENT 'Drawer the cash was paid into',
+  deliveryCount INT DEFAULT 0,
+  expectedCash DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  countedCash DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  variance DECIMAL(10, 2) DEFAULT 0.00 COMMENT 'countedCash - expectedCash; negative means the driver is short',
+  settledBy INT NOT NULL,
+  settledByName VARCHAR(255) NOT NULL,
+  settledAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  notes TEXT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (driverId) REFERENCES drivers(id),
+  FOREIGN KEY (cashDrawerId) REFERENCES cash_drawers(id) ON DELETE SET NULL,
+  FOREIGN KEY (settledBy) REFERENCES users(id),
+  INDEX idx_driver_settled (driverId, settledAt),
+  INDEX idx_cash_drawer (cashDrawerId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS deliveries (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  saleId INT NOT NULL,
+  saleNumber VARCHAR(100) NOT NULL,
+  deliveryZoneId INT NULL,
+  zoneName VARCHAR(100) NULL COMMENT 'Denormalized zone name at the time of the order',
+  deliveryFee DECIMAL(10, 2) DEFAULT 0.00,
+  customerId INT NULL,
+  customerName VARCHAR(255) NULL,
+  customerPhone VARCHAR(20) NULL,
+  address JSON NOT NULL COMMENT 'Address delivered to: label, line1, line2, city, postalCode, landmark',
+  cashOnDelivery BOOLEAN DEFAULT FALSE COMMENT 'The driver collects payment in cash at the door',
+  collectAmount DECIMAL(10, 2) DEFAULT 0.00 COMMENT 'Cash the driver must collect (0 when prepaid)',
+  driverId INT NULL,
+  driverName VARCHAR(255) NULL,
+  status ENUM('pending', 'ready', 'out_for_delivery', 'delivered', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
+  attempts INT DEFAULT 0 COMMENT 'Times the order has been sent out',
+  readyAt DATETIME NULL,
+  dispatchedAt DATETIME NULL,
+  deliveredAt DATETIME NULL,
+  failedAt DATETIME NULL,
+  failureReason VARCHAR(500) NULL,
+  driverSettlementId INT NULL COMMENT 'Settlement the collected cash was handed in with',
+  notes TEXT NULL COMMENT 'Directions for the driver',
+  statusUpdatedBy INT NULL,
+  statusUpdatedAt DATETIME NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_sale (saleId),
+  FOREIGN KEY (saleId) REFERENCES sales(id),
+  FOREIGN KEY (deliveryZoneId) REFERENCES delivery_zones(id) ON DELETE SET NULL,
+  FOREIGN KEY (customerId) REFERENCES customers(id) ON DELETE SET NULL,
+  FOREIGN KEY (driverId) REFERENCES drivers(id) ON DELETE SET NULL,
+  FOREIGN KEY (driverSettlementId) REFERENCES driver_settlements(id) ON DELETE SET NULL,
+  FOREIGN KEY (statusUpdatedBy) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_status (status),
+  INDEX idx_driver_status (driverId, status),
+  INDEX idx_zone (deliveryZoneId),
+  INDEX idx_settlement (driverSettlementId),
+  INDEX idx_created_at (createdAt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Delivery fee and address on the sale
+ALTER TABLE sales
+  ADD COLUMN IF NOT EXISTS deliveryFee DECIMAL(10, 2) DEFAULT 0.00 COMMENT 'Delivery zone fee, added to the total after VAT' AFTER tipAmount,
+  ADD COLUMN IF NOT EXISTS deliveryAddress VARCHAR(500) NULL COMMENT 'Address delivered to, as printed on the receipt' AFTER deliveryFee;
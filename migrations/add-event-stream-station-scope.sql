@@ -0,0 +1,7 @@
+-- Migration: Scope kitchen staff event streams to their stations
+-- Date: 2026-10-18
+-- Description: Kitchen stations each Kitchen Staff user works, so their event
+--              stream only carries those stations' tickets
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS kitchenStationIds JSON NULL COMMENT 'Kitchen stations a Kitchen Staff user works' AFTER isActive;
@@ -0,0 +1,44 @@
+-- Migration: Add floor plans
+-- Date: 2026-10-18
+-- Description: Named dining areas with table shapes, positions and rotation,
+--              and versioned layout snapshots for rolling back a changed plan
+
+CREATE TABLE IF NOT EXISTS floor_areas (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(50) NOT NULL UNIQUE COMMENT 'Also used as the location of the tables placed here',
+  description VARCHAR(255) NULL,
+  width INT NOT NULL DEFAULT 1000,
+  height INT NOT NULL DEFAULT 800,
+  sortOrder INT DEFAULT 0,
+  layoutVersion INT DEFAULT 0 COMMENT 'Version number of the current layout',
+  isActive BOOLEAN DEFAULT TRUE,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_active_sort (isActive, sortOrder)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS floor_plan_versions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  floorAreaId INT NOT NULL,
+  version INT NOT NULL,
+  layout JSON NOT NULL COMMENT 'Tables as placed: tableId, tableNumber, shape, x, y, width, height, rotation, capacity',
+  note VARCHAR(255) NULL,
+  restoredFrom INT NULL COMMENT 'Version this one rolled back to, if any',
+  createdBy INT NULL,
+  createdByName VARCHAR(255) NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_area_version (floorAreaId, version),
+  FOREIGN KEY (floorAreaId) REFERENCES floor_areas(id) ON DELETE CASCADE,
+  FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE tables
+  ADD COLUMN IF NOT EXISTS floor_area_id INT NULL COMMENT 'Floor plan area the table is placed on' AFTER merged_into_id,
+  ADD COLUMN IF NOT EXISTS shape ENUM('square', 'rectangle', 'round', 'oval') NOT NULL DEFAULT 'square' AFTER floor_area_id,
+  ADD COLUMN IF NOT EXISTS pos_x INT NULL COMMENT 'Centre of the table on the floor plan' AFTER shape,
+  ADD COLUMN IF NOT EXISTS pos_y INT NULL AFTER pos_x,
+  ADD COLUMN IF NOT EXISTS width INT NULL COMMENT 'Drawn size in plan units' AFTER pos_y,
+  ADD COLUMN IF NOT EXISTS height INT NULL AFTER width,
+  ADD COLUMN IF NOT EXISTS rotation INT NOT NULL DEFAULT 0 COMMENT 'Degrees clockwise' AFTER height,
+  ADD INDEX tables_floor_area_id (floor_area_id),
+  ADD CONSTRAINT fk_tables_floor_area FOREIGN KEY (floor_area_id) REFERENCES floor_areas(id) ON UPDATE CASCADE ON DELETE SET NULL;
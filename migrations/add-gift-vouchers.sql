@@ -0,0 +1,79 @@
+-- Migration: Add gift vouchers and store credit
+-- Date: 2026-10-18
+-- Description: Issuable gift vouchers with unique codes, balances and expiry,
+--              store credit issued on refunds, and both as tenders on sales
+--              and payment transactions
+
+CREATE TABLE IF NOT EXISTS gift_vouchers (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  code VARCHAR(50) NOT NULL,
+  type ENUM('gift_voucher', 'store_credit') NOT NULL DEFAULT 'gift_voucher',
+  initialValue DECIMAL(10, 2) NOT NULL,
+  balance DECIMAL(10, 2) NOT NULL COMMENT 'Value left to redeem',
+  status ENUM('active', 'redeemed', 'expired', 'void') NOT NULL DEFAULT 'active',
+  expiresAt DATETIME NULL COMMENT 'Null = never expires',
+  customerId INT NULL COMMENT 'Customer the voucher or credit belongs to, if known',
+  purchaserName VARCHAR(255) NULL,
+  recipientName VARCHAR(255) NULL,
+  paymentMethod ENUM('cash', 'card', 'mobile', 'other') NULL COMMENT 'How a sold voucher was paid for (null for store credit)',
+  sourceSaleId INT NULL COMMENT 'Sale refunded to store credit',
+  sourceTransactionId INT NULL COMMENT 'Refund transaction that issued the store credit',
+  cashDrawerId INT NULL COMMENT 'Drawer that took the cash for a voucher sold for cash',
+  issuedBy INT NOT NULL,
+  issuedByName VARCHAR(255) NOT NULL,
+  issuedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  voidedBy INT NULL,
+  voidedAt DATETIME NULL,
+  voidReason VARCHAR(500) NULL,
+  notes TEXT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_code (code),
+  FOREIGN KEY (customerId) REFERENCES customers(id) ON DELETE SET NULL,
+  FOREIGN KEY (sourceSaleId) REFERENCES sales(id) ON DELETE SET NULL,
+  FOREIGN KEY (sourceTransactionId) REFERENCES payment_transactions(id) ON DELETE SET NULL,
+  FOREIGN KEY (cashDrawerId) REFERENCES cash_drawers(id) ON DELETE SET NULL,
+  FOREIGN KEY (issuedBy) REFERENCES users(id),
+  FOREIGN KEY (voidedBy) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_type_status (type, status),
+  INDEX idx_customer (customerId),
+  INDEX idx_source_sale (sourceSaleId),
+  INDEX idx_cash_drawer (cashDrawerId),
+  INDEX idx_expires_at (expiresAt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS gift_voucher_transactions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  giftVoucherId INT NOT NULL,
+  type ENUM('issue', 'redeem', 'reversal', 'void', 'expire') NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL COMMENT 'Signed: positive adds to the balance, negative takes from it',
+  balanceAfter DECIMAL(10, 2) NOT NULL,
+  saleId INT NULL,
+  paymentTransactionId INT NULL,
+  cashDrawerId INT NULL,
+  performedBy INT NULL,
+  performedByName VARCHAR(255) NULL,
+  notes VARCHAR(500) NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (giftVoucherId) REFERENCES gift_vouchers(id),
+  FOREIGN KEY (saleId) REFERENCES sales(id) ON DELETE SET NULL,
+  FOREIGN KEY (paymentTransactionId) REFERENCES payment_transactions(id) ON DELETE SET NULL,
+  FOREIGN KEY (cashDrawerId) REFERENCES cash_drawers(id) ON DELETE SET NULL,
+  FOREIGN KEY (performedBy) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_voucher_created (giftVoucherId, createdAt),
+  INDEX idx_sale (saleId),
+  INDEX idx_cash_drawer (cashDrawerId),
+  INDEX idx_type_created (type, createdAt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Cash taken for vouchers sold counts towards the drawer's expected balance
+ALTER TABLE cash_drawers
+  ADD COLUMN IF NOT EXISTS totalVoucherSales DECIMAL(10, 2) DEFAULT 0 COMMENT 'Cash taken for gift vouchers sold during shift' AFTER totalTipsPaidOut;
+
+-- Vouchers and store credit as tenders
+ALTER TABLE sales
+  MODIFY COLUMN paymentMethod ENUM('cash', 'card', 'mobile', 'gift_voucher', 'store_credit', 'other', 'mixed') DEFAULT 'cash';
+
+ALTER TABLE payment_transactions
+  MODIFY COLUMN paymentMethod ENUM('cash', 'card', 'mobile', 'payhere', 'gift_voucher', 'store_credit', 'loyalty_points', 'other') NOT NULL;
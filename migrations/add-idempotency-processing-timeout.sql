@@ -0,0 +1,9 @@
+-- Migration: Add processing start time to idempotency keys
+-- Date: 2026-10-18
+-- Description: A key still 'processing' after a couple of minutes is treated as
+--              abandoned so a retry is not blocked for the key's whole window
+
+ALTER TABLE idempotency_keys
+  ADD COLUMN IF NOT EXISTS processingStartedAt DATETIME NULL
+    COMMENT 'When the request holding the key started; a processing key older than the timeout is abandoned'
+    AFTER responseBody;
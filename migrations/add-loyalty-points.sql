@@ -0,0 +1,63 @@
+-- Migration: Add loyalty points programme
+-- Date: 2026-10-18
+-- Description: Points ledger per customer (keyed by phone), configurable earn
+--              rules and tiers, and redemption as a discount or tender
+
+CREATE TABLE IF NOT EXISTS loyalty_settings (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  isEnabled BOOLEAN DEFAULT TRUE COMMENT 'Enable/disable earning and redeeming points',
+  pointsPerUnit DECIMAL(10, 2) DEFAULT 1.00 COMMENT 'Points earned for every spendUnit LKR spent',
+  spendUnit DECIMAL(10, 2) DEFAULT 100.00 COMMENT 'LKR spent per pointsPerUnit points',
+  categoryMultipliers JSON NULL COMMENT 'Earn multiplier per menu category',
+  bonusDays JSON NULL COMMENT 'Bonus earn days, by weekday (0 = Sunday) or date',
+  tiers JSON NULL COMMENT 'Tiers by lifetime points with their earn multiplier',
+  pointValue DECIMAL(10, 2) DEFAULT 1.00 COMMENT 'LKR value of one point when redeemed',
+  minRedeemPoints INT DEFAULT 100 COMMENT 'Smallest number of points that can be redeemed at once',
+  lastModifiedBy INT NULL,
+  isActive BOOLEAN DEFAULT TRUE,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (lastModifiedBy) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_is_active (isActive)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS loyalty_transactions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  customerId INT NOT NULL,
+  customerPhone VARCHAR(20) NOT NULL COMMENT 'Phone the account is keyed by at the time of the entry',
+  saleId INT NULL,
+  type ENUM('earn', 'redeem', 'reversal', 'adjustment') NOT NULL,
+  points INT NOT NULL COMMENT 'Signed: positive adds to the balance, negative takes from it',
+  balanceAfter INT NOT NULL,
+  amount DECIMAL(10, 2) NULL COMMENT 'LKR spend that earned the points, or LKR value of redeemed points',
+  description VARCHAR(255) NULL,
+  createdBy INT NULL,
+  createdByName VARCHAR(255) NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (customerId) REFERENCES customers(id),
+  FOREIGN KEY (saleId) REFERENCES sales(id) ON DELETE SET NULL,
+  FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_customer_created (customerId, createdAt),
+  INDEX idx_customer_phone (customerPhone),
+  INDEX idx_sale (saleId),
+  INDEX idx_type (type)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Points balance and tier on the customer
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS loyaltyPoints INT DEFAULT 0 COMMENT 'Current points balance' AFTER notes,
+  ADD COLUMN IF NOT EXISTS lifetimePoints INT DEFAULT 0 COMMENT 'Points earned to date, less reversals; decides the membership tier' AFTER loyaltyPoints,
+  ADD COLUMN IF NOT EXISTS loyaltyTier VARCHAR(50) NULL AFTER lifetimePoints;
+
+-- Points earned and redeemed on each sale
+ALTER TABLE sales
+  ADD COLUMN IF NOT EXISTS loyaltyPointsEarned INT DEFAULT 0 AFTER tipAmount,
+  ADD COLUMN IF NOT EXISTS loyaltyPointsRedeemed INT DEFAULT 0 AFTER loyaltyPointsEarned,
+  ADD COLUMN IF NOT EXISTS loyaltyRedemptionAmount DECIMAL(10, 2) DEFAULT 0.00 COMMENT 'LKR value of the redeemed points' AFTER loyaltyPointsRedeemed,
+  ADD COLUMN IF NOT EXISTS loyaltyRedeemedAs ENUM('discount', 'tender') NULL COMMENT 'discount: taken off before VAT; tender: paid towards the total' AFTER loyaltyRedemptionAmount,
+  ADD COLUMN IF NOT EXISTS loyaltyPointsReversed INT DEFAULT 0 COMMENT 'Earned points taken back after refunds or a void' AFTER loyaltyRedeemedAs;
+
+-- Points redeemed as a tender are recorded as a payment
+ALTER TABLE payment_transactions
+  MODIFY COLUMN paymentMethod ENUM('cash', 'card', 'mobile', 'payhere', 'gift_voucher', 'loyalty_points', 'other') NOT NULL;
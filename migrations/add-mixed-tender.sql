@@ -0,0 +1,12 @@
+-- Migration: Add mixed-tender payments
+-- Date: 2026-10-18
+-- Description: A sale can be paid with several tenders, each recorded as its own payment transaction
+
+-- Tender breakdown on the sale (paymentMethod becomes 'mixed' when more than one method is used)
+ALTER TABLE sales
+  MODIFY COLUMN paymentMethod ENUM('cash', 'card', 'mobile', 'other', 'mixed') DEFAULT 'cash',
+  ADD COLUMN IF NOT EXISTS tenders JSON NULL COMMENT 'Tenders used to pay the sale: method, amount and transaction ID' AFTER changeGiven;
+
+-- PayHere and gift voucher tenders
+ALTER TABLE payment_transactions
+  MODIFY COLUMN paymentMethod ENUM('cash', 'card', 'mobile', 'payhere', 'gift_voucher', 'other') NOT NULL;
@@ -0,0 +1,11 @@
+-- Migration: Add open tabs to sales
+-- Date: 2026-10-18
+-- Description: Dine-in orders kept open while rounds are added, paid once at close
+
+ALTER TABLE sales
+  ADD COLUMN IF NOT EXISTS tabStatus ENUM('open', 'closed') NULL COMMENT 'Running tab state for dine-in orders taken in rounds (null = regular sale)' AFTER orderType,
+  ADD COLUMN IF NOT EXISTS roundCount INT DEFAULT 0 COMMENT 'Number of rounds added to the tab' AFTER tabStatus,
+  ADD COLUMN IF NOT EXISTS tabClosedAt DATETIME NULL COMMENT 'Timestamp when the tab was closed for payment' AFTER roundCount;
+
+ALTER TABLE sales
+ADD INDEX idx_table_tab_status (tableId, tabStatus);
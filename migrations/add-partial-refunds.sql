@@ -0,0 +1,31 @@
+-- Migration: Add line-item partial refund tracking
+-- Date: 2026-10-18
+-- Description: Running refund totals on sales, and refunded lines and the refunded payment on refund transactions
+
+-- Running refund totals on sales (refunded quantities per line live in sales.items)
+ALTER TABLE sales
+  ADD COLUMN IF NOT EXISTS refundedAmount DECIMAL(10, 2) DEFAULT 0 COMMENT 'Running total refunded against this sale (VAT inclusive)' AFTER appliedPromotions,
+  ADD COLUMN IF NOT EXISTS refundedVatAmount DECIMAL(10, 2) DEFAULT 0 COMMENT 'VAT portion of refundedAmount' AFTER refundedAmount;
+
+-- Refunded lines on refund transactions
+ALTER TABLE payment_transactions
+  ADD COLUMN IF NOT EXISTS refundedVatAmount DECIMAL(10, 2) NULL COMMENT 'VAT portion of the refunded amount' AFTER refundedAmount,
+  ADD COLUMN IF NOT EXISTS refundItems JSON NULL COMMENT 'Sale item lines and quantities covered by an item-level refund' AFTER refundedVatAmount,
+  ADD COLUMN IF NOT EXISTS refundOfId INT NULL COMMENT 'Payment transaction a card refund was taken from' AFTER refundItems,
+  ADD INDEX IF NOT EXISTS payment_transactions_refund_of_id (refundOfId);
+
+-- Link card refunds made before refundOfId existed to their payment by refund number
+UPDATE payment_transactions refunds
+  JOIN payment_transactions payments
+    ON payments.transactionType = 'payment'
+   AND payments.paymentMethod = 'card'
+   AND (refunds.receiptNumber = CONCAT('REF-', payments.receiptNumber)
+     OR refunds.receiptNumber REGEXP CONCAT('^REF-', payments.receiptNumber, '-[0-9]+$'))
+SET refunds.refundOfId = payments.id
+WHERE refunds.transactionType = 'refund'
+  AND refunds.paymentMethod = 'card'
+  AND refunds.refundOfId IS NULL;
+
+-- Ingredient stock put back for cancelled orders and refunded unprepared items
+ALTER TABLE ingredient_transactions
+  MODIFY COLUMN transactionType ENUM('purchase', 'usage', 'wastage', 'adjustment', 'return', 'reversion') NOT NULL;
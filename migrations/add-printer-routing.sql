@@ -0,0 +1,57 @@
+-- Migration: Add printer routing and print job log
+-- Date: 2026-10-18
+-- Description: Network printers registered as devices, mapped to kitchen stations,
+--              order types and receipt types with a fallback printer, and a log of
+--              print jobs that can be reprinted
+
+CREATE TABLE IF NOT EXISTS printers (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  type ENUM('receipt', 'kitchen') NOT NULL DEFAULT 'receipt' COMMENT 'Receipt printers also print X and Z reports',
+  host VARCHAR(255) NOT NULL,
+  port INT NOT NULL DEFAULT 9100,
+  paperWidth INT NOT NULL DEFAULT 80 COMMENT 'Paper width in mm (58 or 80)',
+  orderTypes JSON NOT NULL COMMENT 'Order types printed here; empty for all',
+  receiptTypes JSON NOT NULL COMMENT 'Receipt types printed here; empty for all',
+  isDefault BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Preferred printer of its type when several match',
+  fallbackPrinterId INT NULL COMMENT 'Printer used when this one is disabled or a job to it fails',
+  location VARCHAR(100) NULL,
+  isActive BOOLEAN NOT NULL DEFAULT TRUE,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_type_active (type, isActive),
+  FOREIGN KEY (fallbackPrinterId) REFERENCES printers(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE kitchen_stations
+  ADD COLUMN IF NOT EXISTS printerId INT NULL COMMENT 'Printer for this station''s kitchen tickets' AFTER stockLocationId,
+  ADD CONSTRAINT fk_kitchen_stations_printer FOREIGN KEY (printerId) REFERENCES printers(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS print_jobs (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  documentType ENUM('receipt', 'offline_receipt', 'kitchen_ticket', 'z_report', 'x_report') NOT NULL,
+  documentId VARCHAR(50) NULL COMMENT 'Receipt, kitchen order or Z report ID, or offline queue ID',
+  description VARCHAR(255) NULL,
+  kitchenStationId INT NULL COMMENT 'Station whose items were on the ticket (null for unassigned items)',
+  printerId INT NULL COMMENT 'Printer that printed it, or tried last (null for a printer from the environment)',
+  printerAddress VARCHAR(255) NOT NULL COMMENT 'host:port the job was sent to',
+  usedFallback BOOLEAN NOT NULL DEFAULT FALSE,
+  status ENUM('queued', 'printed', 'failed') NOT NULL DEFAULT 'queued',
+  attempts INT NOT NULL DEFAULT 0,
+  bytes INT NULL,
+  options JSON NULL COMMENT 'Render options, reused on reprint',
+  errorMessage TEXT NULL,
+  reprintOfId INT NULL COMMENT 'Job this one reprints',
+  requestedBy INT NULL COMMENT 'Null for automatic kitchen tickets',
+  printedAt DATETIME NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_document (documentType, documentId),
+  INDEX idx_status (status),
+  INDEX idx_printer (printerId),
+  INDEX idx_created (createdAt),
+  FOREIGN KEY (kitchenStationId) REFERENCES kitchen_stations(id) ON DELETE SET NULL,
+  FOREIGN KEY (printerId) REFERENCES printers(id) ON DELETE SET NULL,
+  FOREIGN KEY (reprintOfId) REFERENCES print_jobs(id) ON DELETE SET NULL,
+  FOREIGN KEY (requestedBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
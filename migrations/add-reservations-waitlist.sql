@@ -0,0 +1,63 @@
+-- Migration: Add table reservations and waitlist
+-- Date: 2026-10-18
+-- Description: Table bookings with party size, time slot and duration, linked
+--              to the order taken once seated, and a walk-in waitlist
+
+CREATE TABLE IF NOT EXISTS reservations (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  customerId INT NULL,
+  customerName VARCHAR(255) NOT NULL,
+  customerPhone VARCHAR(20) NOT NULL,
+  customerEmail VARCHAR(255) NULL,
+  partySize INT NOT NULL,
+  reservedFor DATETIME NOT NULL COMMENT 'Start of the time slot',
+  durationMinutes INT NOT NULL DEFAULT 90,
+  endsAt DATETIME NOT NULL COMMENT 'reservedFor plus the duration, kept for conflict checks',
+  preferredLocation VARCHAR(50) NULL COMMENT 'Table section asked for, e.g. Outdoor',
+  tableId INT NULL,
+  tableNumber VARCHAR(10) NULL,
+  status ENUM('booked', 'seated', 'completed', 'cancelled', 'no_show') DEFAULT 'booked',
+  tableHeldAt DATETIME NULL COMMENT 'When the table was set to reserved for this booking',
+  saleId INT NULL COMMENT 'Order taken for the party once seated',
+  seatedAt DATETIME NULL,
+  completedAt DATETIME NULL,
+  cancelledAt DATETIME NULL,
+  cancellationReason VARCHAR(500) NULL,
+  notes TEXT NULL COMMENT 'Occasion, seating requests, allergies',
+  createdBy INT NULL,
+  createdByName VARCHAR(255) NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_reserved_for (reservedFor),
+  INDEX idx_status (status),
+  INDEX idx_table_status_time (tableId, status, reservedFor),
+  INDEX idx_customer_phone (customerPhone),
+  INDEX idx_sale (saleId),
+  FOREIGN KEY (customerId) REFERENCES customers(id) ON DELETE SET NULL,
+  FOREIGN KEY (tableId) REFERENCES tables(id) ON DELETE SET NULL,
+  FOREIGN KEY (saleId) REFERENCES sales(id) ON DELETE SET NULL,
+  FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  customerId INT NULL,
+  customerName VARCHAR(255) NOT NULL,
+  customerPhone VARCHAR(20) NULL,
+  partySize INT NOT NULL,
+  preferredLocation VARCHAR(50) NULL,
+  status ENUM('waiting', 'notified', 'seated', 'left', 'cancelled') DEFAULT 'waiting',
+  quotedWaitMinutes INT NULL COMMENT 'Estimated wait given to the party when they joined',
+  notifiedAt DATETIME NULL COMMENT 'When the party was told their table is ready',
+  seatedAt DATETIME NULL,
+  tableId INT NULL,
+  tableNumber VARCHAR(10) NULL,
+  notes TEXT NULL,
+  addedBy INT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_status_created (status, createdAt),
+  FOREIGN KEY (customerId) REFERENCES customers(id) ON DELETE SET NULL,
+  FOREIGN KEY (tableId) REFERENCES tables(id) ON DELETE SET NULL,
+  FOREIGN KEY (addedBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,8 @@
+-- Migration: Add table merging
+-- Date: 2026-10-18
+-- Description: Tables joined for one party point at the main table, where their orders are billed
+
+ALTER TABLE tables
+  ADD COLUMN IF NOT EXISTS merged_into_id INT NULL COMMENT 'Main table this table is merged into; its orders are billed there' AFTER notes,
+  ADD INDEX tables_merged_into_id (merged_into_id),
+  ADD CONSTRAINT fk_tables_merged_into FOREIGN KEY (merged_into_id) REFERENCES tables(id) ON UPDATE CASCADE ON DELETE SET NULL;
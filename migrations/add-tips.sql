@@ -0,0 +1,54 @@
+-- Migration: Add tips and tip payouts
+-- Date: 2026-10-18
+-- Description: Tips captured at payment time for any tender, attributed to a
+--              staff member and kept out of sale totals and VAT, plus payouts
+
+CREATE TABLE IF NOT EXISTS tip_payouts (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  recipientId INT NOT NULL COMMENT 'Staff member the tips were paid to',
+  recipientName VARCHAR(255) NOT NULL,
+  cashDrawerId INT NOT NULL COMMENT 'Drawer the payout was taken from',
+  amount DECIMAL(10, 2) NOT NULL,
+  cashTips DECIMAL(10, 2) DEFAULT 0 COMMENT 'Portion of the payout that was tipped in cash',
+  nonCashTips DECIMAL(10, 2) DEFAULT 0 COMMENT 'Portion of the payout that was tipped on card, mobile, etc.',
+  tipCount INT DEFAULT 0,
+  paidBy INT NOT NULL,
+  paidByName VARCHAR(255) NOT NULL,
+  paidAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  notes TEXT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (recipientId) REFERENCES users(id),
+  FOREIGN KEY (cashDrawerId) REFERENCES cash_drawers(id),
+  FOREIGN KEY (paidBy) REFERENCES users(id),
+  INDEX idx_recipient (recipientId),
+  INDEX idx_cash_drawer (cashDrawerId),
+  INDEX idx_paid_at (paidAt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Tip on each payment, on top of the amount applied to the sale
+ALTER TABLE payment_transactions
+  ADD COLUMN IF NOT EXISTS tipAmount DECIMAL(10, 2) DEFAULT 0 COMMENT 'Tip charged on top of amount; not revenue and not subject to VAT' AFTER changeGiven,
+  ADD COLUMN IF NOT EXISTS tipRecipientId INT NULL COMMENT 'Staff member the tip belongs to' AFTER tipAmount,
+  ADD COLUMN IF NOT EXISTS tipRecipientName VARCHAR(255) NULL AFTER tipRecipientId,
+  ADD COLUMN IF NOT EXISTS tipPayoutId INT NULL COMMENT 'Payout that settled this tip (null = unpaid)' AFTER tipRecipientName;
+
+ALTER TABLE payment_transactions
+ADD INDEX idx_tip_recipient (tipRecipientId, tipPayoutId);
+
+-- Running tip total on the sale (never part of totalAmount)
+ALTER TABLE sales
+  ADD COLUMN IF NOT EXISTS tipAmount DECIMAL(10, 2) DEFAULT 0 COMMENT 'Tips received with payment; excluded from totals and VAT' AFTER tenders;
+
+-- Tips requested with card and mobile sessions, charged on top of amount
+ALTER TABLE card_sessions
+  ADD COLUMN IF NOT EXISTS tipAmount DECIMAL(10, 2) DEFAULT 0 COMMENT 'Tip charged on top of amount' AFTER amount,
+  ADD COLUMN IF NOT EXISTS tipRecipientId INT NULL AFTER tipAmount;
+
+ALTER TABLE mobile_payment_sessions
+  ADD COLUMN IF NOT EXISTS tipAmount DECIMAL(10, 2) DEFAULT 0 COMMENT 'Tip charged on top of amount' AFTER amount,
+  ADD COLUMN IF NOT EXISTS tipRecipientId INT NULL AFTER tipAmount;
+
+-- Tips paid out to staff from the drawer
+ALTER TABLE cash_drawers
+  ADD COLUMN IF NOT EXISTS totalTipsPaidOut DECIMAL(10, 2) DEFAULT 0 COMMENT 'Tips paid out to staff from this drawer' AFTER totalSafeDrops;
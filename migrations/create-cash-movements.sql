@@ -0,0 +1,42 @@
+-- Migration: Create cash movements table
+-- Date: 2026-10-18
+-- Description: Paid-ins, paid-outs and safe drops against a cash drawer, with
+--              manager approval and optional linked expense
+
+CREATE TABLE IF NOT EXISTS cash_movements (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  cashDrawerId INT NOT NULL,
+  movementType ENUM('paid_in', 'paid_out', 'safe_drop') NOT NULL COMMENT 'paid_in adds cash to the drawer; paid_out and safe_drop take it out',
+  amount DECIMAL(10, 2) NOT NULL,
+  reason VARCHAR(255) NOT NULL,
+  reference VARCHAR(100) NULL COMMENT 'Supplier invoice, safe bag number, etc.',
+  denominations JSON NULL,
+  status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending' COMMENT 'Only approved movements count towards the drawer balance',
+  performedBy INT NOT NULL,
+  performedByName VARCHAR(255) NOT NULL,
+  approvedBy INT NULL COMMENT 'Manager/Admin who approved or rejected the movement',
+  approverName VARCHAR(255) NULL,
+  approvedAt DATETIME NULL,
+  rejectionReason VARCHAR(255) NULL,
+  createExpense BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Paid-outs only: record an Expense when approved',
+  expenseCategory VARCHAR(100) NULL,
+  supplierName VARCHAR(255) NULL,
+  expenseId INT NULL,
+  notes TEXT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (cashDrawerId) REFERENCES cash_drawers(id),
+  FOREIGN KEY (performedBy) REFERENCES users(id),
+  FOREIGN KEY (approvedBy) REFERENCES users(id),
+  FOREIGN KEY (expenseId) REFERENCES expenses(id) ON DELETE SET NULL,
+  INDEX idx_cash_drawer (cashDrawerId),
+  INDEX idx_status (status),
+  INDEX idx_movement_type (movementType),
+  INDEX idx_created_at (createdAt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Approved movement totals kept on the drawer for expected balance
+ALTER TABLE cash_drawers
+  ADD COLUMN IF NOT EXISTS totalPaidIn DECIMAL(10, 2) DEFAULT 0 COMMENT 'Approved paid-ins during shift' AFTER totalCashOut,
+  ADD COLUMN IF NOT EXISTS totalPaidOut DECIMAL(10, 2) DEFAULT 0 COMMENT 'Approved paid-outs during shift' AFTER totalPaidIn,
+  ADD COLUMN IF NOT EXISTS totalSafeDrops DECIMAL(10, 2) DEFAULT 0 COMMENT 'Approved safe drops during shift' AFTER totalPaidOut;
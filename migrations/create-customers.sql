@@ -0,0 +1,39 @@
+-- Migration: Create customers table
+-- Date: 2026-10-18
+-- Description: Customer profiles looked up by phone, linked from sales,
+--              kitchen orders and receipts
+
+CREATE TABLE IF NOT EXISTS customers (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(255) NOT NULL,
+  phone VARCHAR(20) NOT NULL COMMENT 'Normalized phone number used for lookup at the register',
+  email VARCHAR(100) NULL,
+  addresses JSON NULL COMMENT 'Delivery addresses: id, label, line1, line2, city, postalCode, landmark, isDefault',
+  dietaryNotes TEXT NULL COMMENT 'Allergies and dietary preferences shown to staff and the kitchen',
+  notes TEXT NULL,
+  isActive BOOLEAN DEFAULT TRUE,
+  createdBy INT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE INDEX idx_phone (phone),
+  INDEX idx_email (email),
+  INDEX idx_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Customer on sales (name kept for receipts and history)
+ALTER TABLE sales
+  ADD COLUMN IF NOT EXISTS customerId INT NULL COMMENT 'Customer profile, if the sale was for a known customer' AFTER cashierName,
+  ADD COLUMN IF NOT EXISTS customerName VARCHAR(255) NULL AFTER customerId,
+  ADD INDEX idx_customer (customerId),
+  ADD FOREIGN KEY (customerId) REFERENCES customers(id) ON DELETE SET NULL;
+
+ALTER TABLE kitchen_orders
+  ADD COLUMN IF NOT EXISTS customerId INT NULL COMMENT 'Customer profile; name/phone/email are copied for the ticket' AFTER specialInstructions,
+  ADD INDEX idx_customer (customerId),
+  ADD FOREIGN KEY (customerId) REFERENCES customers(id) ON DELETE SET NULL;
+
+ALTER TABLE receipts
+  ADD COLUMN IF NOT EXISTS customerId INT NULL COMMENT 'Customer the receipt was issued to; default for email/SMS delivery' AFTER saleId,
+  ADD INDEX idx_customer (customerId),
+  ADD FOREIGN KEY (customerId) REFERENCES customers(id) ON DELETE SET NULL;
@@ -0,0 +1,36 @@
+-- Migration: Create held orders table
+-- Date: 2026-10-18
+-- Description: Orders parked at the register and recalled later
+
+CREATE TABLE IF NOT EXISTS held_orders (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  holdNumber VARCHAR(50) NOT NULL UNIQUE,
+  label VARCHAR(100) NULL COMMENT 'Short name shown on the register, e.g. customer name or "Blue shirt"',
+  items JSON NOT NULL COMMENT 'Cart lines as entered at the register (not yet priced)',
+  orderType ENUM('dine-in', 'takeaway', 'delivery') NOT NULL DEFAULT 'takeaway',
+  tableId INT NULL,
+  tableNumber VARCHAR(10) NULL,
+  customerName VARCHAR(255) NULL,
+  promotionIds JSON NULL,
+  promoCode VARCHAR(50) NULL,
+  notes TEXT NULL,
+  totalAmount DECIMAL(10, 2) NULL COMMENT 'Total when parked, for display only; recalled orders are re-priced',
+  cashierId INT NOT NULL,
+  cashierName VARCHAR(255) NOT NULL,
+  deviceId VARCHAR(255) NULL COMMENT 'Register/terminal the order was parked on',
+  status ENUM('held', 'recalled', 'discarded') NOT NULL DEFAULT 'held',
+  recalledAt DATETIME NULL,
+  recalledBy INT NULL,
+  discardedAt DATETIME NULL,
+  discardedBy INT NULL,
+  discardReason VARCHAR(255) NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (tableId) REFERENCES tables(id) ON DELETE SET NULL,
+  FOREIGN KEY (cashierId) REFERENCES users(id),
+  FOREIGN KEY (recalledBy) REFERENCES users(id),
+  FOREIGN KEY (discardedBy) REFERENCES users(id),
+  INDEX idx_status (status),
+  INDEX idx_cashier_status (cashierId, status),
+  INDEX idx_device_status (deviceId, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,22 @@
+-- Migration: Create idempotency keys table
+-- Date: 2026-10-18
+-- Description: Stored responses for requests sent with an Idempotency-Key header,
+--              so retried sales and payments are replayed instead of repeated
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  idempotencyKey VARCHAR(255) NOT NULL COMMENT 'Value of the Idempotency-Key request header',
+  userId INT NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  endpoint VARCHAR(255) NOT NULL,
+  requestHash VARCHAR(64) NOT NULL COMMENT 'SHA-256 of the request body, to detect a key reused with a different body',
+  status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+  responseStatus INT NULL,
+  responseBody JSON NULL,
+  expiresAt DATETIME NOT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uq_idempotency_key (idempotencyKey, userId, method, endpoint),
+  INDEX idx_expires_at (expiresAt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
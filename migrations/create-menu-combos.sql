@@ -0,0 +1,49 @@
+-- Migration: Create menu combo tables
+-- Date: 2026-10-18
+-- Description: Set-meal bundles made of component slots with optional substitutions
+
+-- Create menu_combos table
+CREATE TABLE IF NOT EXISTS menu_combos (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(255) NOT NULL COMMENT 'Bundle name: Rice & Curry Set, Lunch Combo, etc.',
+  description TEXT NULL,
+  price DECIMAL(10, 2) NOT NULL COMMENT 'Bundle price before substitution surcharges',
+  image_url VARCHAR(500) NULL,
+  is_available BOOLEAN DEFAULT TRUE,
+  is_active BOOLEAN DEFAULT TRUE,
+  display_order INT DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_is_active (is_active),
+  INDEX idx_is_available (is_available)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create menu_combo_slots table
+CREATE TABLE IF NOT EXISTS menu_combo_slots (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  combo_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL COMMENT 'Slot name: Rice, Curry, Drink, etc.',
+  default_menu_item_id INT NOT NULL COMMENT 'Menu item served when no substitution is chosen',
+  quantity INT NOT NULL DEFAULT 1,
+  display_order INT DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (combo_id) REFERENCES menu_combos(id) ON DELETE CASCADE,
+  FOREIGN KEY (default_menu_item_id) REFERENCES menu_items(id) ON DELETE RESTRICT,
+  INDEX idx_combo_id (combo_id),
+  INDEX idx_default_menu_item_id (default_menu_item_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create menu_combo_slot_options table (allowed substitutions per slot)
+CREATE TABLE IF NOT EXISTS menu_combo_slot_options (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  slot_id INT NOT NULL,
+  menu_item_id INT NOT NULL COMMENT 'Menu item that may be substituted into the slot',
+  price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0 COMMENT 'Surcharge added to the bundle price for this substitution',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (slot_id) REFERENCES menu_combo_slots(id) ON DELETE CASCADE,
+  FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_slot_menu_item (slot_id, menu_item_id),
+  INDEX idx_menu_item_id (menu_item_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,61 @@
+-- Migration: Create menu modifier tables
+-- Date: 2026-10-18
+-- Description: Modifier groups (extras, removals, choices) with price deltas and their own recipe rows
+
+-- Create menu_modifier_groups table
+CREATE TABLE IF NOT EXISTS menu_modifier_groups (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) NOT NULL COMMENT 'Group name: Extras, Remove, Choose your sauce, etc.',
+  description TEXT NULL,
+  min_selections INT DEFAULT 0 COMMENT 'Minimum modifiers the cashier must pick (0 = optional group)',
+  max_selections INT NULL COMMENT 'Maximum modifiers that can be picked (null = no limit)',
+  display_order INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_is_active (is_active),
+  INDEX idx_display_order (display_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create menu_modifiers table
+CREATE TABLE IF NOT EXISTS menu_modifiers (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  modifier_group_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL COMMENT 'Modifier name: Extra cheese, No onions, Add egg, etc.',
+  action ENUM('add', 'remove') NOT NULL DEFAULT 'add' COMMENT 'add: ingredients deducted on top of the recipe, remove: ingredients taken out of the recipe',
+  price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0 COMMENT 'Amount added to the item price (may be negative)',
+  display_order INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (modifier_group_id) REFERENCES menu_modifier_groups(id) ON DELETE CASCADE,
+  INDEX idx_modifier_group_id (modifier_group_id),
+  INDEX idx_is_active (is_active)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create menu_item_modifier_groups table (which groups are offered on which menu items)
+CREATE TABLE IF NOT EXISTS menu_item_modifier_groups (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  menu_item_id INT NOT NULL,
+  modifier_group_id INT NOT NULL,
+  display_order INT DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+  FOREIGN KEY (modifier_group_id) REFERENCES menu_modifier_groups(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_menu_item_group (menu_item_id, modifier_group_id),
+  INDEX idx_modifier_group_id (modifier_group_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Link recipe rows to modifiers
+ALTER TABLE menu_item_ingredients
+ADD COLUMN IF NOT EXISTS modifier_id INT NULL COMMENT 'Set when the row belongs to a modifier rather than the base recipe'
+AFTER portion_id;
+
+ALTER TABLE menu_item_ingredients
+ADD CONSTRAINT fk_menu_item_ingredients_modifier
+FOREIGN KEY (modifier_id) REFERENCES menu_modifiers(id)
+ON DELETE CASCADE;
+
+ALTER TABLE menu_item_ingredients
+ADD INDEX idx_modifier_id (modifier_id);
@@ -0,0 +1,35 @@
+-- Migration: Create menu price levels
+-- Date: 2026-10-18
+-- Description: Menu prices by order type and day/time schedule (happy hour, weekend pricing)
+
+-- Create menu_price_levels table
+CREATE TABLE IF NOT EXISTS menu_price_levels (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  menu_item_id INT NOT NULL,
+  portion_id INT NULL COMMENT 'Limit the price to one portion (NULL = the menu item price)',
+  name VARCHAR(100) NOT NULL COMMENT 'Level name: Delivery, Happy Hour, Weekend Brunch, etc.',
+  order_type ENUM('dine-in', 'takeaway', 'delivery') NULL COMMENT 'Order type the price applies to (NULL = every order type)',
+  price DECIMAL(10, 2) NOT NULL,
+  days_of_week JSON NOT NULL COMMENT 'Days the price is valid on (0 = Sunday). Empty = every day',
+  start_time VARCHAR(5) NULL COMMENT 'Daily window start (HH:mm)',
+  end_time VARCHAR(5) NULL COMMENT 'Daily window end (HH:mm)',
+  start_date DATETIME NULL,
+  end_date DATETIME NULL,
+  priority INT DEFAULT 0 COMMENT 'Higher priority wins when several levels match',
+  is_active BOOLEAN DEFAULT TRUE,
+  is_in_effect BOOLEAN DEFAULT FALSE COMMENT 'Last schedule state written to price history',
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+  FOREIGN KEY (portion_id) REFERENCES menu_item_portions(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id),
+  INDEX idx_menu_item_id (menu_item_id),
+  INDEX idx_portion_id (portion_id),
+  INDEX idx_order_type (order_type),
+  INDEX idx_is_active (is_active)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Link price history rows to the price level that caused them
+ALTER TABLE price_histories
+  ADD COLUMN IF NOT EXISTS priceLevelId INT NULL COMMENT 'Price level behind a scheduled or order-type price change';
@@ -0,0 +1,24 @@
+-- Migration: Create number sequences table
+-- Date: 2026-10-18
+-- Description: Row-locked counters for sale and kitchen order numbers so
+--              concurrent checkouts cannot generate the same number
+
+CREATE TABLE IF NOT EXISTS number_sequences (
+  name VARCHAR(50) PRIMARY KEY,
+  lastValue INT UNSIGNED NOT NULL DEFAULT 0
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Continue today's (and earlier days') numbering from existing records
+INSERT INTO number_sequences (name, lastValue)
+SELECT SUBSTRING_INDEX(saleNumber, '-', 2), MAX(CAST(SUBSTRING_INDEX(saleNumber, '-', -1) AS UNSIGNED))
+FROM sales
+WHERE saleNumber LIKE 'SALE-%'
+GROUP BY SUBSTRING_INDEX(saleNumber, '-', 2)
+ON DUPLICATE KEY UPDATE lastValue = GREATEST(lastValue, VALUES(lastValue));
+
+INSERT INTO number_sequences (name, lastValue)
+SELECT SUBSTRING_INDEX(orderNumber, '-', 2), MAX(CAST(SUBSTRING_INDEX(orderNumber, '-', -1) AS UNSIGNED))
+FROM kitchen_orders
+WHERE orderNumber LIKE 'KO-%'
+GROUP BY SUBSTRING_INDEX(orderNumber, '-', 2)
+ON DUPLICATE KEY UPDATE lastValue = GREATEST(lastValue, VALUES(lastValue));
@@ -0,0 +1,41 @@
+-- Migration: Create promotions table and sale discount columns
+-- Date: 2026-10-18
+-- Description: Adds the promotion/discount engine used by sales checkout
+
+-- Create promotions table
+CREATE TABLE IF NOT EXISTS promotions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(150) NOT NULL,
+  code VARCHAR(50) NULL UNIQUE COMMENT 'Optional promo code the cashier enters at checkout',
+  description TEXT NULL,
+  type ENUM('percentage', 'fixed_amount', 'buy_x_get_y', 'category') NOT NULL,
+  value DECIMAL(10, 2) NOT NULL DEFAULT 0 COMMENT 'Percentage (0-100) or fixed LKR amount depending on type',
+  menuItemIds JSON NOT NULL COMMENT 'Menu item/product IDs the rule is limited to (empty = all items)',
+  categories JSON NOT NULL COMMENT 'Categories the rule is limited to (required for category rules)',
+  buyQuantity INT NULL COMMENT 'Units that must be bought for buy_x_get_y rules',
+  getQuantity INT NULL COMMENT 'Units given free for buy_x_get_y rules',
+  minOrderAmount DECIMAL(10, 2) NOT NULL DEFAULT 0 COMMENT 'Minimum bill subtotal before the rule applies',
+  maxDiscountAmount DECIMAL(10, 2) NULL COMMENT 'Cap on the discount a single sale can receive from this rule',
+  startDate DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  endDate DATETIME NULL COMMENT 'Null means the promotion never expires',
+  daysOfWeek JSON NOT NULL COMMENT 'Days the rule is valid on (0 = Sunday). Empty = every day',
+  startTime VARCHAR(5) NULL COMMENT 'Daily window start (HH:mm)',
+  endTime VARCHAR(5) NULL COMMENT 'Daily window end (HH:mm)',
+  isAutomatic BOOLEAN DEFAULT TRUE COMMENT 'Applied to every eligible sale without a code',
+  priority INT DEFAULT 0,
+  usageLimit INT NULL COMMENT 'Maximum number of sales the rule can be used on',
+  usageCount INT DEFAULT 0,
+  isActive BOOLEAN DEFAULT TRUE,
+  createdBy INT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_type (type),
+  INDEX idx_is_active (isActive),
+  INDEX idx_validity (startDate, endDate)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Add discount fields to sales table
+ALTER TABLE sales
+  ADD COLUMN IF NOT EXISTS discountAmount DECIMAL(10, 2) DEFAULT 0 COMMENT 'Total promotional discount applied before VAT' AFTER subtotal,
+  ADD COLUMN IF NOT EXISTS appliedPromotions JSON NULL COMMENT 'Summary of promotions applied to this sale' AFTER discountAmount;
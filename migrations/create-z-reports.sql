@@ -0,0 +1,23 @@
+-- Migration: Create Z reports table
+-- Date: 2026-10-18
+-- Description: Stored end-of-day Z reports, numbered sequentially, one per business day
+
+CREATE TABLE IF NOT EXISTS z_reports (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  zNumber INT UNSIGNED NOT NULL UNIQUE COMMENT 'Sequential Z number, never reused',
+  businessDate DATE NOT NULL UNIQUE COMMENT 'Business day the report closes; only one Z per day',
+  periodStart DATETIME NOT NULL COMMENT 'End of the previous Z, or start of the first business day',
+  periodEnd DATETIME NOT NULL,
+  transactionCount INT NOT NULL DEFAULT 0,
+  totalSales DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  vatAmount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  discountAmount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  refundAmount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  netSales DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  cashVariance DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  report JSON NOT NULL COMMENT 'Full breakdown as generated (payment methods, order types, VAT rates, refunds, voids, drawers)',
+  generatedBy INT NOT NULL,
+  generatedByName VARCHAR(255) NOT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (generatedBy) REFERENCES users(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,11 @@
+-- Migration: Seed hold number sequences
+-- Date: 2026-10-18
+-- Description: Hold numbers now come from number_sequences; continue the
+--              numbering of holds already parked today (and earlier days)
+
+INSERT INTO number_sequences (name, lastValue)
+SELECT SUBSTRING_INDEX(holdNumber, '-', 2), MAX(CAST(SUBSTRING_INDEX(holdNumber, '-', -1) AS UNSIGNED))
+FROM held_orders
+WHERE holdNumber LIKE 'HOLD-%'
+GROUP BY SUBSTRING_INDEX(holdNumber, '-', 2)
+ON DUPLICATE KEY UPDATE lastValue = GREATEST(lastValue, VALUES(lastValue));
@@ -0,0 +1,153 @@
+/**
+ * Fake network thermal printer for trying out printing locally.
+ *
+ *   node scripts/fake_printer.js [port] [--save dir] [--fail n]
+ *     Listens for raw ESC/POS jobs (as sent to port 9100 printers) and prints
+ *     each one as readable text, with commands shown as markers such as
+ *     [CUT], [DRAWER], [QR ...] and [IMAGE 384x40]. Point RECEIPT_PRINTER or
+ *     KITCHEN_PRINTER at localhost:<port>.
+ *
+ *     --save dir  also writes each job's raw bytes to dir/job-<n>.bin
+ *     --fail n    drops the first n connections, to try out the POS retrying
+ *
+ * Environment: FAKE_PRINTER_PORT (default 9100).
+ */
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const fs = require('fs');
+const net = require('net');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+function option(name) {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? null : process.argv[index + 1];
+}
+
+const PORT = parseInt(process.argv[2]) || parseInt(process.env.FAKE_PRINTER_PORT) || 9100;
+const SAVE_DIR = option('--save');
+let failuresLeft = parseInt(option('--fail')) || 0;
+
+/**
+ * Turn ESC/POS bytes into text, one printed line per output line
+ */
+function decode(data) {
+    const lines = [];
+    let line = '';
+    let i = 0;
+
+    const flush = () => {
+        lines.push(line);
+        line = '';
+    };
+    const marker = (text) => {
+        if (line) {
+            flush();
+        }
+        lines.push(`[${text}]`);
+    };
+
+    while (i < data.length) {
+        const byte = data[i];
+
+        if (byte === LF) {
+            flush();
+            i += 1;
+        } else if (byte === ESC) {
+            const command = data[i + 1];
+            const n = data[i + 2];
+            switch (command) {
+                case 0x40: i += 2; break; // Initialise
+                case 0x74: i += 3; break; // Code page
+                case 0x61: line += `{${['left', 'center', 'right'][n]}}`; i += 3; break;
+                case 0x45: line += n ? '{b}' : '{/b}'; i += 3; break;
+                case 0x64:
+                    if (line) {
+                        flush();
+                    }
+                    for (let j = 0; j < n; j++) {
+                        lines.push('');
+                    }
+                    i += 3;
+                    break;
+                case 0x70: marker('DRAWER'); i += 5; break;
+                default: marker(`ESC 0x${command.toString(16)}`); i += 2;
+            }
+        } else if (byte === GS) {
+            const command = data[i + 1];
+            const n = data[i + 2];
+            switch (command) {
+                case 0x21: line += n ? `{size ${(n >> 4) + 1}x${(n & 0x0f) + 1}}` : '{/size}'; i += 3; break;
+                case 0x42: line += n ? '{inv}' : '{/inv}'; i += 3; break;
+                case 0x56: marker(n === 0x42 ? 'PARTIAL CUT' : 'CUT'); i += 4; break;
+                case 0x28: {
+                    // GS ( k: QR code functions
+                    const length = data[i + 3] | (data[i + 4] << 8);
+                    if (data[i + 6] === 0x50) {
+                        marker(`QR ${data.slice(i + 8, i + 5 + length).toString('utf8')}`);
+                    }
+                    i += 5 + length;
+                    break;
+                }
+                case 0x76: {
+                    // GS v 0: raster image band
+                    const rowBytes = data[i + 4] | (data[i + 5] << 8);
+                    const rows = data[i + 6] | (data[i + 7] << 8);
+                    marker(`IMAGE ${rowBytes * 8}x${rows}`);
+                    i += 8 + rowBytes * rows;
+                    break;
+                }
+                default: marker(`GS 0x${command.toString(16)}`); i += 2;
+            }
+        } else {
+            line += String.fromCharCode(byte);
+            i += 1;
+        }
+    }
+
+    if (line) {
+        flush();
+    }
+    return lines.join('\n');
+}
+
+let jobCount = 0;
+
+const server = net.createServer(socket => {
+    const from = `${socket.remoteAddress}:${socket.remotePort}`;
+
+    if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        console.log(`Dropped connection from ${from} (${failuresLeft} more to drop)`);
+        socket.resetAndDestroy();
+        return;
+    }
+
+    const chunks = [];
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('end', () => {
+        const data = Buffer.concat(chunks);
+        jobCount += 1;
+
+        console.log(`\n===== Job ${jobCount} from ${from} (${data.length} bytes) =====`);
+        console.log(decode(data));
+
+        if (SAVE_DIR) {
+            fs.mkdirSync(SAVE_DIR, { recursive: true });
+            const file = path.join(SAVE_DIR, `job-${jobCount}.bin`);
+            fs.writeFileSync(file, data);
+            console.log(`(saved to ${file})`);
+        }
+        socket.end();
+    });
+    socket.on('error', error => console.error(`Connection from ${from}:`, error.message));
+});
+
+server.listen(PORT, () => {
+    console.log(`Fake printer listening on port ${PORT}`);
+    if (failuresLeft > 0) {
+        console.log(`Dropping the first ${failuresLeft} connection(s)`);
+    }
+});
@@ -0,0 +1,113 @@
+/**
+ * Mock delivery platform for trying out aggregator order intake locally.
+ *
+ *   node scripts/mock_aggregator.js serve
+ *     Listens for status updates from the POS (set the platform's apiBaseUrl
+ *     to http://localhost:5055) and prints them. GET /updates lists them.
+ *
+ *   node scripts/mock_aggregator.js send [orderId] [payload.json]
+ *     Sends a signed order to the POS webhook. Without a payload file a
+ *     sample order is sent using the external IDs burger-classic, fries-large
+ *     and extra-cheese, which need menu mappings on the platform.
+ *
+ * Environment: POS_URL (default http://localhost:5000), MOCK_AGGREGATOR_CODE
+ * (default mock), MOCK_AGGREGATOR_SECRET (the platform's webhook secret) and
+ * MOCK_AGGREGATOR_PORT (default 5055).
+ */
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+
+const POS_URL = process.env.POS_URL || 'http://localhost:5000';
+const CODE = process.env.MOCK_AGGREGATOR_CODE || 'mock';
+const SECRET = process.env.MOCK_AGGREGATOR_SECRET;
+const PORT = parseInt(process.env.MOCK_AGGREGATOR_PORT) || 5055;
+
+function sampleOrder(orderId) {
+    return {
+        orderId,
+        placedAt: new Date().toISOString(),
+        customer: { name: 'Mock Customer', phone: '+94770000000' },
+        deliveryAddress: { line1: '12 Galle Road', city: 'Colombo 03' },
+        items: [
+            {
+                id: 'burger-classic',
+                name: 'Classic Burger',
+                quantity: 2,
+                unitPrice: 1450,
+                notes: 'No onions',
+                modifiers: [{ id: 'extra-cheese', name: 'Extra cheese' }]
+            },
+            { id: 'fries-large', name: 'Large Fries', quantity: 1, unitPrice: 650, modifiers: [] }
+        ],
+        total: 3750,
+        notes: 'Leave at the gate'
+    };
+}
+
+async function send(orderId, payloadFile) {
+    if (!SECRET) {
+        console.error('Set MOCK_AGGREGATOR_SECRET to the platform\'s webhook secret');
+        process.exit(1);
+    }
+
+    const payload = payloadFile
+        ? JSON.parse(fs.readFileSync(path.resolve(payloadFile), 'utf8'))
+        : sampleOrder(orderId);
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+
+    const response = await fetch(`${POS_URL}/api/aggregators/webhooks/${CODE}/orders`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Signature': signature },
+        body,
+        signal: AbortSignal.timeout(15000)
+    });
+
+    console.log(`HTTP ${response.status}`);
+    console.log(JSON.stringify(await response.json(), null, 2));
+}
+
+function serve() {
+    const updates = [];
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/updates') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify(updates, null, 2));
+        }
+
+        const match = req.method === 'POST' && req.url.match(/^\/orders\/([^/]+)\/status$/);
+        if (!match) {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const update = { orderId: decodeURIComponent(match[1]), receivedAt: new Date().toISOString(), ...JSON.parse(raw || '{}') };
+            updates.push(update);
+            console.log(`[${update.receivedAt}] ${update.orderId} -> ${update.status}${update.reason ? ` (${update.reason})` : ''}`);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ received: true }));
+        });
+    });
+
+    server.listen(PORT, () => {
+        console.log(`Mock platform listening on http://localhost:${PORT}`);
+    });
+}
+
+const [command = 'serve', ...args] = process.argv.slice(2);
+
+if (command === 'send') {
+    send(args[0] || `MOCK-${Date.now()}`, args[1]).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+} else {
+    serve();
+}
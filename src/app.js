@@ -29,6 +29,17 @@ const auditRoutes = require('./routes/auditRoutes');
 const stockRoutes = require('./routes/stockRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const financialRoutes = require('./routes/financialRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const heldOrderRoutes = require('./routes/heldOrderRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const loyaltyRoutes = require('./routes/loyaltyRoutes');
+const giftVoucherRoutes = require('./routes/giftVoucherRoutes');
+const deliveryRoutes = require('./routes/deliveryRoutes');
+const aggregatorRoutes = require('./routes/aggregatorRoutes');
+const reservationRoutes = require('./routes/reservationRoutes');
+const floorPlanRoutes = require('./routes/floorPlanRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const printRoutes = require('./routes/printRoutes');
 
 // Initialize Express app
 const app = express();
@@ -38,11 +49,19 @@ app.use(helmet()); // Security headers
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'Last-Event-ID'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true
 }));
-app.use(express.json()); // Body parser
+app.use(express.json({
+  // Keep the raw body so webhook signatures can be checked
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+})); // Body parser
 app.use(express.urlencoded({ extended: true }));
+// Keep stream tickets and tokens in query strings out of the access log
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&](?:ticket|token)=)[^&]*/gi, '$1[redacted]'));
 app.use(morgan('dev')); // Logging
 
 /**
@@ -112,6 +131,17 @@ app.use('/api/stock', stockRoutes);
 app.use('/api/stock-issues', require('./routes/stockIssueRoutes'));
 app.use('/api/reports', reportRoutes);
 app.use('/api/financials', financialRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/held-orders', heldOrderRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
+app.use('/api/gift-vouchers', giftVoucherRoutes);
+app.use('/api/deliveries', deliveryRoutes);
+app.use('/api/aggregators', aggregatorRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/floor-plans', floorPlanRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/print', printRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -147,6 +177,12 @@ const startServer = async () => {
       `);
     });
 
+    // Record happy hour / scheduled price level changes in the price history
+    require('./services/priceLevelService').startScheduleWatcher();
+
+    // Hold tables for due reservations and mark no-shows
+    require('./services/reservationService').startDueWatcher();
+
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err, promise) => {
       console.log(`Unhandled Rejection:`, err);
@@ -0,0 +1,38 @@
+const { ROLES } = require('./roles');
+
+// Events pushed to kitchen and POS screens over /api/events/stream
+const EVENTS = {
+  ORDER_CREATED: 'order.created',
+  ORDER_UPDATED: 'order.updated',
+  ORDER_STATUS: 'order.status',
+  ORDER_ITEM_STATUS: 'order.item',
+  ORDER_COURSE: 'order.course',
+  ORDER_DELAYED: 'order.delayed',
+  ORDER_CANCELLED: 'order.cancelled',
+  TABLE_STATUS: 'table.status'
+};
+
+// Owner accounts exist on users but not in ROLES (see reportRoutes)
+const OWNER = 'Owner';
+const ORDER_ROLES = [OWNER, ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER, ROLES.KITCHEN_STAFF];
+
+// Roles that receive each event; an event not listed here goes to no one
+const EVENT_ROLES = {
+  [EVENTS.ORDER_CREATED]: ORDER_ROLES,
+  [EVENTS.ORDER_UPDATED]: ORDER_ROLES,
+  [EVENTS.ORDER_STATUS]: ORDER_ROLES,
+  [EVENTS.ORDER_ITEM_STATUS]: ORDER_ROLES,
+  [EVENTS.ORDER_COURSE]: ORDER_ROLES,
+  [EVENTS.ORDER_DELAYED]: ORDER_ROLES,
+  [EVENTS.ORDER_CANCELLED]: ORDER_ROLES,
+  [EVENTS.TABLE_STATUS]: [OWNER, ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER]
+};
+
+// Roles whose streams only carry tickets for the kitchen stations assigned to the user
+const STATION_SCOPED_ROLES = [ROLES.KITCHEN_STAFF];
+
+module.exports = {
+  EVENTS,
+  EVENT_ROLES,
+  STATION_SCOPED_ROLES
+};
@@ -29,6 +29,7 @@ const translations = {
     tableNo: 'Table No',
     cashier: 'Cashier',
     orderType: 'Order Type',
+    deliveryAddress: 'Deliver To',
 
     // Item Details
     item: 'Item',
@@ -44,6 +45,12 @@ const translations = {
     totalAmount: 'Total Amount',
     amountPaid: 'Amount Paid',
     change: 'Change',
+    tip: 'Tip',
+    deliveryFee: 'Delivery Fee',
+    pointsEarned: 'Points Earned',
+    pointsRedeemed: 'Points Redeemed',
+    pointsBalance: 'Points Balance',
+    memberTier: 'Member Tier',
 
     // Payment Methods
     paymentMethod: 'Payment Method',
@@ -51,6 +58,11 @@ const translations = {
     card: 'Card',
     mobile: 'Mobile Payment',
     other: 'Other',
+    payhere: 'PayHere',
+    giftVoucher: 'Gift Voucher',
+    storeCredit: 'Store Credit',
+    mixed: 'Mixed Payment',
+    loyaltyPoints: 'Loyalty Points',
 
     // Split Bill
     splitBill: 'Split Bill',
@@ -100,6 +112,7 @@ const translations = {
     tableNo: 'මේස අංකය',
     cashier: 'අයකැමි',
     orderType: 'ඇණවුම් වර්ගය',
+    deliveryAddress: 'බෙදාහරින ලිපිනය',
 
     // Item Details
     item: 'අයිතමය',
@@ -115,6 +128,12 @@ const translations = {
     totalAmount: 'මුළු එකතුව',
     amountPaid: 'ගෙවූ මුදල',
     change: 'ඉතිරිය',
+    tip: 'ටිප්',
+    deliveryFee: 'බෙදාහැරීමේ ගාස්තුව',
+    pointsEarned: 'උපයාගත් ලකුණු',
+    pointsRedeemed: 'භාවිත කළ ලකුණු',
+    pointsBalance: 'ලකුණු ශේෂය',
+    memberTier: 'සාමාජික මට්ටම',
 
     // Payment Methods
     paymentMethod: 'ගෙවීමේ ක්‍රමය',
@@ -122,6 +141,11 @@ const translations = {
     card: 'කාඩ්පත',
     mobile: 'ජංගම ගෙවීම',
     other: 'වෙනත්',
+    payhere: 'PayHere',
+    giftVoucher: 'තෑගි වවුචරය',
+    storeCredit: 'වෙළඳසැල් ණය',
+    mixed: 'මිශ්‍ර ගෙවීම',
+    loyaltyPoints: 'ලෝයල්ටි ලකුණු',
 
     // Split Bill
     splitBill: 'බෙදූ බිල්පත',
@@ -171,6 +195,7 @@ const translations = {
     tableNo: 'மேஜை எண்',
     cashier: 'காசாளர்',
     orderType: 'ஆர்டர் வகை',
+    deliveryAddress: 'விநியோக முகவரி',
 
     // Item Details
     item: 'பொருள்',
@@ -186,6 +211,12 @@ const translations = {
     totalAmount: 'மொத்த தொகை',
     amountPaid: 'செலுத்திய தொகை',
     change: 'மீதி',
+    tip: 'டிப்ஸ்',
+    deliveryFee: 'விநியோக கட்டணம்',
+    pointsEarned: 'பெற்ற புள்ளிகள்',
+    pointsRedeemed: 'பயன்படுத்திய புள்ளிகள்',
+    pointsBalance: 'புள்ளி இருப்பு',
+    memberTier: 'உறுப்பினர் நிலை',
 
     // Payment Methods
     paymentMethod: 'பணம் செலுத்தும் முறை',
@@ -193,6 +224,11 @@ const translations = {
     card: 'அட்டை',
     mobile: 'மொபைல் பணம்',
     other: 'மற்றவை',
+    payhere: 'PayHere',
+    giftVoucher: 'பரிசு வவுச்சர்',
+    storeCredit: 'கடை வரவு',
+    mixed: 'கலப்பு கட்டணம்',
+    loyaltyPoints: 'லாயல்டி புள்ளிகள்',
 
     // Split Bill
     splitBill: 'பிரிக்கப்பட்ட பில்',
@@ -28,6 +28,18 @@ const options = {
       }
     ],
     components: {
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255
+          },
+          description: 'Unique key per checkout attempt. Retries with the same key and body replay the first response (with an Idempotent-Replayed: true header); the same key with a different body returns 422. Error responses are not stored, and a request still processing after IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES (default 2) is treated as abandoned. Keys expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24).'
+        }
+      },
       securitySchemes: {
         bearerAuth: {
           type: 'http',
@@ -0,0 +1,217 @@
+const aggregatorService = require('../services/aggregatorService');
+
+/**
+ * @desc    Receive an order from a delivery platform
+ * @route   POST /api/aggregators/webhooks/:platformCode/orders
+ * @access  Public (signed by the platform)
+ */
+exports.receiveOrder = async (req, res, next) => {
+  try {
+    const { order, sale, duplicate } = await aggregatorService.receiveOrder(req.params.platformCode, {
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body
+    });
+
+    const data = {
+      orderId: order.externalOrderId,
+      status: order.status,
+      reference: order.saleNumber,
+      reason: order.rejectionReason
+    };
+
+    if (duplicate) {
+      return res.json({ success: true, message: 'Order already received', data });
+    }
+
+    if (order.status === 'rejected') {
+      return res.status(422).json({
+        success: false,
+        message: order.rejectionReason,
+        data: { ...data, unmappedItems: order.unmappedItems }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Order accepted',
+      data: { ...data, saleId: sale.id, totalAmount: sale.totalAmount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List aggregator platforms
+ * @route   GET /api/aggregators/platforms
+ * @access  Private (Admin/Manager)
+ */
+exports.getPlatforms = async (req, res, next) => {
+  try {
+    const platforms = await aggregatorService.getPlatforms();
+
+    res.json({
+      success: true,
+      count: platforms.length,
+      data: platforms
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add an aggregator platform
+ * @route   POST /api/aggregators/platforms
+ * @access  Private (Admin/Manager)
+ */
+exports.createPlatform = async (req, res, next) => {
+  try {
+    const platform = await aggregatorService.createPlatform(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Platform added. Copy the webhook secret now; it will not be shown again.',
+      data: platform
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an aggregator platform
+ * @route   PUT /api/aggregators/platforms/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.updatePlatform = async (req, res, next) => {
+  try {
+    const platform = await aggregatorService.updatePlatform(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Platform updated',
+      data: platform
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List a platform's menu mappings
+ * @route   GET /api/aggregators/platforms/:id/mappings
+ * @access  Private (Admin/Manager)
+ */
+exports.getMappings = async (req, res, next) => {
+  try {
+    const mappings = await aggregatorService.getMappings(req.params.id);
+
+    res.json({
+      success: true,
+      count: mappings.length,
+      data: mappings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add or update menu mappings
+ * @route   PUT /api/aggregators/platforms/:id/mappings
+ * @access  Private (Admin/Manager)
+ */
+exports.saveMappings = async (req, res, next) => {
+  try {
+    const mappings = await aggregatorService.saveMappings(req.params.id, req.body.mappings);
+
+    res.json({
+      success: true,
+      message: 'Menu mappings saved',
+      count: mappings.length,
+      data: mappings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a menu mapping
+ * @route   DELETE /api/aggregators/mappings/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.deleteMapping = async (req, res, next) => {
+  try {
+    await aggregatorService.deleteMapping(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Menu mapping removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List orders received from platforms
+ * @route   GET /api/aggregators/orders
+ * @access  Private (Admin/Manager)
+ */
+exports.getOrders = async (req, res, next) => {
+  try {
+    const { orders, summary, pagination } = await aggregatorService.getOrders(req.query);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      summary,
+      data: orders,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an order received from a platform
+ * @route   GET /api/aggregators/orders/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.getOrder = async (req, res, next) => {
+  try {
+    const order = await aggregatorService.getOrder(req.params.id);
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend an order's current status to the platform
+ * @route   POST /api/aggregators/orders/:id/push-status
+ * @access  Private (Admin/Manager)
+ */
+exports.retryStatusPush = async (req, res, next) => {
+  try {
+    const order = await aggregatorService.retryStatusPush(req.params.id);
+
+    res.json({
+      success: !order.statusPushError,
+      message: order.statusPushError
+        ? `Status update failed: ${order.statusPushError}`
+        : `Platform updated to ${order.lastStatusPushed}`,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
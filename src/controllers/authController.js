@@ -411,7 +411,7 @@ exports.getAllUsers = async (req, res, next) => {
 exports.updateUser = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { username, email, password, role, fullName, isActive } = req.body;
+    const { username, email, password, role, fullName, isActive, kitchenStationIds } = req.body;
 
     const user = await User.findByPk(id);
 
@@ -447,6 +447,7 @@ exports.updateUser = async (req, res, next) => {
     if (fullName) user.fullName = fullName;
     if (role) user.role = role;
     if (isActive !== undefined) user.isActive = isActive;
+    if (kitchenStationIds !== undefined) user.kitchenStationIds = kitchenStationIds ? kitchenStationIds.map(id => parseInt(id)) : null;
 
     if (password) {
       const salt = await bcrypt.genSalt(10);
@@ -472,7 +473,8 @@ exports.updateUser = async (req, res, next) => {
         email: user.email,
         role: user.role,
         fullName: user.fullName,
-        isActive: user.isActive
+        isActive: user.isActive,
+        kitchenStationIds: user.kitchenStationIds
       }
     });
   } catch (error) {
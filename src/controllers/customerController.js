@@ -0,0 +1,176 @@
+const customerService = require('../services/customerService');
+
+/**
+ * @desc    Search customers by name, phone or email
+ * @route   GET /api/customers
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getCustomers = async (req, res, next) => {
+  try {
+    const customers = await customerService.searchCustomers(req.query);
+
+    res.json({
+      success: true,
+      count: customers.length,
+      data: customers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Look up a customer by phone number
+ * @route   GET /api/customers/lookup?phone=
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.lookupByPhone = async (req, res, next) => {
+  try {
+    const customer = await customerService.findByPhone(req.query.phone);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No customer found with this phone number'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a customer
+ * @route   POST /api/customers
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.createCustomer = async (req, res, next) => {
+  try {
+    const customer = await customerService.createCustomer(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a customer
+ * @route   GET /api/customers/:id
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getCustomerById = async (req, res, next) => {
+  try {
+    const customer = await customerService.getCustomer(req.params.id);
+
+    res.json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a customer
+ * @route   PUT /api/customers/:id
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.updateCustomer = async (req, res, next) => {
+  try {
+    const customer = await customerService.updateCustomer(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Deactivate a customer (order history is kept)
+ * @route   DELETE /api/customers/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.deactivateCustomer = async (req, res, next) => {
+  try {
+    const customer = await customerService.updateCustomer(req.params.id, { isActive: false });
+
+    res.json({
+      success: true,
+      message: 'Customer deactivated',
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Past orders and lifetime spend for a customer
+ * @route   GET /api/customers/:id/orders
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getOrderHistory = async (req, res, next) => {
+  try {
+    const history = await customerService.getOrderHistory(req.params.id, req.query);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a delivery address
+ * @route   POST /api/customers/:id/addresses
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.addAddress = async (req, res, next) => {
+  try {
+    const customer = await customerService.addAddress(req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Address added',
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a delivery address
+ * @route   DELETE /api/customers/:id/addresses/:addressId
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.removeAddress = async (req, res, next) => {
+  try {
+    const customer = await customerService.removeAddress(req.params.id, req.params.addressId);
+
+    res.json({
+      success: true,
+      message: 'Address removed',
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
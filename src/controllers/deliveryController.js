@@ -0,0 +1,275 @@
+const deliveryService = require('../services/deliveryService');
+
+/**
+ * @desc    List delivery zones
+ * @route   GET /api/deliveries/zones
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getZones = async (req, res, next) => {
+  try {
+    const zones = await deliveryService.getZones(req.query);
+
+    res.json({
+      success: true,
+      count: zones.length,
+      data: zones
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a delivery zone
+ * @route   POST /api/deliveries/zones
+ * @access  Private (Admin/Manager)
+ */
+exports.createZone = async (req, res, next) => {
+  try {
+    const zone = await deliveryService.createZone(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery zone created',
+      data: zone
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a delivery zone
+ * @route   PUT /api/deliveries/zones/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.updateZone = async (req, res, next) => {
+  try {
+    const zone = await deliveryService.updateZone(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Delivery zone updated',
+      data: zone
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delivery fee and minimum order check for a zone
+ * @route   GET /api/deliveries/quote
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getQuote = async (req, res, next) => {
+  try {
+    const { zone, deliveryFee, orderTotal, total } = await deliveryService.quote(req.query.zoneId, req.query.orderTotal);
+
+    res.json({
+      success: true,
+      data: {
+        zoneId: zone.id,
+        zoneName: zone.name,
+        estimatedMinutes: zone.estimatedMinutes,
+        orderTotal,
+        deliveryFee,
+        total
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List drivers with their active deliveries
+ * @route   GET /api/deliveries/drivers
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getDrivers = async (req, res, next) => {
+  try {
+    const drivers = await deliveryService.getDrivers(req.query);
+
+    res.json({
+      success: true,
+      count: drivers.length,
+      data: drivers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a driver
+ * @route   POST /api/deliveries/drivers
+ * @access  Private (Admin/Manager)
+ */
+exports.createDriver = async (req, res, next) => {
+  try {
+    const driver = await deliveryService.createDriver(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Driver added',
+      data: driver
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a driver
+ * @route   PUT /api/deliveries/drivers/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.updateDriver = async (req, res, next) => {
+  try {
+    const driver = await deliveryService.updateDriver(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Driver updated',
+      data: driver
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cash a driver should hand in
+ * @route   GET /api/deliveries/drivers/:id/settlement
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getSettlementPreview = async (req, res, next) => {
+  try {
+    const preview = await deliveryService.getSettlementPreview(req.params.id);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Settle a driver's cash-on-delivery takings into the cash drawer
+ * @route   POST /api/deliveries/drivers/:id/settle
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.settleDriver = async (req, res, next) => {
+  try {
+    const settlement = await deliveryService.settleDriver(req.params.id, req.body, req.user);
+    const variance = parseFloat(settlement.variance);
+
+    res.status(201).json({
+      success: true,
+      message: variance === 0
+        ? 'Driver settled'
+        : `Driver settled with a ${variance < 0 ? 'shortage' : 'surplus'} of ${Math.abs(variance).toFixed(2)}`,
+      data: settlement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List driver settlements
+ * @route   GET /api/deliveries/settlements
+ * @access  Private (Admin/Manager)
+ */
+exports.getSettlements = async (req, res, next) => {
+  try {
+    const settlements = await deliveryService.getSettlements(req.query);
+
+    res.json({
+      success: true,
+      count: settlements.length,
+      data: settlements
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Dispatch board
+ * @route   GET /api/deliveries
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    const { deliveries, pagination } = await deliveryService.getDeliveries(req.query);
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a delivery
+ * @route   GET /api/deliveries/:id
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await deliveryService.getDelivery(req.params.id);
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Assign a driver to a delivery
+ * @route   PUT /api/deliveries/:id/driver
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.assignDriver = async (req, res, next) => {
+  try {
+    const delivery = await deliveryService.assignDriver(req.params.id, req.body.driverId, req.user);
+
+    res.json({
+      success: true,
+      message: `Delivery assigned to ${delivery.driverName}`,
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update dispatch status
+ * @route   PUT /api/deliveries/:id/status
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.updateStatus = async (req, res, next) => {
+  try {
+    const delivery = await deliveryService.updateStatus(req.params.id, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: `Delivery marked ${delivery.status.replace(/_/g, ' ')}`,
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,58 @@
+const eventService = require('../services/eventService');
+const { EVENT_ROLES, STATION_SCOPED_ROLES } = require('../config/events');
+
+const forbidden = (message) => {
+  const error = new Error(message);
+  error.statusCode = 403;
+  return error;
+};
+
+/**
+ * @desc    Get a single-use ticket for opening an event stream
+ * @route   POST /api/events/ticket
+ * @access  Private
+ */
+exports.createStreamTicket = (req, res) => {
+  res.status(201).json({
+    success: true,
+    data: eventService.issueTicket(req.token)
+  });
+};
+
+/**
+ * @desc    Stream kitchen and table events (server-sent events)
+ * @route   GET /api/events/stream
+ * @access  Private
+ */
+exports.streamEvents = (req, res, next) => {
+  try {
+    const list = value => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+    const { role } = req.user;
+
+    const types = list(req.query.types);
+    const denied = types.find(type => !(EVENT_ROLES[type] || []).includes(role));
+    if (denied) {
+      throw forbidden(`The ${role} role cannot receive ${denied} events`);
+    }
+
+    let stationIds = list(req.query.stations).map(id => parseInt(id)).filter(Boolean);
+    if (STATION_SCOPED_ROLES.includes(role)) {
+      const assigned = req.user.kitchenStationIds || [];
+      if (assigned.length === 0) {
+        throw forbidden('No kitchen station is assigned to your account');
+      }
+      if (stationIds.some(id => !assigned.includes(id))) {
+        throw forbidden('You can only follow the kitchen stations assigned to you');
+      }
+      stationIds = stationIds.length > 0 ? stationIds : assigned;
+    }
+
+    eventService.subscribe(req, res, {
+      stationIds,
+      types,
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId || null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
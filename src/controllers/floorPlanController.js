@@ -0,0 +1,153 @@
+const floorPlanService = require('../services/floorPlanService');
+
+/**
+ * @desc    All floor plans with live table status
+ * @route   GET /api/floor-plans
+ * @access  Private
+ */
+exports.getPlans = async (req, res, next) => {
+  try {
+    const plans = await floorPlanService.getPlans();
+
+    res.json({
+      success: true,
+      count: plans.areas.length,
+      data: plans
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a floor area
+ * @route   POST /api/floor-plans
+ * @access  Private (Admin/Manager)
+ */
+exports.createArea = async (req, res, next) => {
+  try {
+    const area = await floorPlanService.createArea(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Floor area created',
+      data: area
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    An area's floor plan with live table status
+ * @route   GET /api/floor-plans/:id
+ * @access  Private
+ */
+exports.getPlan = async (req, res, next) => {
+  try {
+    const plan = await floorPlanService.getPlan(req.params.id);
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a floor area
+ * @route   PUT /api/floor-plans/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.updateArea = async (req, res, next) => {
+  try {
+    const area = await floorPlanService.updateArea(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Floor area updated',
+      data: area
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Save an area's table layout as a new version
+ * @route   PUT /api/floor-plans/:id/layout
+ * @access  Private (Admin/Manager)
+ */
+exports.saveLayout = async (req, res, next) => {
+  try {
+    const { area, version } = await floorPlanService.saveLayout(req.params.id, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: `${area.name} layout saved as version ${version.version}`,
+      data: version
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List an area's layout versions
+ * @route   GET /api/floor-plans/:id/versions
+ * @access  Private (Admin/Manager)
+ */
+exports.getVersions = async (req, res, next) => {
+  try {
+    const { area, versions } = await floorPlanService.getVersions(req.params.id);
+
+    res.json({
+      success: true,
+      count: versions.length,
+      currentVersion: area.layoutVersion,
+      data: versions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get one layout version
+ * @route   GET /api/floor-plans/:id/versions/:version
+ * @access  Private (Admin/Manager)
+ */
+exports.getVersion = async (req, res, next) => {
+  try {
+    const version = await floorPlanService.getVersion(req.params.id, req.params.version);
+
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Roll an area back to an earlier layout
+ * @route   POST /api/floor-plans/:id/versions/:version/restore
+ * @access  Private (Admin/Manager)
+ */
+exports.restoreVersion = async (req, res, next) => {
+  try {
+    const { area, version, skipped } = await floorPlanService.restoreVersion(req.params.id, req.params.version, req.user);
+
+    res.json({
+      success: true,
+      message: `${area.name} rolled back to version ${req.params.version}`
+        + (skipped.length > 0 ? `; ${skipped.length} table(s) could not be restored` : ''),
+      data: { version, skipped }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
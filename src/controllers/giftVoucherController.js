@@ -0,0 +1,77 @@
+const giftVoucherService = require('../services/giftVoucherService');
+
+/**
+ * @desc    List gift vouchers and store credit
+ * @route   GET /api/gift-vouchers
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getVouchers = async (req, res, next) => {
+  try {
+    const { vouchers, pagination } = await giftVoucherService.listVouchers(req.query);
+
+    res.json({
+      success: true,
+      count: vouchers.length,
+      data: vouchers,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sell a gift voucher
+ * @route   POST /api/gift-vouchers
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.issueVoucher = async (req, res, next) => {
+  try {
+    const voucher = await giftVoucherService.issueVoucher(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gift voucher issued',
+      data: voucher
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check a voucher's balance and history by code
+ * @route   GET /api/gift-vouchers/:code
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getVoucher = async (req, res, next) => {
+  try {
+    const voucher = await giftVoucherService.getVoucher(req.params.code);
+
+    res.json({
+      success: true,
+      data: voucher
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Void a voucher; the remaining balance is written off
+ * @route   POST /api/gift-vouchers/:code/void
+ * @access  Private (Admin/Manager)
+ */
+exports.voidVoucher = async (req, res, next) => {
+  try {
+    const voucher = await giftVoucherService.voidVoucher(req.params.code, req.body.reason, req.user);
+
+    res.json({
+      success: true,
+      message: 'Voucher voided',
+      data: voucher
+    });
+  } catch (error) {
+    next(error);
+  }
+};
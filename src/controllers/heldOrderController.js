@@ -0,0 +1,109 @@
+const heldOrderService = require('../services/heldOrderService');
+
+/**
+ * @desc    Park (hold) the current register order
+ * @route   POST /api/held-orders
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.parkOrder = async (req, res, next) => {
+  try {
+    const heldOrder = await heldOrderService.parkOrder(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Order parked as ${heldOrder.holdNumber}`,
+      data: heldOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List held orders for the current cashier or device
+ * @route   GET /api/held-orders
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getHeldOrders = async (req, res, next) => {
+  try {
+    const heldOrders = await heldOrderService.listHeldOrders(req.query, req.user);
+
+    res.json({
+      success: true,
+      count: heldOrders.length,
+      data: heldOrders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a held order
+ * @route   GET /api/held-orders/:id
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getHeldOrderById = async (req, res, next) => {
+  try {
+    const heldOrder = await heldOrderService.getHeldOrder(req.params.id, req.user, req.query.deviceId);
+
+    res.json({
+      success: true,
+      data: heldOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Recall a held order, re-priced at current prices and VAT
+ * @route   POST /api/held-orders/:id/recall
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.recallOrder = async (req, res, next) => {
+  try {
+    const result = await heldOrderService.recallOrder(req.params.id, req.user, req.body.deviceId);
+
+    const warnings = [];
+    if (result.unavailableItems.length > 0) {
+      warnings.push(`${result.unavailableItems.length} item(s) are no longer available and were removed`);
+    }
+    if (result.priceChanged) {
+      warnings.push('Prices have changed since the order was parked');
+    }
+
+    res.json({
+      success: true,
+      message: `Order ${result.heldOrder.holdNumber} recalled`,
+      warnings,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Discard a held order
+ * @route   DELETE /api/held-orders/:id
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.discardOrder = async (req, res, next) => {
+  try {
+    const heldOrder = await heldOrderService.discardOrder(
+      req.params.id,
+      req.user,
+      req.body ? req.body.reason : null,
+      req.body ? req.body.deviceId : null
+    );
+
+    res.json({
+      success: true,
+      message: `Held order ${heldOrder.holdNumber} discarded`,
+      data: heldOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,6 @@
 const kitchenService = require('../services/kitchenService');
+const eventService = require('../services/eventService');
+const { EVENTS } = require('../config/events');
 const { KitchenOrder, KitchenStation, MenuItem, MenuItemIngredient, Ingredient, StockLocation, StockTransaction, MenuItemPortion, Sale } = require('../models');
 const { Op } = require('sequelize');
 
@@ -171,6 +173,57 @@ exports.updateOrderStatus = async (req, res, next) => {
   }
 };
 
+// @desc    Fire the next held course (or the one given) of a kitchen order
+// @route   POST /api/kitchen/orders/:id/fire
+// @access  Private (Manager, Admin, Cashier)
+exports.fireOrderCourse = async (req, res, next) => {
+  try {
+    const result = await kitchenService.fireCourse({ orderId: parseInt(req.params.id) }, req.body.course, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Course ${result.course} fired`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Hold a fired course of a kitchen order that hasn't been started
+// @route   POST /api/kitchen/orders/:id/hold
+// @access  Private (Manager, Admin, Cashier)
+exports.holdOrderCourse = async (req, res, next) => {
+  try {
+    const result = await kitchenService.holdCourse({ orderId: parseInt(req.params.id) }, req.body.course, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Course ${result.course} held`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Fire the next held course (or the one given) on every kitchen ticket of a sale
+// @route   POST /api/kitchen/sales/:saleId/fire
+// @access  Private (Manager, Admin, Cashier)
+exports.fireSaleCourse = async (req, res, next) => {
+  try {
+    const result = await kitchenService.fireCourse({ saleId: parseInt(req.params.saleId) }, req.body.course, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Course ${result.course} fired to ${result.orders.length} station ticket(s)`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Link sale to kitchen order after payment
 // @route   PATCH /api/kitchen/orders/:id/link-sale
 // @access  Private (Manager, Admin, Cashier)
@@ -274,6 +327,8 @@ exports.cancelKitchenOrder = async (req, res, next) => {
       );
     }
 
+    eventService.publishOrder(EVENTS.ORDER_CANCELLED, order, { cancellationReason });
+
     res.status(200).json({
       success: true,
       message: 'Kitchen order cancelled successfully',
@@ -336,6 +391,10 @@ exports.notifyDelay = async (req, res, next) => {
 
     // TODO: Send notification to management/customer about delay
     // This could integrate with a notification service
+    eventService.publishOrder(EVENTS.ORDER_DELAYED, order, {
+      delayReason,
+      estimatedDelay: estimatedDelay ? parseInt(estimatedDelay) : null
+    });
 
     res.status(200).json({
       success: true,
@@ -381,6 +440,8 @@ exports.resetDelay = async (req, res, next) => {
       );
     }
 
+    eventService.publishOrder(EVENTS.ORDER_DELAYED, order, { delayReason: null, cleared: true });
+
     res.status(200).json({
       success: true,
       message: 'Delay notification reset successfully',
@@ -397,7 +458,9 @@ exports.resetDelay = async (req, res, next) => {
 exports.getOrdersByStation = async (req, res, next) => {
   try {
     const stationId = parseInt(req.params.id);
-    const orders = await kitchenService.getOrdersByStation(stationId);
+    const orders = await kitchenService.getOrdersByStation(stationId, {
+      includeHeld: req.query.showHeld !== 'false'
+    });
 
     res.status(200).json({
       success: true,
@@ -809,11 +872,17 @@ exports.getStationDashboard = async (req, res, next) => {
       };
     }).sort((a, b) => a.maxQuantity - b.maxQuantity);
 
+    // 6. Order queue; items of courses not yet fired are flagged `held` (greyed out), or left out with showHeld=false
+    const queue = await kitchenService.getOrdersByStation(station.id, {
+      includeHeld: req.query.showHeld !== 'false'
+    });
+
     res.status(200).json({
       success: true,
       data: {
         inventory,
         production,
+        queue,
         menuItems: fullMenuItems // Provide full structure for frontend
       }
     });
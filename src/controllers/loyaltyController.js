@@ -0,0 +1,75 @@
+const loyaltyService = require('../services/loyaltyService');
+
+/**
+ * @desc    Get loyalty programme settings
+ * @route   GET /api/loyalty/settings
+ * @access  Private (Admin/Manager)
+ */
+exports.getSettings = async (req, res, next) => {
+  try {
+    const settings = await loyaltyService.getSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update earn rules, tiers and redemption value
+ * @route   PUT /api/loyalty/settings
+ * @access  Private (Admin)
+ */
+exports.updateSettings = async (req, res, next) => {
+  try {
+    const settings = await loyaltyService.updateSettings(req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Loyalty settings updated',
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Points balance, tier and ledger for a phone number
+ * @route   GET /api/loyalty/accounts/:phone
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getAccount = async (req, res, next) => {
+  try {
+    const account = await loyaltyService.getAccount(req.params.phone, req.query);
+
+    res.json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Manually add or remove points
+ * @route   POST /api/loyalty/accounts/:phone/adjust
+ * @access  Private (Admin/Manager)
+ */
+exports.adjustPoints = async (req, res, next) => {
+  try {
+    const entry = await loyaltyService.adjustPoints(req.params.phone, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Points adjusted; new balance ${entry.balanceAfter}`,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,7 @@
-const { MenuItem, MenuItemPortion, MenuItemIngredient, Product, Ingredient } = require('../models');
+const { sequelize, MenuItem, MenuItemPortion, MenuItemIngredient, Product, Ingredient, MenuModifierGroup, MenuModifier, MenuItemModifierGroup, MenuCombo, MenuComboSlot, MenuComboSlotOption, MenuPriceLevel, PriceHistory } = require('../models');
 const { Op } = require('sequelize');
+const comboService = require('../services/comboService');
+const priceLevelService = require('../services/priceLevelService');
 
 /**
  * Get all menu items with optional filtering and grouping by category
@@ -110,6 +112,21 @@ exports.getMenuItemById = async (req, res) => {
               as: 'ingredient'
             }
           ]
+        },
+        {
+          model: MenuModifierGroup,
+          as: 'modifierGroups',
+          where: { isActive: true },
+          required: false,
+          through: { attributes: ['displayOrder'] },
+          include: [
+            {
+              model: MenuModifier,
+              as: 'modifiers',
+              where: { isActive: true },
+              required: false
+            }
+          ]
         }
       ]
     });
@@ -493,3 +510,761 @@ exports.getMenuItemsByKitchen = async (req, res) => {
     });
   }
 };
+
+/**
+ * Include tree for modifier groups with their modifiers and recipe rows
+ */
+const modifierGroupInclude = [
+  {
+    model: MenuModifier,
+    as: 'modifiers',
+    include: [
+      {
+        model: MenuItemIngredient,
+        as: 'ingredients',
+        include: [
+          {
+            model: Ingredient,
+            as: 'ingredient',
+            attributes: ['id', 'name', 'unit']
+          }
+        ]
+      }
+    ]
+  }
+];
+
+/**
+ * Create modifier rows (and their ingredient rows) for a group
+ */
+const createModifiers = async (modifierGroupId, modifiers, transaction) => {
+  for (const modifierData of modifiers) {
+    const { ingredients, id, ...modifier } = modifierData;
+
+    const createdModifier = await MenuModifier.create({
+      ...modifier,
+      modifierGroupId
+    }, { transaction });
+
+    if (ingredients && ingredients.length > 0) {
+      const ingredientsToCreate = ingredients.map(ing => ({
+        modifierId: createdModifier.id,
+        productId: ing.productId || null,
+        ingredientId: ing.ingredientId || null,
+        quantity: ing.quantity,
+        unit: ing.unit || 'piece',
+        notes: ing.notes
+      }));
+
+      await MenuItemIngredient.bulkCreate(ingredientsToCreate, { transaction });
+    }
+  }
+};
+
+/**
+ * Validate min/max selection settings for a modifier group
+ */
+const validateSelectionLimits = (minSelections, maxSelections) => {
+  const min = minSelections !== undefined ? parseInt(minSelections) : 0;
+  if (maxSelections !== undefined && maxSelections !== null && parseInt(maxSelections) < min) {
+    return 'Maximum selections cannot be less than minimum selections';
+  }
+  return null;
+};
+
+/**
+ * Get all modifier groups
+ */
+exports.getModifierGroups = async (req, res) => {
+  try {
+    const whereClause = {};
+    if (req.query.isActive !== undefined) {
+      whereClause.isActive = req.query.isActive === 'true';
+    }
+
+    const groups = await MenuModifierGroup.findAll({
+      where: whereClause,
+      include: modifierGroupInclude,
+      order: [
+        ['displayOrder', 'ASC'],
+        ['name', 'ASC'],
+        [{ model: MenuModifier, as: 'modifiers' }, 'displayOrder', 'ASC']
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: groups.length,
+      data: groups
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching modifier groups',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create modifier group with modifiers and their ingredients
+ */
+exports.createModifierGroup = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { modifiers, ...groupData } = req.body;
+
+    const limitError = validateSelectionLimits(groupData.minSelections, groupData.maxSelections);
+    if (limitError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: limitError
+      });
+    }
+
+    const group = await MenuModifierGroup.create(groupData, { transaction });
+
+    if (modifiers && modifiers.length > 0) {
+      await createModifiers(group.id, modifiers, transaction);
+    }
+
+    await transaction.commit();
+
+    const completeGroup = await MenuModifierGroup.findByPk(group.id, {
+      include: modifierGroupInclude
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Modifier group created successfully',
+      data: completeGroup
+    });
+  } catch (error) {
+    await transaction.rollback();
+    res.status(400).json({
+      success: false,
+      message: 'Error creating modifier group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update modifier group. When modifiers are supplied they replace the existing ones.
+ */
+exports.updateModifierGroup = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { modifiers, ...groupData } = req.body;
+
+    const group = await MenuModifierGroup.findByPk(req.params.groupId, { transaction });
+
+    if (!group) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      });
+    }
+
+    const limitError = validateSelectionLimits(
+      groupData.minSelections !== undefined ? groupData.minSelections : group.minSelections,
+      groupData.maxSelections !== undefined ? groupData.maxSelections : group.maxSelections
+    );
+    if (limitError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: limitError
+      });
+    }
+
+    await group.update(groupData, { transaction });
+
+    if (modifiers) {
+      // Modifier ingredient rows are removed by the ON DELETE CASCADE
+      await MenuModifier.destroy({
+        where: { modifierGroupId: group.id },
+        transaction
+      });
+      await createModifiers(group.id, modifiers, transaction);
+    }
+
+    await transaction.commit();
+
+    const completeGroup = await MenuModifierGroup.findByPk(group.id, {
+      include: modifierGroupInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Modifier group updated successfully',
+      data: completeGroup
+    });
+  } catch (error) {
+    await transaction.rollback();
+    res.status(400).json({
+      success: false,
+      message: 'Error updating modifier group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete modifier group (soft delete by setting isActive to false)
+ */
+exports.deleteModifierGroup = async (req, res) => {
+  try {
+    const group = await MenuModifierGroup.findByPk(req.params.groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      });
+    }
+
+    await group.update({ isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Modifier group deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting modifier group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set the modifier groups offered on a menu item (replaces existing links)
+ */
+exports.setMenuItemModifierGroups = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { modifierGroupIds = [] } = req.body;
+
+    const menuItem = await MenuItem.findByPk(req.params.id, { transaction });
+
+    if (!menuItem) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    const groups = await MenuModifierGroup.findAll({
+      where: { id: modifierGroupIds },
+      transaction
+    });
+
+    if (groups.length !== new Set(modifierGroupIds).size) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'One or more modifier groups do not exist'
+      });
+    }
+
+    await MenuItemModifierGroup.destroy({
+      where: { menuItemId: menuItem.id },
+      transaction
+    });
+
+    await MenuItemModifierGroup.bulkCreate(
+      [...new Set(modifierGroupIds)].map((modifierGroupId, index) => ({
+        menuItemId: menuItem.id,
+        modifierGroupId,
+        displayOrder: index
+      })),
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    const completeMenuItem = await MenuItem.findByPk(menuItem.id, {
+      include: [
+        {
+          model: MenuModifierGroup,
+          as: 'modifierGroups',
+          through: { attributes: ['displayOrder'] },
+          include: modifierGroupInclude
+        }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Menu item modifier groups updated successfully',
+      data: completeMenuItem
+    });
+  } catch (error) {
+    await transaction.rollback();
+    res.status(400).json({
+      success: false,
+      message: 'Error updating menu item modifier groups',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create slot rows (and their substitution options) for a combo
+ */
+const createComboSlots = async (comboId, slots, transaction) => {
+  for (const [index, slotData] of slots.entries()) {
+    const { options, id, ...slot } = slotData;
+
+    const createdSlot = await MenuComboSlot.create({
+      ...slot,
+      displayOrder: slot.displayOrder !== undefined ? slot.displayOrder : index,
+      comboId
+    }, { transaction });
+
+    if (options && options.length > 0) {
+      await MenuComboSlotOption.bulkCreate(options.map(option => ({
+        slotId: createdSlot.id,
+        menuItemId: option.menuItemId,
+        priceDelta: option.priceDelta || 0
+      })), { transaction });
+    }
+  }
+};
+
+/**
+ * Get all combos with their slots
+ */
+exports.getCombos = async (req, res) => {
+  try {
+    const whereClause = {};
+    if (req.query.isActive !== undefined) {
+      whereClause.isActive = req.query.isActive === 'true';
+    }
+    if (req.query.isAvailable !== undefined) {
+      whereClause.isAvailable = req.query.isAvailable === 'true';
+    }
+
+    const combos = await MenuCombo.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: MenuComboSlot,
+          as: 'slots',
+          include: [
+            {
+              model: MenuItem,
+              as: 'defaultMenuItem',
+              attributes: ['id', 'name', 'price', 'category']
+            },
+            {
+              model: MenuComboSlotOption,
+              as: 'options',
+              include: [
+                {
+                  model: MenuItem,
+                  as: 'menuItem',
+                  attributes: ['id', 'name', 'price', 'category']
+                }
+              ]
+            }
+          ]
+        }
+      ],
+      order: [
+        ['displayOrder', 'ASC'],
+        ['name', 'ASC'],
+        [{ model: MenuComboSlot, as: 'slots' }, 'displayOrder', 'ASC']
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: combos.length,
+      data: combos
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching combos',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get single combo by ID
+ */
+exports.getComboById = async (req, res) => {
+  try {
+    const combo = await comboService.getComboWithSlots(req.params.comboId);
+
+    if (!combo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Combo not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: combo
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching combo',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create combo with slots and substitution options
+ */
+exports.createCombo = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { slots, ...comboData } = req.body;
+
+    await comboService.validateComboData({ slots });
+
+    const combo = await MenuCombo.create(comboData, { transaction });
+    await createComboSlots(combo.id, slots, transaction);
+
+    await transaction.commit();
+
+    const completeCombo = await comboService.getComboWithSlots(combo.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Combo created successfully',
+      data: completeCombo
+    });
+  } catch (error) {
+    await transaction.rollback();
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Error creating combo',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update combo. When slots are supplied they replace the existing ones.
+ */
+exports.updateCombo = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { slots, ...comboData } = req.body;
+
+    const combo = await MenuCombo.findByPk(req.params.comboId, { transaction });
+
+    if (!combo) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Combo not found'
+      });
+    }
+
+    await combo.update(comboData, { transaction });
+
+    if (slots) {
+      await comboService.validateComboData({ slots });
+
+      // Slot options are removed by the ON DELETE CASCADE
+      await MenuComboSlot.destroy({
+        where: { comboId: combo.id },
+        transaction
+      });
+      await createComboSlots(combo.id, slots, transaction);
+    }
+
+    await transaction.commit();
+
+    const completeCombo = await comboService.getComboWithSlots(combo.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Combo updated successfully',
+      data: completeCombo
+    });
+  } catch (error) {
+    await transaction.rollback();
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Error updating combo',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete combo (soft delete by setting isActive to false)
+ */
+exports.deleteCombo = async (req, res) => {
+  try {
+    const combo = await MenuCombo.findByPk(req.params.comboId);
+
+    if (!combo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Combo not found'
+      });
+    }
+
+    await combo.update({ isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Combo deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting combo',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get price levels for a menu item
+ */
+exports.getPriceLevels = async (req, res) => {
+  try {
+    const priceLevels = await MenuPriceLevel.findAll({
+      where: { menuItemId: req.params.id },
+      include: [
+        {
+          model: MenuItemPortion,
+          as: 'portion',
+          attributes: ['id', 'name', 'price']
+        }
+      ],
+      order: [['priority', 'DESC'], ['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: priceLevels.length,
+      data: priceLevels
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price levels',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create price level (order-type price or scheduled price such as happy hour)
+ */
+exports.createPriceLevel = async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findByPk(req.params.id);
+
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    const { isInEffect, createdBy, ...levelData } = req.body;
+
+    if ((levelData.startTime && !levelData.endTime) || (!levelData.startTime && levelData.endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both startTime and endTime are required for a daily time window'
+      });
+    }
+
+    if (levelData.portionId) {
+      const portion = await MenuItemPortion.findOne({
+        where: { id: levelData.portionId, menuItemId: menuItem.id }
+      });
+      if (!portion) {
+        return res.status(400).json({
+          success: false,
+          message: 'Portion does not belong to this menu item'
+        });
+      }
+    }
+
+    const priceLevel = await MenuPriceLevel.create({
+      ...levelData,
+      menuItemId: menuItem.id,
+      createdBy: req.user.id
+    });
+
+    // Unscheduled levels apply immediately; scheduled ones are recorded by the schedule watcher
+    if (!priceLevelService.isScheduled(priceLevel)) {
+      const portion = priceLevel.portionId ? await MenuItemPortion.findByPk(priceLevel.portionId) : null;
+
+      await PriceHistory.create({
+        resourceType: 'MenuItem',
+        resourceId: menuItem.id,
+        itemName: `${menuItem.name} - ${priceLevel.name}`,
+        oldPrice: parseFloat(portion ? portion.price : menuItem.price),
+        newPrice: parseFloat(priceLevel.price),
+        changedBy: req.user.id,
+        changedByName: req.user.fullName,
+        priceLevelId: priceLevel.id
+      });
+      await priceLevel.update({ isInEffect: true });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Price level created successfully',
+      data: priceLevel
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating price level',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update price level
+ */
+exports.updatePriceLevel = async (req, res) => {
+  try {
+    const priceLevel = await MenuPriceLevel.findByPk(req.params.levelId, {
+      include: [{ model: MenuItem, as: 'menuItem', attributes: ['id', 'name'] }]
+    });
+
+    if (!priceLevel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price level not found'
+      });
+    }
+
+    const { isInEffect, createdBy, menuItemId, ...levelData } = req.body;
+    const oldPrice = parseFloat(priceLevel.price);
+
+    await priceLevel.update(levelData);
+
+    // Changing the price of a level that is currently applied is a live price change
+    const newPrice = parseFloat(priceLevel.price);
+    if (oldPrice !== newPrice && priceLevel.isInEffect) {
+      await PriceHistory.create({
+        resourceType: 'MenuItem',
+        resourceId: priceLevel.menuItemId,
+        itemName: `${priceLevel.menuItem.name} - ${priceLevel.name}`,
+        oldPrice,
+        newPrice,
+        changedBy: req.user.id,
+        changedByName: req.user.fullName,
+        priceLevelId: priceLevel.id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Price level updated successfully',
+      data: priceLevel
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating price level',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete price level (deactivated so its history stays linked; the schedule
+ * watcher records the price returning to base if it was in effect)
+ */
+exports.deletePriceLevel = async (req, res) => {
+  try {
+    const priceLevel = await MenuPriceLevel.findByPk(req.params.levelId);
+
+    if (!priceLevel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price level not found'
+      });
+    }
+
+    await priceLevel.update({ isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Price level deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting price level',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the price that applies to a menu item right now for an order type
+ */
+exports.getCurrentPrice = async (req, res) => {
+  try {
+    const { orderType = 'takeaway', portionId } = req.query;
+
+    const menuItem = await MenuItem.findByPk(req.params.id, {
+      attributes: ['id', 'name', 'price']
+    });
+
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    const [resolved] = await priceLevelService.resolveItemPrices([{
+      product: menuItem.id,
+      itemType: 'menu-item',
+      portionId: portionId ? parseInt(portionId) : null,
+      unitPrice: parseFloat(menuItem.price)
+    }], { orderType });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        menuItemId: menuItem.id,
+        name: menuItem.name,
+        orderType,
+        basePrice: parseFloat(menuItem.price),
+        price: resolved.unitPrice,
+        priceLevelId: resolved.priceLevelId || null,
+        priceLevelName: resolved.priceLevelName || null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving price',
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,5 @@
 const paymentService = require('../services/paymentService');
+const tipService = require('../services/tipService');
 
 // Lazy-load Stripe to ensure env vars are loaded first
 let stripe = null;
@@ -32,6 +33,29 @@ exports.processCashPayment = async (req, res, next) => {
   }
 };
 
+// @desc    Pay a sale with several tenders
+// @route   POST /api/payments/mixed/process
+// @access  Private (Cashier, Manager, Admin)
+exports.processMixedPayment = async (req, res, next) => {
+  try {
+    const paymentData = {
+      ...req.body,
+      cashierId: req.user.id,
+      cashierName: req.user.fullName
+    };
+
+    const result = await paymentService.processMixedPayment(paymentData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment processed successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Validate cash denominations
 // @route   POST /api/payments/cash/validate
 // @access  Private (Cashier, Manager, Admin)
@@ -116,7 +140,11 @@ exports.openCashDrawer = async (req, res, next) => {
 // @access  Private (Cashier, Manager, Admin)
 exports.closeCashDrawer = async (req, res, next) => {
   try {
-    const result = await paymentService.closeCashDrawer(req.body);
+    const result = await paymentService.closeCashDrawer({
+      ...req.body,
+      closedBy: req.user.id,
+      closedByName: req.user.fullName
+    });
 
     res.status(200).json({
       success: true,
@@ -128,6 +156,104 @@ exports.closeCashDrawer = async (req, res, next) => {
   }
 };
 
+// @desc    Record a paid-in, paid-out or safe drop
+// @route   POST /api/payments/cash/drawer/movements
+// @access  Private (Cashier, Manager, Admin)
+exports.recordCashMovement = async (req, res, next) => {
+  try {
+    const movement = await paymentService.recordCashMovement({
+      ...req.body,
+      userId: req.user.id,
+      userName: req.user.fullName,
+      userRole: req.user.role
+    });
+
+    res.status(201).json({
+      success: true,
+      message: movement.status === 'approved'
+        ? 'Cash movement recorded'
+        : 'Cash movement recorded and awaiting manager approval',
+      data: movement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List cash movements
+// @route   GET /api/payments/cash/drawer/movements
+// @access  Private (Cashier, Manager, Admin)
+exports.getCashMovements = async (req, res, next) => {
+  try {
+    const movements = await paymentService.getCashMovements(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: movements.length,
+      data: movements
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a pending cash movement
+// @route   POST /api/payments/cash/drawer/movements/:id/approve
+// @access  Private (Manager, Admin)
+exports.approveCashMovement = async (req, res, next) => {
+  try {
+    const movement = await paymentService.approveCashMovement(req.params.id, req.user.id, req.user.fullName);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cash movement approved',
+      data: movement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a pending cash movement
+// @route   POST /api/payments/cash/drawer/movements/:id/reject
+// @access  Private (Manager, Admin)
+exports.rejectCashMovement = async (req, res, next) => {
+  try {
+    const movement = await paymentService.rejectCashMovement(req.params.id, req.user.id, req.user.fullName, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cash movement rejected',
+      data: movement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pay out unpaid tips from a cash drawer
+// @route   POST /api/payments/tips/payout
+// @access  Private (Manager, Admin)
+exports.payOutTips = async (req, res, next) => {
+  try {
+    const result = await tipService.payOutTips({
+      cashDrawerId: req.body.drawerId,
+      recipientId: req.body.recipientId,
+      notes: req.body.notes,
+      paidBy: req.user.id,
+      paidByName: req.user.fullName
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.payouts.length > 0 ? 'Tips paid out successfully' : 'No unpaid tips on this drawer',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Process cash refund
 // @route   POST /api/payments/cash/refund
 // @access  Private (Manager, Admin)
@@ -143,7 +269,7 @@ exports.processCashRefund = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      message: 'Cash refund processed successfully',
+      message: result.storeCredit ? 'Refund issued as store credit' : 'Cash refund processed successfully',
       data: result
     });
   } catch (error) {
@@ -0,0 +1,306 @@
+const printService = require('../services/printService');
+
+const flag = (value) => value === true || value === 'true';
+
+// Render options from the query string (downloads) or body (print jobs)
+const renderOptions = (req) => {
+  const options = { ...req.query, ...req.body };
+  return {
+    ...options,
+    paperWidth: options.paperWidth ? parseInt(options.paperWidth) : undefined,
+    openDrawer: flag(options.openDrawer),
+    reprint: flag(options.reprint),
+    cut: options.cut === undefined ? true : (options.cut === 'partial' ? 'partial' : flag(options.cut)),
+    language: options.language || 'english'
+  };
+};
+
+const documentId = (req) => req.params.id || req.params.queueId || null;
+
+/**
+ * Download a document as raw ESC/POS bytes, e.g. for a printer attached to a till
+ * @param {String} documentType - Document type (see printService.getDocument)
+ */
+const sendEscPos = (documentType) => async (req, res, next) => {
+  try {
+    const options = renderOptions(req);
+    const document = await printService.getDocument(documentType, documentId(req), options);
+    const data = await document.render(options.paperWidth);
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${document.name}.bin"`
+    });
+    res.send(data);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Print a document on the printer it is routed to
+ * @param {String} documentType - Document type (see printService.getDocument)
+ */
+const queuePrint = (documentType) => async (req, res, next) => {
+  try {
+    const job = await printService.print(documentType, documentId(req), renderOptions(req), req.user.id);
+
+    res.status(202).json({
+      success: true,
+      message: `${job.description} sent to printer ${job.printerAddress}`,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receipt as ESC/POS bytes
+ * @route   GET /api/print/receipts/:id/escpos
+ * @access  Private
+ */
+exports.getReceiptEscPos = sendEscPos('receipt');
+
+/**
+ * @desc    Print a receipt on the printer for its order and receipt type
+ * @route   POST /api/print/receipts/:id
+ * @access  Private
+ */
+exports.printReceipt = queuePrint('receipt');
+
+/**
+ * @desc    Offline receipt as ESC/POS bytes
+ * @route   GET /api/print/offline-receipts/:queueId/escpos
+ * @access  Private
+ */
+exports.getOfflineReceiptEscPos = sendEscPos('offline_receipt');
+
+/**
+ * @desc    Print an offline receipt
+ * @route   POST /api/print/offline-receipts/:queueId
+ * @access  Private
+ */
+exports.printOfflineReceipt = queuePrint('offline_receipt');
+
+/**
+ * @desc    Kitchen ticket as ESC/POS bytes
+ * @route   GET /api/print/kitchen-orders/:id/escpos
+ * @access  Private
+ */
+exports.getKitchenTicketEscPos = sendEscPos('kitchen_ticket');
+
+/**
+ * @desc    Print a kitchen order's tickets, one per station on the station's printer
+ * @route   POST /api/print/kitchen-orders/:id
+ * @access  Private
+ */
+exports.printKitchenTicket = async (req, res, next) => {
+  try {
+    const jobs = await printService.printKitchenOrder(req.params.id, renderOptions(req), { userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: `${jobs.length} kitchen ticket(s) sent to the printer`,
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Z report as ESC/POS bytes
+ * @route   GET /api/print/z-reports/:id/escpos
+ * @access  Private (Admin/Manager)
+ */
+exports.getZReportEscPos = sendEscPos('z_report');
+
+/**
+ * @desc    Print a Z report on the receipt printer
+ * @route   POST /api/print/z-reports/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.printZReport = queuePrint('z_report');
+
+/**
+ * @desc    Current X report as ESC/POS bytes
+ * @route   GET /api/print/x-report/escpos
+ * @access  Private (Admin/Manager)
+ */
+exports.getXReportEscPos = sendEscPos('x_report');
+
+/**
+ * @desc    Print the current X report on the receipt printer
+ * @route   POST /api/print/x-report
+ * @access  Private (Admin/Manager)
+ */
+exports.printXReport = queuePrint('x_report');
+
+/**
+ * @desc    Print job log
+ * @route   GET /api/print/jobs
+ * @access  Private
+ */
+exports.getJobs = async (req, res, next) => {
+  try {
+    const { jobs, pagination } = await printService.getJobs(req.query);
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      pagination,
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a print job
+ * @route   GET /api/print/jobs/:id
+ * @access  Private
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await printService.getJob(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Print a logged job again
+ * @route   POST /api/print/jobs/:id/reprint
+ * @access  Private
+ */
+exports.reprintJob = async (req, res, next) => {
+  try {
+    const job = await printService.reprint(req.params.id, req.body, req.user);
+
+    res.status(202).json({
+      success: true,
+      message: `${job.description} reprinted on ${job.printerAddress}`,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List printers
+ * @route   GET /api/print/printers
+ * @access  Private
+ */
+exports.getPrinters = async (req, res, next) => {
+  try {
+    const printers = await printService.getPrinters(req.query);
+
+    res.json({
+      success: true,
+      count: printers.length,
+      data: printers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a printer
+ * @route   GET /api/print/printers/:id
+ * @access  Private
+ */
+exports.getPrinter = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await printService.getPrinter(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Register a printer
+ * @route   POST /api/print/printers
+ * @access  Private (Admin/Manager)
+ */
+exports.createPrinter = async (req, res, next) => {
+  try {
+    const printer = await printService.createPrinter(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Printer registered successfully',
+      data: printer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a printer
+ * @route   PUT /api/print/printers/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.updatePrinter = async (req, res, next) => {
+  try {
+    const printer = await printService.updatePrinter(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Printer updated successfully',
+      data: printer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a printer
+ * @route   DELETE /api/print/printers/:id
+ * @access  Private (Admin)
+ */
+exports.deletePrinter = async (req, res, next) => {
+  try {
+    await printService.deletePrinter(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Printer removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the printer for a kitchen station's tickets
+ * @route   PUT /api/print/stations/:id/printer
+ * @access  Private (Admin/Manager)
+ */
+exports.assignStationPrinter = async (req, res, next) => {
+  try {
+    const station = await printService.assignStationPrinter(req.params.id, req.body.printerId);
+
+    res.json({
+      success: true,
+      message: station.printer
+        ? `${station.name} tickets now print on ${station.printer.name}`
+        : `${station.name} no longer has a printer`,
+      data: station
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,184 @@
+const { Op } = require('sequelize');
+const { Promotion } = require('../models');
+const promotionService = require('../services/promotionService');
+const salesService = require('../services/salesService');
+
+/**
+ * @desc    Create a new promotion
+ * @route   POST /api/promotions
+ * @access  Private (Admin/Manager)
+ */
+exports.createPromotion = async (req, res, next) => {
+  try {
+    promotionService.validatePromotionData(req.body);
+
+    const promotion = await Promotion.create({
+      ...req.body,
+      code: req.body.code || null,
+      usageCount: 0,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all promotions
+ * @route   GET /api/promotions
+ * @access  Private
+ */
+exports.getPromotions = async (req, res, next) => {
+  try {
+    const { type, isActive, current } = req.query;
+
+    const where = {};
+    if (type) where.type = type;
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    let promotions = await Promotion.findAll({
+      where,
+      order: [['priority', 'DESC'], ['createdAt', 'DESC']]
+    });
+
+    // Only return promotions that are inside their validity window right now
+    if (current === 'true') {
+      const now = new Date();
+      promotions = promotions.filter(p => promotionService.isPromotionValid(p, now));
+    }
+
+    res.json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get promotion by ID
+ * @route   GET /api/promotions/:id
+ * @access  Private
+ */
+exports.getPromotionById = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findByPk(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update promotion
+ * @route   PUT /api/promotions/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.updatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findByPk(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const { usageCount, createdBy, ...updates } = req.body;
+
+    promotionService.validatePromotionData({ ...promotion.toJSON(), ...updates });
+
+    if (updates.code) {
+      const existing = await Promotion.findOne({
+        where: { code: updates.code, id: { [Op.ne]: promotion.id } }
+      });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'Promo code already exists'
+        });
+      }
+    }
+
+    await promotion.update(updates);
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Deactivate promotion
+ * @route   DELETE /api/promotions/:id
+ * @access  Private (Admin/Manager)
+ */
+exports.deletePromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findByPk(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    // Promotions are referenced from historical sales, so they are deactivated rather than removed
+    await promotion.update({ isActive: false });
+
+    res.json({
+      success: true,
+      message: 'Promotion deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Preview promotions and VAT for a basket
+ * @route   POST /api/promotions/apply
+ * @access  Private (Cashier, Manager, Admin)
+ */
+exports.applyPromotions = async (req, res, next) => {
+  try {
+    const { items, orderType, promotionIds, promoCode } = req.body;
+
+    const { billCalculation, appliedPromotions } = await salesService.priceItems(items, { orderType, promotionIds, promoCode });
+
+    res.json({
+      success: true,
+      data: {
+        ...billCalculation,
+        appliedPromotions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -59,11 +59,13 @@ class ReceiptController {
         }
       );
 
-      // If digital format, send immediately
+      // If digital format, send immediately (to the customer's stored contact
+      // details when no address is given)
       let deliveryResult = null;
-      if (format === 'email' && deliveryMethod) {
+      const canDeliver = deliveryMethod || receipt.customerId;
+      if (format === 'email' && canDeliver) {
         deliveryResult = await NotificationService.sendReceiptEmail(receipt.id, deliveryMethod);
-      } else if (format === 'sms' && deliveryMethod) {
+      } else if (format === 'sms' && canDeliver) {
         deliveryResult = await NotificationService.sendReceiptSMS(receipt.id, deliveryMethod);
       }
 
@@ -294,13 +296,7 @@ class ReceiptController {
       const { id } = req.params;
       const { email } = req.body;
 
-      if (!email) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email address is required'
-        });
-      }
-
+      // Without an address the customer's stored contact details are used
       const result = await NotificationService.sendReceiptEmail(id, email);
 
       res.json({
@@ -310,7 +306,7 @@ class ReceiptController {
       });
     } catch (error) {
       console.error('Error sending receipt email:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to send receipt email',
         error: error.message
@@ -327,13 +323,7 @@ class ReceiptController {
       const { id } = req.params;
       const { phoneNumber } = req.body;
 
-      if (!phoneNumber) {
-        return res.status(400).json({
-          success: false,
-          message: 'Phone number is required'
-        });
-      }
-
+      // Without an address the customer's stored contact details are used
       const result = await NotificationService.sendReceiptSMS(id, phoneNumber);
 
       res.json({
@@ -343,7 +333,7 @@ class ReceiptController {
       });
     } catch (error) {
       console.error('Error sending receipt SMS:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to send receipt SMS',
         error: error.message
@@ -1,4 +1,24 @@
+const { Op } = require('sequelize');
+const { ZReport } = require('../models');
 const reportService = require('../services/reportService');
+const shiftReportService = require('../services/shiftReportService');
+const tipService = require('../services/tipService');
+const ReceiptService = require('../services/receiptService');
+
+// Send an X/Z report as printable text (default), HTML or the JSON template
+const sendShiftReport = (res, report, format = 'text', language = 'english') => {
+    const template = ReceiptService.generateShiftReportTemplate(report, language);
+
+    if (format === 'json') {
+        return res.json({ success: true, data: template });
+    }
+    if (format === 'html') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.send(ReceiptService.shiftReportToHTML(template));
+    }
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    return res.send(ReceiptService.shiftReportToPlainText(template));
+};
 
 exports.getDailySalesReport = async (req, res, next) => {
     try {
@@ -55,3 +75,104 @@ exports.getOwnerDashboardStats = async (req, res, next) => {
         next(error);
     }
 };
+
+exports.getXReport = async (req, res, next) => {
+    try {
+        const { cashierId } = req.query;
+        const report = await shiftReportService.getXReport({ cashierId: cashierId ? parseInt(cashierId) : null });
+        res.json({ success: true, data: report });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.printXReport = async (req, res, next) => {
+    try {
+        const { cashierId, format, language } = req.query;
+        const report = await shiftReportService.getXReport({ cashierId: cashierId ? parseInt(cashierId) : null });
+        sendShiftReport(res, report, format, language);
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.createZReport = async (req, res, next) => {
+    try {
+        const zReport = await shiftReportService.createZReport(req.body.businessDate, req.user);
+        res.status(201).json({
+            success: true,
+            message: `Z report #${zReport.zNumber} created for ${zReport.businessDate}`,
+            data: zReport
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.getZReports = async (req, res, next) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const where = {};
+        if (startDate && endDate) {
+            where.businessDate = { [Op.between]: [startDate, endDate] };
+        }
+
+        const zReports = await ZReport.findAll({
+            where,
+            attributes: { exclude: ['report'] },
+            order: [['zNumber', 'DESC']]
+        });
+        res.json({ success: true, count: zReports.length, data: zReports });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.getZReportById = async (req, res, next) => {
+    try {
+        const zReport = await ZReport.findByPk(req.params.id);
+        if (!zReport) {
+            return res.status(404).json({ success: false, message: 'Z report not found' });
+        }
+        res.json({ success: true, data: zReport });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.printZReport = async (req, res, next) => {
+    try {
+        const { format, language } = req.query;
+        const zReport = await ZReport.findByPk(req.params.id);
+        if (!zReport) {
+            return res.status(404).json({ success: false, message: 'Z report not found' });
+        }
+        sendShiftReport(res, { ...zReport.report, generatedByName: zReport.generatedByName }, format, language);
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.getTipReport = async (req, res, next) => {
+    try {
+        const { startDate, endDate, recipientId, drawerId } = req.query;
+        const report = await tipService.getTipReport({
+            startDate,
+            endDate,
+            recipientId,
+            cashDrawerId: drawerId
+        });
+        res.json({ success: true, data: report });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.getGiftVoucherLiability = async (req, res, next) => {
+    try {
+        const report = await reportService.getGiftVoucherLiability(req.query.asOf);
+        res.json({ success: true, data: report });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,247 @@
+const reservationService = require('../services/reservationService');
+
+/**
+ * @desc    List reservations
+ * @route   GET /api/reservations
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getReservations = async (req, res, next) => {
+  try {
+    const reservations = await reservationService.getReservations(req.query);
+
+    res.json({
+      success: true,
+      count: reservations.length,
+      data: reservations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Book a table
+ * @route   POST /api/reservations
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.createReservation = async (req, res, next) => {
+  try {
+    const reservation = await reservationService.createReservation(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Table ${reservation.tableNumber} booked for ${reservation.customerName}`,
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Tables free for a party at a given time
+ * @route   GET /api/reservations/availability
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getAvailability = async (req, res, next) => {
+  try {
+    const availability = await reservationService.getAvailability(req.query);
+
+    res.json({
+      success: true,
+      count: availability.tables.length,
+      data: availability
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a reservation
+ * @route   GET /api/reservations/:id
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getReservation = async (req, res, next) => {
+  try {
+    const reservation = await reservationService.getReservation(req.params.id);
+
+    res.json({
+      success: true,
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change or reschedule a reservation
+ * @route   PUT /api/reservations/:id
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.updateReservation = async (req, res, next) => {
+  try {
+    const reservation = await reservationService.updateReservation(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Reservation updated',
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Seat a booked party
+ * @route   POST /api/reservations/:id/seat
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.seatReservation = async (req, res, next) => {
+  try {
+    const reservation = await reservationService.seatReservation(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: `${reservation.customerName} seated at table ${reservation.tableNumber}`,
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a reservation
+ * @route   POST /api/reservations/:id/cancel
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.cancelReservation = async (req, res, next) => {
+  try {
+    const reservation = await reservationService.cancelReservation(req.params.id, 'cancelled', req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Reservation cancelled',
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record that a booked party did not come
+ * @route   POST /api/reservations/:id/no-show
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.markNoShow = async (req, res, next) => {
+  try {
+    const reservation = await reservationService.cancelReservation(req.params.id, 'no_show', req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Reservation marked as no-show',
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Current waitlist with estimated waits
+ * @route   GET /api/reservations/waitlist
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.getWaitlist = async (req, res, next) => {
+  try {
+    const waitlist = await reservationService.getWaitlist();
+
+    res.json({
+      success: true,
+      count: waitlist.length,
+      data: waitlist
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a walk-in party to the waitlist
+ * @route   POST /api/reservations/waitlist
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.addToWaitlist = async (req, res, next) => {
+  try {
+    const entry = await reservationService.addToWaitlist(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `${entry.customerName} added to the waitlist (about ${entry.estimatedWaitMinutes} min)`,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record that a waiting party was told their table is ready
+ * @route   POST /api/reservations/waitlist/:id/notify
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.notifyWaitlistEntry = async (req, res, next) => {
+  try {
+    const entry = await reservationService.notifyWaitlistEntry(req.params.id);
+
+    res.json({
+      success: true,
+      message: `${entry.customerName} notified`,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Seat a waiting party
+ * @route   POST /api/reservations/waitlist/:id/seat
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.seatWaitlistEntry = async (req, res, next) => {
+  try {
+    const entry = await reservationService.seatWaitlistEntry(req.params.id, req.body.tableId);
+
+    res.json({
+      success: true,
+      message: `${entry.customerName} seated at table ${entry.tableNumber}`,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Take a party off the waitlist
+ * @route   DELETE /api/reservations/waitlist/:id
+ * @access  Private (Admin/Manager/Cashier)
+ */
+exports.removeFromWaitlist = async (req, res, next) => {
+  try {
+    const entry = await reservationService.removeFromWaitlist(req.params.id, req.query.status || 'left');
+
+    res.json({
+      success: true,
+      message: `${entry.customerName} removed from the waitlist`,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,10 @@
 const salesService = require('../services/salesService');
+const tabService = require('../services/tabService');
 const vatService = require('../services/vatService');
 const vatReportService = require('../services/vatReportService');
+const loyaltyService = require('../services/loyaltyService');
+const giftVoucherService = require('../services/giftVoucherService');
+const deliveryService = require('../services/deliveryService');
 const Sale = require('../models/Sale');
 const User = require('../models/User');
 
@@ -123,7 +127,7 @@ exports.getSalesReport = async (req, res, next) => {
 // @access  Private (Cashier, Manager, Admin)
 exports.calculateVAT = async (req, res, next) => {
   try {
-    const { items } = req.body;
+    const { items, orderType, promotionIds, promoCode } = req.body;
 
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
@@ -132,12 +136,16 @@ exports.calculateVAT = async (req, res, next) => {
       });
     }
 
-    const vatCalculation = await vatService.calculateBillVAT(items);
+    // Run the same pricing pass as checkout so the preview matches the charged total
+    const { billCalculation: vatCalculation, appliedPromotions } = await salesService.priceItems(items, { orderType, promotionIds, promoCode });
 
     res.status(200).json({
       success: true,
       message: 'VAT calculated successfully',
-      data: vatCalculation
+      data: {
+        ...vatCalculation,
+        appliedPromotions
+      }
     });
   } catch (error) {
     next(error);
@@ -323,6 +331,10 @@ exports.updateOrderStatus = async (req, res, next) => {
         description: `Order ${sale.saleNumber} voided. Reason: ${cancellationReason}`,
         metadata: { saleNumber: sale.saleNumber, cancellationReason, cancellationNote }
       });
+
+      await loyaltyService.reverseForSale(sale, { reason: 'void', user: req.user });
+      await giftVoucherService.reverseForSale(sale, req.user);
+      await deliveryService.cancelForSale(sale, req.user);
     }
 
     const { KitchenOrder } = require('../models');
@@ -423,6 +435,9 @@ exports.cancelOrder = async (req, res, next) => {
       metadata: { saleNumber: sale.saleNumber, cancellationReason, cancellationNote }
     });
 
+    await loyaltyService.reverseForSale(sale, { reason: 'void', user: req.user });
+    await giftVoucherService.reverseForSale(sale, req.user);
+    await deliveryService.cancelForSale(sale, req.user);
 
     const { KitchenOrder } = require('../models');
     await KitchenOrder.update(
@@ -491,3 +506,61 @@ exports.completeOrder = async (req, res, next) => {
     next(error);
   }
 };
+
+// @desc    Open a tab on a dine-in table (optionally with the first round)
+// @route   POST /api/sales/tabs
+// @access  Private (Cashier, Manager, Admin)
+exports.openTab = async (req, res, next) => {
+  try {
+    const result = await tabService.openTab({
+      ...req.body,
+      cashierId: req.user.id,
+      cashierName: req.user.fullName
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tab opened successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a round of items to an open tab
+// @route   POST /api/sales/:id/rounds
+// @access  Private (Cashier, Manager, Admin)
+exports.addTabRound = async (req, res, next) => {
+  try {
+    const result = await tabService.addRound(req.params.id, {
+      ...req.body,
+      cashierId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Round ${result.round} added to tab`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close a tab for payment
+// @route   POST /api/sales/:id/close-tab
+// @access  Private (Cashier, Manager, Admin)
+exports.closeTab = async (req, res, next) => {
+  try {
+    const sale = await tabService.closeTab(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tab closed successfully',
+      data: sale
+    });
+  } catch (error) {
+    next(error);
+  }
+};
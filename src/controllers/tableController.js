@@ -1,5 +1,10 @@
 const Table = require('../models/Table');
 const Sale = require('../models/Sale');
+const tabService = require('../services/tabService');
+const reservationService = require('../services/reservationService');
+const tableService = require('../services/tableService');
+const { logActivity } = require('../services/auditService');
+const eventService = require('../services/eventService');
 const { Op } = require('sequelize');
 
 /**
@@ -122,6 +127,8 @@ exports.updateTable = async (req, res, next) => {
       }
     }
 
+    const previousStatus = table.status;
+
     // Update fields
     if (tableNumber) table.tableNumber = tableNumber;
     if (capacity) table.capacity = capacity;
@@ -132,6 +139,8 @@ exports.updateTable = async (req, res, next) => {
 
     await table.save();
 
+    eventService.publishTable(table, { previousStatus });
+
     res.json({
       success: true,
       message: 'Table updated successfully',
@@ -191,7 +200,7 @@ exports.deleteTable = async (req, res, next) => {
  */
 exports.assignOrderToTable = async (req, res, next) => {
   try {
-    const { saleId } = req.body;
+    const { saleId, reservationId } = req.body;
     const tableId = req.params.id;
 
     const table = await Table.findByPk(tableId);
@@ -216,6 +225,13 @@ exports.assignOrderToTable = async (req, res, next) => {
       });
     }
 
+    if (table.mergedIntoId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Table is merged into another table; assign the order there'
+      });
+    }
+
     const sale = await Sale.findByPk(saleId);
     if (!sale) {
       return res.status(404).json({
@@ -224,6 +240,9 @@ exports.assignOrderToTable = async (req, res, next) => {
       });
     }
 
+    // Link the party's reservation; a booked one is seated here
+    const reservation = await reservationService.linkOrder({ tableId, saleId: sale.id, reservationId });
+
     // Update sale with table information
     sale.tableId = tableId;
     sale.tableNumber = table.tableNumber;
@@ -231,17 +250,22 @@ exports.assignOrderToTable = async (req, res, next) => {
     await sale.save();
 
     // Update table status to occupied
-    if (table.status === 'available') {
+    await table.reload();
+    const previousStatus = table.status;
+    if (table.status === 'available' || (table.status === 'reserved' && reservation)) {
       table.status = 'occupied';
       await table.save();
     }
 
+    eventService.publishTable(table, { previousStatus, saleId: sale.id });
+
     res.json({
       success: true,
       message: 'Order assigned to table successfully',
       data: {
         sale,
-        table
+        table,
+        reservation
       }
     });
   } catch (error) {
@@ -265,11 +289,21 @@ exports.releaseTable = async (req, res, next) => {
       });
     }
 
+    if (table.mergedIntoId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Table is merged into another table; release the main table or split the group'
+      });
+    }
+
     // Check for active orders
     const activeOrders = await Sale.count({
       where: {
         tableId: req.params.id,
-        status: { [Op.in]: ['pending', 'in-progress'] }
+        [Op.or]: [
+          { status: { [Op.in]: ['pending', 'in-progress'] } },
+          { tabStatus: 'open' }
+        ]
       }
     });
 
@@ -280,9 +314,36 @@ exports.releaseTable = async (req, res, next) => {
       });
     }
 
-    table.status = 'available';
+    // Seated reservations are finished; a booking that is due keeps the table reserved
+    const previousStatus = table.status;
+    table.status = await reservationService.releaseTable(table.id);
     await table.save();
 
+    eventService.publishTable(table, { previousStatus });
+
+    // Tables merged into this one are released with it
+    if (await Table.count({ where: { mergedIntoId: table.id } }) > 0) {
+      const { detachedTables } = await tableService.splitTables(table.id);
+      const tableNumbers = detachedTables.map(t => t.tableNumber);
+
+      await logActivity({
+        userId: req.user.id,
+        action: 'TABLE_SPLIT',
+        resourceType: 'table',
+        resourceId: table.id.toString(),
+        description: `Split table(s) ${tableNumbers.join(', ')} from table ${table.tableNumber} on release`,
+        metadata: {
+          tableNumber: table.tableNumber,
+          detachedTableIds: detachedTables.map(t => t.id),
+          detachedTableNumbers: tableNumbers,
+          remainingTableIds: [],
+          onRelease: true
+        }
+      }, req);
+
+      detachedTables.forEach(detached => eventService.publishTable(detached));
+    }
+
     res.json({
       success: true,
       message: 'Table released successfully',
@@ -293,6 +354,122 @@ exports.releaseTable = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Move a table's orders (or one order) to another table
+ * @route   POST /api/tables/:id/transfer
+ * @access  Private
+ */
+exports.transferTable = async (req, res, next) => {
+  try {
+    const { from, to, orders } = await tableService.transferOrders(req.params.id, req.body);
+
+    await logActivity({
+      userId: req.user.id,
+      action: 'TABLE_TRANSFER',
+      resourceType: 'table',
+      resourceId: from.id.toString(),
+      description: `Moved ${orders.map(sale => sale.saleNumber).join(', ')} from table ${from.tableNumber} to table ${to.tableNumber}`,
+      metadata: {
+        fromTableId: from.id,
+        fromTableNumber: from.tableNumber,
+        toTableId: to.id,
+        toTableNumber: to.tableNumber,
+        saleIds: orders.map(sale => sale.id)
+      }
+    }, req);
+
+    eventService.publishTable(from);
+    eventService.publishTable(to);
+
+    res.json({
+      success: true,
+      message: `Moved ${orders.length} order(s) from table ${from.tableNumber} to table ${to.tableNumber}`,
+      data: { from, to, orders }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Merge tables into this table with one combined bill
+ * @route   POST /api/tables/:id/merge
+ * @access  Private
+ */
+exports.mergeTables = async (req, res, next) => {
+  try {
+    const result = await tableService.mergeTables(req.params.id, req.body.tableIds, req.user);
+    const { table, mergedTables, bill, mergedTabs } = result;
+    const tableNumbers = mergedTables.map(t => t.tableNumber);
+
+    await logActivity({
+      userId: req.user.id,
+      action: 'TABLE_MERGE',
+      resourceType: 'table',
+      resourceId: table.id.toString(),
+      description: `Merged table(s) ${tableNumbers.join(', ')} into table ${table.tableNumber}`
+        + (mergedTabs.length > 0 ? `; tabs ${mergedTabs.map(tab => tab.saleNumber).join(', ')} combined into ${bill.saleNumber}` : ''),
+      metadata: {
+        tableNumber: table.tableNumber,
+        mergedTableIds: mergedTables.map(t => t.id),
+        mergedTableNumbers: tableNumbers,
+        billSaleId: bill ? bill.id : null,
+        mergedTabSaleIds: mergedTabs.map(tab => tab.id),
+        saleIds: result.orders.map(sale => sale.id)
+      }
+    }, req);
+
+    [table, ...mergedTables].forEach(t => eventService.publishTable(t));
+
+    res.json({
+      success: true,
+      message: `Table(s) ${tableNumbers.join(', ')} merged into table ${table.tableNumber}`,
+      data: {
+        ...result,
+        tab: bill ? await tabService.getTabSummary(bill) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Split merged tables apart from this table
+ * @route   POST /api/tables/:id/split
+ * @access  Private
+ */
+exports.splitTables = async (req, res, next) => {
+  try {
+    const { table, detachedTables, remainingTables } = await tableService.splitTables(req.params.id, req.body.tableIds || null);
+    const tableNumbers = detachedTables.map(t => t.tableNumber);
+
+    await logActivity({
+      userId: req.user.id,
+      action: 'TABLE_SPLIT',
+      resourceType: 'table',
+      resourceId: table.id.toString(),
+      description: `Split table(s) ${tableNumbers.join(', ')} from table ${table.tableNumber}`,
+      metadata: {
+        tableNumber: table.tableNumber,
+        detachedTableIds: detachedTables.map(t => t.id),
+        detachedTableNumbers: tableNumbers,
+        remainingTableIds: remainingTables.map(t => t.id)
+      }
+    }, req);
+
+    [table, ...detachedTables].forEach(t => eventService.publishTable(t));
+
+    res.json({
+      success: true,
+      message: `Table(s) ${tableNumbers.join(', ')} split from table ${table.tableNumber}`,
+      data: { table, detachedTables, remainingTables }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get table's current orders
  * @route   GET /api/tables/:id/orders
@@ -315,11 +492,15 @@ exports.getTableOrders = async (req, res, next) => {
       limit: 20
     });
 
+    // Consolidated running tab, grouped by round
+    const openTab = await tabService.getOpenTabForTable(table.id);
+
     res.json({
       success: true,
       count: orders.length,
       data: {
         table,
+        tab: openTab ? await tabService.getTabSummary(openTab) : null,
         orders
       }
     });
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key (and its stored response) is honored, in hours
+const KEY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// How long a request may hold a key before it is treated as abandoned
+// (e.g. the server restarted mid-request), in minutes
+const PROCESSING_TIMEOUT_MINUTES = parseFloat(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES) || 2;
+
+const isAbandoned = (record) => record.status === 'processing' &&
+  (!record.processingStartedAt ||
+    Date.now() - new Date(record.processingStartedAt).getTime() > PROCESSING_TIMEOUT_MINUTES * 60 * 1000);
+
+// Serialize with sorted object keys so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashBody = (body) => crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+// Honor the Idempotency-Key header on routes that create sales or take payments.
+// The first successful response for a key is stored and replayed for retries with
+// the same body; reusing the key with a different body is rejected. Error responses
+// are not stored, so a failed request can be retried with the same key. Requests
+// without the header are processed normally. Must run after `protect` (keys are per user).
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  const scope = {
+    idempotencyKey: key,
+    userId: req.user.id,
+    method: req.method,
+    endpoint: `${req.baseUrl}${req.path}`
+  };
+  const requestHash = hashBody(req.body);
+
+  try {
+    const existing = await IdempotencyKey.findOne({ where: scope });
+
+    if (existing && new Date(existing.expiresAt) > new Date() && !isAbandoned(existing)) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request body'
+        });
+      }
+
+      if (existing.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    if (existing) {
+      await existing.destroy();
+    }
+
+    // Clear out keys past their window
+    IdempotencyKey.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } })
+      .catch(error => console.error('Failed to purge expired idempotency keys:', error.message));
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        ...scope,
+        requestHash,
+        status: 'processing',
+        processingStartedAt: new Date(),
+        expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      // Another retry with the same key got in first
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      throw error;
+    }
+
+    let settled = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      // Errors (including those thrown by the handler) release the key for a retry
+      const saved = res.statusCode >= 400
+        ? record.destroy()
+        : record.update({ status: 'completed', responseStatus: res.statusCode, responseBody: body });
+
+      // Store before responding so an immediate retry is replayed, not rejected as in progress
+      saved
+        .catch(error => console.error(`Failed to store response for Idempotency-Key ${key}:`, error.message))
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    // A response sent some other way is not stored either
+    res.on('finish', () => {
+      if (!settled) {
+        record.destroy()
+          .catch(error => console.error(`Failed to release Idempotency-Key ${key}:`, error.message));
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotency;
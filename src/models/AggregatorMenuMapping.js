@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Aggregator Menu Mapping Model
+ * Links a platform's item and modifier IDs to our menu items and modifiers
+ */
+const AggregatorMenuMapping = sequelize.define('AggregatorMenuMapping', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  platformId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'aggregator_platforms',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('item', 'modifier'),
+    allowNull: false,
+    defaultValue: 'item'
+  },
+  externalId: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'The platform\'s ID for the item or modifier'
+  },
+  externalName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  menuItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'menu_items',
+      key: 'id'
+    }
+  },
+  modifierId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'menu_modifiers',
+      key: 'id'
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'aggregator_menu_mappings',
+  timestamps: true,
+  indexes: [
+    { fields: ['platformId', 'type', 'externalId'], unique: true },
+    { fields: ['menuItemId'] }
+  ]
+});
+
+module.exports = AggregatorMenuMapping;
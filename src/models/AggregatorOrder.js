@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Aggregator Order Model
+ * An order received from a delivery platform: the sale it became, the
+ * platform's total and commission, and the last status reported back.
+ * Rejected orders are kept so staff can fix the menu mapping.
+ */
+const AggregatorOrder = sequelize.define('AggregatorOrder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  platformId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'aggregator_platforms',
+      key: 'id'
+    }
+  },
+  platformCode: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  externalOrderId: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'The platform\'s order reference'
+  },
+  status: {
+    type: DataTypes.ENUM('received', 'accepted', 'rejected'),
+    defaultValue: 'received'
+  },
+  rejectionReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  unmappedItems: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Platform items or modifiers with no menu mapping'
+  },
+  saleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'sales',
+      key: 'id'
+    }
+  },
+  saleNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  customerName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  customerPhone: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  platformTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Order total charged to the customer by the platform'
+  },
+  commissionRate: {
+    type: DataTypes.DECIMAL(5, 4),
+    defaultValue: 0
+  },
+  commissionAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  netPayout: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Platform total less commission'
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Order as received from the platform'
+  },
+  lastStatusPushed: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Last status the platform acknowledged'
+  },
+  lastStatusPushedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  statusPushError: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'Why the last status update failed, cleared on success'
+  },
+  statusPushAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'aggregator_orders',
+  timestamps: true,
+  indexes: [
+    { fields: ['platformId', 'externalOrderId'], unique: true },
+    { fields: ['saleId'] },
+    { fields: ['status'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = AggregatorOrder;
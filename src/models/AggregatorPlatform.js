@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Aggregator Platform Model
+ * Third-party delivery platforms we take orders from. The adapter turns the
+ * platform's order payloads into ours and formats status updates sent back.
+ */
+const AggregatorPlatform = sequelize.define('AggregatorPlatform', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    comment: 'Lowercase slug used in the webhook URL, e.g. ubereats'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  adapter: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'generic',
+    comment: 'Payload adapter in services/aggregatorAdapters'
+  },
+  cashierId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User the platform\'s sales are recorded under'
+  },
+  commissionRate: {
+    type: DataTypes.DECIMAL(5, 4),
+    defaultValue: 0,
+    comment: 'Share of the platform order total the platform keeps, e.g. 0.2500'
+  },
+  deliveredBy: {
+    type: DataTypes.ENUM('platform', 'restaurant'),
+    defaultValue: 'platform',
+    comment: 'platform: their riders collect the order; restaurant: we dispatch our own driver'
+  },
+  webhookSecret: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Shared secret the platform signs inbound orders with'
+  },
+  apiBaseUrl: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Where status updates are sent; none are sent when empty'
+  },
+  apiKey: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Bearer token for status updates'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'aggregator_platforms',
+  timestamps: true,
+  indexes: [
+    { fields: ['code'], unique: true },
+    { fields: ['isActive'] }
+  ]
+});
+
+module.exports = AggregatorPlatform;
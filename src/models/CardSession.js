@@ -35,6 +35,15 @@ const CardSession = sequelize.define('CardSession', {
       min: 0
     }
   },
+  tipAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Tip charged on top of amount'
+  },
+  tipRecipientId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
   currency: {
     type: DataTypes.STRING(3),
     defaultValue: 'LKR',
@@ -74,6 +74,46 @@ const CashDrawer = sequelize.define('CashDrawer', {
     },
     comment: 'Total cash paid out (refunds, change) during shift'
   },
+  totalPaidIn: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Approved paid-ins during shift'
+  },
+  totalPaidOut: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Approved paid-outs during shift'
+  },
+  totalSafeDrops: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Approved safe drops during shift'
+  },
+  totalTipsPaidOut: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Tips paid out to staff from this drawer'
+  },
+  totalVoucherSales: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Cash taken for gift vouchers sold during shift'
+  },
   totalSales: {
     type: DataTypes.INTEGER,
     defaultValue: 0,
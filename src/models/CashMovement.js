@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const CashMovement = sequelize.define('CashMovement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  cashDrawerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'cash_drawers',
+      key: 'id'
+    }
+  },
+  movementType: {
+    type: DataTypes.ENUM('paid_in', 'paid_out', 'safe_drop'),
+    allowNull: false,
+    comment: 'paid_in adds cash to the drawer; paid_out and safe_drop take it out'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Supplier invoice, safe bag number, etc.'
+  },
+  denominations: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    defaultValue: 'pending',
+    allowNull: false,
+    comment: 'Only approved movements count towards the drawer balance'
+  },
+  performedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  performedByName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  approvedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Manager/Admin who approved or rejected the movement'
+  },
+  approverName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  approvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  rejectionReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  createExpense: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Paid-outs only: record an Expense when approved'
+  },
+  expenseCategory: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  supplierName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  expenseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'expenses',
+      key: 'id'
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'cash_movements',
+  timestamps: true,
+  indexes: [
+    { fields: ['cashDrawerId'] },
+    { fields: ['status'] },
+    { fields: ['movementType'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = CashMovement;
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Customer = sequelize.define('Customer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    comment: 'Normalized phone number used for lookup at the register'
+  },
+  email: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  addresses: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: [],
+    comment: 'Delivery addresses: id, label, line1, line2, city, postalCode, landmark, isDefault'
+  },
+  dietaryNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Allergies and dietary preferences shown to staff and the kitchen'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  loyaltyPoints: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Current points balance'
+  },
+  lifetimePoints: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Points earned to date, less reversals; decides the membership tier'
+  },
+  loyaltyTier: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'customers',
+  timestamps: true,
+  indexes: [
+    { fields: ['phone'], unique: true },
+    { fields: ['email'] },
+    { fields: ['name'] }
+  ]
+});
+
+module.exports = Customer;
@@ -0,0 +1,158 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Delivery Model
+ * Dispatch record for a delivery sale. It picks up where the kitchen stops:
+ * pending (in the kitchen) -> ready -> out_for_delivery -> delivered or
+ * failed. A failed delivery can be sent out again or cancelled.
+ */
+const Delivery = sequelize.define('Delivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  saleId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'sales',
+      key: 'id'
+    }
+  },
+  saleNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  deliveryZoneId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'delivery_zones',
+      key: 'id'
+    }
+  },
+  zoneName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Denormalized zone name at the time of the order'
+  },
+  deliveryFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  customerName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  customerPhone: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  address: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Address delivered to: label, line1, line2, city, postalCode, landmark'
+  },
+  cashOnDelivery: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'The driver collects payment in cash at the door'
+  },
+  collectAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Cash the driver must collect (0 when prepaid)'
+  },
+  driverId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'drivers',
+      key: 'id'
+    }
+  },
+  driverName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'ready', 'out_for_delivery', 'delivered', 'failed', 'cancelled'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Times the order has been sent out'
+  },
+  readyAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  dispatchedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  failedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  driverSettlementId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'driver_settlements',
+      key: 'id'
+    },
+    comment: 'Settlement the collected cash was handed in with'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Directions for the driver'
+  },
+  statusUpdatedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  statusUpdatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'deliveries',
+  timestamps: true,
+  indexes: [
+    { fields: ['saleId'], unique: true },
+    { fields: ['status'] },
+    { fields: ['driverId', 'status'] },
+    { fields: ['deliveryZoneId'] },
+    { fields: ['driverSettlementId'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = Delivery;
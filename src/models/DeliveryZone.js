@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Delivery Zone Model
+ * Areas the restaurant delivers to, each with its own fee and minimum order
+ */
+const DeliveryZone = sequelize.define('DeliveryZone', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  areas: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: [],
+    comment: 'Cities, neighbourhoods or postal codes covered by the zone'
+  },
+  deliveryFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  minimumOrderValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Smallest bill total (VAT inclusive, before the fee) accepted for delivery'
+  },
+  freeDeliveryAbove: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Bill total at or above which the fee is waived (null = never)'
+  },
+  estimatedMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Typical travel time from the restaurant'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'delivery_zones',
+  timestamps: true,
+  indexes: [
+    { fields: ['name'], unique: true },
+    { fields: ['isActive'] }
+  ]
+});
+
+module.exports = DeliveryZone;
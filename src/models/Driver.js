@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Driver Model
+ * Delivery riders orders are assigned to. Drivers do not log in; staff
+ * dispatch orders and record the outcome for them.
+ */
+const Driver = sequelize.define('Driver', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true
+  },
+  vehicleNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'drivers',
+  timestamps: true,
+  indexes: [
+    { fields: ['phone'], unique: true },
+    { fields: ['isActive'] }
+  ]
+});
+
+module.exports = Driver;
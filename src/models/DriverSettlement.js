@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Driver Settlement Model
+ * Cash a driver hands in for cash-on-delivery orders, counted against what
+ * the delivered orders say they should have collected
+ */
+const DriverSettlement = sequelize.define('DriverSettlement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  driverId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'drivers',
+      key: 'id'
+    }
+  },
+  driverName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  cashDrawerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'cash_drawers',
+      key: 'id'
+    },
+    comment: 'Drawer the cash was paid into'
+  },
+  deliveryCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  expectedCash: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  countedCash: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  variance: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'countedCash - expectedCash; negative means the driver is short'
+  },
+  settledBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  settledByName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  settledAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'driver_settlements',
+  timestamps: true,
+  indexes: [
+    { fields: ['driverId', 'settledAt'] },
+    { fields: ['cashDrawerId'] }
+  ]
+});
+
+module.exports = DriverSettlement;
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Floor Area Model
+ * A named part of the dining room (e.g. Main Hall, Terrace) that tables are
+ * laid out on. Coordinates are in plan units on a width x height canvas.
+ */
+const FloorArea = sequelize.define('FloorArea', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    comment: 'Also used as the location of the tables placed here'
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1000,
+    validate: {
+      min: 100
+    }
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 800,
+    validate: {
+      min: 100
+    }
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  layoutVersion: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Version number of the current layout'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'floor_areas',
+  timestamps: true,
+  indexes: [
+    { fields: ['isActive', 'sortOrder'] }
+  ]
+});
+
+module.exports = FloorArea;
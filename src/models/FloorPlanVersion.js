@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Floor Plan Version Model
+ * Snapshot of an area's table layout, saved on every layout change so a
+ * plan can be rolled back
+ */
+const FloorPlanVersion = sequelize.define('FloorPlanVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  floorAreaId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'floor_areas',
+      key: 'id'
+    }
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  layout: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Tables as placed: tableId, tableNumber, shape, x, y, width, height, rotation, capacity'
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  restoredFrom: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Version this one rolled back to, if any'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  createdByName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'floor_plan_versions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['floorAreaId', 'version'], unique: true }
+  ]
+});
+
+module.exports = FloorPlanVersion;
@@ -0,0 +1,149 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Gift Voucher Model
+ * Sold gift vouchers and store credit issued on refunds. The unredeemed
+ * balance is owed to the holder, so it is a liability until it is spent.
+ */
+const GiftVoucher = sequelize.define('GiftVoucher', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  type: {
+    type: DataTypes.ENUM('gift_voucher', 'store_credit'),
+    allowNull: false,
+    defaultValue: 'gift_voucher'
+  },
+  initialValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  balance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    comment: 'Value left to redeem'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'redeemed', 'expired', 'void'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null = never expires'
+  },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    },
+    comment: 'Customer the voucher or credit belongs to, if known'
+  },
+  purchaserName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  recipientName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  paymentMethod: {
+    type: DataTypes.ENUM('cash', 'card', 'mobile', 'other'),
+    allowNull: true,
+    comment: 'How a sold voucher was paid for (null for store credit)'
+  },
+  sourceSaleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'sales',
+      key: 'id'
+    },
+    comment: 'Sale refunded to store credit'
+  },
+  sourceTransactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'payment_transactions',
+      key: 'id'
+    },
+    comment: 'Refund transaction that issued the store credit'
+  },
+  cashDrawerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'cash_drawers',
+      key: 'id'
+    },
+    comment: 'Drawer that took the cash for a voucher sold for cash'
+  },
+  issuedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  issuedByName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  issuedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  voidedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  voidedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  voidReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'gift_vouchers',
+  timestamps: true,
+  indexes: [
+    { fields: ['code'], unique: true },
+    { fields: ['type', 'status'] },
+    { fields: ['customerId'] },
+    { fields: ['sourceSaleId'] },
+    { fields: ['cashDrawerId'] },
+    { fields: ['expiresAt'] }
+  ]
+});
+
+module.exports = GiftVoucher;
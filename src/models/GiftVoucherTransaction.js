@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Gift Voucher Transaction Model
+ * Voucher ledger: issue, redemptions, reversals of redemptions on voided
+ * sales, voids and expiry, with the voucher balance after each entry
+ */
+const GiftVoucherTransaction = sequelize.define('GiftVoucherTransaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  giftVoucherId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'gift_vouchers',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('issue', 'redeem', 'reversal', 'void', 'expire'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Signed: positive adds to the balance, negative takes from it'
+  },
+  balanceAfter: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  saleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'sales',
+      key: 'id'
+    }
+  },
+  paymentTransactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'payment_transactions',
+      key: 'id'
+    }
+  },
+  cashDrawerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'cash_drawers',
+      key: 'id'
+    }
+  },
+  performedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  performedByName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'gift_voucher_transactions',
+  timestamps: true,
+  indexes: [
+    { fields: ['giftVoucherId', 'createdAt'] },
+    { fields: ['saleId'] },
+    { fields: ['cashDrawerId'] },
+    { fields: ['type', 'createdAt'] }
+  ]
+});
+
+module.exports = GiftVoucherTransaction;
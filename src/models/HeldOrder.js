@@ -0,0 +1,126 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const HeldOrder = sequelize.define('HeldOrder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  holdNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  label: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Short name shown on the register, e.g. customer name or "Blue shirt"'
+  },
+  items: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Cart lines as entered at the register (not yet priced)'
+  },
+  orderType: {
+    type: DataTypes.ENUM('dine-in', 'takeaway', 'delivery'),
+    defaultValue: 'takeaway',
+    allowNull: false
+  },
+  tableId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tables',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  tableNumber: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  customerName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  promotionIds: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  promoCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  totalAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Total when parked, for display only; recalled orders are re-priced'
+  },
+  cashierId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  cashierName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  deviceId: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Register/terminal the order was parked on'
+  },
+  status: {
+    type: DataTypes.ENUM('held', 'recalled', 'discarded'),
+    defaultValue: 'held',
+    allowNull: false
+  },
+  recalledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  recalledBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  discardedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  discardedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  discardReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'held_orders',
+  timestamps: true,
+  indexes: [
+    { fields: ['holdNumber'], unique: true },
+    { fields: ['status'] },
+    { fields: ['cashierId', 'status'] },
+    { fields: ['deviceId', 'status'] }
+  ]
+});
+
+module.exports = HeldOrder;
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  idempotencyKey: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Value of the Idempotency-Key request header'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  endpoint: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  requestHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the request body, to detect a key reused with a different body'
+  },
+  status: {
+    type: DataTypes.ENUM('processing', 'completed'),
+    defaultValue: 'processing',
+    allowNull: false
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  responseBody: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  processingStartedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the request holding the key started; a processing key older than the timeout is abandoned'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  indexes: [
+    { fields: ['idempotencyKey', 'userId', 'method', 'endpoint'], unique: true },
+    { fields: ['expiresAt'] }
+  ]
+});
+
+module.exports = IdempotencyKey;
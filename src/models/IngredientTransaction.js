@@ -16,7 +16,7 @@ const IngredientTransaction = sequelize.define('IngredientTransaction', {
     }
   },
   transactionType: {
-    type: DataTypes.ENUM('purchase', 'usage', 'wastage', 'adjustment', 'return'),
+    type: DataTypes.ENUM('purchase', 'usage', 'wastage', 'adjustment', 'return', 'reversion'),
     allowNull: false
   },
   quantity: {
@@ -77,11 +77,30 @@ const KitchenOrder = sequelize.define('KitchenOrder', {
     allowNull: true,
     comment: 'When order was completed/served'
   },
+  firedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the latest course was fired to the stations (null while every course is held)'
+  },
+  courseTimings: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Per course: course, firedAt, startedAt, readyAt (null for tickets without courses)'
+  },
   specialInstructions: {
     type: DataTypes.TEXT,
     allowNull: true,
     comment: 'Special preparation instructions'
   },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    },
+    comment: 'Customer profile; name/phone/email are copied for the ticket'
+  },
   customerName: {
     type: DataTypes.STRING(100),
     allowNull: true,
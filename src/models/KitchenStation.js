@@ -66,6 +66,15 @@ const KitchenStation = sequelize.define('KitchenStation', {
       model: 'stock_locations',
       key: 'id'
     }
+  },
+  printerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Printer for this station\'s kitchen tickets',
+    references: {
+      model: 'printers',
+      key: 'id'
+    }
   }
 }, {
   tableName: 'kitchen_stations',
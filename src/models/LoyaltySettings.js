@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Loyalty Settings Model
+ * Earn rules, membership tiers and redemption value for the points programme.
+ * The newest active row is used.
+ */
+const LoyaltySettings = sequelize.define('LoyaltySettings', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  isEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Enable/disable earning and redeeming points'
+  },
+
+  // Earn Rules
+  pointsPerUnit: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 1,
+    validate: {
+      min: 0
+    },
+    comment: 'Points earned for every spendUnit LKR spent'
+  },
+  spendUnit: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 100,
+    validate: {
+      min: 0.01
+    },
+    comment: 'LKR spent per pointsPerUnit points (e.g. 100 = 1 point per LKR 100)'
+  },
+  categoryMultipliers: {
+    type: DataTypes.JSON,
+    defaultValue: {},
+    comment: 'Earn multiplier per menu category. Example: {"Beverages": 2, "Alcohol": 0}'
+  },
+  bonusDays: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Bonus earn days, by weekday (0 = Sunday) or date. Example: [{"dayOfWeek": 2, "multiplier": 2, "label": "Double Tuesday"}, {"date": "2026-12-25", "multiplier": 3}]'
+  },
+
+  // Membership Tiers
+  tiers: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Tiers by lifetime points. Example: [{"name": "Silver", "minLifetimePoints": 0, "earnMultiplier": 1}, {"name": "Gold", "minLifetimePoints": 5000, "earnMultiplier": 1.5}]'
+  },
+
+  // Redemption
+  pointValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 1,
+    validate: {
+      min: 0.01
+    },
+    comment: 'LKR value of one point when redeemed'
+  },
+  minRedeemPoints: {
+    type: DataTypes.INTEGER,
+    defaultValue: 100,
+    validate: {
+      min: 1
+    },
+    comment: 'Smallest number of points that can be redeemed at once'
+  },
+
+  // Audit Fields
+  lastModifiedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'loyalty_settings',
+  timestamps: true,
+  indexes: [
+    { fields: ['isActive'] }
+  ]
+});
+
+module.exports = LoyaltySettings;
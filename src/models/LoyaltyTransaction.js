@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Loyalty Transaction Model
+ * Points ledger: every earn, redemption, reversal and manual adjustment,
+ * with the customer's balance after the entry
+ */
+const LoyaltyTransaction = sequelize.define('LoyaltyTransaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  customerPhone: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'Phone the account is keyed by at the time of the entry'
+  },
+  saleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'sales',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('earn', 'redeem', 'reversal', 'adjustment'),
+    allowNull: false
+  },
+  points: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Signed: positive adds to the balance, negative takes from it'
+  },
+  balanceAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'LKR spend that earned the points, or LKR value of redeemed points'
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  createdByName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'loyalty_transactions',
+  timestamps: true,
+  indexes: [
+    { fields: ['customerId', 'createdAt'] },
+    { fields: ['customerPhone'] },
+    { fields: ['saleId'] },
+    { fields: ['type'] }
+  ]
+});
+
+module.exports = LoyaltyTransaction;
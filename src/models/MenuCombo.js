@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MenuCombo = sequelize.define('MenuCombo', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Bundle name: Rice & Curry Set, Lunch Combo, etc.'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    comment: 'Bundle price before substitution surcharges'
+  },
+  imageUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'image_url'
+  },
+  isAvailable: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_available'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  displayOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'display_order'
+  }
+}, {
+  tableName: 'menu_combos',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['is_active'] },
+    { fields: ['is_available'] }
+  ]
+});
+
+module.exports = MenuCombo;
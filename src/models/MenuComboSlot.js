@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MenuComboSlot = sequelize.define('MenuComboSlot', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  comboId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'combo_id',
+    references: {
+      model: 'menu_combos',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Slot name: Rice, Curry, Drink, etc.'
+  },
+  defaultMenuItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'default_menu_item_id',
+    references: {
+      model: 'menu_items',
+      key: 'id'
+    },
+    comment: 'Menu item served when no substitution is chosen'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  displayOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'display_order'
+  }
+}, {
+  tableName: 'menu_combo_slots',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['combo_id'] },
+    { fields: ['default_menu_item_id'] }
+  ]
+});
+
+module.exports = MenuComboSlot;
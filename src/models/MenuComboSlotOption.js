@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MenuComboSlotOption = sequelize.define('MenuComboSlotOption', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  slotId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'slot_id',
+    references: {
+      model: 'menu_combo_slots',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  menuItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'menu_item_id',
+    references: {
+      model: 'menu_items',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Menu item that may be substituted into the slot'
+  },
+  priceDelta: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'price_delta',
+    comment: 'Surcharge added to the bundle price for this substitution'
+  }
+}, {
+  tableName: 'menu_combo_slot_options',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['slot_id', 'menu_item_id'], unique: true },
+    { fields: ['menu_item_id'] }
+  ]
+});
+
+module.exports = MenuComboSlotOption;
@@ -27,6 +27,17 @@ const MenuItemIngredient = sequelize.define('MenuItemIngredient', {
         },
         onDelete: 'CASCADE'
     },
+    modifierId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'modifier_id',
+        references: {
+            model: 'menu_modifiers',
+            key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Set when the row belongs to a modifier rather than the base recipe'
+    },
     productId: {
         type: DataTypes.INTEGER,
         allowNull: true,
@@ -72,6 +83,7 @@ const MenuItemIngredient = sequelize.define('MenuItemIngredient', {
         { fields: ['product_id'] },
         { fields: ['ingredient_id'] },
         { fields: ['menu_item_id'] },
+        { fields: ['modifier_id'] },
         { fields: ['portion_id', 'product_id'] },
         { fields: ['portion_id', 'ingredient_id'] }
     ]
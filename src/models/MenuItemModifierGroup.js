@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MenuItemModifierGroup = sequelize.define('MenuItemModifierGroup', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  menuItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'menu_item_id',
+    references: {
+      model: 'menu_items',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  modifierGroupId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'modifier_group_id',
+    references: {
+      model: 'menu_modifier_groups',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  displayOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'display_order'
+  }
+}, {
+  tableName: 'menu_item_modifier_groups',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['menu_item_id', 'modifier_group_id'], unique: true },
+    { fields: ['modifier_group_id'] }
+  ]
+});
+
+module.exports = MenuItemModifierGroup;
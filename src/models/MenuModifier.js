@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MenuModifier = sequelize.define('MenuModifier', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  modifierGroupId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'modifier_group_id',
+    references: {
+      model: 'menu_modifier_groups',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Modifier name: Extra cheese, No onions, Add egg, etc.'
+  },
+  action: {
+    type: DataTypes.ENUM('add', 'remove'),
+    allowNull: false,
+    defaultValue: 'add',
+    comment: 'add: its ingredients are deducted on top of the recipe, remove: its ingredients are taken out of the recipe'
+  },
+  priceDelta: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'price_delta',
+    comment: 'Amount added to the item price (may be negative)'
+  },
+  displayOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'display_order'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active'
+  }
+}, {
+  tableName: 'menu_modifiers',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['modifier_group_id'] },
+    { fields: ['is_active'] }
+  ]
+});
+
+module.exports = MenuModifier;
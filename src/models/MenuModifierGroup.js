@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MenuModifierGroup = sequelize.define('MenuModifierGroup', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Group name: Extras, Remove, Choose your sauce, etc.'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  minSelections: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'min_selections',
+    validate: {
+      min: 0
+    },
+    comment: 'Minimum modifiers the cashier must pick (0 = optional group)'
+  },
+  maxSelections: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'max_selections',
+    validate: {
+      min: 1
+    },
+    comment: 'Maximum modifiers that can be picked (null = no limit)'
+  },
+  displayOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'display_order'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active'
+  }
+}, {
+  tableName: 'menu_modifier_groups',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['is_active'] },
+    { fields: ['display_order'] }
+  ]
+});
+
+module.exports = MenuModifierGroup;
@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MenuPriceLevel = sequelize.define('MenuPriceLevel', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  menuItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'menu_item_id',
+    references: {
+      model: 'menu_items',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  portionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'portion_id',
+    references: {
+      model: 'menu_item_portions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Limit the price to one portion (null = the menu item price)'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Level name: Delivery, Happy Hour, Weekend Brunch, etc.'
+  },
+  orderType: {
+    type: DataTypes.ENUM('dine-in', 'takeaway', 'delivery'),
+    allowNull: true,
+    field: 'order_type',
+    comment: 'Order type the price applies to (null = every order type)'
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  daysOfWeek: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    field: 'days_of_week',
+    comment: 'Days the price is valid on (0 = Sunday). Empty = every day'
+  },
+  startTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    field: 'start_time',
+    comment: 'Daily window start (HH:mm)'
+  },
+  endTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    field: 'end_time',
+    comment: 'Daily window end (HH:mm)'
+  },
+  startDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'start_date'
+  },
+  endDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'end_date'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Higher priority wins when several levels match'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  isInEffect: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'is_in_effect',
+    comment: 'Last schedule state written to price history'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'menu_price_levels',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['menu_item_id'] },
+    { fields: ['portion_id'] },
+    { fields: ['order_type'] },
+    { fields: ['is_active'] }
+  ]
+});
+
+module.exports = MenuPriceLevel;
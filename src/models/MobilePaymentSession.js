@@ -53,6 +53,17 @@ const MobilePaymentSession = sequelize.define('MobilePaymentSession', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false
   },
+
+  tipAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Tip charged on top of amount'
+  },
+
+  tipRecipientId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
   
   currency: {
     type: DataTypes.STRING(3),
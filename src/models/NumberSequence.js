@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Named counters for document numbers (sale numbers, kitchen order numbers).
+ * Each name is usually a per-day prefix such as SALE-20261018.
+ */
+const NumberSequence = sequelize.define('NumberSequence', {
+  name: {
+    type: DataTypes.STRING(50),
+    primaryKey: true
+  },
+  lastValue: {
+    type: DataTypes.INTEGER.UNSIGNED,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'number_sequences',
+  timestamps: false
+});
+
+/**
+ * Reserve the next value of a sequence. The upsert takes a row lock that is
+ * held until the transaction ends, so concurrent callers are serialized and
+ * never get the same value; a rolled-back transaction gives its value back.
+ * A sequence that does not exist yet continues from the highest number already
+ * stored in `seedFrom` (e.g. sales numbered before the sequence existed), so
+ * it never hands out a number that is taken.
+ * @param {String} name - Sequence name
+ * @param {Object} transaction - Sequelize transaction (one is opened when omitted)
+ * @param {Object} seedFrom - Optional { model, field } holding numbers of the form `${name}-0001`
+ * @returns {Promise<Number>} - Next value
+ */
+NumberSequence.nextValue = async function (name, transaction = null, seedFrom = null) {
+  if (!transaction) {
+    return sequelize.transaction(t => this.nextValue(name, t, seedFrom));
+  }
+
+  let seed = 0;
+  if (seedFrom && !(await this.findByPk(name, { transaction }))) {
+    const { model, field } = seedFrom;
+    const [row] = await sequelize.query(
+      `SELECT MAX(CAST(SUBSTRING_INDEX(\`${field}\`, '-', -1) AS UNSIGNED)) AS lastValue FROM \`${model.getTableName()}\` WHERE \`${field}\` LIKE :pattern`,
+      { replacements: { pattern: `${name}-%` }, type: sequelize.QueryTypes.SELECT, transaction }
+    );
+    seed = row && row.lastValue ? parseInt(row.lastValue) : 0;
+  }
+
+  await sequelize.query(
+    'INSERT INTO number_sequences (name, lastValue) VALUES (:name, :first) ON DUPLICATE KEY UPDATE lastValue = lastValue + 1',
+    { replacements: { name, first: seed + 1 }, transaction }
+  );
+
+  const sequence = await this.findByPk(name, { transaction });
+  return sequence.lastValue;
+};
+
+module.exports = NumberSequence;
@@ -29,7 +29,7 @@ const PaymentTransaction = sequelize.define('PaymentTransaction', {
     comment: 'Denormalized sale number for quick reference'
   },
   paymentMethod: {
-    type: DataTypes.ENUM('cash', 'card', 'mobile', 'other'),
+    type: DataTypes.ENUM('cash', 'card', 'mobile', 'payhere', 'gift_voucher', 'store_credit', 'loyalty_points', 'other'),
     allowNull: false
   },
   amount: {
@@ -86,6 +86,30 @@ const PaymentTransaction = sequelize.define('PaymentTransaction', {
     defaultValue: 0,
     comment: 'Change given (for cash transactions)'
   },
+  // Tip fields
+  tipAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Tip charged on top of amount; not revenue and not subject to VAT'
+  },
+  tipRecipientId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Staff member the tip belongs to'
+  },
+  tipRecipientName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  tipPayoutId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Payout that settled this tip (null = unpaid)'
+  },
   denominations: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -143,6 +167,25 @@ const PaymentTransaction = sequelize.define('PaymentTransaction', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: true
   },
+  refundedVatAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'VAT portion of the refunded amount'
+  },
+  refundItems: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Sale item lines and quantities covered by an item-level refund'
+  },
+  refundOfId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'payment_transactions',
+      key: 'id'
+    },
+    comment: 'Payment transaction a card refund was taken from'
+  },
   approvedBy: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -187,7 +230,9 @@ const PaymentTransaction = sequelize.define('PaymentTransaction', {
     { fields: ['cashDrawerId'] },
     { fields: ['transactionType'] },
     { fields: ['createdAt'] },
-    { fields: ['paymentMethod', 'status'] }
+    { fields: ['paymentMethod', 'status'] },
+    { fields: ['tipRecipientId', 'tipPayoutId'] },
+    { fields: ['refundOfId'] }
   ]
 });
 
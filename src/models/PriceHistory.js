@@ -38,6 +38,15 @@ const PriceHistory = sequelize.define('PriceHistory', {
     changedByName: {
         type: DataTypes.STRING(255),
         allowNull: true
+    },
+    priceLevelId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'menu_price_levels',
+            key: 'id'
+        },
+        comment: 'Set when the change came from a scheduled or order-type price level'
     }
 }, {
     tableName: 'price_histories',
@@ -0,0 +1,112 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Print Job Model
+ * Log of every document sent to a printer, with what is needed to print it again
+ */
+const PrintJob = sequelize.define('PrintJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentType: {
+    type: DataTypes.ENUM('receipt', 'offline_receipt', 'kitchen_ticket', 'z_report', 'x_report'),
+    allowNull: false
+  },
+  documentId: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Receipt, kitchen order or Z report ID, or offline queue ID'
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  kitchenStationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Station whose items were on the ticket (null for unassigned items)',
+    references: {
+      model: 'kitchen_stations',
+      key: 'id'
+    }
+  },
+  printerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Printer that printed it, or tried last (null for a printer from the environment)',
+    references: {
+      model: 'printers',
+      key: 'id'
+    }
+  },
+  printerAddress: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'host:port the job was sent to'
+  },
+  usedFallback: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether the job went to the fallback printer'
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'printed', 'failed'),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  bytes: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  options: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Render options (paper width, language, QR, drawer, cut), reused on reprint'
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reprintOfId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Job this one reprints',
+    references: {
+      model: 'print_jobs',
+      key: 'id'
+    }
+  },
+  requestedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'User who printed it (null for automatic kitchen tickets)',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  printedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'print_jobs',
+  timestamps: true,
+  indexes: [
+    { fields: ['documentType', 'documentId'] },
+    { fields: ['status'] },
+    { fields: ['printerId'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = PrintJob;
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Printer Model
+ * A network thermal printer (raw TCP, usually port 9100). Receipt printers are
+ * picked by order type and receipt type; kitchen printers are assigned to
+ * kitchen stations or picked by order type.
+ */
+const Printer = sequelize.define('Printer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: 'Printer name (e.g., Front Counter, Grill Printer)'
+  },
+  type: {
+    type: DataTypes.ENUM('receipt', 'kitchen'),
+    allowNull: false,
+    defaultValue: 'receipt',
+    comment: 'Receipt printers also print X and Z reports'
+  },
+  host: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  port: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 9100
+  },
+  paperWidth: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 80,
+    validate: {
+      isIn: [[58, 80]]
+    },
+    comment: 'Paper width in mm'
+  },
+  orderTypes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Order types printed here (dine-in, takeaway, delivery); empty for all'
+  },
+  receiptTypes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Receipt types printed here (original, duplicate, refund); empty for all'
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Preferred printer of its type when several match'
+  },
+  fallbackPrinterId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Printer used when this one is disabled or a job to it fails',
+    references: {
+      model: 'printers',
+      key: 'id'
+    }
+  },
+  location: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'printers',
+  timestamps: true,
+  indexes: [
+    { fields: ['name'], unique: true },
+    { fields: ['type', 'isActive'] }
+  ]
+});
+
+module.exports = Printer;
@@ -0,0 +1,148 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Promotion = sequelize.define('Promotion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    unique: true,
+    comment: 'Optional promo code the cashier enters at checkout'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  type: {
+    type: DataTypes.ENUM('percentage', 'fixed_amount', 'buy_x_get_y', 'category'),
+    allowNull: false,
+    comment: 'percentage: % off matching lines, fixed_amount: flat amount off the bill, buy_x_get_y: free units, category: % off a whole category'
+  },
+  value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Percentage (0-100) or fixed LKR amount depending on type'
+  },
+  menuItemIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Menu item/product IDs the rule is limited to (empty = all items)'
+  },
+  categories: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Categories the rule is limited to (required for category rules)'
+  },
+  buyQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Units that must be bought for buy_x_get_y rules'
+  },
+  getQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Units given free for buy_x_get_y rules'
+  },
+  minOrderAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Minimum bill subtotal before the rule applies'
+  },
+  maxDiscountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Cap on the discount a single sale can receive from this rule'
+  },
+  startDate: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  endDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null means the promotion never expires'
+  },
+  daysOfWeek: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Days the rule is valid on (0 = Sunday). Empty = every day'
+  },
+  startTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'Daily window start (HH:mm)'
+  },
+  endTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'Daily window end (HH:mm)'
+  },
+  isAutomatic: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Applied to every eligible sale without a code'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Higher priority rules are evaluated first within the same type'
+  },
+  usageLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Maximum number of sales the rule can be used on'
+  },
+  usageCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'promotions',
+  timestamps: true,
+  indexes: [
+    { fields: ['code'], unique: true },
+    { fields: ['type'] },
+    { fields: ['isActive'] },
+    { fields: ['startDate', 'endDate'] }
+  ]
+});
+
+module.exports = Promotion;
@@ -23,6 +23,15 @@ const Receipt = sequelize.define('Receipt', {
     onUpdate: 'CASCADE',
     onDelete: 'CASCADE'
   },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    },
+    comment: 'Customer the receipt was issued to; default for email/SMS delivery'
+  },
   receiptType: {
     type: DataTypes.ENUM('original', 'duplicate', 'refund', 'digital'),
     defaultValue: 'original',
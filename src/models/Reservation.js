@@ -0,0 +1,138 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Reservation Model
+ * Table bookings for a party at a time slot. The table is held (status
+ * reserved) shortly before the booking, and the order taken once the party
+ * is seated is linked back to the reservation.
+ */
+const Reservation = sequelize.define('Reservation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  customerName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  customerPhone: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  customerEmail: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  partySize: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  reservedFor: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Start of the time slot'
+  },
+  durationMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 90
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'reservedFor plus the duration, kept for conflict checks'
+  },
+  preferredLocation: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Table section asked for, e.g. Outdoor'
+  },
+  tableId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tables',
+      key: 'id'
+    }
+  },
+  tableNumber: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('booked', 'seated', 'completed', 'cancelled', 'no_show'),
+    defaultValue: 'booked'
+  },
+  tableHeldAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the table was set to reserved for this booking'
+  },
+  saleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'sales',
+      key: 'id'
+    },
+    comment: 'Order taken for the party once seated'
+  },
+  seatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancellationReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Occasion, seating requests, allergies'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  createdByName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'reservations',
+  timestamps: true,
+  indexes: [
+    { fields: ['reservedFor'] },
+    { fields: ['status'] },
+    { fields: ['tableId', 'status', 'reservedFor'] },
+    { fields: ['customerPhone'] },
+    { fields: ['saleId'] }
+  ]
+});
+
+module.exports = Reservation;
@@ -24,6 +24,29 @@ const Sale = sequelize.define('Sale', {
       min: 0
     }
   },
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Total promotional discount applied before VAT'
+  },
+  appliedPromotions: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Summary of promotions applied to this sale'
+  },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Running total refunded against this sale (VAT inclusive)'
+  },
+  refundedVatAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'VAT portion of refundedAmount'
+  },
   vatAmount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -43,7 +66,7 @@ const Sale = sequelize.define('Sale', {
     }
   },
   paymentMethod: {
-    type: DataTypes.ENUM('cash', 'card', 'mobile', 'other'),
+    type: DataTypes.ENUM('cash', 'card', 'mobile', 'gift_voucher', 'store_credit', 'other', 'mixed'),
     defaultValue: 'cash'
   },
   amountPaid: {
@@ -57,6 +80,49 @@ const Sale = sequelize.define('Sale', {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0
   },
+  tenders: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Tenders used to pay the sale: method, amount and transaction ID'
+  },
+  tipAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Tips received with payment; excluded from totals and VAT'
+  },
+  deliveryFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Delivery zone fee, added to the total after VAT'
+  },
+  deliveryAddress: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'Address delivered to, as printed on the receipt'
+  },
+  loyaltyPointsEarned: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  loyaltyPointsRedeemed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  loyaltyRedemptionAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'LKR value of the redeemed points'
+  },
+  loyaltyRedeemedAs: {
+    type: DataTypes.ENUM('discount', 'tender'),
+    allowNull: true,
+    comment: 'discount: taken off before VAT; tender: paid towards the total'
+  },
+  loyaltyPointsReversed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Earned points taken back after refunds or a void'
+  },
   cashierId: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -69,6 +135,19 @@ const Sale = sequelize.define('Sale', {
     type: DataTypes.STRING(255),
     allowNull: false
   },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    },
+    comment: 'Customer profile, if the sale was for a known customer'
+  },
+  customerName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
   saleDate: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -114,6 +193,21 @@ const Sale = sequelize.define('Sale', {
     defaultValue: 'takeaway',
     allowNull: false
   },
+  tabStatus: {
+    type: DataTypes.ENUM('open', 'closed'),
+    allowNull: true,
+    comment: 'Running tab state for dine-in orders taken in rounds (null = regular sale)'
+  },
+  roundCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Number of rounds added to the tab'
+  },
+  tabClosedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Timestamp when the tab was closed for payment'
+  },
   isSplit: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
@@ -173,6 +267,7 @@ const Sale = sequelize.define('Sale', {
     { fields: ['tableId'] },
     { fields: ['orderType'] },
     { fields: ['tableId', 'status'] },
+    { fields: ['tableId', 'tabStatus'] },
     { fields: ['isSplit'] },
     { fields: ['kitchenStationId'] }
   ]
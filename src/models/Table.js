@@ -44,6 +44,65 @@ const Table = sequelize.define('Table', {
     type: DataTypes.TEXT,
     allowNull: true,
     comment: 'Additional notes about the table'
+  },
+  mergedIntoId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'merged_into_id',
+    references: {
+      model: 'tables',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+    comment: 'Main table this table is merged into; its orders are billed there'
+  },
+  floorAreaId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'floor_area_id',
+    references: {
+      model: 'floor_areas',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+    comment: 'Floor plan area the table is placed on'
+  },
+  shape: {
+    type: DataTypes.ENUM('square', 'rectangle', 'round', 'oval'),
+    allowNull: false,
+    defaultValue: 'square'
+  },
+  posX: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'pos_x',
+    comment: 'Centre of the table on the floor plan'
+  },
+  posY: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'pos_y'
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Drawn size in plan units'
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  rotation: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 359
+    },
+    comment: 'Degrees clockwise'
   }
 }, {
   tableName: 'tables',
@@ -66,6 +125,14 @@ const Table = sequelize.define('Table', {
     {
       name: 'tables_location_status',
       fields: ['location', 'status']
+    },
+    {
+      name: 'tables_merged_into_id',
+      fields: ['merged_into_id']
+    },
+    {
+      name: 'tables_floor_area_id',
+      fields: ['floor_area_id']
     }
   ]
 });
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const TipPayout = sequelize.define('TipPayout', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  recipientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Staff member the tips were paid to'
+  },
+  recipientName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  cashDrawerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'cash_drawers',
+      key: 'id'
+    },
+    comment: 'Drawer the payout was taken from'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  cashTips: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Portion of the payout that was tipped in cash'
+  },
+  nonCashTips: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Portion of the payout that was tipped on card, mobile, etc.'
+  },
+  tipCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  paidBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  paidByName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'tip_payouts',
+  timestamps: true,
+  indexes: [
+    { fields: ['recipientId'] },
+    { fields: ['cashDrawerId'] },
+    { fields: ['paidAt'] }
+  ]
+});
+
+module.exports = TipPayout;
@@ -49,6 +49,11 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  kitchenStationIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Kitchen stations a Kitchen Staff user works; their event stream only carries these stations\' tickets'
+  },
   /* 
   biometricId: {
     type: DataTypes.STRING(255),
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Waitlist Entry Model
+ * Walk-in parties waiting for a table, with the wait they were quoted
+ */
+const WaitlistEntry = sequelize.define('WaitlistEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  customerName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  customerPhone: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  partySize: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  preferredLocation: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('waiting', 'notified', 'seated', 'left', 'cancelled'),
+    defaultValue: 'waiting'
+  },
+  quotedWaitMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Estimated wait given to the party when they joined'
+  },
+  notifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the party was told their table is ready'
+  },
+  seatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  tableId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tables',
+      key: 'id'
+    }
+  },
+  tableNumber: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  addedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'waitlist_entries',
+  timestamps: true,
+  indexes: [
+    { fields: ['status', 'createdAt'] }
+  ]
+});
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const rejectChange = () => {
+  const error = new Error('Z reports are final and cannot be changed or deleted');
+  error.statusCode = 400;
+  throw error;
+};
+
+const ZReport = sequelize.define('ZReport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  zNumber: {
+    type: DataTypes.INTEGER.UNSIGNED,
+    allowNull: false,
+    unique: true,
+    comment: 'Sequential Z number, never reused'
+  },
+  businessDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    unique: true,
+    comment: 'Business day the report closes; only one Z per day'
+  },
+  periodStart: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'End of the previous Z, or start of the first business day'
+  },
+  periodEnd: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  transactionCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  totalSales: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  vatAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  refundAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  netSales: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  cashVariance: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  report: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Full breakdown as generated (payment methods, order types, VAT rates, refunds, voids, drawers)'
+  },
+  generatedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  generatedByName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  }
+}, {
+  tableName: 'z_reports',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['zNumber'], unique: true },
+    { fields: ['businessDate'], unique: true }
+  ],
+  hooks: {
+    beforeUpdate: rejectChange,
+    beforeDestroy: rejectChange,
+    beforeBulkUpdate: rejectChange,
+    beforeBulkDestroy: rejectChange
+  }
+});
+
+module.exports = ZReport;
@@ -14,6 +14,13 @@ const BillSplit = require('./BillSplit');
 const KitchenOrder = require('./KitchenOrder');
 const KitchenStation = require('./KitchenStation');
 const MenuItemPortion = require('./MenuItemPortion');
+const MenuModifierGroup = require('./MenuModifierGroup');
+const MenuModifier = require('./MenuModifier');
+const MenuItemModifierGroup = require('./MenuItemModifierGroup');
+const MenuCombo = require('./MenuCombo');
+const MenuComboSlot = require('./MenuComboSlot');
+const MenuComboSlotOption = require('./MenuComboSlotOption');
+const MenuPriceLevel = require('./MenuPriceLevel');
 const InventoryCategory = require('./InventoryCategory');
 const KitchenInventoryCategory = require('./KitchenInventoryCategory');
 
@@ -29,6 +36,31 @@ const Session = require('./Session');
 const Notification = require('./Notification');
 const Expense = require('./Expense');
 const PriceHistory = require('./PriceHistory');
+const Promotion = require('./Promotion');
+const HeldOrder = require('./HeldOrder');
+const NumberSequence = require('./NumberSequence');
+const IdempotencyKey = require('./IdempotencyKey');
+const ZReport = require('./ZReport');
+const CashMovement = require('./CashMovement');
+const TipPayout = require('./TipPayout');
+const Customer = require('./Customer');
+const LoyaltySettings = require('./LoyaltySettings');
+const LoyaltyTransaction = require('./LoyaltyTransaction');
+const GiftVoucher = require('./GiftVoucher');
+const GiftVoucherTransaction = require('./GiftVoucherTransaction');
+const DeliveryZone = require('./DeliveryZone');
+const Driver = require('./Driver');
+const Delivery = require('./Delivery');
+const DriverSettlement = require('./DriverSettlement');
+const AggregatorPlatform = require('./AggregatorPlatform');
+const AggregatorMenuMapping = require('./AggregatorMenuMapping');
+const AggregatorOrder = require('./AggregatorOrder');
+const Reservation = require('./Reservation');
+const WaitlistEntry = require('./WaitlistEntry');
+const FloorArea = require('./FloorArea');
+const FloorPlanVersion = require('./FloorPlanVersion');
+const Printer = require('./Printer');
+const PrintJob = require('./PrintJob');
 
 // Stock Management Models
 const StockTransaction = require('./StockTransaction');
@@ -164,6 +196,17 @@ Sale.belongsTo(Table, {
   as: 'table'
 });
 
+// Merged tables
+Table.belongsTo(Table, {
+  foreignKey: 'mergedIntoId',
+  as: 'mergedInto'
+});
+
+Table.hasMany(Table, {
+  foreignKey: 'mergedIntoId',
+  as: 'mergedTables'
+});
+
 // Bill Split associations
 Sale.hasMany(BillSplit, {
   foreignKey: 'saleId',
@@ -330,6 +373,98 @@ Product.hasMany(MenuItemIngredient, {
   as: 'usedInMenuItems'
 });
 
+// Menu modifier associations
+MenuModifierGroup.hasMany(MenuModifier, {
+  foreignKey: 'modifierGroupId',
+  as: 'modifiers',
+  onDelete: 'CASCADE'
+});
+
+MenuModifier.belongsTo(MenuModifierGroup, {
+  foreignKey: 'modifierGroupId',
+  as: 'group'
+});
+
+MenuModifier.hasMany(MenuItemIngredient, {
+  foreignKey: 'modifierId',
+  as: 'ingredients',
+  onDelete: 'CASCADE'
+});
+
+MenuItemIngredient.belongsTo(MenuModifier, {
+  foreignKey: 'modifierId',
+  as: 'modifier'
+});
+
+MenuItem.belongsToMany(MenuModifierGroup, {
+  through: MenuItemModifierGroup,
+  foreignKey: 'menuItemId',
+  otherKey: 'modifierGroupId',
+  as: 'modifierGroups'
+});
+
+MenuModifierGroup.belongsToMany(MenuItem, {
+  through: MenuItemModifierGroup,
+  foreignKey: 'modifierGroupId',
+  otherKey: 'menuItemId',
+  as: 'menuItems'
+});
+
+// Menu combo associations
+MenuCombo.hasMany(MenuComboSlot, {
+  foreignKey: 'comboId',
+  as: 'slots',
+  onDelete: 'CASCADE'
+});
+
+MenuComboSlot.belongsTo(MenuCombo, {
+  foreignKey: 'comboId',
+  as: 'combo'
+});
+
+MenuComboSlot.belongsTo(MenuItem, {
+  foreignKey: 'defaultMenuItemId',
+  as: 'defaultMenuItem'
+});
+
+MenuComboSlot.hasMany(MenuComboSlotOption, {
+  foreignKey: 'slotId',
+  as: 'options',
+  onDelete: 'CASCADE'
+});
+
+MenuComboSlotOption.belongsTo(MenuComboSlot, {
+  foreignKey: 'slotId',
+  as: 'slot'
+});
+
+MenuComboSlotOption.belongsTo(MenuItem, {
+  foreignKey: 'menuItemId',
+  as: 'menuItem'
+});
+
+// Menu price level associations
+MenuItem.hasMany(MenuPriceLevel, {
+  foreignKey: 'menuItemId',
+  as: 'priceLevels',
+  onDelete: 'CASCADE'
+});
+
+MenuPriceLevel.belongsTo(MenuItem, {
+  foreignKey: 'menuItemId',
+  as: 'menuItem'
+});
+
+MenuPriceLevel.belongsTo(MenuItemPortion, {
+  foreignKey: 'portionId',
+  as: 'portion'
+});
+
+PriceHistory.belongsTo(MenuPriceLevel, {
+  foreignKey: 'priceLevelId',
+  as: 'priceLevel'
+});
+
 // Cash Drawer associations
 User.hasMany(CashDrawer, {
   foreignKey: 'cashierId',
@@ -792,6 +927,360 @@ PriceHistory.belongsTo(User, {
   as: 'changer'
 });
 
+// Promotion associations
+User.hasMany(Promotion, {
+  foreignKey: 'createdBy',
+  as: 'createdPromotions'
+});
+
+Promotion.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// Held order associations
+User.hasMany(HeldOrder, {
+  foreignKey: 'cashierId',
+  as: 'heldOrders'
+});
+
+HeldOrder.belongsTo(User, {
+  foreignKey: 'cashierId',
+  as: 'cashier'
+});
+
+HeldOrder.belongsTo(Table, {
+  foreignKey: 'tableId',
+  as: 'table'
+});
+
+// Cash movement associations
+CashDrawer.hasMany(CashMovement, {
+  foreignKey: 'cashDrawerId',
+  as: 'movements'
+});
+
+CashMovement.belongsTo(CashDrawer, {
+  foreignKey: 'cashDrawerId',
+  as: 'cashDrawer'
+});
+
+CashMovement.belongsTo(Expense, {
+  foreignKey: 'expenseId',
+  as: 'expense'
+});
+
+// Tip associations
+PaymentTransaction.belongsTo(User, {
+  foreignKey: 'tipRecipientId',
+  as: 'tipRecipient'
+});
+
+PaymentTransaction.belongsTo(TipPayout, {
+  foreignKey: 'tipPayoutId',
+  as: 'tipPayout'
+});
+
+TipPayout.hasMany(PaymentTransaction, {
+  foreignKey: 'tipPayoutId',
+  as: 'tips'
+});
+
+TipPayout.belongsTo(User, {
+  foreignKey: 'recipientId',
+  as: 'recipient'
+});
+
+TipPayout.belongsTo(CashDrawer, {
+  foreignKey: 'cashDrawerId',
+  as: 'cashDrawer'
+});
+
+// Customer associations
+Customer.hasMany(Sale, {
+  foreignKey: 'customerId',
+  as: 'sales'
+});
+
+Sale.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+Customer.hasMany(KitchenOrder, {
+  foreignKey: 'customerId',
+  as: 'kitchenOrders'
+});
+
+KitchenOrder.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+Receipt.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+// Loyalty associations
+Customer.hasMany(LoyaltyTransaction, {
+  foreignKey: 'customerId',
+  as: 'loyaltyTransactions'
+});
+
+LoyaltyTransaction.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+LoyaltyTransaction.belongsTo(Sale, {
+  foreignKey: 'saleId',
+  as: 'sale'
+});
+
+Sale.hasMany(LoyaltyTransaction, {
+  foreignKey: 'saleId',
+  as: 'loyaltyTransactions'
+});
+
+// Gift voucher associations
+GiftVoucher.hasMany(GiftVoucherTransaction, {
+  foreignKey: 'giftVoucherId',
+  as: 'transactions'
+});
+
+GiftVoucherTransaction.belongsTo(GiftVoucher, {
+  foreignKey: 'giftVoucherId',
+  as: 'voucher'
+});
+
+GiftVoucher.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+Customer.hasMany(GiftVoucher, {
+  foreignKey: 'customerId',
+  as: 'giftVouchers'
+});
+
+GiftVoucher.belongsTo(Sale, {
+  foreignKey: 'sourceSaleId',
+  as: 'sourceSale'
+});
+
+GiftVoucher.belongsTo(User, {
+  foreignKey: 'issuedBy',
+  as: 'issuer'
+});
+
+GiftVoucherTransaction.belongsTo(Sale, {
+  foreignKey: 'saleId',
+  as: 'sale'
+});
+
+// Delivery associations
+Sale.hasOne(Delivery, {
+  foreignKey: 'saleId',
+  as: 'delivery'
+});
+
+Delivery.belongsTo(Sale, {
+  foreignKey: 'saleId',
+  as: 'sale'
+});
+
+Delivery.belongsTo(DeliveryZone, {
+  foreignKey: 'deliveryZoneId',
+  as: 'zone'
+});
+
+DeliveryZone.hasMany(Delivery, {
+  foreignKey: 'deliveryZoneId',
+  as: 'deliveries'
+});
+
+Delivery.belongsTo(Driver, {
+  foreignKey: 'driverId',
+  as: 'driver'
+});
+
+Driver.hasMany(Delivery, {
+  foreignKey: 'driverId',
+  as: 'deliveries'
+});
+
+Delivery.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+Delivery.belongsTo(DriverSettlement, {
+  foreignKey: 'driverSettlementId',
+  as: 'settlement'
+});
+
+DriverSettlement.hasMany(Delivery, {
+  foreignKey: 'driverSettlementId',
+  as: 'deliveries'
+});
+
+DriverSettlement.belongsTo(Driver, {
+  foreignKey: 'driverId',
+  as: 'driver'
+});
+
+DriverSettlement.belongsTo(CashDrawer, {
+  foreignKey: 'cashDrawerId',
+  as: 'cashDrawer'
+});
+
+// Aggregator associations
+AggregatorPlatform.belongsTo(User, {
+  foreignKey: 'cashierId',
+  as: 'cashier'
+});
+
+AggregatorPlatform.hasMany(AggregatorMenuMapping, {
+  foreignKey: 'platformId',
+  as: 'mappings'
+});
+
+AggregatorMenuMapping.belongsTo(AggregatorPlatform, {
+  foreignKey: 'platformId',
+  as: 'platform'
+});
+
+AggregatorMenuMapping.belongsTo(MenuItem, {
+  foreignKey: 'menuItemId',
+  as: 'menuItem'
+});
+
+AggregatorMenuMapping.belongsTo(MenuModifier, {
+  foreignKey: 'modifierId',
+  as: 'modifier'
+});
+
+AggregatorPlatform.hasMany(AggregatorOrder, {
+  foreignKey: 'platformId',
+  as: 'orders'
+});
+
+AggregatorOrder.belongsTo(AggregatorPlatform, {
+  foreignKey: 'platformId',
+  as: 'platform'
+});
+
+AggregatorOrder.belongsTo(Sale, {
+  foreignKey: 'saleId',
+  as: 'sale'
+});
+
+Sale.hasOne(AggregatorOrder, {
+  foreignKey: 'saleId',
+  as: 'aggregatorOrder'
+});
+
+// Reservation associations
+Reservation.belongsTo(Table, {
+  foreignKey: 'tableId',
+  as: 'table'
+});
+
+Table.hasMany(Reservation, {
+  foreignKey: 'tableId',
+  as: 'reservations'
+});
+
+Reservation.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+Reservation.belongsTo(Sale, {
+  foreignKey: 'saleId',
+  as: 'sale'
+});
+
+Sale.hasOne(Reservation, {
+  foreignKey: 'saleId',
+  as: 'reservation'
+});
+
+WaitlistEntry.belongsTo(Table, {
+  foreignKey: 'tableId',
+  as: 'table'
+});
+
+WaitlistEntry.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+// Floor plan associations
+FloorArea.hasMany(Table, {
+  foreignKey: 'floorAreaId',
+  as: 'tables'
+});
+
+Table.belongsTo(FloorArea, {
+  foreignKey: 'floorAreaId',
+  as: 'floorArea'
+});
+
+FloorArea.hasMany(FloorPlanVersion, {
+  foreignKey: 'floorAreaId',
+  as: 'versions',
+  onDelete: 'CASCADE'
+});
+
+FloorPlanVersion.belongsTo(FloorArea, {
+  foreignKey: 'floorAreaId',
+  as: 'area'
+});
+
+FloorPlanVersion.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// Z report associations
+ZReport.belongsTo(User, {
+  foreignKey: 'generatedBy',
+  as: 'generator'
+});
+
+// Printer associations
+Printer.belongsTo(Printer, {
+  foreignKey: 'fallbackPrinterId',
+  as: 'fallbackPrinter'
+});
+
+Printer.hasMany(KitchenStation, {
+  foreignKey: 'printerId',
+  as: 'stations'
+});
+
+KitchenStation.belongsTo(Printer, {
+  foreignKey: 'printerId',
+  as: 'printer'
+});
+
+PrintJob.belongsTo(Printer, {
+  foreignKey: 'printerId',
+  as: 'printer'
+});
+
+PrintJob.belongsTo(KitchenStation, {
+  foreignKey: 'kitchenStationId',
+  as: 'station'
+});
+
+PrintJob.belongsTo(User, {
+  foreignKey: 'requestedBy',
+  as: 'requester'
+});
+
 module.exports = {
   sequelize,
   User,
@@ -808,6 +1297,13 @@ module.exports = {
   KitchenOrder,
   KitchenStation,
   MenuItemPortion,
+  MenuModifierGroup,
+  MenuModifier,
+  MenuItemModifierGroup,
+  MenuCombo,
+  MenuComboSlot,
+  MenuComboSlotOption,
+  MenuPriceLevel,
   InventoryCategory,
   KitchenInventoryCategory,
 
@@ -834,5 +1330,30 @@ module.exports = {
   StockReconciliationItem,
   StockIssue,
   Expense,
-  PriceHistory
+  PriceHistory,
+  Promotion,
+  HeldOrder,
+  NumberSequence,
+  IdempotencyKey,
+  ZReport,
+  CashMovement,
+  TipPayout,
+  Customer,
+  LoyaltySettings,
+  LoyaltyTransaction,
+  GiftVoucher,
+  GiftVoucherTransaction,
+  DeliveryZone,
+  Driver,
+  Delivery,
+  DriverSettlement,
+  AggregatorPlatform,
+  AggregatorMenuMapping,
+  AggregatorOrder,
+  Reservation,
+  WaitlistEntry,
+  FloorArea,
+  FloorPlanVersion,
+  Printer,
+  PrintJob
 };
@@ -0,0 +1,399 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  receiveOrder,
+  getPlatforms,
+  createPlatform,
+  updatePlatform,
+  getMappings,
+  saveMappings,
+  deleteMapping,
+  getOrders,
+  getOrder,
+  retryStatusPush
+} = require('../controllers/aggregatorController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { ROLES } = require('../config/roles');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Aggregators
+ *   description: Orders from third-party delivery platforms, menu mappings and status updates
+ */
+
+/**
+ * @swagger
+ * /api/aggregators/webhooks/{platformCode}/orders:
+ *   post:
+ *     summary: Receive an order from a delivery platform
+ *     description: |
+ *       Called by the platform, not by staff. The request is checked against the platform's
+ *       webhook secret (generic adapter: HMAC-SHA256 of the raw body, hex, in X-Signature).
+ *       Mapped items become a delivery sale billed at our menu prices and sent to the kitchen.
+ *       Sending the same order ID again returns the first result.
+ *     tags: [Aggregators]
+ *     parameters:
+ *       - in: path
+ *         name: platformCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Generic adapter format; other adapters accept their platform's own payload
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 example: MOCK-1001
+ *               placedAt:
+ *                 type: string
+ *                 format: date-time
+ *               customer:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *               deliveryAddress:
+ *                 type: object
+ *                 description: Needed when the restaurant delivers the order
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     unitPrice:
+ *                       type: number
+ *                     notes:
+ *                       type: string
+ *                     modifiers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *               total:
+ *                 type: number
+ *                 description: What the customer paid the platform
+ *               commission:
+ *                 type: number
+ *                 description: Platform commission; worked out from the platform's rate when omitted
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order accepted
+ *       200:
+ *         description: Order already received
+ *       401:
+ *         description: Invalid signature
+ *       404:
+ *         description: Unknown or inactive platform
+ *       422:
+ *         description: Order rejected (unmapped items, unavailable items, stock)
+ */
+router.post('/webhooks/:platformCode/orders', apiLimiter, receiveOrder);
+
+// Everything below is for staff
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.MANAGER));
+
+// Validation rules
+const platformValidation = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('code').notEmpty().matches(/^[a-z0-9_-]+$/i).withMessage('Code may only contain letters, numbers, dashes and underscores'),
+    body('name').notEmpty().trim().withMessage('Platform name is required'),
+    body('cashierId').isInt().withMessage('The user orders are recorded under is required')
+  ]),
+  ...(isUpdate ? [
+    body('name').optional().notEmpty().trim().withMessage('Platform name must not be empty'),
+    body('cashierId').optional().isInt().withMessage('Cashier ID must be an integer'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ] : []),
+  body('adapter').optional().isString().withMessage('Adapter must be a string'),
+  body('commissionRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Commission rate must be between 0 and 1'),
+  body('deliveredBy').optional().isIn(['platform', 'restaurant']).withMessage('deliveredBy must be platform or restaurant'),
+  body('webhookSecret').optional().isLength({ min: 16 }).withMessage('Webhook secret must be at least 16 characters'),
+  body('apiBaseUrl').optional({ nullable: true, checkFalsy: true }).isURL({ require_tld: false }).withMessage('API URL must be a valid URL')
+];
+
+const mappingValidation = [
+  body('mappings').isArray({ min: 1 }).withMessage('Mappings must be a non-empty array'),
+  body('mappings.*.type').optional().isIn(['item', 'modifier']).withMessage('Mapping type must be item or modifier'),
+  body('mappings.*.externalId').notEmpty().withMessage('External ID is required'),
+  body('mappings').custom(mappings => mappings.every(m => ((m.type || 'item') === 'item' ? m.menuItemId : m.modifierId)))
+    .withMessage('Item mappings need a menuItemId and modifier mappings a modifierId')
+];
+
+/**
+ * @swagger
+ * /api/aggregators/platforms:
+ *   get:
+ *     summary: List aggregator platforms
+ *     description: Secrets are not returned; hasApiKey shows whether one is set.
+ *     tags: [Aggregators]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Platforms
+ *   post:
+ *     summary: Add an aggregator platform
+ *     description: A webhook secret is generated when none is given. It is only returned in this response.
+ *     tags: [Aggregators]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - cashierId
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: mock
+ *               name:
+ *                 type: string
+ *                 example: Mock Eats
+ *               adapter:
+ *                 type: string
+ *                 default: generic
+ *               cashierId:
+ *                 type: integer
+ *                 description: User the platform's sales are recorded under
+ *               commissionRate:
+ *                 type: number
+ *                 example: 0.25
+ *               deliveredBy:
+ *                 type: string
+ *                 enum: [platform, restaurant]
+ *                 default: platform
+ *               webhookSecret:
+ *                 type: string
+ *               apiBaseUrl:
+ *                 type: string
+ *                 example: http://localhost:5055
+ *               apiKey:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Platform added, with its webhook secret
+ *       409:
+ *         description: A platform with this code already exists
+ */
+router.route('/platforms')
+  .get(apiLimiter, getPlatforms)
+  .post(apiLimiter, platformValidation(), validate, createPlatform);
+
+/**
+ * @swagger
+ * /api/aggregators/platforms/{id}:
+ *   put:
+ *     summary: Update an aggregator platform
+ *     tags: [Aggregators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Platform updated
+ *       404:
+ *         description: Platform not found
+ */
+router.put('/platforms/:id', apiLimiter, platformValidation(true), validate, updatePlatform);
+
+/**
+ * @swagger
+ * /api/aggregators/platforms/{id}/mappings:
+ *   get:
+ *     summary: List a platform's menu mappings
+ *     tags: [Aggregators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Mappings with the menu item or modifier they point to
+ *   put:
+ *     summary: Add or update menu mappings
+ *     description: Mappings are matched on type and externalId; existing ones are updated.
+ *     tags: [Aggregators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mappings:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [item, modifier]
+ *                       default: item
+ *                     externalId:
+ *                       type: string
+ *                       example: burger-classic
+ *                     externalName:
+ *                       type: string
+ *                     menuItemId:
+ *                       type: integer
+ *                     modifierId:
+ *                       type: integer
+ *                     isActive:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: The platform's mappings
+ */
+router.route('/platforms/:id/mappings')
+  .get(apiLimiter, getMappings)
+  .put(apiLimiter, mappingValidation, validate, saveMappings);
+
+/**
+ * @swagger
+ * /api/aggregators/mappings/{id}:
+ *   delete:
+ *     summary: Remove a menu mapping
+ *     tags: [Aggregators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Mapping removed
+ */
+router.delete('/mappings/:id', apiLimiter, deleteMapping);
+
+/**
+ * @swagger
+ * /api/aggregators/orders:
+ *   get:
+ *     summary: Orders received from platforms
+ *     description: The summary totals platform takings, commission and net payout for accepted orders matching the filters.
+ *     tags: [Aggregators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: platformId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, accepted, rejected]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Orders, newest first, with summary
+ */
+router.get('/orders', apiLimiter, getOrders);
+
+/**
+ * @swagger
+ * /api/aggregators/orders/{id}:
+ *   get:
+ *     summary: Get a platform order with its original payload
+ *     tags: [Aggregators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order
+ *       404:
+ *         description: Order not found
+ */
+router.get('/orders/:id', apiLimiter, getOrder);
+
+/**
+ * @swagger
+ * /api/aggregators/orders/{id}/push-status:
+ *   post:
+ *     summary: Resend an order's current status to the platform
+ *     tags: [Aggregators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Result of the status update
+ */
+router.post('/orders/:id/push-status', apiLimiter, retryStatusPush);
+
+module.exports = router;
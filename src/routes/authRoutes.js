@@ -357,6 +357,11 @@ router.get('/users', protect, authorize(ROLES.ADMIN), getAllUsers);
  *                 enum: [Admin, Manager, Cashier, Kitchen Staff]
  *               isActive:
  *                 type: boolean
+ *               kitchenStationIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Stations a Kitchen Staff user works; their event stream is limited to these
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -365,7 +370,9 @@ router.get('/users', protect, authorize(ROLES.ADMIN), getAllUsers);
  */
 router.put('/users/:id', protect, authorize(ROLES.ADMIN), [
   body('email').optional().isEmail(),
-  body('role').optional().isIn([ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER, ROLES.KITCHEN_STAFF])
+  body('role').optional().isIn([ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER, ROLES.KITCHEN_STAFF]),
+  body('kitchenStationIds').optional({ nullable: true }).isArray().withMessage('Kitchen station IDs must be an array'),
+  body('kitchenStationIds.*').isInt({ min: 1 }).withMessage('Kitchen station IDs must be positive integers')
 ], validate, updateUser);
 
 /**
@@ -0,0 +1,349 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const {
+  getCustomers,
+  lookupByPhone,
+  createCustomer,
+  getCustomerById,
+  updateCustomer,
+  deactivateCustomer,
+  getOrderHistory,
+  addAddress,
+  removeAddress
+} = require('../controllers/customerController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { ROLES } = require('../config/roles');
+
+// Apply protection to all routes
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER));
+
+// Validation rules
+const addressValidation = (prefix = '') => [
+  body(`${prefix}line1`).notEmpty().withMessage('Address line 1 is required'),
+  body(`${prefix}label`).optional({ nullable: true }).isString().trim().isLength({ max: 50 }).withMessage('Label must be at most 50 characters'),
+  body(`${prefix}isDefault`).optional().isBoolean().withMessage('isDefault must be true or false')
+];
+
+const customerValidation = [
+  body('name').notEmpty().trim().withMessage('Name is required'),
+  body('phone').notEmpty().withMessage('Phone number is required')
+    .matches(/^[+]?[\d\s()-]{7,20}$/).withMessage('Invalid phone number'),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Valid email address is required'),
+  body('addresses').optional().isArray().withMessage('Addresses must be an array'),
+  ...addressValidation('addresses.*.')
+];
+
+const updateValidation = [
+  body('name').optional().notEmpty().trim().withMessage('Name must not be empty'),
+  body('phone').optional().matches(/^[+]?[\d\s()-]{7,20}$/).withMessage('Invalid phone number'),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Valid email address is required'),
+  body('addresses').optional().isArray().withMessage('Addresses must be an array'),
+  ...addressValidation('addresses.*.'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Customers
+ *   description: Customer profiles, delivery addresses and order history
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Customer:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         phone:
+ *           type: string
+ *           example: "+94771234567"
+ *           description: Normalized; local numbers (0771234567) are stored with the +94 country code
+ *         email:
+ *           type: string
+ *         addresses:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *                 example: Home
+ *               line1:
+ *                 type: string
+ *               line2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               postalCode:
+ *                 type: string
+ *               landmark:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *         dietaryNotes:
+ *           type: string
+ *           example: Peanut allergy
+ *         notes:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/customers:
+ *   get:
+ *     summary: Search customers
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name, email or part of the phone number
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Matching customers
+ *   post:
+ *     summary: Create a customer
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Customer'
+ *     responses:
+ *       201:
+ *         description: Customer created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A customer with this phone number already exists
+ */
+router.route('/')
+  .get(apiLimiter, getCustomers)
+  .post(apiLimiter, customerValidation, validate, createCustomer);
+
+/**
+ * @swagger
+ * /api/customers/lookup:
+ *   get:
+ *     summary: Look up a customer by phone number
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer found
+ *       404:
+ *         description: No customer with this phone number
+ */
+router.get('/lookup', apiLimiter, [
+  query('phone').notEmpty().withMessage('Phone number is required')
+], validate, lookupByPhone);
+
+/**
+ * @swagger
+ * /api/customers/{id}/orders:
+ *   get:
+ *     summary: Customer order history and lifetime spend
+ *     description: Lifetime spend is paid sales less refunds; voided sales and open tabs are not counted.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Customer, stats (orderCount, lifetimeSpend, averageOrderValue, firstOrderAt, lastOrderAt) and paginated orders
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id/orders', apiLimiter, getOrderHistory);
+
+/**
+ * @swagger
+ * /api/customers/{id}/addresses:
+ *   post:
+ *     summary: Add a delivery address
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - line1
+ *             properties:
+ *               label:
+ *                 type: string
+ *               line1:
+ *                 type: string
+ *               line2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               postalCode:
+ *                 type: string
+ *               landmark:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Address added
+ *       404:
+ *         description: Customer not found
+ */
+router.post('/:id/addresses', apiLimiter, addressValidation(), validate, addAddress);
+
+/**
+ * @swagger
+ * /api/customers/{id}/addresses/{addressId}:
+ *   delete:
+ *     summary: Remove a delivery address
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address removed
+ *       404:
+ *         description: Customer or address not found
+ */
+router.delete('/:id/addresses/:addressId', apiLimiter, removeAddress);
+
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   get:
+ *     summary: Get a customer
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Customer
+ *       404:
+ *         description: Customer not found
+ *   put:
+ *     summary: Update a customer
+ *     description: Sending addresses replaces the whole address list.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Customer'
+ *     responses:
+ *       200:
+ *         description: Customer updated
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: Another customer has this phone number
+ *   delete:
+ *     summary: Deactivate a customer
+ *     description: The profile is hidden from search; past orders stay linked to it.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Customer deactivated
+ *       404:
+ *         description: Customer not found
+ */
+router.route('/:id')
+  .get(apiLimiter, getCustomerById)
+  .put(apiLimiter, updateValidation, validate, updateCustomer)
+  .delete(apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), deactivateCustomer);
+
+module.exports = router;
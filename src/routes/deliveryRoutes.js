@@ -0,0 +1,530 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const {
+  getZones,
+  createZone,
+  updateZone,
+  getQuote,
+  getDrivers,
+  createDriver,
+  updateDriver,
+  getSettlementPreview,
+  settleDriver,
+  getSettlements,
+  getDeliveries,
+  getDelivery,
+  assignDriver,
+  updateStatus
+} = require('../controllers/deliveryController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { ROLES } = require('../config/roles');
+
+// Apply protection to all routes
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER));
+
+// Validation rules
+const zoneValidation = (isUpdate = false) => [
+  isUpdate
+    ? body('name').optional().notEmpty().trim().withMessage('Zone name must not be empty')
+    : body('name').notEmpty().trim().withMessage('Zone name is required'),
+  body('areas').optional().isArray().withMessage('Areas must be an array of area names'),
+  body('deliveryFee').optional().isFloat({ min: 0 }).withMessage('Delivery fee must be zero or more'),
+  body('minimumOrderValue').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be zero or more'),
+  body('freeDeliveryAbove').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Free delivery threshold must be zero or more'),
+  body('estimatedMinutes').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Estimated minutes must be a whole number above zero'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+const driverValidation = (isUpdate = false) => [
+  isUpdate
+    ? body('name').optional().notEmpty().trim().withMessage('Driver name must not be empty')
+    : body('name').notEmpty().trim().withMessage('Driver name is required'),
+  isUpdate
+    ? body('phone').optional().matches(/^[+]?[\d\s()-]{7,20}$/).withMessage('Invalid phone number')
+    : body('phone').notEmpty().withMessage('Phone number is required')
+      .matches(/^[+]?[\d\s()-]{7,20}$/).withMessage('Invalid phone number'),
+  body('vehicleNumber').optional({ nullable: true }).isString().trim().isLength({ max: 20 }).withMessage('Vehicle number must be at most 20 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Deliveries
+ *   description: Delivery zones, drivers, dispatch and driver cash settlement
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeliveryZone:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: Colombo 03-05
+ *         description:
+ *           type: string
+ *         areas:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Kollupitiya, Bambalapitiya, Havelock Town]
+ *         deliveryFee:
+ *           type: number
+ *           example: 250.00
+ *         minimumOrderValue:
+ *           type: number
+ *           example: 1500.00
+ *         freeDeliveryAbove:
+ *           type: number
+ *           nullable: true
+ *           example: 5000.00
+ *         estimatedMinutes:
+ *           type: integer
+ *           example: 40
+ *         isActive:
+ *           type: boolean
+ *     Delivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         saleId:
+ *           type: integer
+ *         saleNumber:
+ *           type: string
+ *         zoneName:
+ *           type: string
+ *         deliveryFee:
+ *           type: number
+ *         customerName:
+ *           type: string
+ *         customerPhone:
+ *           type: string
+ *         address:
+ *           type: object
+ *         cashOnDelivery:
+ *           type: boolean
+ *         collectAmount:
+ *           type: number
+ *           description: Cash the driver collects from the customer
+ *         driverId:
+ *           type: integer
+ *         driverName:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, ready, out_for_delivery, delivered, failed, cancelled]
+ *         attempts:
+ *           type: integer
+ *         failureReason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/deliveries/zones:
+ *   get:
+ *     summary: List delivery zones
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Delivery zones
+ *   post:
+ *     summary: Create a delivery zone
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryZone'
+ *     responses:
+ *       201:
+ *         description: Zone created
+ *       409:
+ *         description: A zone with this name already exists
+ */
+router.route('/zones')
+  .get(apiLimiter, getZones)
+  .post(apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), zoneValidation(), validate, createZone);
+
+/**
+ * @swagger
+ * /api/deliveries/zones/{id}:
+ *   put:
+ *     summary: Update a delivery zone
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryZone'
+ *     responses:
+ *       200:
+ *         description: Zone updated
+ *       404:
+ *         description: Zone not found
+ */
+router.put('/zones/:id', apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), zoneValidation(true), validate, updateZone);
+
+/**
+ * @swagger
+ * /api/deliveries/quote:
+ *   get:
+ *     summary: Delivery fee for an order
+ *     description: Checks the zone's minimum order value and applies free delivery above the zone's threshold.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: zoneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: orderTotal
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Bill total including VAT
+ *     responses:
+ *       200:
+ *         description: zoneId, zoneName, estimatedMinutes, orderTotal, deliveryFee and total
+ *       400:
+ *         description: Order is below the zone's minimum, or the zone is inactive
+ */
+router.get('/quote', apiLimiter, [
+  query('zoneId').isInt().withMessage('Zone ID is required'),
+  query('orderTotal').isFloat({ min: 0 }).withMessage('Order total is required')
+], validate, getQuote);
+
+/**
+ * @swagger
+ * /api/deliveries/drivers:
+ *   get:
+ *     summary: List drivers
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Drivers with activeDeliveries and isAvailable
+ *   post:
+ *     summary: Add a driver
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - phone
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               vehicleNumber:
+ *                 type: string
+ *                 example: WP BAB-1234
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Driver added
+ *       409:
+ *         description: A driver with this phone number already exists
+ */
+router.route('/drivers')
+  .get(apiLimiter, getDrivers)
+  .post(apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), driverValidation(), validate, createDriver);
+
+/**
+ * @swagger
+ * /api/deliveries/drivers/{id}:
+ *   put:
+ *     summary: Update a driver
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Driver updated
+ *       404:
+ *         description: Driver not found
+ */
+router.put('/drivers/:id', apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), driverValidation(true), validate, updateDriver);
+
+/**
+ * @swagger
+ * /api/deliveries/drivers/{id}/settlement:
+ *   get:
+ *     summary: Cash a driver should hand in
+ *     description: Delivered cash-on-delivery orders not yet settled, and how many orders the driver is still out with.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: driver, deliveries, deliveryCount, expectedCash and outForDelivery
+ */
+router.get('/drivers/:id/settlement', apiLimiter, getSettlementPreview);
+
+/**
+ * @swagger
+ * /api/deliveries/drivers/{id}/settle:
+ *   post:
+ *     summary: Settle a driver's cash
+ *     description: |
+ *       Pays the counted cash into your open cash drawer and records a cash payment on each order.
+ *       The difference from the expected cash is kept on the settlement as the driver's variance.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - countedCash
+ *             properties:
+ *               countedCash:
+ *                 type: number
+ *                 example: 7450.00
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Settlement with its deliveries
+ *       400:
+ *         description: Nothing to settle or no open cash drawer
+ */
+router.post('/drivers/:id/settle', apiLimiter, [
+  body('countedCash').isFloat({ min: 0 }).withMessage('Counted cash must be zero or more'),
+  body('notes').optional({ nullable: true }).isString().trim()
+], validate, settleDriver);
+
+/**
+ * @swagger
+ * /api/deliveries/settlements:
+ *   get:
+ *     summary: Driver settlement history
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Settlements, newest first
+ */
+router.get('/settlements', apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), getSettlements);
+
+/**
+ * @swagger
+ * /api/deliveries:
+ *   get:
+ *     summary: Dispatch board
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One or more statuses, comma separated (e.g. ready,out_for_delivery)
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: zoneId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Deliveries, oldest first
+ */
+router.get('/', apiLimiter, getDeliveries);
+
+/**
+ * @swagger
+ * /api/deliveries/{id}:
+ *   get:
+ *     summary: Get a delivery
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delivery with its sale
+ *       404:
+ *         description: Delivery not found
+ */
+router.get('/:id', apiLimiter, getDelivery);
+
+/**
+ * @swagger
+ * /api/deliveries/{id}/driver:
+ *   put:
+ *     summary: Assign a driver
+ *     description: Allowed until the order is sent out, and again after a failed attempt.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - driverId
+ *             properties:
+ *               driverId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Driver assigned
+ */
+router.put('/:id/driver', apiLimiter, [
+  body('driverId').isInt().withMessage('Driver ID is required')
+], validate, assignDriver);
+
+/**
+ * @swagger
+ * /api/deliveries/{id}/status:
+ *   put:
+ *     summary: Update dispatch status
+ *     description: |
+ *       pending → ready → out_for_delivery → delivered or failed. A failed delivery can be
+ *       sent out again or cancelled. The kitchen marks deliveries ready automatically; delivered
+ *       completes the sale. Cancelling a delivery does not refund the sale.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [ready, out_for_delivery, delivered, failed, cancelled]
+ *               driverId:
+ *                 type: integer
+ *                 description: Driver to send the order with, if not already assigned
+ *               reason:
+ *                 type: string
+ *                 description: Required when the delivery failed
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Status change not allowed, no driver, or missing reason
+ */
+router.put('/:id/status', apiLimiter, [
+  body('status').isIn(['ready', 'out_for_delivery', 'delivered', 'failed', 'cancelled']).withMessage('Invalid delivery status'),
+  body('driverId').optional({ nullable: true }).isInt().withMessage('Driver ID must be an integer'),
+  body('reason').optional({ nullable: true }).isString().trim()
+], validate, updateStatus);
+
+module.exports = router;
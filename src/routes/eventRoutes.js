@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { createStreamTicket, streamEvents } = require('../controllers/eventController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const eventService = require('../services/eventService');
+const { EVENTS } = require('../config/events');
+
+// EventSource can't send an Authorization header, so browsers open the stream
+// with a single-use ?ticket= from POST /api/events/ticket instead
+const ticketAuth = (req, res, next) => {
+  if (!req.headers.authorization && req.query.ticket) {
+    const token = eventService.redeemTicket(req.query.ticket);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Stream ticket is invalid, used or expired'
+      });
+    }
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  next();
+};
+
+const streamValidation = [
+  query('stations').optional().matches(/^\d+(,\d+)*$/).withMessage('Stations must be a comma-separated list of station IDs'),
+  query('types').optional().custom(value => String(value).split(',').every(type => Object.values(EVENTS).includes(type.trim())))
+    .withMessage(`Types must be a comma-separated list of: ${Object.values(EVENTS).join(', ')}`)
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Events
+ *   description: Real-time push of kitchen and table events
+ */
+
+/**
+ * @swagger
+ * /api/events/ticket:
+ *   post:
+ *     summary: Get a ticket for opening an event stream
+ *     description: The ticket works once, within 30 seconds. Pass it to /api/events/stream as `?ticket=`.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Stream ticket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ticket:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ */
+router.post('/ticket', apiLimiter, protect, createStreamTicket);
+
+/**
+ * @swagger
+ * /api/events/stream:
+ *   get:
+ *     summary: Subscribe to kitchen and table events
+ *     description: |
+ *       Server-sent event stream (text/event-stream) that replaces polling the kitchen and table endpoints.
+ *       Authenticate with the session token as a Bearer header or, for browser EventSource, with a
+ *       ticket from POST /api/events/ticket as `?ticket=`.
+ *
+ *       Events: `order.created`, `order.updated`, `order.status`, `order.item`, `order.course`,
+ *       `order.delayed`, `order.cancelled` (Admin, Manager, Cashier, Kitchen Staff) and `table.status`
+ *       (Admin, Manager, Cashier). Kitchen Staff only get tickets for the stations assigned to them.
+ *       Each event's data is JSON with the kitchen order or table and what changed.
+ *
+ *       The session is re-checked every minute; once it is logged out or expired the stream gets a
+ *       `session.ended` event and is closed.
+ *
+ *       The stream opens with a `ready` event. A client that reconnects with Last-Event-ID gets the
+ *       events it missed, or a `resync` event if they are too old and it should reload.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: stations
+ *         schema:
+ *           type: string
+ *           example: 1,3
+ *         description: Only kitchen orders for these stations (table events still arrive). Kitchen Staff may only name their own stations.
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *           example: order.created,order.status
+ *         description: Only these event types
+ *       - in: query
+ *         name: ticket
+ *         schema:
+ *           type: string
+ *         description: Stream ticket, for clients that can't send headers
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 1760788800001\nevent: order.status\ndata: {\"previousStatus\":\"pending\",\"order\":{...},\"at\":\"...\"}"
+ *       401:
+ *         description: Missing, invalid or logged-out session token, or an invalid ticket
+ *       403:
+ *         description: Event type or station not allowed for the user's role
+ */
+router.get('/stream', apiLimiter, ticketAuth, protect, streamValidation, validate, streamEvents);
+
+module.exports = router;
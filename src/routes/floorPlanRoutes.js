@@ -0,0 +1,353 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const {
+  getPlans,
+  createArea,
+  getPlan,
+  updateArea,
+  saveLayout,
+  getVersions,
+  getVersion,
+  restoreVersion
+} = require('../controllers/floorPlanController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { ROLES } = require('../config/roles');
+
+// Apply protection to all routes
+router.use(protect);
+
+const manage = authorize(ROLES.ADMIN, ROLES.MANAGER);
+
+// Validation rules
+const areaValidation = (isUpdate = false) => [
+  isUpdate
+    ? body('name').optional().notEmpty().trim().isLength({ max: 50 }).withMessage('Area name must be 1-50 characters')
+    : body('name').notEmpty().trim().isLength({ max: 50 }).withMessage('Area name is required (max 50 characters)'),
+  body('width').optional().isInt({ min: 100, max: 10000 }).withMessage('Width must be between 100 and 10000'),
+  body('height').optional().isInt({ min: 100, max: 10000 }).withMessage('Height must be between 100 and 10000'),
+  body('sortOrder').optional().isInt().withMessage('Sort order must be an integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+const layoutValidation = [
+  body('tables').isArray().withMessage('tables must be an array of placed tables'),
+  body('tables.*.tableId').isInt().withMessage('Each entry needs a tableId'),
+  body('tables.*.x').isFloat({ min: 0 }).withMessage('x must be zero or more'),
+  body('tables.*.y').isFloat({ min: 0 }).withMessage('y must be zero or more'),
+  body('tables.*.shape').optional().isIn(['square', 'rectangle', 'round', 'oval']).withMessage('Shape must be square, rectangle, round or oval'),
+  body('tables.*.width').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Width must be a positive whole number'),
+  body('tables.*.height').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Height must be a positive whole number'),
+  body('tables.*.rotation').optional().isFloat().withMessage('Rotation must be a number of degrees'),
+  body('tables.*.capacity').optional().isInt({ min: 1, max: 20 }).withMessage('Seats must be between 1 and 20'),
+  body('note').optional().isString().isLength({ max: 255 }).withMessage('Note must be at most 255 characters')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Floor Plans
+ *   description: Dining areas, table layout with live status, and layout versions
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FloorPlanTable:
+ *       type: object
+ *       properties:
+ *         tableId:
+ *           type: integer
+ *         tableNumber:
+ *           type: string
+ *         shape:
+ *           type: string
+ *           enum: [square, rectangle, round, oval]
+ *         x:
+ *           type: integer
+ *           description: Centre of the table in plan units
+ *         y:
+ *           type: integer
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         rotation:
+ *           type: integer
+ *           description: Degrees clockwise
+ *         capacity:
+ *           type: integer
+ *           description: Seats
+ *         status:
+ *           type: string
+ *           enum: [available, occupied, reserved, maintenance]
+ *         mergedIntoTableNumber:
+ *           type: string
+ *           nullable: true
+ *         openOrders:
+ *           type: integer
+ *         orderTotal:
+ *           type: number
+ *           description: Total of the table's open orders
+ *         seatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         minutesSeated:
+ *           type: integer
+ *           nullable: true
+ *         nextReservation:
+ *           type: object
+ *           nullable: true
+ *           description: Next booking on the table today
+ */
+
+/**
+ * @swagger
+ * /api/floor-plans:
+ *   get:
+ *     summary: All floor plans with live table status
+ *     description: Active areas in display order with their tables, plus active tables not placed on any area.
+ *     tags: [Floor Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ areas: [...area, tables], unplaced }"
+ *   post:
+ *     summary: Add a floor area
+ *     tags: [Floor Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Terrace
+ *               description:
+ *                 type: string
+ *               width:
+ *                 type: integer
+ *                 default: 1000
+ *               height:
+ *                 type: integer
+ *                 default: 800
+ *               sortOrder:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Area created
+ *       409:
+ *         description: An area with this name exists
+ */
+router.route('/')
+  .get(apiLimiter, getPlans)
+  .post(apiLimiter, manage, areaValidation(), validate, createArea);
+
+/**
+ * @swagger
+ * /api/floor-plans/{id}:
+ *   get:
+ *     summary: An area's floor plan with live table status
+ *     tags: [Floor Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ area, tables }"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     area:
+ *                       type: object
+ *                     tables:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FloorPlanTable'
+ *       404:
+ *         description: Area not found
+ *   put:
+ *     summary: Update a floor area
+ *     description: Renaming an area renames the location of its tables. The area can't shrink past its tables.
+ *     tags: [Floor Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Area updated
+ */
+router.route('/:id')
+  .get(apiLimiter, getPlan)
+  .put(apiLimiter, manage, areaValidation(true), validate, updateArea);
+
+/**
+ * @swagger
+ * /api/floor-plans/{id}/layout:
+ *   put:
+ *     summary: Save an area's table layout
+ *     description: |
+ *       Replaces the area's layout: listed tables are placed here (moving them from another
+ *       area if needed) and tables left out are taken off the plan. The result is saved as the
+ *       area's next version.
+ *     tags: [Floor Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tables
+ *             properties:
+ *               tables:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - tableId
+ *                     - x
+ *                     - y
+ *                   properties:
+ *                     tableId:
+ *                       type: integer
+ *                     shape:
+ *                       type: string
+ *                       enum: [square, rectangle, round, oval]
+ *                     x:
+ *                       type: number
+ *                     y:
+ *                       type: number
+ *                     width:
+ *                       type: integer
+ *                     height:
+ *                       type: integer
+ *                     rotation:
+ *                       type: number
+ *                     capacity:
+ *                       type: integer
+ *               note:
+ *                 type: string
+ *                 example: Moved T4 for the band
+ *     responses:
+ *       200:
+ *         description: Saved version
+ *       400:
+ *         description: A table is outside the area or placed twice
+ */
+router.put('/:id/layout', apiLimiter, manage, layoutValidation, validate, saveLayout);
+
+/**
+ * @swagger
+ * /api/floor-plans/{id}/versions:
+ *   get:
+ *     summary: List an area's layout versions
+ *     tags: [Floor Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Versions, newest first, with the current version number
+ */
+router.get('/:id/versions', apiLimiter, manage, getVersions);
+
+/**
+ * @swagger
+ * /api/floor-plans/{id}/versions/{version}:
+ *   get:
+ *     summary: Get one layout version
+ *     tags: [Floor Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version with its layout
+ *       404:
+ *         description: Version not found
+ */
+router.get('/:id/versions/:version', apiLimiter, manage, [
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer')
+], validate, getVersion);
+
+/**
+ * @swagger
+ * /api/floor-plans/{id}/versions/{version}/restore:
+ *   post:
+ *     summary: Roll an area back to an earlier layout
+ *     description: |
+ *       Saved as a new version. Tables that were removed, deactivated or placed on another area
+ *       since are left alone and listed as skipped.
+ *     tags: [Floor Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: New version and skipped tables
+ */
+router.post('/:id/versions/:version/restore', apiLimiter, manage, [
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer')
+], validate, restoreVersion);
+
+module.exports = router;
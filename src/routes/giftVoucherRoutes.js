@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getVouchers,
+  issueVoucher,
+  getVoucher,
+  voidVoucher
+} = require('../controllers/giftVoucherController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { ROLES } = require('../config/roles');
+
+// Apply protection to all routes
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER));
+
+// Validation rules
+const issueValidation = [
+  body('amount').isFloat({ gt: 0 }).withMessage('Voucher amount must be greater than zero'),
+  body('code').optional().isString().trim().isLength({ min: 4, max: 50 }).withMessage('Code must be 4 to 50 characters'),
+  body('paymentMethod').optional().isIn(['cash', 'card', 'mobile', 'other']).withMessage('Invalid payment method'),
+  body('customerId').optional({ nullable: true }).isInt().withMessage('Customer ID must be an integer'),
+  body('customerPhone').optional({ nullable: true }).isString().trim(),
+  body('purchaserName').optional({ nullable: true }).isString().trim(),
+  body('recipientName').optional({ nullable: true }).isString().trim(),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+  body('notes').optional({ nullable: true }).isString().trim()
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Gift Vouchers
+ *   description: Gift vouchers and store credit, redeemed as tenders
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GiftVoucher:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         code:
+ *           type: string
+ *           example: GV-7KQ2-M9TX
+ *         type:
+ *           type: string
+ *           enum: [gift_voucher, store_credit]
+ *         initialValue:
+ *           type: number
+ *           format: decimal
+ *         balance:
+ *           type: number
+ *           format: decimal
+ *         status:
+ *           type: string
+ *           enum: [active, redeemed, expired, void]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         customerId:
+ *           type: integer
+ *         purchaserName:
+ *           type: string
+ *         recipientName:
+ *           type: string
+ *         paymentMethod:
+ *           type: string
+ *           enum: [cash, card, mobile, other]
+ *         sourceSaleId:
+ *           type: integer
+ *           description: Sale refunded to store credit
+ *         issuedByName:
+ *           type: string
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/gift-vouchers:
+ *   get:
+ *     summary: List gift vouchers and store credit
+ *     tags: [Gift Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [gift_voucher, store_credit]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, redeemed, expired, void]
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches code, purchaser or recipient name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Vouchers, newest first
+ *   post:
+ *     summary: Sell a gift voucher
+ *     description: |
+ *       Issues a gift voucher for the amount paid. Leave out the code to have
+ *       one generated, or give the code printed on a paper voucher. Vouchers
+ *       expire after GIFT_VOUCHER_VALIDITY_MONTHS (12 by default) unless an
+ *       expiry date is given. Cash taken for the voucher goes into the
+ *       seller's open drawer.
+ *     tags: [Gift Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 format: decimal
+ *                 example: 5000
+ *               code:
+ *                 type: string
+ *                 description: Pre-printed voucher code
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, mobile, other]
+ *                 default: cash
+ *               customerId:
+ *                 type: integer
+ *               customerPhone:
+ *                 type: string
+ *               purchaserName:
+ *                 type: string
+ *               recipientName:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Voucher issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GiftVoucher'
+ *       400:
+ *         description: Validation error, or no open drawer for a cash sale
+ *       409:
+ *         description: Code already in use
+ */
+router.route('/')
+  .get(apiLimiter, getVouchers)
+  .post(apiLimiter, issueValidation, validate, issueVoucher);
+
+/**
+ * @swagger
+ * /api/gift-vouchers/{code}:
+ *   get:
+ *     summary: Check a voucher's balance
+ *     description: Returns the voucher with its ledger. A voucher past its expiry date is expired on lookup.
+ *     tags: [Gift Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Voucher and its transactions
+ *       404:
+ *         description: Voucher not found
+ */
+router.get('/:code', apiLimiter, getVoucher);
+
+/**
+ * @swagger
+ * /api/gift-vouchers/{code}/void:
+ *   post:
+ *     summary: Void a voucher
+ *     description: The voucher can no longer be redeemed and its remaining balance is written off.
+ *     tags: [Gift Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Reported stolen
+ *     responses:
+ *       200:
+ *         description: Voucher voided
+ *       400:
+ *         description: Voucher is not active
+ *       404:
+ *         description: Voucher not found
+ */
+router.post('/:code/void', apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), [
+  body('reason').notEmpty().trim().withMessage('Void reason is required')
+], validate, voidVoucher);
+
+module.exports = router;
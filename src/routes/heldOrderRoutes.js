@@ -0,0 +1,242 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  parkOrder,
+  getHeldOrders,
+  getHeldOrderById,
+  recallOrder,
+  discardOrder
+} = require('../controllers/heldOrderController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { ROLES } = require('../config/roles');
+
+// Apply protection to all routes
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER));
+
+// Validation rules
+const parkValidation = [
+  body('items').isArray({ min: 1 }).withMessage('Items array is required and must not be empty'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('orderType').optional().isIn(['dine-in', 'takeaway', 'delivery']).withMessage('Invalid order type. Must be dine-in, takeaway, or delivery'),
+  body('tableId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Table ID must be a valid integer'),
+  body('label').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('Label must be at most 100 characters'),
+  body('deviceId').optional({ nullable: true }).isString().trim().withMessage('Device ID must be a string'),
+  body('promotionIds').optional().isArray().withMessage('Promotion IDs must be an array'),
+  body('promoCode').optional({ nullable: true }).isString().trim().withMessage('Promo code must be a string')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Held Orders
+ *   description: Park orders at the register and recall them later
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HeldOrder:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         holdNumber:
+ *           type: string
+ *           example: HOLD-20261018-0001
+ *         label:
+ *           type: string
+ *         items:
+ *           type: array
+ *           description: Cart lines as entered (same shape as POST /api/sales items)
+ *           items:
+ *             type: object
+ *         orderType:
+ *           type: string
+ *           enum: [dine-in, takeaway, delivery]
+ *         tableId:
+ *           type: integer
+ *         customerName:
+ *           type: string
+ *         totalAmount:
+ *           type: number
+ *           description: Total when parked (display only)
+ *         cashierId:
+ *           type: integer
+ *         deviceId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [held, recalled, discarded]
+ */
+
+/**
+ * @swagger
+ * /api/held-orders:
+ *   get:
+ *     summary: List held orders
+ *     description: Cashiers see their own parked orders plus those parked on the given device. Managers and admins see all and may filter by cashier or device.
+ *     tags: [Held Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [held, recalled, discarded]
+ *           default: held
+ *       - in: query
+ *         name: cashierId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of held orders
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Park the current order
+ *     tags: [Held Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               orderType:
+ *                 type: string
+ *                 enum: [dine-in, takeaway, delivery]
+ *               tableId:
+ *                 type: integer
+ *               label:
+ *                 type: string
+ *               customerName:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               deviceId:
+ *                 type: string
+ *               promotionIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               promoCode:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order parked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HeldOrder'
+ *       400:
+ *         description: Validation error
+ */
+router.route('/')
+  .get(apiLimiter, getHeldOrders)
+  .post(apiLimiter, parkValidation, validate, parkOrder);
+
+/**
+ * @swagger
+ * /api/held-orders/{id}/recall:
+ *   post:
+ *     summary: Recall a held order
+ *     description: Drops lines that are no longer available and re-prices the rest against current VAT settings, price levels and promotions. Returns a cart ready to submit to POST /api/sales.
+ *     tags: [Held Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Re-priced cart with unavailable items and price-change warnings
+ *       404:
+ *         description: Held order not found
+ *       409:
+ *         description: Order already recalled or discarded
+ */
+router.post('/:id/recall', apiLimiter, recallOrder);
+
+/**
+ * @swagger
+ * /api/held-orders/{id}:
+ *   get:
+ *     summary: Get a held order
+ *     tags: [Held Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Held order details
+ *       404:
+ *         description: Held order not found
+ *   delete:
+ *     summary: Discard a held order
+ *     tags: [Held Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               deviceId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Held order discarded
+ *       404:
+ *         description: Held order not found
+ *       409:
+ *         description: Order already recalled or discarded
+ */
+router.route('/:id')
+  .get(apiLimiter, getHeldOrderById)
+  .delete(apiLimiter, discardOrder);
+
+module.exports = router;
@@ -7,6 +7,9 @@ const {
   getKitchenOrderById,
   updateOrderStatus,
   linkSaleToOrder,
+  fireOrderCourse,
+  holdOrderCourse,
+  fireSaleCourse,
   updateItemStatus,
   cancelKitchenOrder,
   updateKitchenOrder,
@@ -43,6 +46,7 @@ const createOrderValidation = [
   body('items.*.productName').optional().isString().withMessage('Product name must be a string'),
   body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
   body('items.*.unitPrice').optional().isNumeric().withMessage('Unit price must be numeric'),
+  body('items.*.course').optional().isInt({ min: 1, max: 9 }).withMessage('Course must be between 1 and 9'),
   body('orderType').optional().isIn(['dine-in', 'takeaway', 'delivery']).withMessage('Invalid order type'),
   body('priority').optional().isIn(['low', 'normal', 'high', 'urgent']).withMessage('Invalid priority level')
 ];
@@ -56,6 +60,14 @@ const linkSaleValidation = [
   body('status').optional().isIn(['unpaid', 'pending', 'preparing', 'ready', 'completed', 'cancelled']).withMessage('Invalid status')
 ];
 
+const fireCourseValidation = [
+  body('course').optional().isInt({ min: 1, max: 9 }).withMessage('Course must be between 1 and 9')
+];
+
+const holdCourseValidation = [
+  body('course').isInt({ min: 1, max: 9 }).withMessage('Course is required and must be between 1 and 9')
+];
+
 const updateItemStatusValidation = [
   body('status').isIn(['pending', 'preparing', 'ready', 'completed']).withMessage('Invalid item status')
 ];
@@ -63,7 +75,8 @@ const updateItemStatusValidation = [
 const createStationValidation = [
   body('name').notEmpty().withMessage('Station name is required'),
   body('code').notEmpty().withMessage('Station code is required'),
-  body('productCategories').isArray().withMessage('Product categories must be an array')
+  body('productCategories').isArray().withMessage('Product categories must be an array'),
+  body('printerId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Printer ID must be a positive integer')
 ];
 
 /**
@@ -92,6 +105,10 @@ const createStationValidation = [
  *                 type: array
  *                 items:
  *                   type: object
+ *                   properties:
+ *                     course:
+ *                       type: integer
+ *                       description: Course number; courses after the first are held until fired
  *               orderType:
  *                 type: string
  *                 enum: [dine-in, takeaway, delivery]
@@ -219,7 +236,7 @@ router.put('/orders/:id', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANA
  * /api/kitchen/orders/{id}/status:
  *   patch:
  *     summary: Update kitchen order status
- *     description: Update the status of a kitchen order (pending, preparing, ready, completed, cancelled)
+ *     description: Update the status of a kitchen order (pending, preparing, ready, completed, cancelled). An order with held courses can't be completed.
  *     tags: [Kitchen]
  *     security:
  *       - bearerAuth: []
@@ -247,6 +264,107 @@ router.put('/orders/:id', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANA
  */
 router.patch('/orders/:id/status', apiLimiter, protect, updateOrderStatusValidation, validate, updateOrderStatus);
 
+/**
+ * @swagger
+ * /api/kitchen/orders/{id}/fire:
+ *   post:
+ *     summary: Fire a held course
+ *     description: |
+ *       Sends a held course of the order to its station. Without a course the next held course is fired.
+ *       An order that was ready goes back to pending for the new course.
+ *     tags: [Kitchen]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               course:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Course fired
+ *       400:
+ *         description: No held course (or not the one given)
+ */
+router.post('/orders/:id/fire', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER), fireCourseValidation, validate, fireOrderCourse);
+
+/**
+ * @swagger
+ * /api/kitchen/orders/{id}/hold:
+ *   post:
+ *     summary: Hold a fired course
+ *     description: Takes a course back off the station, as long as none of its items has been started
+ *     tags: [Kitchen]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - course
+ *             properties:
+ *               course:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Course held
+ *       400:
+ *         description: The course isn't fired or has been started
+ */
+router.post('/orders/:id/hold', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER), holdCourseValidation, validate, holdOrderCourse);
+
+/**
+ * @swagger
+ * /api/kitchen/sales/{saleId}/fire:
+ *   post:
+ *     summary: Fire a held course for a whole sale
+ *     description: Fires the course on every station ticket of the sale. Without a course the next held course is fired.
+ *     tags: [Kitchen]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               course:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Course fired
+ *       404:
+ *         description: The sale has no active kitchen orders
+ */
+router.post('/sales/:saleId/fire', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER), fireCourseValidation, validate, fireSaleCourse);
+
 /**
  * @swagger
  * /api/kitchen/orders/{id}/link-sale:
@@ -317,6 +435,8 @@ router.patch('/orders/:id/link-sale', apiLimiter, protect, authorize(ROLES.ADMIN
  *     responses:
  *       200:
  *         description: Item status updated successfully
+ *       400:
+ *         description: Item belongs to a held course that has not been fired
  */
 router.patch('/orders/:id/items/:itemIndex/status', apiLimiter, protect, updateItemStatusValidation, validate, updateItemStatus);
 
@@ -437,7 +557,7 @@ router.patch('/orders/:id/reset-delay', apiLimiter, protect, resetDelay);
  *           format: date
  *     responses:
  *       200:
- *         description: Metrics retrieved successfully
+ *         description: Metrics; avgPrepTime runs from fire (or start) to ready, avgTicketTime from fire to ready
  */
 router.get('/metrics', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER), getKitchenMetrics);
 
@@ -488,6 +608,9 @@ router.get('/metrics', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER
  *                 items:
  *                   type: string
  *                 example: ["Burgers", "Steaks"]
+ *               printerId:
+ *                 type: integer
+ *                 description: Registered printer for the station's tickets (see /api/print/printers)
  *     responses:
  *       201:
  *         description: Station created successfully
@@ -552,6 +675,12 @@ router.get('/stations/:id', apiLimiter, protect, getStationById);
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: showHeld
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to leave items of courses not yet fired out
  *     responses:
  *       200:
  *         description: Orders retrieved successfully
@@ -563,7 +692,7 @@ router.get('/stations/:id/orders', apiLimiter, protect, getOrdersByStation);
  * /api/kitchen/stations/{id}/dashboard:
  *   get:
  *     summary: Get dashboard stats for station
- *     description: Retrieve inventory and production capability for a specific station
+ *     description: Retrieve inventory, production capability and the order queue for a specific station. Items of courses not yet fired are flagged `held`.
  *     tags: [Kitchen]
  *     security:
  *       - bearerAuth: []
@@ -573,6 +702,12 @@ router.get('/stations/:id/orders', apiLimiter, protect, getOrdersByStation);
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: showHeld
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to leave held items out of the queue
  *     responses:
  *       200:
  *         description: Stats retrieved successfully
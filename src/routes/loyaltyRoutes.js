@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getSettings,
+  updateSettings,
+  getAccount,
+  adjustPoints
+} = require('../controllers/loyaltyController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { ROLES } = require('../config/roles');
+
+// Apply protection to all routes
+router.use(protect);
+
+// Validation rules
+const settingsValidation = [
+  body('isEnabled').optional().isBoolean().withMessage('isEnabled must be true or false'),
+  body('pointsPerUnit').optional().isFloat({ min: 0 }).withMessage('Points per unit must be zero or more'),
+  body('spendUnit').optional().isFloat({ gt: 0 }).withMessage('Spend unit must be above zero'),
+  body('categoryMultipliers').optional().isObject().withMessage('Category multipliers must be an object of category: multiplier'),
+  body('bonusDays').optional().isArray().withMessage('Bonus days must be an array'),
+  body('bonusDays.*.dayOfWeek').optional().isInt({ min: 0, max: 6 }).withMessage('dayOfWeek must be 0 (Sunday) to 6 (Saturday)'),
+  body('bonusDays.*.date').optional().isDate({ format: 'YYYY-MM-DD' }).withMessage('Bonus date must be YYYY-MM-DD'),
+  body('bonusDays.*.multiplier').isFloat({ min: 0 }).withMessage('Each bonus day needs a multiplier'),
+  body('tiers').optional().isArray().withMessage('Tiers must be an array'),
+  body('tiers.*.name').notEmpty().withMessage('Each tier needs a name'),
+  body('tiers.*.minLifetimePoints').isInt({ min: 0 }).withMessage('Each tier needs minLifetimePoints'),
+  body('tiers.*.earnMultiplier').optional().isFloat({ min: 0 }).withMessage('Earn multiplier must be zero or more'),
+  body('pointValue').optional().isFloat({ gt: 0 }).withMessage('Point value must be above zero'),
+  body('minRedeemPoints').optional().isInt({ min: 1 }).withMessage('Minimum redeemable points must be at least 1')
+];
+
+const adjustValidation = [
+  body('points').isInt().not().equals('0').withMessage('Points must be a whole number other than zero'),
+  body('reason').notEmpty().trim().withMessage('Reason is required')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Loyalty
+ *   description: Loyalty points programme. Points are earned on sales for known customers and redeemed at checkout (POST /api/sales with redeemPoints).
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoyaltySettings:
+ *       type: object
+ *       properties:
+ *         isEnabled:
+ *           type: boolean
+ *         pointsPerUnit:
+ *           type: number
+ *           example: 1
+ *           description: Points earned for every spendUnit LKR spent
+ *         spendUnit:
+ *           type: number
+ *           example: 100
+ *         categoryMultipliers:
+ *           type: object
+ *           example: { "Beverages": 2, "Alcohol": 0 }
+ *         bonusDays:
+ *           type: array
+ *           example: [{ "dayOfWeek": 2, "multiplier": 2, "label": "Double Tuesday" }, { "date": "2026-12-25", "multiplier": 3 }]
+ *           items:
+ *             type: object
+ *         tiers:
+ *           type: array
+ *           example: [{ "name": "Silver", "minLifetimePoints": 0, "earnMultiplier": 1 }, { "name": "Gold", "minLifetimePoints": 5000, "earnMultiplier": 1.5 }]
+ *           items:
+ *             type: object
+ *         pointValue:
+ *           type: number
+ *           example: 1
+ *           description: LKR value of one point when redeemed
+ *         minRedeemPoints:
+ *           type: integer
+ *           example: 100
+ */
+
+/**
+ * @swagger
+ * /api/loyalty/settings:
+ *   get:
+ *     summary: Get loyalty settings
+ *     tags: [Loyalty]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active settings (defaults when none have been saved)
+ *   put:
+ *     summary: Update loyalty settings
+ *     tags: [Loyalty]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoyaltySettings'
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Validation error
+ */
+router.route('/settings')
+  .get(apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), getSettings)
+  .put(apiLimiter, authorize(ROLES.ADMIN), settingsValidation, validate, updateSettings);
+
+/**
+ * @swagger
+ * /api/loyalty/accounts/{phone}:
+ *   get:
+ *     summary: Points account for a phone number
+ *     tags: [Loyalty]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Balance, lifetime points, tier, next tier, redeemable value and ledger entries
+ *       404:
+ *         description: No customer with this phone number
+ */
+router.get('/accounts/:phone', apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER), getAccount);
+
+/**
+ * @swagger
+ * /api/loyalty/accounts/{phone}/adjust:
+ *   post:
+ *     summary: Manually add or remove points
+ *     tags: [Loyalty]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - points
+ *               - reason
+ *             properties:
+ *               points:
+ *                 type: integer
+ *                 example: -50
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded
+ *       400:
+ *         description: Validation error or not enough points
+ *       404:
+ *         description: No customer with this phone number
+ */
+router.post('/accounts/:phone/adjust', apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), adjustValidation, validate, adjustPoints);
+
+module.exports = router;
@@ -9,7 +9,22 @@ const {
   toggleAvailability,
   getMenuItemsByCategory,
   getCategories,
-  getMenuItemsByKitchen
+  getMenuItemsByKitchen,
+  getModifierGroups,
+  createModifierGroup,
+  updateModifierGroup,
+  deleteModifierGroup,
+  setMenuItemModifierGroups,
+  getCombos,
+  getComboById,
+  createCombo,
+  updateCombo,
+  deleteCombo,
+  getPriceLevels,
+  createPriceLevel,
+  updatePriceLevel,
+  deletePriceLevel,
+  getCurrentPrice
 } = require('../controllers/menuController');
 const { protect, authorize } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
@@ -265,6 +280,437 @@ router.get('/category/:category', apiLimiter, getMenuItemsByCategory);
  */
 router.get('/kitchen/:kitchenStationId', apiLimiter, getMenuItemsByKitchen);
 
+/**
+ * @swagger
+ * /api/menu/modifier-groups:
+ *   get:
+ *     summary: Get all modifier groups with their modifiers
+ *     tags: [Menu]
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of modifier groups
+ *   post:
+ *     summary: Create modifier group
+ *     description: |
+ *       Create a group such as "Extras" or "Remove" with min/max selections.
+ *       Each modifier has a price delta and its own ingredient rows. For `add`
+ *       modifiers the rows are deducted on top of the recipe; for `remove`
+ *       modifiers the rows reduce the matching recipe ingredient (quantity 0 skips it entirely).
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Extras
+ *               minSelections:
+ *                 type: integer
+ *                 example: 0
+ *               maxSelections:
+ *                 type: integer
+ *                 example: 3
+ *               modifiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: Extra cheese
+ *                     action:
+ *                       type: string
+ *                       enum: [add, remove]
+ *                     priceDelta:
+ *                       type: number
+ *                       example: 150
+ *                     ingredients:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           ingredientId:
+ *                             type: integer
+ *                           quantity:
+ *                             type: number
+ *                           unit:
+ *                             type: string
+ *     responses:
+ *       201:
+ *         description: Modifier group created successfully
+ *       400:
+ *         description: Invalid selection limits or modifier data
+ */
+router.get('/modifier-groups', apiLimiter, getModifierGroups);
+router.post('/modifier-groups', protect, authorize('Admin', 'Manager'), apiLimiter, createModifierGroup);
+
+/**
+ * @swagger
+ * /api/menu/modifier-groups/{groupId}:
+ *   put:
+ *     summary: Update modifier group
+ *     description: When a modifiers array is supplied it replaces the group's existing modifiers.
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Modifier group updated successfully
+ *       404:
+ *         description: Modifier group not found
+ *   delete:
+ *     summary: Deactivate modifier group
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Modifier group deactivated successfully
+ */
+router.put('/modifier-groups/:groupId', protect, authorize('Admin', 'Manager'), apiLimiter, updateModifierGroup);
+router.delete('/modifier-groups/:groupId', protect, authorize('Admin', 'Manager'), apiLimiter, deleteModifierGroup);
+
+/**
+ * @swagger
+ * /api/menu/combos:
+ *   get:
+ *     summary: Get all combo / set-meal bundles
+ *     tags: [Menu]
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isAvailable
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of combos with slots and substitution options
+ *   post:
+ *     summary: Create combo
+ *     description: |
+ *       A combo is sold at a bundle price and made of component slots. Each slot
+ *       has a default menu item and optional substitutions with a surcharge.
+ *       At checkout the bundle price is spread over the components in proportion
+ *       to their standalone prices, and each component is routed and deducted on its own.
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - price
+ *               - slots
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Rice & Curry Set
+ *               price:
+ *                 type: number
+ *                 example: 950
+ *               slots:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: Drink
+ *                     defaultMenuItemId:
+ *                       type: integer
+ *                       example: 12
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *                     options:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           menuItemId:
+ *                             type: integer
+ *                             example: 14
+ *                           priceDelta:
+ *                             type: number
+ *                             example: 100
+ *     responses:
+ *       201:
+ *         description: Combo created successfully
+ *       400:
+ *         description: Invalid slots or menu items
+ */
+router.get('/combos', apiLimiter, getCombos);
+router.post('/combos', protect, authorize('Admin', 'Manager'), apiLimiter, createCombo);
+
+/**
+ * @swagger
+ * /api/menu/combos/{comboId}:
+ *   get:
+ *     summary: Get combo by ID
+ *     tags: [Menu]
+ *     parameters:
+ *       - in: path
+ *         name: comboId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Combo details
+ *       404:
+ *         description: Combo not found
+ *   put:
+ *     summary: Update combo
+ *     description: When a slots array is supplied it replaces the combo's existing slots.
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: comboId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Combo updated successfully
+ *       404:
+ *         description: Combo not found
+ *   delete:
+ *     summary: Deactivate combo
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: comboId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Combo deactivated successfully
+ */
+router.get('/combos/:comboId', apiLimiter, getComboById);
+router.put('/combos/:comboId', protect, authorize('Admin', 'Manager'), apiLimiter, updateCombo);
+router.delete('/combos/:comboId', protect, authorize('Admin', 'Manager'), apiLimiter, deleteCombo);
+
+/**
+ * @swagger
+ * /api/menu/price-levels/{levelId}:
+ *   put:
+ *     summary: Update a price level
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: levelId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Price level updated successfully
+ *       404:
+ *         description: Price level not found
+ *   delete:
+ *     summary: Deactivate a price level
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: levelId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Price level deactivated successfully
+ *       404:
+ *         description: Price level not found
+ */
+router.put('/price-levels/:levelId', protect, authorize('Admin', 'Manager'), apiLimiter, updatePriceLevel);
+router.delete('/price-levels/:levelId', protect, authorize('Admin', 'Manager'), apiLimiter, deletePriceLevel);
+
+/**
+ * @swagger
+ * /api/menu/{id}/price-levels:
+ *   get:
+ *     summary: Get price levels for a menu item
+ *     tags: [Menu]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of price levels
+ *   post:
+ *     summary: Create a price level for a menu item
+ *     description: |
+ *       A price level overrides the menu (or portion) price for an order type,
+ *       a day/time schedule, or both. Happy hour example: daysOfWeek [1-5],
+ *       startTime 17:00, endTime 19:00. When several levels match, the highest
+ *       priority wins, then the most specific one.
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - price
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Happy Hour
+ *               price:
+ *                 type: number
+ *                 example: 450.00
+ *               portionId:
+ *                 type: integer
+ *                 nullable: true
+ *               orderType:
+ *                 type: string
+ *                 enum: [dine-in, takeaway, delivery]
+ *                 nullable: true
+ *               daysOfWeek:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [1, 2, 3, 4, 5]
+ *               startTime:
+ *                 type: string
+ *                 example: "17:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "19:00"
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               priority:
+ *                 type: integer
+ *                 example: 0
+ *     responses:
+ *       201:
+ *         description: Price level created successfully
+ *       404:
+ *         description: Menu item not found
+ */
+router.get('/:id/price-levels', apiLimiter, getPriceLevels);
+router.post('/:id/price-levels', protect, authorize('Admin', 'Manager'), apiLimiter, createPriceLevel);
+
+/**
+ * @swagger
+ * /api/menu/{id}/current-price:
+ *   get:
+ *     summary: Get the price that applies to a menu item right now
+ *     tags: [Menu]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: orderType
+ *         schema:
+ *           type: string
+ *           enum: [dine-in, takeaway, delivery]
+ *       - in: query
+ *         name: portionId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Resolved price and the price level applied
+ *       404:
+ *         description: Menu item not found
+ */
+router.get('/:id/current-price', apiLimiter, getCurrentPrice);
+
+/**
+ * @swagger
+ * /api/menu/{id}/modifier-groups:
+ *   put:
+ *     summary: Set the modifier groups offered on a menu item
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               modifierGroupIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [1, 2]
+ *     responses:
+ *       200:
+ *         description: Modifier groups updated successfully
+ *       404:
+ *         description: Menu item not found
+ */
+router.put('/:id/modifier-groups', protect, authorize('Admin', 'Manager'), apiLimiter, setMenuItemModifierGroups);
+
 /**
  * @swagger
  * /api/menu/{id}:
@@ -7,6 +7,7 @@ const mobilePaymentController = require('../controllers/mobilePaymentController'
 const payHereController = require('../controllers/payHereController');
 const { protect, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const idempotency = require('../middleware/idempotency');
 
 /**
  * @swagger
@@ -17,6 +18,8 @@ const validate = require('../middleware/validate');
  *     description: Card payment gateway integration and processing
  *   - name: Mobile Payments
  *     description: QR code and mobile wallet payment processing
+ *   - name: Mixed Payments
+ *     description: Paying one sale with several tenders
  */
 
 /**
@@ -123,6 +126,8 @@ const validate = require('../middleware/validate');
  *     tags: [Cash Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -150,8 +155,16 @@ const validate = require('../middleware/validate');
  *               amountPaid:
  *                 type: number
  *                 format: decimal
- *                 description: Amount paid by customer
+ *                 description: Amount paid by customer (covers the amount plus any tip)
  *                 example: 2000.00
+ *               tipAmount:
+ *                 type: number
+ *                 format: decimal
+ *                 description: Tip on top of the amount; kept out of sale totals and VAT
+ *                 example: 200.00
+ *               tipRecipientId:
+ *                 type: integer
+ *                 description: Staff member the tip belongs to (defaults to the sale's cashier)
  *               denominations:
  *                 type: array
  *                 description: Cash denomination breakdown (optional)
@@ -192,13 +205,132 @@ router.post(
     body('saleId').optional().isInt().withMessage('Sale ID must be an integer'),
     body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
     body('amountPaid').isFloat({ min: 0 }).withMessage('Amount paid must be a positive number'),
+    body('tipAmount').optional().isFloat({ min: 0 }).withMessage('Tip amount must be zero or more'),
+    body('tipRecipientId').optional().isInt().withMessage('Tip recipient ID must be an integer'),
     body('denominations').optional().isArray().withMessage('Denominations must be an array'),
     body('notes').optional().isString().trim()
   ],
   validate,
+  idempotency,
   paymentController.processCashPayment
 );
 
+/**
+ * @swagger
+ * /api/payments/mixed/process:
+ *   post:
+ *     summary: Pay a sale with several tenders
+ *     description: |
+ *       Splits payment for one sale across cash, card, mobile wallet, PayHere,
+ *       gift voucher and store credit tenders. Each tender is recorded as its
+ *       own payment transaction. Non-cash tenders are charged exactly and cannot
+ *       exceed the balance due; only the cash tender may be over-tendered, and
+ *       change is given from it. A cash tender requires an open cash drawer.
+ *       Gift voucher and store credit tenders give the code as their reference
+ *       and are taken off the voucher's balance.
+ *     tags: [Mixed Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - saleId
+ *               - tenders
+ *             properties:
+ *               saleId:
+ *                 type: integer
+ *                 example: 42
+ *               tenders:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - method
+ *                     - amount
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       enum: [cash, card, mobile, payhere, gift_voucher, store_credit]
+ *                     amount:
+ *                       type: number
+ *                       format: decimal
+ *                       description: Amount towards the sale; for cash, the amount handed over
+ *                     tipAmount:
+ *                       type: number
+ *                       format: decimal
+ *                       description: Tip on this tender, on top of its amount (cash tips come out of the cash handed over)
+ *                     denominations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Denomination'
+ *                     cardBrand:
+ *                       type: string
+ *                     cardLast4:
+ *                       type: string
+ *                     authorizationCode:
+ *                       type: string
+ *                     walletType:
+ *                       type: string
+ *                     phoneNumber:
+ *                       type: string
+ *                     qrId:
+ *                       type: string
+ *                     gatewayTransactionId:
+ *                       type: string
+ *                     reference:
+ *                       type: string
+ *                       description: Voucher or store credit code (required for those tenders), or other tender reference
+ *                 example:
+ *                   - method: card
+ *                     amount: 2000
+ *                     cardBrand: Visa
+ *                     cardLast4: '4242'
+ *                     authorizationCode: A1B2C3
+ *                   - method: cash
+ *                     amount: 1000
+ *               tipRecipientId:
+ *                 type: integer
+ *                 description: Staff member the tips belong to (defaults to the sale's cashier)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded; one transaction per tender
+ *       400:
+ *         description: Tenders short of or over the balance due, no open drawer for cash, or a voucher that is expired, used up or short of the amount
+ *       404:
+ *         description: Sale or voucher not found
+ *       409:
+ *         description: Sale already paid in full
+ */
+router.post(
+  '/mixed/process',
+  protect,
+  authorize('Admin', 'Manager', 'Cashier'),
+  [
+    body('saleId').isInt().withMessage('Sale ID must be an integer'),
+    body('tenders').isArray({ min: 1 }).withMessage('At least one tender is required'),
+    body('tenders.*.method').isIn(['cash', 'card', 'mobile', 'payhere', 'gift_voucher', 'store_credit']).withMessage('Invalid tender method'),
+    body('tenders.*.amount').isFloat({ gt: 0 }).withMessage('Tender amount must be greater than zero'),
+    body('tenders.*.denominations').optional().isArray().withMessage('Denominations must be an array'),
+    body('tenders.*.reference').optional().isString().trim(),
+    body('tenders').custom(tenders => tenders.every(tender => !['gift_voucher', 'store_credit'].includes(tender.method) || tender.reference))
+      .withMessage('Gift voucher and store credit tenders need the code as their reference'),
+    body('tenders.*.tipAmount').optional().isFloat({ min: 0 }).withMessage('Tip amount must be zero or more'),
+    body('tipRecipientId').optional().isInt().withMessage('Tip recipient ID must be an integer'),
+    body('notes').optional().isString().trim()
+  ],
+  validate,
+  idempotency,
+  paymentController.processMixedPayment
+);
+
 /**
  * @swagger
  * /api/payments/cash/validate:
@@ -451,6 +583,9 @@ router.post(
  *                 type: string
  *                 description: Additional notes
  *                 example: Evening shift closing, minor shortage
+ *               payOutTips:
+ *                 type: boolean
+ *                 description: Pay the shift's unpaid tips out of the drawer before it is counted
  *     responses:
  *       200:
  *         description: Cash drawer closed successfully
@@ -511,18 +646,280 @@ router.post(
     body('closingBalance').isFloat({ min: 0 }).withMessage('Closing balance must be a positive number'),
     body('actualCash').isFloat({ min: 0 }).withMessage('Actual cash must be a positive number'),
     body('denominations').optional().isArray().withMessage('Denominations must be an array'),
-    body('notes').optional().isString().trim()
+    body('notes').optional().isString().trim(),
+    body('payOutTips').optional().isBoolean().withMessage('payOutTips must be a boolean')
   ],
   validate,
   paymentController.closeCashDrawer
 );
 
+/**
+ * @swagger
+ * /api/payments/tips/payout:
+ *   post:
+ *     summary: Pay out unpaid tips from a cash drawer
+ *     description: |
+ *       Pays each staff member their unpaid tips from the drawer's shift in
+ *       cash, one payout per person. Card and mobile tips are paid out in
+ *       cash too, so the payout is taken off the drawer's expected balance.
+ *     tags: [Cash Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - drawerId
+ *             properties:
+ *               drawerId:
+ *                 type: integer
+ *               recipientId:
+ *                 type: integer
+ *                 description: Only pay this staff member
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tips paid out
+ *       400:
+ *         description: Drawer not open
+ *       404:
+ *         description: Cash drawer not found
+ */
+router.post(
+  '/tips/payout',
+  protect,
+  authorize('Admin', 'Manager'),
+  [
+    body('drawerId').isInt().withMessage('Drawer ID must be an integer'),
+    body('recipientId').optional().isInt().withMessage('Recipient ID must be an integer'),
+    body('notes').optional().isString().trim()
+  ],
+  validate,
+  paymentController.payOutTips
+);
+
+/**
+ * @swagger
+ * /api/payments/cash/drawer/movements:
+ *   post:
+ *     summary: Record a paid-in, paid-out or safe drop
+ *     description: |
+ *       Records cash put into or taken out of an open drawer during a shift.
+ *       Movements recorded by a Manager or Admin are approved immediately;
+ *       a cashier's movement stays pending until a manager approves it and
+ *       only then counts towards the drawer's expected balance. A paid-out
+ *       with createExpense also records a cash expense.
+ *     tags: [Cash Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - movementType
+ *               - amount
+ *               - reason
+ *             properties:
+ *               drawerId:
+ *                 type: integer
+ *                 description: Cash drawer ID (defaults to your open drawer; only managers may name another cashier's drawer)
+ *               movementType:
+ *                 type: string
+ *                 enum: [paid_in, paid_out, safe_drop]
+ *               amount:
+ *                 type: number
+ *                 format: decimal
+ *                 example: 1500.00
+ *               reason:
+ *                 type: string
+ *                 example: Milk delivery paid in cash
+ *               reference:
+ *                 type: string
+ *                 description: Receipt or safe bag number
+ *               denominations:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Denomination'
+ *               createExpense:
+ *                 type: boolean
+ *                 description: Record a linked expense (paid-outs only)
+ *               expenseCategory:
+ *                 type: string
+ *                 example: Supplies
+ *               supplierName:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cash movement recorded
+ *       400:
+ *         description: Invalid input, drawer not open or not enough cash in drawer
+ *       403:
+ *         description: Drawer belongs to another cashier
+ *       404:
+ *         description: No open cash drawer found
+ *   get:
+ *     summary: List cash movements
+ *     tags: [Cash Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: drawerId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: movementType
+ *         schema:
+ *           type: string
+ *           enum: [paid_in, paid_out, safe_drop]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Cash movements retrieved successfully
+ */
+router.post(
+  '/cash/drawer/movements',
+  protect,
+  authorize('Admin', 'Manager', 'Cashier'),
+  [
+    body('drawerId').optional().isInt().withMessage('Drawer ID must be an integer'),
+    body('movementType').isIn(['paid_in', 'paid_out', 'safe_drop']).withMessage('Movement type must be paid_in, paid_out or safe_drop'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('reason').trim().notEmpty().withMessage('Reason is required'),
+    body('reference').optional().isString().trim(),
+    body('denominations').optional().isArray().withMessage('Denominations must be an array'),
+    body('createExpense').optional().isBoolean().withMessage('createExpense must be a boolean'),
+    body('expenseCategory').optional().isString().trim(),
+    body('supplierName').optional().isString().trim(),
+    body('notes').optional().isString().trim()
+  ],
+  validate,
+  paymentController.recordCashMovement
+);
+
+router.get(
+  '/cash/drawer/movements',
+  protect,
+  authorize('Admin', 'Manager', 'Cashier'),
+  [
+    query('drawerId').optional().isInt().withMessage('Drawer ID must be an integer'),
+    query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid status'),
+    query('movementType').optional().isIn(['paid_in', 'paid_out', 'safe_drop']).withMessage('Invalid movement type')
+  ],
+  validate,
+  paymentController.getCashMovements
+);
+
+/**
+ * @swagger
+ * /api/payments/cash/drawer/movements/{id}/approve:
+ *   post:
+ *     summary: Approve a pending cash movement
+ *     description: Applies the movement to the drawer totals and creates the linked expense for paid-outs that asked for one
+ *     tags: [Cash Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cash movement approved
+ *       400:
+ *         description: Drawer no longer open or not enough cash in drawer
+ *       404:
+ *         description: Cash movement not found
+ *       409:
+ *         description: Cash movement already approved or rejected
+ */
+router.post(
+  '/cash/drawer/movements/:id/approve',
+  protect,
+  authorize('Admin', 'Manager'),
+  [
+    param('id').isInt().withMessage('Movement ID must be an integer')
+  ],
+  validate,
+  paymentController.approveCashMovement
+);
+
+/**
+ * @swagger
+ * /api/payments/cash/drawer/movements/{id}/reject:
+ *   post:
+ *     summary: Reject a pending cash movement
+ *     tags: [Cash Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cash movement rejected
+ *       404:
+ *         description: Cash movement not found
+ *       409:
+ *         description: Cash movement already approved or rejected
+ */
+router.post(
+  '/cash/drawer/movements/:id/reject',
+  protect,
+  authorize('Admin', 'Manager'),
+  [
+    param('id').isInt().withMessage('Movement ID must be an integer'),
+    body('reason').optional().isString().trim()
+  ],
+  validate,
+  paymentController.rejectCashMovement
+);
+
 /**
  * @swagger
  * /api/payments/cash/refund:
  *   post:
  *     summary: Process cash refund
- *     description: Process a cash refund for a completed sale (Manager/Admin only)
+ *     description: |
+ *       Process a full, partial or item-level cash refund for a sale (Manager/Admin only).
+ *       With refundTo store_credit the amount is issued as store credit instead of cash;
+ *       any sale can be refunded this way and no open drawer is needed.
  *     tags: [Cash Payments]
  *     security:
  *       - bearerAuth: []
@@ -534,7 +931,6 @@ router.post(
  *             type: object
  *             required:
  *               - saleId
- *               - amount
  *               - reason
  *             properties:
  *               saleId:
@@ -544,12 +940,35 @@ router.post(
  *               amount:
  *                 type: number
  *                 format: decimal
- *                 description: Refund amount
+ *                 description: Refund amount (required unless items are given)
  *                 example: 1500.00
+ *               items:
+ *                 type: array
+ *                 description: Item-level refund. Lines are indexes into the sale's items; the amount and VAT are calculated from them
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - line
+ *                     - quantity
+ *                   properties:
+ *                     line:
+ *                       type: integer
+ *                       example: 0
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *                     restock:
+ *                       type: boolean
+ *                       description: Put the item's ingredients back (only for items that were not prepared)
+ *                       example: true
  *               reason:
  *                 type: string
  *                 description: Reason for refund
  *                 example: Damaged product returned by customer
+ *               refundTo:
+ *                 type: string
+ *                 enum: [cash, store_credit]
+ *                 default: cash
  *               notes:
  *                 type: string
  *                 description: Additional notes
@@ -593,6 +1012,19 @@ router.post(
  *                     refundNumber:
  *                       type: string
  *                       example: REF-SALE-20251217-0001
+ *                     refundTo:
+ *                       type: string
+ *                       example: store_credit
+ *                     storeCredit:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         code:
+ *                           type: string
+ *                           example: SC-7KQ2-M9TX
+ *                         amount:
+ *                           type: number
+ *                           format: decimal
  *       400:
  *         description: Invalid input or refund not allowed
  *       401:
@@ -608,8 +1040,13 @@ router.post(
   authorize('Admin', 'Manager'),
   [
     body('saleId').isInt().withMessage('Sale ID must be an integer'),
-    body('amount').isFloat({ min: 0.01 }).withMessage('Refund amount must be greater than zero'),
+    body('amount').if(body('items').not().exists()).isFloat({ min: 0.01 }).withMessage('Refund amount must be greater than zero'),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+    body('items.*.line').isInt({ min: 0 }).withMessage('Item line must be a sale item index'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Refund quantity must be at least 1'),
+    body('items.*.restock').optional().isBoolean().withMessage('Restock must be a boolean'),
     body('reason').notEmpty().trim().withMessage('Refund reason is required'),
+    body('refundTo').optional().isIn(['cash', 'store_credit']).withMessage('Refund must go to cash or store credit'),
     body('notes').optional().isString().trim()
   ],
   validate,
@@ -714,6 +1151,14 @@ router.post(
  *                 format: decimal
  *                 description: Payment amount
  *                 example: 1500.00
+ *               tipAmount:
+ *                 type: number
+ *                 format: decimal
+ *                 description: Tip on top of the amount; kept out of sale totals and VAT
+ *                 example: 200.00
+ *               tipRecipientId:
+ *                 type: integer
+ *                 description: Staff member the tip belongs to (defaults to the sale's cashier)
  *               currency:
  *                 type: string
  *                 description: Currency code
@@ -755,6 +1200,8 @@ router.post(
   [
     body('saleId').optional().isInt().withMessage('Sale ID must be an integer'),
     body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero'),
+    body('tipAmount').optional().isFloat({ min: 0 }).withMessage('Tip amount must be zero or more'),
+    body('tipRecipientId').optional().isInt().withMessage('Tip recipient ID must be an integer'),
     body('currency').optional().isString().trim(),
     body('cardType').optional().isString().trim(),
     body('returnUrl').optional().isURL().withMessage('Invalid return URL'),
@@ -773,6 +1220,8 @@ router.post(
  *     tags: [Card Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -848,6 +1297,7 @@ router.post(
     body('saveCard').optional().isBoolean()
   ],
   validate,
+  idempotency,
   cardPaymentController.processCardPayment
 );
 
@@ -1003,7 +1453,6 @@ router.post(
  *             type: object
  *             required:
  *               - transactionId
- *               - amount
  *               - reason
  *             properties:
  *               transactionId:
@@ -1013,8 +1462,27 @@ router.post(
  *               amount:
  *                 type: number
  *                 format: decimal
- *                 description: Refund amount (partial or full)
+ *                 description: Refund amount, partial or full (required unless items are given)
  *                 example: 1500.00
+ *               items:
+ *                 type: array
+ *                 description: Item-level refund. Lines are indexes into the sale's items; the amount and VAT are calculated from them
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - line
+ *                     - quantity
+ *                   properties:
+ *                     line:
+ *                       type: integer
+ *                       example: 0
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *                     restock:
+ *                       type: boolean
+ *                       description: Put the item's ingredients back (only for items that were not prepared)
+ *                       example: true
  *               reason:
  *                 type: string
  *                 description: Reason for refund
@@ -1072,7 +1540,11 @@ router.post(
   authorize('Admin', 'Manager'),
   [
     body('transactionId').notEmpty().trim().withMessage('Transaction ID is required'),
-    body('amount').isFloat({ min: 0.01 }).withMessage('Refund amount must be greater than zero'),
+    body('amount').if(body('items').not().exists()).isFloat({ min: 0.01 }).withMessage('Refund amount must be greater than zero'),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+    body('items.*.line').isInt({ min: 0 }).withMessage('Item line must be a sale item index'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Refund quantity must be at least 1'),
+    body('items.*.restock').optional().isBoolean().withMessage('Restock must be a boolean'),
     body('reason').notEmpty().trim().withMessage('Refund reason is required'),
     body('notes').optional().isString().trim()
   ],
@@ -1302,6 +1774,14 @@ router.post(
  *                 type: string
  *                 enum: [genie, frimi, payhere, ezcash, mcash]
  *                 example: genie
+ *               tipAmount:
+ *                 type: number
+ *                 format: decimal
+ *                 description: Tip on top of the amount; kept out of sale totals and VAT
+ *                 example: 200.00
+ *               tipRecipientId:
+ *                 type: integer
+ *                 description: Staff member the tip belongs to (defaults to the sale's cashier)
  *               expiryMinutes:
  *                 type: integer
  *                 default: 10
@@ -1353,6 +1833,8 @@ router.post(
     body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
     body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
     body('walletType').notEmpty().isIn(['genie', 'frimi', 'payhere', 'ezcash', 'mcash']).withMessage('Invalid wallet type'),
+    body('tipAmount').optional().isFloat({ min: 0 }).withMessage('Tip amount must be zero or more'),
+    body('tipRecipientId').optional().isInt().withMessage('Tip recipient ID must be an integer'),
     body('expiryMinutes').optional().isInt({ min: 1, max: 60 }).withMessage('Expiry must be between 1 and 60 minutes')
   ],
   validate,
@@ -1368,6 +1850,8 @@ router.post(
  *     description: Process payment via mobile wallet (QR-based or direct)
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1395,6 +1879,14 @@ router.post(
  *               phoneNumber:
  *                 type: string
  *                 example: +94771234567
+ *               tipAmount:
+ *                 type: number
+ *                 format: decimal
+ *                 description: Tip on top of the amount for direct payments (QR payments use the tip set when the QR was generated)
+ *                 example: 200.00
+ *               tipRecipientId:
+ *                 type: integer
+ *                 description: Staff member the tip belongs to (defaults to the sale's cashier)
  *               transactionRef:
  *                 type: string
  *               metadata:
@@ -1447,9 +1939,12 @@ router.post(
     body('saleId').optional().isInt().withMessage('Sale ID must be an integer'),
     body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
     body('walletType').notEmpty().withMessage('Wallet type is required'),
-    body('phoneNumber').notEmpty().withMessage('Phone number is required')
+    body('phoneNumber').notEmpty().withMessage('Phone number is required'),
+    body('tipAmount').optional().isFloat({ min: 0 }).withMessage('Tip amount must be zero or more'),
+    body('tipRecipientId').optional().isInt().withMessage('Tip recipient ID must be an integer')
   ],
   validate,
+  idempotency,
   mobilePaymentController.processMobilePayment
 );
 
@@ -1998,6 +2493,9 @@ router.post(
  *                           type: number
  *                         totalCashOut:
  *                           type: number
+ *                         tenderMix:
+ *                           type: object
+ *                           description: Count and amount per payment method across the drawers
  *                     drawers:
  *                       type: array
  *                       items:
@@ -2156,7 +2654,7 @@ router.get(
   [
     query('startDate').optional().isISO8601().withMessage('Invalid start date'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date'),
-    query('paymentMethod').optional().isIn(['cash', 'card', 'mobile']).withMessage('Invalid payment method'),
+    query('paymentMethod').optional().isIn(['cash', 'card', 'mobile', 'payhere', 'gift_voucher', 'store_credit']).withMessage('Invalid payment method'),
     query('cashierId').optional().isInt().withMessage('Cashier ID must be an integer'),
     query('status').optional().isIn(['completed', 'refunded', 'pending', 'failed']).withMessage('Invalid status'),
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -0,0 +1,866 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, param } = require('express-validator');
+const printController = require('../controllers/printController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { ROLES } = require('../config/roles');
+
+router.use(protect);
+router.use(apiLimiter);
+
+// Same options whether they come in the query (downloads) or the body (print jobs)
+const renderValidation = (source) => [
+  source('paperWidth').optional().isIn(['58', '80', 58, 80]).withMessage('Paper width must be 58 or 80 (mm)'),
+  source('language').optional().isIn(['english', 'sinhala', 'tamil']).withMessage('Invalid language'),
+  source('openDrawer').optional().isBoolean().withMessage('openDrawer must be true or false'),
+  source('cut').optional().isIn(['true', 'false', 'partial', true, false]).withMessage('cut must be true, false or partial'),
+  source('reprint').optional().isBoolean().withMessage('reprint must be true or false'),
+  source('stationId').optional().isInt({ min: 1 }).withMessage('Station ID must be a positive integer'),
+  source('cashierId').optional().isInt({ min: 1 }).withMessage('Cashier ID must be a positive integer'),
+  source('qr').optional().isString().isLength({ max: 500 }).withMessage('QR content must be at most 500 characters')
+];
+
+// Printing to an address that is not a registered printer is for managers only
+const printerOverride = (req, res, next) => {
+  if (!req.body || req.body.printer === undefined) {
+    return next();
+  }
+  return authorize(ROLES.ADMIN, ROLES.MANAGER)(req, res, next);
+};
+
+const downloadValidation = renderValidation(query);
+const targetValidation = [
+  printerOverride,
+  body('printerId').optional().isInt({ min: 1 }).withMessage('Printer ID must be a positive integer'),
+  body('printer').optional().matches(/^[\w.-]+(:\d{1,5})?$/).withMessage('Printer must be host or host:port')
+];
+
+const printValidation = [...renderValidation(body), ...targetValidation];
+
+const printerValidation = (creating) => [
+  creating
+    ? body('name').trim().notEmpty().withMessage('Printer name is required')
+    : body('name').optional().trim().notEmpty().withMessage('Printer name cannot be empty'),
+  (creating ? body('host') : body('host').optional()).matches(/^[\w.-]+$/).withMessage('Host must be a hostname or IP address'),
+  body('type').optional().isIn(['receipt', 'kitchen']).withMessage('Type must be receipt or kitchen'),
+  body('port').optional().isInt({ min: 1, max: 65535 }).withMessage('Port must be between 1 and 65535'),
+  body('paperWidth').optional().isIn([58, 80]).withMessage('Paper width must be 58 or 80 (mm)'),
+  body('orderTypes').optional().isArray().withMessage('Order types must be an array'),
+  body('orderTypes.*').isIn(['dine-in', 'takeaway', 'delivery']).withMessage('Invalid order type'),
+  body('receiptTypes').optional().isArray().withMessage('Receipt types must be an array'),
+  body('receiptTypes.*').isIn(['original', 'duplicate', 'refund']).withMessage('Invalid receipt type'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  body('fallbackPrinterId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Fallback printer ID must be a positive integer')
+];
+
+const idValidation = [param('id').isInt({ min: 1 }).withMessage('Invalid ID')];
+const queueIdValidation = [param('queueId').notEmpty().withMessage('Queue ID is required')];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Printing
+ *   description: ESC/POS output, printers and their routing, and the print job log
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Printer:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: Grill Printer
+ *         type:
+ *           type: string
+ *           enum: [receipt, kitchen]
+ *         host:
+ *           type: string
+ *           example: 192.168.1.60
+ *         port:
+ *           type: integer
+ *           default: 9100
+ *         paperWidth:
+ *           type: integer
+ *           enum: [58, 80]
+ *         orderTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [dine-in, takeaway, delivery]
+ *           description: Order types printed here; empty for all
+ *         receiptTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [original, duplicate, refund]
+ *           description: Receipt types printed here; empty for all
+ *         isDefault:
+ *           type: boolean
+ *         fallbackPrinterId:
+ *           type: integer
+ *           nullable: true
+ *           description: Takes the jobs when this printer is disabled or a job to it fails
+ *         location:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *     PrintJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         documentType:
+ *           type: string
+ *           enum: [receipt, offline_receipt, kitchen_ticket, z_report, x_report]
+ *         documentId:
+ *           type: string
+ *         description:
+ *           type: string
+ *         kitchenStationId:
+ *           type: integer
+ *           nullable: true
+ *         printerId:
+ *           type: integer
+ *           nullable: true
+ *           description: Null when sent to RECEIPT_PRINTER / KITCHEN_PRINTER or an address given in the request
+ *         printerAddress:
+ *           type: string
+ *           example: 192.168.1.60:9100
+ *         usedFallback:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [queued, printed, failed]
+ *         attempts:
+ *           type: integer
+ *         bytes:
+ *           type: integer
+ *         errorMessage:
+ *           type: string
+ *           nullable: true
+ *         reprintOfId:
+ *           type: integer
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         printedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     PrintRequest:
+ *       type: object
+ *       properties:
+ *         paperWidth:
+ *           type: integer
+ *           enum: [58, 80]
+ *           description: Defaults to the printer's paper width, then PRINTER_PAPER_WIDTH
+ *         language:
+ *           type: string
+ *           enum: [english, sinhala, tamil]
+ *         openDrawer:
+ *           type: boolean
+ *           description: Kick the cash drawer after printing
+ *         cut:
+ *           oneOf:
+ *             - type: boolean
+ *             - type: string
+ *               enum: [partial]
+ *         printerId:
+ *           type: integer
+ *           description: Print on this registered printer instead of the routed one
+ *         printer:
+ *           type: string
+ *           example: 192.168.1.50:9100
+ *           description: Print on this address instead of the routed printer (Admin and Manager only)
+ *   parameters:
+ *     PaperWidth:
+ *       in: query
+ *       name: paperWidth
+ *       schema:
+ *         type: integer
+ *         enum: [58, 80]
+ *     PrintLanguage:
+ *       in: query
+ *       name: language
+ *       schema:
+ *         type: string
+ *         enum: [english, sinhala, tamil]
+ *     OpenDrawer:
+ *       in: query
+ *       name: openDrawer
+ *       schema:
+ *         type: boolean
+ *   responses:
+ *     EscPos:
+ *       description: Raw ESC/POS bytes to send to the printer as-is
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     PrintQueued:
+ *       description: Job logged and queued; poll /api/print/jobs/{id} for the outcome
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               success:
+ *                 type: boolean
+ *               message:
+ *                 type: string
+ *               data:
+ *                 $ref: '#/components/schemas/PrintJob'
+ */
+
+/**
+ * @swagger
+ * /api/print/jobs:
+ *   get:
+ *     summary: Print job log, newest first
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, printed, failed]
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *           enum: [receipt, offline_receipt, kitchen_ticket, z_report, x_report]
+ *       - in: query
+ *         name: documentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: printerId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: stationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Print jobs
+ */
+router.get(
+  '/jobs',
+  [
+    query('status').optional().isIn(['queued', 'printed', 'failed']).withMessage('Invalid status'),
+    query('documentType').optional().isIn(['receipt', 'offline_receipt', 'kitchen_ticket', 'z_report', 'x_report']).withMessage('Invalid document type'),
+    query('printerId').optional().isInt({ min: 1 }).withMessage('Printer ID must be a positive integer'),
+    query('stationId').optional().isInt({ min: 1 }).withMessage('Station ID must be a positive integer'),
+    query('date').optional().isISO8601().withMessage('Date must be YYYY-MM-DD'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  validate,
+  printController.getJobs
+);
+
+/**
+ * @swagger
+ * /api/print/jobs/{id}:
+ *   get:
+ *     summary: Get a print job
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Print job
+ *       404:
+ *         description: Print job not found
+ */
+router.get('/jobs/:id', idValidation, validate, printController.getJob);
+
+/**
+ * @swagger
+ * /api/print/jobs/{id}/reprint:
+ *   post:
+ *     summary: Print a logged job again
+ *     description: |
+ *       Re-renders the document with the job's options and sends it to the printer it routes to now.
+ *       Kitchen tickets are marked REPRINT and keep to the job's station. The cash drawer is not opened.
+ *       X reports show running totals, so a reprint shows the current figures.
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               printerId:
+ *                 type: integer
+ *               printer:
+ *                 type: string
+ *                 example: 192.168.1.50:9100
+ *                 description: Admin and Manager only
+ *     responses:
+ *       202:
+ *         $ref: '#/components/responses/PrintQueued'
+ *       403:
+ *         description: Role cannot print this document type or address
+ *       404:
+ *         description: Print job or its document not found
+ */
+router.post(
+  '/jobs/:id/reprint',
+  authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER, ROLES.KITCHEN_STAFF),
+  idValidation,
+  targetValidation,
+  validate,
+  printController.reprintJob
+);
+
+/**
+ * @swagger
+ * /api/print/printers:
+ *   get:
+ *     summary: List printers
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [receipt, kitchen]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Printers with their fallback printer and kitchen stations
+ *   post:
+ *     summary: Register a printer
+ *     description: |
+ *       Receipts go to the receipt printer matching the order type and receipt type (a printer limited to
+ *       them wins over one printing everything, then the default). Kitchen tickets go to the station's
+ *       printer, else a kitchen printer matching the order type. Without a match RECEIPT_PRINTER and
+ *       KITCHEN_PRINTER are used, except for tickets printed automatically when an order is created.
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Printer'
+ *     responses:
+ *       201:
+ *         description: Printer registered
+ *       409:
+ *         description: A printer with this name exists
+ */
+router.route('/printers')
+  .get(
+    [
+      query('type').optional().isIn(['receipt', 'kitchen']).withMessage('Type must be receipt or kitchen'),
+      query('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+    ],
+    validate,
+    printController.getPrinters
+  )
+  .post(authorize(ROLES.ADMIN, ROLES.MANAGER), printerValidation(true), validate, printController.createPrinter);
+
+/**
+ * @swagger
+ * /api/print/printers/{id}:
+ *   get:
+ *     summary: Get a printer
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Printer
+ *       404:
+ *         description: Printer not found
+ *   put:
+ *     summary: Update a printer
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Printer'
+ *     responses:
+ *       200:
+ *         description: Printer updated
+ *       400:
+ *         description: Fallback printer would loop back to this one
+ *       404:
+ *         description: Printer not found
+ *   delete:
+ *     summary: Remove a printer
+ *     description: Its stations and the printers falling back to it are left without one. Logged jobs are kept.
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Printer removed
+ *       404:
+ *         description: Printer not found
+ */
+router.route('/printers/:id')
+  .get(idValidation, validate, printController.getPrinter)
+  .put(authorize(ROLES.ADMIN, ROLES.MANAGER), idValidation, printerValidation(false), validate, printController.updatePrinter)
+  .delete(authorize(ROLES.ADMIN), idValidation, validate, printController.deletePrinter);
+
+/**
+ * @swagger
+ * /api/print/stations/{id}/printer:
+ *   put:
+ *     summary: Set the printer for a kitchen station's tickets
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               printerId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Null to stop printing the station's tickets
+ *     responses:
+ *       200:
+ *         description: Station with its printer
+ *       404:
+ *         description: Station or printer not found
+ */
+router.put(
+  '/stations/:id/printer',
+  authorize(ROLES.ADMIN, ROLES.MANAGER),
+  idValidation,
+  [body('printerId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Printer ID must be a positive integer')],
+  validate,
+  printController.assignStationPrinter
+);
+
+/**
+ * @swagger
+ * /api/print/receipts/{id}/escpos:
+ *   get:
+ *     summary: Receipt as ESC/POS bytes
+ *     description: Sinhala and Tamil text is printed as an image when ESCPOS_RASTERIZER is set.
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/PaperWidth'
+ *       - $ref: '#/components/parameters/OpenDrawer'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/EscPos'
+ *       404:
+ *         description: Receipt not found
+ */
+router.get(
+  '/receipts/:id/escpos',
+  authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER),
+  idValidation,
+  downloadValidation,
+  validate,
+  printController.getReceiptEscPos
+);
+
+/**
+ * @swagger
+ * /api/print/receipts/{id}:
+ *   post:
+ *     summary: Print a receipt
+ *     description: |
+ *       Goes to the receipt printer for the receipt's order type and receipt type, and to that printer's
+ *       fallback if it fails. The receipt's delivery status becomes printed or failed once the job finishes.
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrintRequest'
+ *     responses:
+ *       202:
+ *         $ref: '#/components/responses/PrintQueued'
+ *       404:
+ *         description: Receipt not found
+ *       503:
+ *         description: No receipt printer configured
+ */
+router.post(
+  '/receipts/:id',
+  authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER),
+  idValidation,
+  printValidation,
+  validate,
+  printController.printReceipt
+);
+
+/**
+ * @swagger
+ * /api/print/offline-receipts/{queueId}/escpos:
+ *   get:
+ *     summary: Receipt queued while offline as ESC/POS bytes
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: queueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/PaperWidth'
+ *       - $ref: '#/components/parameters/PrintLanguage'
+ *       - $ref: '#/components/parameters/OpenDrawer'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/EscPos'
+ *       404:
+ *         description: Offline receipt not found
+ */
+router.get(
+  '/offline-receipts/:queueId/escpos',
+  authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER),
+  queueIdValidation,
+  downloadValidation,
+  validate,
+  printController.getOfflineReceiptEscPos
+);
+
+/**
+ * @swagger
+ * /api/print/offline-receipts/{queueId}:
+ *   post:
+ *     summary: Print a receipt queued while offline
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: queueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrintRequest'
+ *     responses:
+ *       202:
+ *         $ref: '#/components/responses/PrintQueued'
+ *       404:
+ *         description: Offline receipt not found
+ *       503:
+ *         description: No receipt printer configured
+ */
+router.post(
+  '/offline-receipts/:queueId',
+  authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER),
+  queueIdValidation,
+  printValidation,
+  validate,
+  printController.printOfflineReceipt
+);
+
+/**
+ * @swagger
+ * /api/print/kitchen-orders/{id}/escpos:
+ *   get:
+ *     summary: Kitchen ticket as ESC/POS bytes
+ *     description: Items are grouped by course; held courses are marked HOLD.
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: stationId
+ *         schema:
+ *           type: integer
+ *         description: Only this station's items
+ *       - in: query
+ *         name: reprint
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/PaperWidth'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/EscPos'
+ *       404:
+ *         description: Kitchen order not found
+ */
+router.get(
+  '/kitchen-orders/:id/escpos',
+  authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER, ROLES.KITCHEN_STAFF),
+  idValidation,
+  downloadValidation,
+  validate,
+  printController.getKitchenTicketEscPos
+);
+
+/**
+ * @swagger
+ * /api/print/kitchen-orders/{id}:
+ *   post:
+ *     summary: Print a kitchen order's tickets
+ *     description: |
+ *       One ticket per kitchen station on the order, each on the station's printer (or a kitchen printer
+ *       for the order type), falling back to the printer's fallback if it fails. Tickets are also printed
+ *       automatically when an order is created, on stations that have a registered printer.
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PrintRequest'
+ *               - type: object
+ *                 properties:
+ *                   stationId:
+ *                     type: integer
+ *                   reprint:
+ *                     type: boolean
+ *     responses:
+ *       202:
+ *         description: One job per station ticket
+ *       404:
+ *         description: Kitchen order not found
+ *       503:
+ *         description: No printer for a station and no KITCHEN_PRINTER or RECEIPT_PRINTER set
+ */
+router.post(
+  '/kitchen-orders/:id',
+  authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER, ROLES.KITCHEN_STAFF),
+  idValidation,
+  printValidation,
+  validate,
+  printController.printKitchenTicket
+);
+
+/**
+ * @swagger
+ * /api/print/z-reports/{id}/escpos:
+ *   get:
+ *     summary: Z report as ESC/POS bytes
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/PaperWidth'
+ *       - $ref: '#/components/parameters/PrintLanguage'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/EscPos'
+ *       404:
+ *         description: Z report not found
+ */
+router.get(
+  '/z-reports/:id/escpos',
+  authorize(ROLES.ADMIN, ROLES.MANAGER),
+  idValidation,
+  downloadValidation,
+  validate,
+  printController.getZReportEscPos
+);
+
+/**
+ * @swagger
+ * /api/print/z-reports/{id}:
+ *   post:
+ *     summary: Print a Z report on the receipt printer
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrintRequest'
+ *     responses:
+ *       202:
+ *         $ref: '#/components/responses/PrintQueued'
+ *       404:
+ *         description: Z report not found
+ */
+router.post(
+  '/z-reports/:id',
+  authorize(ROLES.ADMIN, ROLES.MANAGER),
+  idValidation,
+  printValidation,
+  validate,
+  printController.printZReport
+);
+
+/**
+ * @swagger
+ * /api/print/x-report/escpos:
+ *   get:
+ *     summary: Current X report as ESC/POS bytes
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cashierId
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/PaperWidth'
+ *       - $ref: '#/components/parameters/PrintLanguage'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/EscPos'
+ */
+router.get(
+  '/x-report/escpos',
+  authorize(ROLES.ADMIN, ROLES.MANAGER),
+  downloadValidation,
+  validate,
+  printController.getXReportEscPos
+);
+
+/**
+ * @swagger
+ * /api/print/x-report:
+ *   post:
+ *     summary: Print the current X report on the receipt printer
+ *     tags: [Printing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PrintRequest'
+ *               - type: object
+ *                 properties:
+ *                   cashierId:
+ *                     type: integer
+ *     responses:
+ *       202:
+ *         $ref: '#/components/responses/PrintQueued'
+ */
+router.post(
+  '/x-report',
+  authorize(ROLES.ADMIN, ROLES.MANAGER),
+  printValidation,
+  validate,
+  printController.printXReport
+);
+
+module.exports = router;
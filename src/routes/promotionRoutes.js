@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  createPromotion,
+  getPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+  applyPromotions
+} = require('../controllers/promotionController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { ROLES } = require('../config/roles');
+
+// Apply protection to all routes
+router.use(protect);
+
+// Validation rules
+const promotionValidation = [
+  body('name').notEmpty().withMessage('Promotion name is required'),
+  body('type').isIn(['percentage', 'fixed_amount', 'buy_x_get_y', 'category']).withMessage('Invalid promotion type'),
+  body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+  body('menuItemIds').optional().isArray().withMessage('Menu item IDs must be an array'),
+  body('categories').optional().isArray().withMessage('Categories must be an array'),
+  body('buyQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+  body('getQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Get quantity must be at least 1'),
+  body('minOrderAmount').optional().isFloat({ min: 0 }).withMessage('Minimum order amount must be a positive number'),
+  body('maxDiscountAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+  body('daysOfWeek').optional().isArray().withMessage('Days of week must be an array'),
+  body('daysOfWeek.*').optional().isInt({ min: 0, max: 6 }).withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body('startTime').optional({ nullable: true }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be in HH:mm format'),
+  body('endTime').optional({ nullable: true }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be in HH:mm format'),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1')
+];
+
+const applyValidation = [
+  body('items').isArray({ min: 1 }).withMessage('Items array is required and must not be empty'),
+  body('items.*.product').notEmpty().withMessage('Product ID is required for each item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('orderType').optional().isIn(['dine-in', 'takeaway', 'delivery']).withMessage('Invalid order type. Must be dine-in, takeaway, or delivery'),
+  body('promotionIds').optional().isArray().withMessage('Promotion IDs must be an array'),
+  body('promoCode').optional({ nullable: true }).isString().trim().withMessage('Promo code must be a string')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Discount and promotion rules applied at checkout before VAT
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         code:
+ *           type: string
+ *           description: Optional promo code entered at checkout
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed_amount, buy_x_get_y, category]
+ *         value:
+ *           type: number
+ *           description: Percentage (0-100) or fixed LKR amount depending on type
+ *         menuItemIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Items the rule is limited to (empty = all items)
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         buyQuantity:
+ *           type: integer
+ *         getQuantity:
+ *           type: integer
+ *         minOrderAmount:
+ *           type: number
+ *         maxDiscountAmount:
+ *           type: number
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *         daysOfWeek:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: 0 = Sunday. Empty = every day
+ *         startTime:
+ *           type: string
+ *           example: "17:00"
+ *         endTime:
+ *           type: string
+ *           example: "19:00"
+ *         isAutomatic:
+ *           type: boolean
+ *         priority:
+ *           type: integer
+ *         usageLimit:
+ *           type: integer
+ *         usageCount:
+ *           type: integer
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         id: 1
+ *         name: Happy Hour Beverages
+ *         type: category
+ *         value: 20
+ *         categories: ["Beverages"]
+ *         daysOfWeek: [1, 2, 3, 4, 5]
+ *         startTime: "17:00"
+ *         endTime: "19:00"
+ *         isAutomatic: true
+ *         isActive: true
+ */
+
+/**
+ * @swagger
+ * /api/promotions/apply:
+ *   post:
+ *     summary: Preview promotions for a basket
+ *     description: Applies automatic promotions plus any selected promotions or promo code and returns the discounted VAT calculation without creating a sale.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                     unitPrice:
+ *                       type: number
+ *               orderType:
+ *                 type: string
+ *                 enum: [dine-in, takeaway, delivery]
+ *               promotionIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               promoCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Bill calculation with per-line discounts and applied promotions
+ *       400:
+ *         description: Validation error or invalid promo code
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/apply', apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER), applyValidation, validate, applyPromotions);
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: Get all promotions
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [percentage, fixed_amount, buy_x_get_y, category]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: current
+ *         schema:
+ *           type: boolean
+ *         description: Only promotions valid at this moment
+ *     responses:
+ *       200:
+ *         description: List of promotions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Promotion'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized (Admin/Manager only)
+ */
+router.route('/')
+  .get(apiLimiter, getPromotions)
+  .post(apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), promotionValidation, validate, createPromotion);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   get:
+ *     summary: Get promotion by ID
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Promotion details
+ *       404:
+ *         description: Promotion not found
+ *   put:
+ *     summary: Update promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Promotion not found
+ *   delete:
+ *     summary: Deactivate promotion
+ *     description: Promotions are kept for sales history and are only deactivated.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Promotion deactivated successfully
+ *       404:
+ *         description: Promotion not found
+ */
+router.route('/:id')
+  .get(apiLimiter, getPromotionById)
+  .put(apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), updatePromotion)
+  .delete(apiLimiter, authorize(ROLES.ADMIN, ROLES.MANAGER), deletePromotion);
+
+module.exports = router;
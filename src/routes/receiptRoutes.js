@@ -387,17 +387,15 @@ router.get(
  *         schema:
  *           type: integer
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - email
  *             properties:
  *               email:
  *                 type: string
  *                 format: email
+ *                 description: Defaults to the customer's stored email address
  *     responses:
  *       200:
  *         description: Email sent successfully
@@ -406,7 +404,7 @@ router.post(
   '/:id/send/email',
   protect,
   param('id').isInt().withMessage('Receipt ID must be an integer'),
-  body('email').isEmail().withMessage('Valid email address is required'),
+  body('email').optional().isEmail().withMessage('Valid email address is required'),
   ReceiptController.sendEmail
 );
 
@@ -425,16 +423,14 @@ router.post(
  *         schema:
  *           type: integer
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - phoneNumber
  *             properties:
  *               phoneNumber:
  *                 type: string
+ *                 description: Defaults to the customer's stored phone number
  *     responses:
  *       200:
  *         description: SMS sent successfully
@@ -443,7 +439,7 @@ router.post(
   '/:id/send/sms',
   protect,
   param('id').isInt().withMessage('Receipt ID must be an integer'),
-  body('phoneNumber').notEmpty().withMessage('Phone number is required'),
+  body('phoneNumber').optional().notEmpty().withMessage('Phone number must not be empty'),
   ReceiptController.sendSMS
 );
 
@@ -12,4 +12,21 @@ router.get('/profit-summary', reportController.getProfitSummary);
 router.get('/best-selling', reportController.getBestSellingItems);
 router.get('/owner-dashboard', reportController.getOwnerDashboardStats);
 
+// X report: running totals since the last Z, nothing is reset
+router.get('/x', reportController.getXReport);
+router.get('/x/print', reportController.printXReport);
+
+// Z report: closes the business day; stored and cannot be changed
+router.route('/z')
+    .get(reportController.getZReports)
+    .post(authorize('Admin', 'Manager'), reportController.createZReport);
+router.get('/z/:id', reportController.getZReportById);
+router.get('/z/:id/print', reportController.printZReport);
+
+// Tips per employee and per shift, with what has been paid out
+router.get('/tips', reportController.getTipReport);
+
+// Unredeemed gift voucher and store credit balances (a liability, not revenue)
+router.get('/gift-voucher-liability', reportController.getGiftVoucherLiability);
+
 module.exports = router;
@@ -0,0 +1,503 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const {
+  getReservations,
+  createReservation,
+  getAvailability,
+  getReservation,
+  updateReservation,
+  seatReservation,
+  cancelReservation,
+  markNoShow,
+  getWaitlist,
+  addToWaitlist,
+  notifyWaitlistEntry,
+  seatWaitlistEntry,
+  removeFromWaitlist
+} = require('../controllers/reservationController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { ROLES } = require('../config/roles');
+
+// Apply protection to all routes
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER));
+
+// Validation rules
+const phoneRule = /^[+]?[\d\s()-]{7,20}$/;
+
+const reservationValidation = (isUpdate = false) => [
+  ...(isUpdate ? [
+    body('customerName').optional().notEmpty().trim().withMessage('Customer name must not be empty'),
+    body('customerPhone').optional().matches(phoneRule).withMessage('Invalid phone number'),
+    body('partySize').optional().isInt({ min: 1 }).withMessage('Party size must be at least 1'),
+    body('reservedFor').optional().isISO8601().withMessage('Reservation time must be a valid date and time')
+  ] : [
+    body('customerName').if(body('customerId').not().exists()).notEmpty().trim().withMessage('Customer name is required'),
+    body('customerPhone').if(body('customerId').not().exists()).notEmpty().withMessage('Phone number is required')
+      .matches(phoneRule).withMessage('Invalid phone number'),
+    body('customerId').optional().isInt().withMessage('Customer ID must be an integer'),
+    body('partySize').isInt({ min: 1 }).withMessage('Party size must be at least 1'),
+    body('reservedFor').isISO8601().withMessage('Reservation time must be a valid date and time')
+  ]),
+  body('customerEmail').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Invalid email address'),
+  body('durationMinutes').optional().isInt({ min: 15, max: 600 }).withMessage('Duration must be between 15 and 600 minutes'),
+  body('location').optional({ nullable: true }).isString().trim().isLength({ max: 50 }).withMessage('Location must be at most 50 characters'),
+  body('tableId').optional({ nullable: true }).isInt().withMessage('Table ID must be an integer')
+];
+
+const availabilityValidation = [
+  query('reservedFor').isISO8601().withMessage('Reservation time must be a valid date and time'),
+  query('partySize').isInt({ min: 1 }).withMessage('Party size must be at least 1'),
+  query('durationMinutes').optional().isInt({ min: 15, max: 600 }).withMessage('Duration must be between 15 and 600 minutes')
+];
+
+const waitlistValidation = [
+  body('customerName').if(body('customerId').not().exists()).notEmpty().trim().withMessage('Customer name is required'),
+  body('customerPhone').optional().matches(phoneRule).withMessage('Invalid phone number'),
+  body('customerId').optional().isInt().withMessage('Customer ID must be an integer'),
+  body('partySize').isInt({ min: 1 }).withMessage('Party size must be at least 1'),
+  body('location').optional({ nullable: true }).isString().trim().isLength({ max: 50 }).withMessage('Location must be at most 50 characters')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reservations
+ *   description: Table bookings and the walk-in waitlist
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Reservation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         customerId:
+ *           type: integer
+ *           nullable: true
+ *         customerName:
+ *           type: string
+ *           example: Nimal Perera
+ *         customerPhone:
+ *           type: string
+ *           example: '+94771234567'
+ *         partySize:
+ *           type: integer
+ *           example: 4
+ *         reservedFor:
+ *           type: string
+ *           format: date-time
+ *         durationMinutes:
+ *           type: integer
+ *           example: 90
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         preferredLocation:
+ *           type: string
+ *           example: Terrace
+ *         tableId:
+ *           type: integer
+ *         tableNumber:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [booked, seated, completed, cancelled, no_show]
+ *         tableHeldAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the table was set to reserved for this booking
+ *         saleId:
+ *           type: integer
+ *           description: Order taken at the table once the party was seated
+ */
+
+/**
+ * @swagger
+ * /api/reservations:
+ *   get:
+ *     summary: List reservations
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One status or several separated by commas
+ *       - in: query
+ *         name: tableId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: phone
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reservations by time
+ *   post:
+ *     summary: Book a table
+ *     description: |
+ *       The smallest free table that seats the party (in the requested section, if any) is
+ *       allocated unless a tableId is given. Bookings on the same table can't overlap.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - partySize
+ *               - reservedFor
+ *             properties:
+ *               customerId:
+ *                 type: integer
+ *               customerName:
+ *                 type: string
+ *               customerPhone:
+ *                 type: string
+ *               customerEmail:
+ *                 type: string
+ *               partySize:
+ *                 type: integer
+ *                 example: 4
+ *               reservedFor:
+ *                 type: string
+ *                 format: date-time
+ *               durationMinutes:
+ *                 type: integer
+ *                 description: Defaults to RESERVATION_DEFAULT_DURATION_MINUTES
+ *               location:
+ *                 type: string
+ *                 description: Preferred section
+ *               tableId:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Reservation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reservation'
+ *       409:
+ *         description: No suitable table is free, or the requested table is booked
+ */
+router.route('/')
+  .get(apiLimiter, getReservations)
+  .post(apiLimiter, reservationValidation(), validate, createReservation);
+
+/**
+ * @swagger
+ * /api/reservations/availability:
+ *   get:
+ *     summary: Tables free for a party at a given time
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: reservedFor
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: partySize
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: durationMinutes
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Free tables, smallest first
+ */
+router.get('/availability', apiLimiter, availabilityValidation, validate, getAvailability);
+
+/**
+ * @swagger
+ * /api/reservations/waitlist:
+ *   get:
+ *     summary: Current waitlist
+ *     description: Waiting and notified parties in order, with minutes waited and a fresh wait estimate.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Waitlist
+ *   post:
+ *     summary: Add a walk-in party to the waitlist
+ *     description: |
+ *       The quoted wait assumes each suitable table frees up one default booking length after
+ *       it was taken, allows for reservations on those tables, and gives parties already
+ *       waiting the earlier tables.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - partySize
+ *             properties:
+ *               customerId:
+ *                 type: integer
+ *               customerName:
+ *                 type: string
+ *               customerPhone:
+ *                 type: string
+ *               partySize:
+ *                 type: integer
+ *               location:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Waitlist entry with position and estimatedWaitMinutes
+ *       400:
+ *         description: No table seats a party of this size
+ */
+router.route('/waitlist')
+  .get(apiLimiter, getWaitlist)
+  .post(apiLimiter, waitlistValidation, validate, addToWaitlist);
+
+/**
+ * @swagger
+ * /api/reservations/waitlist/{id}/notify:
+ *   post:
+ *     summary: Record that a waiting party was told their table is ready
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entry marked notified
+ */
+router.post('/waitlist/:id/notify', apiLimiter, notifyWaitlistEntry);
+
+/**
+ * @swagger
+ * /api/reservations/waitlist/{id}/seat:
+ *   post:
+ *     summary: Seat a waiting party at a free table
+ *     description: The table must be available and not booked within the default booking length.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tableId
+ *             properties:
+ *               tableId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Party seated; the table is occupied
+ *       409:
+ *         description: Table is not free or is booked soon
+ */
+router.post('/waitlist/:id/seat', apiLimiter, [
+  body('tableId').isInt().withMessage('Table ID is required')
+], validate, seatWaitlistEntry);
+
+/**
+ * @swagger
+ * /api/reservations/waitlist/{id}:
+ *   delete:
+ *     summary: Take a party off the waitlist
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [left, cancelled]
+ *           default: left
+ *     responses:
+ *       200:
+ *         description: Entry removed
+ */
+router.delete('/waitlist/:id', apiLimiter, [
+  query('status').optional().isIn(['left', 'cancelled']).withMessage('Status must be left or cancelled')
+], validate, removeFromWaitlist);
+
+/**
+ * @swagger
+ * /api/reservations/{id}:
+ *   get:
+ *     summary: Get a reservation
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reservation
+ *       404:
+ *         description: Reservation not found
+ *   put:
+ *     summary: Change or reschedule a booked reservation
+ *     description: A new time, party size, section or table is checked for conflicts again.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reservation updated
+ *       409:
+ *         description: The new slot conflicts with another booking
+ */
+router.route('/:id')
+  .get(apiLimiter, getReservation)
+  .put(apiLimiter, reservationValidation(true), validate, updateReservation);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/seat:
+ *   post:
+ *     summary: Seat a booked party
+ *     description: |
+ *       Seats the party at its booked table, or at tableId. Assigning an order to the table
+ *       (POST /api/tables/{id}/assign) then links it to the reservation.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tableId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Party seated; the table is occupied
+ *       409:
+ *         description: Table is still occupied
+ */
+router.post('/:id/seat', apiLimiter, [
+  body('tableId').optional().isInt().withMessage('Table ID must be an integer')
+], validate, seatReservation);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/cancel:
+ *   post:
+ *     summary: Cancel a reservation
+ *     description: A table held for the booking is released.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reservation cancelled
+ */
+router.post('/:id/cancel', apiLimiter, cancelReservation);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/no-show:
+ *   post:
+ *     summary: Record that a booked party did not come
+ *     description: Done automatically RESERVATION_NO_SHOW_MINUTES after the booking time.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reservation marked as no-show
+ */
+router.post('/:id/no-show', apiLimiter, markNoShow);
+
+module.exports = router;
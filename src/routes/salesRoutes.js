@@ -14,10 +14,14 @@ const {
   updateOrderStatus,
   cancelOrder,
   completeOrder,
-  updateSaleStatus
+  updateSaleStatus,
+  openTab,
+  addTabRound,
+  closeTab
 } = require('../controllers/salesController');
 const { protect, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const idempotency = require('../middleware/idempotency');
 const { apiLimiter } = require('../middleware/rateLimiter');
 const { ROLES } = require('../config/roles');
 
@@ -31,15 +35,54 @@ const { ROLES } = require('../config/roles');
 // Validation rules
 const createSaleValidation = [
   body('items').isArray({ min: 1 }).withMessage('Items array is required and must not be empty'),
-  body('items.*.product').notEmpty().withMessage('Product ID is required for each item'),
+  body('items').custom(items => items.every(item => item.comboId || (item.product && item.unitPrice !== undefined)))
+    .withMessage('Each item requires a product ID and unit price, or a combo ID'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('items.*.comboId').optional().isInt().withMessage('Combo ID must be an integer'),
+  body('items.*.selections').optional().isArray().withMessage('Combo selections must be an array'),
+  body('items.*.modifiers').optional().isArray().withMessage('Modifiers must be an array of modifier IDs'),
+  body('items.*.course').optional().isInt({ min: 1, max: 9 }).withMessage('Course must be between 1 and 9'),
   body('paymentMethod').optional().isIn(['cash', 'card', 'mobile', 'other']).withMessage('Invalid payment method'),
   body('amountPaid').isFloat({ min: 0 }).withMessage('Amount paid must be a positive number'),
   body('orderType').optional().isIn(['dine-in', 'takeaway', 'delivery']).withMessage('Invalid order type. Must be dine-in, takeaway, or delivery'),
   body('kitchenStationId').optional({ nullable: true }).isInt().withMessage('Kitchen station ID must be an integer'),
   body('tableId').optional({ nullable: true }).isInt().withMessage('Table ID must be an integer'),
-  body('tableNumber').optional({ nullable: true }).isString().withMessage('Table number must be a string')
+  body('tableNumber').optional({ nullable: true }).isString().withMessage('Table number must be a string'),
+  body('promotionIds').optional().isArray().withMessage('Promotion IDs must be an array'),
+  body('promotionIds.*').optional().isInt().withMessage('Each promotion ID must be an integer'),
+  body('promoCode').optional({ nullable: true }).isString().trim().withMessage('Promo code must be a string'),
+  body('customerId').optional({ nullable: true }).isInt().withMessage('Customer ID must be an integer'),
+  body('customerName').optional({ nullable: true }).isString().trim().withMessage('Customer name must be a string'),
+  body('redeemPoints').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Points to redeem must be a whole number above zero'),
+  body('redeemAs').optional().isIn(['discount', 'tender']).withMessage('redeemAs must be discount or tender'),
+  body('deliveryZoneId').optional({ nullable: true }).isInt().withMessage('Delivery zone ID must be an integer'),
+  body('deliveryAddress').optional({ nullable: true }).isObject().withMessage('Delivery address must be an object'),
+  body('deliveryAddress.line1').if(body('deliveryAddress').isObject()).notEmpty().withMessage('Delivery address line 1 is required'),
+  body('deliveryAddressId').optional({ nullable: true }).isString().withMessage('Delivery address ID must be a string'),
+  body('cashOnDelivery').optional().isBoolean().withMessage('cashOnDelivery must be true or false'),
+  body('deliveryNotes').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('Delivery notes must be at most 500 characters')
+];
+
+const tabRoundValidation = [
+  body('items').isArray({ min: 1 }).withMessage('Items array is required and must not be empty'),
+  body('items').custom(items => items.every(item => item.comboId || (item.product && item.unitPrice !== undefined)))
+    .withMessage('Each item requires a product ID and unit price, or a combo ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('items.*.comboId').optional().isInt().withMessage('Combo ID must be an integer'),
+  body('items.*.selections').optional().isArray().withMessage('Combo selections must be an array'),
+  body('items.*.modifiers').optional().isArray().withMessage('Modifiers must be an array of modifier IDs'),
+  body('items.*.course').optional().isInt({ min: 1, max: 9 }).withMessage('Course must be between 1 and 9'),
+  body('promotionIds').optional().isArray().withMessage('Promotion IDs must be an array'),
+  body('promoCode').optional({ nullable: true }).isString().trim().withMessage('Promo code must be a string')
+];
+
+const openTabValidation = [
+  body('tableId').isInt().withMessage('Table ID must be an integer'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.course').optional().isInt({ min: 1, max: 9 }).withMessage('Course must be between 1 and 9')
 ];
 
 /**
@@ -51,6 +94,8 @@ const createSaleValidation = [
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -67,9 +112,7 @@ const createSaleValidation = [
  *                 items:
  *                   type: object
  *                   required:
- *                     - product
  *                     - quantity
- *                     - unitPrice
  *                   properties:
  *                     product:
  *                       type: integer
@@ -82,6 +125,38 @@ const createSaleValidation = [
  *                       type: number
  *                       format: decimal
  *                       example: 150.00
+ *                       description: Base price; selected modifier price deltas are added by the server
+ *                     modifiers:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       example: [3, 7]
+ *                       description: Selected modifier IDs (must belong to groups attached to the menu item)
+ *                     course:
+ *                       type: integer
+ *                       minimum: 1
+ *                       example: 2
+ *                       description: Course number for the kitchen; courses after the first are held until fired
+ *                     comboId:
+ *                       type: integer
+ *                       description: Sell a combo instead of a single item (product and unitPrice are then omitted)
+ *                     selections:
+ *                       type: array
+ *                       description: Combo substitutions per slot
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           slotId:
+ *                             type: integer
+ *                           menuItemId:
+ *                             type: integer
+ *                           course:
+ *                             type: integer
+ *                             description: Overrides the combo's course for this slot
+ *                           modifiers:
+ *                             type: array
+ *                             items:
+ *                               type: integer
  *               paymentMethod:
  *                 type: string
  *                 enum: [cash, card, mobile, other]
@@ -108,15 +183,66 @@ const createSaleValidation = [
  *                 type: integer
  *                 example: 5
  *                 description: Kitchen station ID where order is placed
+ *               customerId:
+ *                 type: integer
+ *                 example: 12
+ *                 description: Customer profile the sale belongs to
  *               customerName:
  *                 type: string
  *                 example: John Doe
  *               customerPhone:
  *                 type: string
  *                 example: "+94771234567"
+ *                 description: Links the sale to the customer with this phone when no customerId is given
  *               specialInstructions:
  *                 type: string
  *                 example: "No onions, extra spicy"
+ *               promotionIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Manually selected promotions (automatic promotions are always applied)
+ *               promoCode:
+ *                 type: string
+ *                 example: "WELCOME10"
+ *                 description: Promo code entered at checkout
+ *               redeemPoints:
+ *                 type: integer
+ *                 example: 200
+ *                 description: Loyalty points to redeem (needs customerId or customerPhone); reduced if worth more than the bill
+ *               redeemAs:
+ *                 type: string
+ *                 enum: [discount, tender]
+ *                 default: discount
+ *                 description: discount takes the points value off before VAT; tender pays part of the total with points
+ *               deliveryZoneId:
+ *                 type: integer
+ *                 example: 2
+ *                 description: Delivery zone; its minimum order applies and its fee is added to the total after VAT
+ *               deliveryAddress:
+ *                 type: object
+ *                 description: Address for this delivery; defaults to the customer's saved default address
+ *                 properties:
+ *                   line1:
+ *                     type: string
+ *                   line2:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   postalCode:
+ *                     type: string
+ *                   landmark:
+ *                     type: string
+ *               deliveryAddressId:
+ *                 type: string
+ *                 description: One of the customer's saved addresses
+ *               cashOnDelivery:
+ *                 type: boolean
+ *                 default: false
+ *                 description: The driver collects the total; amountPaid is ignored and the cash is paid in at driver settlement
+ *               deliveryNotes:
+ *                 type: string
+ *                 example: "Call on arrival"
  *     responses:
  *       201:
  *         description: Sale created successfully
@@ -135,7 +261,7 @@ const createSaleValidation = [
  *       401:
  *         description: Unauthorized
  */
-router.post('/', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER), createSaleValidation, validate, createSale);
+router.post('/', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER), createSaleValidation, validate, idempotency, createSale);
 
 /**
  * @swagger
@@ -330,6 +456,126 @@ router.get('/:id', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER, RO
 router.patch('/:id', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER), updateSaleStatus);
 router.patch('/:id/status', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER), updateSaleStatus);
 
+/**
+ * @swagger
+ * /api/sales/tabs:
+ *   post:
+ *     summary: Open a tab on a dine-in table
+ *     description: |
+ *       Opens a running tab (a dine-in sale paid at close). Further rounds are
+ *       added with POST /api/sales/{id}/rounds; each round gets its own kitchen
+ *       ticket and ingredient deduction. A table can only have one open tab.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tableId
+ *             properties:
+ *               tableId:
+ *                 type: integer
+ *               customerName:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 description: Optional first round
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Tab opened successfully
+ *       404:
+ *         description: Table not found
+ *       409:
+ *         description: Table already has an open tab
+ */
+router.post('/tabs', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER), openTabValidation, validate, openTab);
+
+/**
+ * @swagger
+ * /api/sales/{id}/rounds:
+ *   post:
+ *     summary: Add a round of items to an open tab
+ *     description: Prices the round, deducts its ingredients, sends it to the kitchen and recomputes the tab totals and VAT
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                     unitPrice:
+ *                       type: number
+ *               priority:
+ *                 type: string
+ *               specialInstructions:
+ *                 type: string
+ *               promotionIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               promoCode:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Round added
+ *       400:
+ *         description: Tab is not open or items are invalid
+ *       404:
+ *         description: Sale not found
+ */
+router.post('/:id/rounds', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER), tabRoundValidation, validate, addTabRound);
+
+/**
+ * @swagger
+ * /api/sales/{id}/close-tab:
+ *   post:
+ *     summary: Close a tab for payment
+ *     description: Stops further rounds; payment for the whole bill is then taken once through the payment endpoints with the sale ID
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tab closed successfully
+ *       400:
+ *         description: Tab is not open or is empty
+ *       404:
+ *         description: Sale not found
+ */
+router.post('/:id/close-tab', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER), closeTab);
+
 /**
  * @swagger
  * /api/sales/vat/calculate:
@@ -362,6 +608,16 @@ router.patch('/:id/status', apiLimiter, protect, authorize(ROLES.ADMIN, ROLES.MA
  *                     unitPrice:
  *                       type: number
  *                       minimum: 0
+ *               orderType:
+ *                 type: string
+ *                 enum: [dine-in, takeaway, delivery]
+ *                 description: Selects order-type price levels (defaults to takeaway)
+ *               promotionIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               promoCode:
+ *                 type: string
  *     responses:
  *       200:
  *         description: VAT calculated successfully
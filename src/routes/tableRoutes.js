@@ -9,11 +9,16 @@ const {
   assignOrderToTable,
   releaseTable,
   getTableOrders,
-  getAvailableTables
+  getAvailableTables,
+  transferTable,
+  mergeTables,
+  splitTables
 } = require('../controllers/tableController');
 
+const { body } = require('express-validator');
 const { protect, authorize } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
+const validate = require('../middleware/validate');
 
 // Apply protection to all routes
 router.use(protect);
@@ -56,6 +61,10 @@ router.use(protect);
  *         notes:
  *           type: string
  *           description: Additional notes
+ *         mergedIntoId:
+ *           type: integer
+ *           nullable: true
+ *           description: Main table this table is merged into
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -339,6 +348,10 @@ router.route('/:id')
  *                 type: integer
  *                 description: ID of the sale/order to assign
  *                 example: 123
+ *               reservationId:
+ *                 type: integer
+ *                 description: Reservation of the party at the table. A booked reservation is seated here; without one, the party seated at the table is linked.
+ *                 example: 45
  *     responses:
  *       200:
  *         description: Order assigned successfully
@@ -358,6 +371,9 @@ router.route('/:id')
  *                       type: object
  *                     table:
  *                       $ref: '#/components/schemas/Table'
+ *                     reservation:
+ *                       type: object
+ *                       nullable: true
  *       400:
  *         description: Table is not available
  *       404:
@@ -372,6 +388,7 @@ router.post('/:id/assign', apiLimiter, assignOrderToTable);
  * /api/tables/{id}/release:
  *   post:
  *     summary: Release a table (mark as available)
+ *     description: Completes the reservation seated at the table and releases any tables merged into it. The table stays reserved if a booking on it is due.
  *     tags: [Tables]
  *     security:
  *       - bearerAuth: []
@@ -405,6 +422,137 @@ router.post('/:id/assign', apiLimiter, assignOrderToTable);
  */
 router.post('/:id/release', apiLimiter, releaseTable);
 
+/**
+ * @swagger
+ * /api/tables/{id}/transfer:
+ *   post:
+ *     summary: Move a table's orders to another table
+ *     description: |
+ *       Moves every open order (or just saleId) with its kitchen tickets. When the whole table
+ *       moves, the seated reservation moves too and the old table is released. A table with an
+ *       open tab can't take another tab; merge the tables instead.
+ *     tags: [Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Table the guests are leaving
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - toTableId
+ *             properties:
+ *               toTableId:
+ *                 type: integer
+ *               saleId:
+ *                 type: integer
+ *                 description: Move only this order
+ *     responses:
+ *       200:
+ *         description: Orders moved
+ *       400:
+ *         description: Nothing to move, or a table is inactive, under maintenance or merged
+ *       409:
+ *         description: Destination is reserved or already has an open tab
+ */
+router.post('/:id/transfer', apiLimiter, [
+  body('toTableId').isInt().withMessage('Destination table ID is required'),
+  body('saleId').optional().isInt().withMessage('Sale ID must be an integer')
+], validate, transferTable);
+
+/**
+ * @swagger
+ * /api/tables/{id}/merge:
+ *   post:
+ *     summary: Merge tables into this table
+ *     description: |
+ *       The other tables' orders move to this table and their open tabs are combined into one
+ *       bill (this table's tab, or the oldest). Lines keep their rounds and note the tab they came
+ *       from; the emptied tabs are voided as merged. The other tables stay occupied and point at
+ *       this one until the group is split or this table is released.
+ *     tags: [Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Main table, where the group is billed
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tableIds
+ *             properties:
+ *               tableIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [4, 5]
+ *     responses:
+ *       200:
+ *         description: Tables merged, with the combined tab
+ *       409:
+ *         description: A table is reserved or already part of a merged group
+ */
+router.post('/:id/merge', apiLimiter, [
+  body('tableIds').isArray({ min: 1 }).withMessage('tableIds must be a non-empty array'),
+  body('tableIds.*').isInt().withMessage('Table IDs must be integers')
+], validate, mergeTables);
+
+/**
+ * @swagger
+ * /api/tables/{id}/split:
+ *   post:
+ *     summary: Split merged tables apart
+ *     description: |
+ *       Detaches tables from this table's merged group. The combined bill stays on this table;
+ *       use split bill to pay separately. Detached tables are released, or held if a booking is due.
+ *     tags: [Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Main table of the group
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tableIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Tables to detach (default all)
+ *     responses:
+ *       200:
+ *         description: Tables split
+ *       400:
+ *         description: No tables are merged into this table
+ */
+router.post('/:id/split', apiLimiter, [
+  body('tableIds').optional().isArray({ min: 1 }).withMessage('tableIds must be a non-empty array'),
+  body('tableIds.*').optional().isInt().withMessage('Table IDs must be integers')
+], validate, splitTables);
+
 /**
  * @swagger
  * /api/tables/{id}/orders:
@@ -437,6 +585,10 @@ router.post('/:id/release', apiLimiter, releaseTable);
  *                   properties:
  *                     table:
  *                       $ref: '#/components/schemas/Table'
+ *                     tab:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Open running tab with its lines grouped by round, kitchen tickets and recomputed totals
  *                     orders:
  *                       type: array
  *                       items:
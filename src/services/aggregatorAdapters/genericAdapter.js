@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Our kitchen statuses and what the platform is told
+const STATUS_MAP = {
+  accepted: 'accepted',
+  rejected: 'rejected',
+  preparing: 'preparing',
+  ready: 'ready_for_pickup',
+  completed: 'picked_up',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Generic Aggregator Adapter
+ * Our own JSON order format, for platforms that can be configured to send it
+ * and for the mock platform in scripts/mock_aggregator.js. Adapters for other
+ * platforms implement the same four methods.
+ *
+ * Inbound order:
+ *   { orderId, placedAt, customer: { name, phone }, deliveryAddress,
+ *     items: [{ id, name, quantity, unitPrice, notes, modifiers: [{ id, name }] }],
+ *     total, commission, notes }
+ *
+ * Signed with an HMAC-SHA256 of the raw body in the X-Signature header.
+ */
+class GenericAdapter {
+  /**
+   * Check the platform's signature on an inbound request
+   * @param {Buffer} rawBody - Request body as received
+   * @param {Object} headers - Request headers
+   * @param {String} secret - Platform webhook secret
+   * @returns {Boolean}
+   */
+  verifySignature(rawBody, headers, secret) {
+    const signature = headers['x-signature'];
+    if (typeof signature !== 'string' || !/^[0-9a-f]+$/i.test(signature) || !rawBody) {
+      return false;
+    }
+
+    // Compared as bytes, so a non-ASCII or odd-length header can't make timingSafeEqual throw
+    const received = Buffer.from(signature, 'hex');
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Turn the platform payload into our order shape
+   * @param {Object} payload - Parsed request body
+   * @returns {Object} - { externalOrderId, placedAt, customer, address, items, total, commission, notes }
+   */
+  parseOrder(payload) {
+    const address = payload.deliveryAddress;
+
+    return {
+      externalOrderId: payload.orderId ? String(payload.orderId) : null,
+      placedAt: payload.placedAt ? new Date(payload.placedAt) : new Date(),
+      customer: {
+        name: payload.customer && payload.customer.name ? payload.customer.name : null,
+        phone: payload.customer && payload.customer.phone ? payload.customer.phone : null
+      },
+      address: address && address.line1 ? address : null,
+      items: (payload.items || []).map(item => ({
+        externalId: String(item.id),
+        name: item.name || null,
+        quantity: parseInt(item.quantity) || 1,
+        unitPrice: parseFloat(item.unitPrice || 0),
+        notes: item.notes || null,
+        modifiers: (item.modifiers || []).map(modifier => ({
+          externalId: String(modifier.id),
+          name: modifier.name || null
+        }))
+      })),
+      total: parseFloat(payload.total || 0),
+      commission: payload.commission !== undefined && payload.commission !== null
+        ? parseFloat(payload.commission)
+        : null,
+      notes: payload.notes || null
+    };
+  }
+
+  /**
+   * The platform's name for one of our statuses
+   * @param {String} status - accepted, rejected or a kitchen order status
+   * @returns {String|null} - null when the platform isn't told about it
+   */
+  mapStatus(status) {
+    return STATUS_MAP[status] || null;
+  }
+
+  /**
+   * Build the status update request for the platform's API
+   * @param {Object} order - AggregatorOrder
+   * @param {String} platformStatus - Value from mapStatus
+   * @param {Object} details - reason (for rejections)
+   * @returns {Object} - { method, path, body }
+   */
+  buildStatusRequest(order, platformStatus, details = {}) {
+    return {
+      method: 'POST',
+      path: `/orders/${encodeURIComponent(order.externalOrderId)}/status`,
+      body: {
+        orderId: order.externalOrderId,
+        status: platformStatus,
+        reference: order.saleNumber || null,
+        reason: details.reason || null,
+        updatedAt: new Date().toISOString()
+      }
+    };
+  }
+}
+
+module.exports = GenericAdapter;
@@ -0,0 +1,26 @@
+const GenericAdapter = require('./genericAdapter');
+
+// Adapter name (AggregatorPlatform.adapter) to implementation
+const adapters = {
+  generic: new GenericAdapter()
+};
+
+/**
+ * Get the payload adapter for a platform
+ * @param {String} name - Adapter name
+ * @returns {Object} - Adapter
+ */
+const getAdapter = (name) => {
+  const adapter = adapters[name];
+  if (!adapter) {
+    const error = new Error(`Unknown aggregator adapter: ${name}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return adapter;
+};
+
+module.exports = {
+  getAdapter,
+  adapterNames: Object.keys(adapters)
+};
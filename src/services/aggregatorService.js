@@ -0,0 +1,614 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Sale, User, MenuItem, MenuModifier, KitchenOrder, AggregatorPlatform, AggregatorMenuMapping, AggregatorOrder } = require('../models');
+const salesService = require('./salesService');
+const { getAdapter, adapterNames } = require('./aggregatorAdapters');
+
+// Status updates must not hold up the kitchen screen for long
+const PUSH_TIMEOUT_MS = 5000;
+
+// Never returned by the API once the platform is set up
+const SECRET_FIELDS = ['webhookSecret', 'apiKey'];
+
+/**
+ * Aggregator Service
+ * Orders from third-party delivery platforms. Each platform's adapter turns
+ * its payload into our order shape; the platform's item IDs are matched to
+ * our menu through the mapping table and the order becomes a delivery sale
+ * with kitchen tickets. Kitchen status changes are sent back to the platform.
+ */
+class AggregatorService {
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  // ==========================================================================
+  // Platforms and menu mappings
+  // ==========================================================================
+
+  /**
+   * List platforms, without their secrets
+   * @returns {Promise<Array>} - Platforms
+   */
+  async getPlatforms() {
+    const platforms = await AggregatorPlatform.findAll({ order: [['name', 'ASC']] });
+    return platforms.map(platform => this.toPublic(platform));
+  }
+
+  /**
+   * Platform as returned by the API: secrets replaced by whether they are set
+   * @param {Object} platform - AggregatorPlatform
+   * @returns {Object}
+   */
+  toPublic(platform) {
+    const data = platform.toJSON();
+    SECRET_FIELDS.forEach(field => delete data[field]);
+    data.hasApiKey = !!platform.apiKey;
+    return data;
+  }
+
+  /**
+   * Get a platform
+   * @param {Number} id - AggregatorPlatform ID
+   * @returns {Promise<Object>} - AggregatorPlatform
+   */
+  async getPlatform(id) {
+    const platform = await AggregatorPlatform.findByPk(id);
+    if (!platform) {
+      this.fail('Aggregator platform not found', 404);
+    }
+    return platform;
+  }
+
+  /**
+   * Check the settings shared by create and update
+   * @param {Object} data - adapter, cashierId
+   */
+  async validatePlatformSettings(data) {
+    if (data.adapter !== undefined && !adapterNames.includes(data.adapter)) {
+      this.fail(`Unknown adapter ${data.adapter}. Available: ${adapterNames.join(', ')}`);
+    }
+    if (data.cashierId !== undefined) {
+      const cashier = await User.findByPk(data.cashierId);
+      if (!cashier || !cashier.isActive) {
+        this.fail('Orders must be recorded under an active user');
+      }
+    }
+  }
+
+  /**
+   * Add a platform. A webhook secret is generated when none is given and is
+   * only returned this once.
+   * @param {Object} data - code, name, adapter, cashierId, commissionRate, deliveredBy, webhookSecret, apiBaseUrl, apiKey
+   * @returns {Promise<Object>} - Platform with its webhook secret
+   */
+  async createPlatform(data) {
+    const code = data.code.toLowerCase();
+    const existing = await AggregatorPlatform.findOne({ where: { code } });
+    if (existing) {
+      this.fail(`A platform with code ${code} already exists`, 409);
+    }
+
+    await this.validatePlatformSettings({ adapter: data.adapter || 'generic', cashierId: data.cashierId });
+
+    const platform = await AggregatorPlatform.create({
+      code,
+      name: data.name,
+      adapter: data.adapter || 'generic',
+      cashierId: data.cashierId,
+      commissionRate: data.commissionRate || 0,
+      deliveredBy: data.deliveredBy || 'platform',
+      webhookSecret: data.webhookSecret || crypto.randomBytes(24).toString('hex'),
+      apiBaseUrl: data.apiBaseUrl || null,
+      apiKey: data.apiKey || null
+    });
+
+    return {
+      ...this.toPublic(platform),
+      webhookSecret: platform.webhookSecret
+    };
+  }
+
+  /**
+   * Update a platform
+   * @param {Number} id - AggregatorPlatform ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated platform, without secrets
+   */
+  async updatePlatform(id, data) {
+    const platform = await this.getPlatform(id);
+    const updates = {};
+
+    for (const field of ['name', 'adapter', 'cashierId', 'commissionRate', 'deliveredBy', 'webhookSecret', 'apiBaseUrl', 'apiKey', 'isActive']) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+
+    await this.validatePlatformSettings(updates);
+    await platform.update(updates);
+    return this.toPublic(platform);
+  }
+
+  /**
+   * A platform's menu mappings
+   * @param {Number} platformId - AggregatorPlatform ID
+   * @returns {Promise<Array>} - Mappings with the menu item or modifier name
+   */
+  async getMappings(platformId) {
+    await this.getPlatform(platformId);
+
+    return AggregatorMenuMapping.findAll({
+      where: { platformId },
+      include: [
+        { model: MenuItem, as: 'menuItem', attributes: ['id', 'name', 'price'] },
+        { model: MenuModifier, as: 'modifier', attributes: ['id', 'name'] }
+      ],
+      order: [['type', 'ASC'], ['externalName', 'ASC']]
+    });
+  }
+
+  /**
+   * Add or replace mappings by the platform's ID
+   * @param {Number} platformId - AggregatorPlatform ID
+   * @param {Array} mappings - [{ type, externalId, externalName, menuItemId, modifierId, isActive }]
+   * @returns {Promise<Array>} - The platform's mappings
+   */
+  async saveMappings(platformId, mappings) {
+    await this.getPlatform(platformId);
+
+    const menuItemIds = mappings.filter(m => (m.type || 'item') === 'item').map(m => m.menuItemId);
+    const modifierIds = mappings.filter(m => m.type === 'modifier').map(m => m.modifierId);
+
+    const foundItems = await MenuItem.count({ where: { id: menuItemIds } });
+    if (foundItems !== new Set(menuItemIds).size) {
+      this.fail('One or more menu items do not exist');
+    }
+    const foundModifiers = modifierIds.length > 0 ? await MenuModifier.count({ where: { id: modifierIds } }) : 0;
+    if (foundModifiers !== new Set(modifierIds).size) {
+      this.fail('One or more modifiers do not exist');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      for (const mapping of mappings) {
+        const type = mapping.type || 'item';
+        const values = {
+          externalName: mapping.externalName || null,
+          menuItemId: type === 'item' ? mapping.menuItemId : null,
+          modifierId: type === 'modifier' ? mapping.modifierId : null,
+          isActive: mapping.isActive !== undefined ? mapping.isActive : true
+        };
+
+        const existing = await AggregatorMenuMapping.findOne({
+          where: { platformId, type, externalId: String(mapping.externalId) },
+          transaction
+        });
+
+        if (existing) {
+          await existing.update(values, { transaction });
+        } else {
+          await AggregatorMenuMapping.create({
+            platformId,
+            type,
+            externalId: String(mapping.externalId),
+            ...values
+          }, { transaction });
+        }
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getMappings(platformId);
+  }
+
+  /**
+   * Remove a mapping
+   * @param {Number} id - AggregatorMenuMapping ID
+   */
+  async deleteMapping(id) {
+    const mapping = await AggregatorMenuMapping.findByPk(id);
+    if (!mapping) {
+      this.fail('Menu mapping not found', 404);
+    }
+    await mapping.destroy();
+  }
+
+  // ==========================================================================
+  // Order intake
+  // ==========================================================================
+
+  /**
+   * Match the platform's items to our menu. Items are billed at our menu
+   * prices so VAT is worked out the same way as at the till; the platform's
+   * own total is kept on the aggregator order.
+   * @param {Object} platform - AggregatorPlatform
+   * @param {Array} externalItems - Items from the adapter
+   * @returns {Promise<Object>} - { items, unmapped, instructions }
+   */
+  async mapItems(platform, externalItems) {
+    const mappings = await AggregatorMenuMapping.findAll({
+      where: { platformId: platform.id, isActive: true },
+      include: [{ model: MenuItem, as: 'menuItem' }]
+    });
+
+    const itemMappings = new Map(mappings.filter(m => m.type === 'item').map(m => [m.externalId, m]));
+    const modifierMappings = new Map(mappings.filter(m => m.type === 'modifier').map(m => [m.externalId, m]));
+
+    const items = [];
+    const unmapped = [];
+    const instructions = [];
+
+    for (const externalItem of externalItems) {
+      const mapping = itemMappings.get(externalItem.externalId);
+      const menuItem = mapping ? mapping.menuItem : null;
+
+      if (!menuItem) {
+        unmapped.push({ type: 'item', externalId: externalItem.externalId, name: externalItem.name });
+        continue;
+      }
+      if (!menuItem.isActive || !menuItem.isAvailable) {
+        unmapped.push({ type: 'item', externalId: externalItem.externalId, name: externalItem.name, reason: `${menuItem.name} is not available` });
+        continue;
+      }
+
+      const modifiers = [];
+      for (const externalModifier of externalItem.modifiers) {
+        const modifierMapping = modifierMappings.get(externalModifier.externalId);
+        if (!modifierMapping) {
+          unmapped.push({ type: 'modifier', externalId: externalModifier.externalId, name: externalModifier.name });
+          continue;
+        }
+        modifiers.push(modifierMapping.modifierId);
+      }
+
+      items.push({
+        product: menuItem.id,
+        productName: menuItem.name,
+        itemType: 'menu-item',
+        quantity: externalItem.quantity,
+        unitPrice: parseFloat(menuItem.price),
+        modifiers
+      });
+
+      if (externalItem.notes) {
+        instructions.push(`${externalItem.quantity}x ${menuItem.name}: ${externalItem.notes}`);
+      }
+    }
+
+    return { items, unmapped, instructions };
+  }
+
+  /**
+   * Take an order from a platform's webhook. The same order sent twice
+   * returns the first result.
+   * @param {String} platformCode - Platform code from the URL
+   * @param {Object} request - rawBody, headers, body
+   * @returns {Promise<Object>} - { order, sale, duplicate }
+   */
+  async receiveOrder(platformCode, { rawBody, headers, body }) {
+    const platform = await AggregatorPlatform.findOne({ where: { code: platformCode } });
+    if (!platform || !platform.isActive) {
+      this.fail('Unknown aggregator platform', 404);
+    }
+
+    const adapter = getAdapter(platform.adapter);
+    if (!adapter.verifySignature(rawBody, headers, platform.webhookSecret)) {
+      this.fail('Invalid signature', 401);
+    }
+
+    const parsed = adapter.parseOrder(body);
+    if (!parsed.externalOrderId) {
+      this.fail('Order ID is required');
+    }
+    if (parsed.items.length === 0) {
+      this.fail('Order must contain at least one item');
+    }
+
+    const where = { platformId: platform.id, externalOrderId: parsed.externalOrderId };
+    const existing = await AggregatorOrder.findOne({ where });
+    if (existing) {
+      return { order: existing, sale: null, duplicate: true };
+    }
+
+    const commissionRate = parseFloat(platform.commissionRate || 0);
+    const commissionAmount = parsed.commission !== null
+      ? this.round(parsed.commission)
+      : this.round(parsed.total * commissionRate);
+
+    // The unique key on (platform, order ID) stops a retried webhook from
+    // creating a second sale while the first is still being processed
+    let order;
+    try {
+      order = await AggregatorOrder.create({
+        ...where,
+        platformCode: platform.code,
+        status: 'received',
+        customerName: parsed.customer.name,
+        customerPhone: parsed.customer.phone,
+        platformTotal: parsed.total,
+        commissionRate,
+        commissionAmount,
+        netPayout: this.round(parsed.total - commissionAmount),
+        payload: body
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return { order: await AggregatorOrder.findOne({ where }), sale: null, duplicate: true };
+      }
+      throw error;
+    }
+
+    const { items, unmapped, instructions } = await this.mapItems(platform, parsed.items);
+    if (unmapped.length > 0) {
+      const names = unmapped.map(entry => entry.name || entry.externalId).join(', ');
+      return this.rejectOrder(order, platform, `No menu mapping for: ${names}`, unmapped);
+    }
+
+    let sale;
+    try {
+      const cashier = await User.findByPk(platform.cashierId);
+      const { billCalculation } = await salesService.priceItems(items, { orderType: 'delivery' });
+
+      sale = await salesService.createSale({
+        items,
+        cashierId: platform.cashierId,
+        cashierName: cashier ? cashier.fullName : platform.name,
+        // Paid to the platform, which settles with us less its commission
+        paymentMethod: 'other',
+        amountPaid: billCalculation.totalAmount,
+        orderType: 'delivery',
+        customerName: parsed.customer.name,
+        customerPhone: parsed.customer.phone,
+        specialInstructions: [`${platform.name} #${parsed.externalOrderId}`, parsed.notes, ...instructions].filter(Boolean).join('\n'),
+        deliveredBy: platform.deliveredBy,
+        deliveryAddress: parsed.address,
+        deliveryNotes: parsed.notes
+      });
+    } catch (error) {
+      // Anything we can't fix by retrying (stock, modifiers, address) is
+      // rejected; otherwise let the platform retry the webhook
+      if (error.statusCode && error.statusCode < 500) {
+        return this.rejectOrder(order, platform, error.message);
+      }
+      await order.destroy();
+      throw error;
+    }
+
+    await order.update({ status: 'accepted', saleId: sale.id, saleNumber: sale.saleNumber });
+
+    this.pushStatus(order, platform, 'accepted')
+      .catch(error => console.error(`Aggregator status update failed for ${order.externalOrderId}:`, error.message));
+
+    return { order, sale, duplicate: false };
+  }
+
+  /**
+   * Record a rejected order and tell the platform
+   * @param {Object} order - AggregatorOrder
+   * @param {Object} platform - AggregatorPlatform
+   * @param {String} reason - Why the order was rejected
+   * @param {Array} unmapped - Unmapped items, if that was the reason
+   * @returns {Promise<Object>} - { order, sale: null, duplicate: false }
+   */
+  async rejectOrder(order, platform, reason, unmapped = null) {
+    await order.update({
+      status: 'rejected',
+      rejectionReason: reason.substring(0, 500),
+      unmappedItems: unmapped
+    });
+
+    this.pushStatus(order, platform, 'rejected', { reason })
+      .catch(error => console.error(`Aggregator status update failed for ${order.externalOrderId}:`, error.message));
+
+    return { order, sale: null, duplicate: false };
+  }
+
+  // ==========================================================================
+  // Status updates to the platform
+  // ==========================================================================
+
+  /**
+   * Tell the platform about a kitchen status change on one of its orders.
+   * Ready and completed are only sent once every ticket for the sale is.
+   * @param {Number} saleId - Sale ID
+   * @param {String} status - Kitchen order status
+   * @returns {Promise<Object|null>} - AggregatorOrder, or null for our own orders
+   */
+  async notifyStatus(saleId, status) {
+    const order = await AggregatorOrder.findOne({
+      where: { saleId, status: 'accepted' },
+      include: [{ model: AggregatorPlatform, as: 'platform' }]
+    });
+    if (!order) {
+      return null;
+    }
+
+    if (['ready', 'completed'].includes(status)) {
+      const done = status === 'ready' ? ['ready', 'completed', 'cancelled'] : ['completed', 'cancelled'];
+      const waiting = await KitchenOrder.count({ where: { saleId, status: { [Op.notIn]: done } } });
+      if (waiting > 0) {
+        return order;
+      }
+    }
+
+    return this.pushStatus(order, order.platform, status);
+  }
+
+  /**
+   * Send a status to the platform's API. Failures are recorded on the order
+   * for a manual retry rather than thrown.
+   * @param {Object} order - AggregatorOrder
+   * @param {Object} platform - AggregatorPlatform
+   * @param {String} status - accepted, rejected or a kitchen order status
+   * @param {Object} details - reason, force (resend even if already sent)
+   * @returns {Promise<Object>} - AggregatorOrder
+   */
+  async pushStatus(order, platform, status, details = {}) {
+    const adapter = getAdapter(platform.adapter);
+    const platformStatus = adapter.mapStatus(status);
+
+    if (!platformStatus || !platform.apiBaseUrl) {
+      return order;
+    }
+    if (platformStatus === order.lastStatusPushed && !details.force) {
+      return order;
+    }
+
+    const request = adapter.buildStatusRequest(order, platformStatus, details);
+
+    try {
+      const response = await fetch(`${platform.apiBaseUrl.replace(/\/+$/, '')}${request.path}`, {
+        method: request.method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(platform.apiKey && { Authorization: `Bearer ${platform.apiKey}` })
+        },
+        body: JSON.stringify(request.body),
+        signal: AbortSignal.timeout(PUSH_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`${platform.name} responded with HTTP ${response.status}`);
+      }
+
+      await order.update({
+        lastStatusPushed: platformStatus,
+        lastStatusPushedAt: new Date(),
+        statusPushError: null,
+        statusPushAttempts: order.statusPushAttempts + 1
+      });
+    } catch (error) {
+      console.error(`Failed to send status ${platformStatus} for ${platform.code} order ${order.externalOrderId}:`, error.message);
+      await order.update({
+        statusPushError: `${platformStatus}: ${error.message}`.substring(0, 500),
+        statusPushAttempts: order.statusPushAttempts + 1
+      });
+    }
+
+    return order;
+  }
+
+  /**
+   * Resend the current status of an order after a failed update
+   * @param {Number} id - AggregatorOrder ID
+   * @returns {Promise<Object>} - AggregatorOrder
+   */
+  async retryStatusPush(id) {
+    const order = await AggregatorOrder.findByPk(id, {
+      include: [
+        { model: AggregatorPlatform, as: 'platform' },
+        { model: Sale, as: 'sale', attributes: ['id', 'status'] }
+      ]
+    });
+    if (!order) {
+      this.fail('Aggregator order not found', 404);
+    }
+    if (!order.platform.apiBaseUrl) {
+      this.fail(`${order.platform.name} has no API URL for status updates`);
+    }
+
+    let status = order.status;
+    if (order.status === 'accepted' && order.sale) {
+      const saleStatusMap = { preparing: 'preparing', ready: 'ready', completed: 'completed', voided: 'cancelled' };
+      status = saleStatusMap[order.sale.status] || 'accepted';
+    }
+
+    return this.pushStatus(order, order.platform, status, { reason: order.rejectionReason, force: true });
+  }
+
+  // ==========================================================================
+  // Queries
+  // ==========================================================================
+
+  /**
+   * Orders received, with totals for the accepted ones
+   * @param {Object} filters - platformId, status, startDate, endDate, page, limit
+   * @returns {Promise<Object>} - { orders, summary, pagination }
+   */
+  async getOrders(filters = {}) {
+    const { platformId, status, startDate, endDate } = filters;
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const where = {};
+
+    if (platformId) {
+      where.platformId = platformId;
+    }
+    if (status) {
+      where.status = status;
+    }
+    if (startDate && endDate) {
+      where.createdAt = { [Op.between]: [new Date(startDate), new Date(endDate)] };
+    } else if (startDate) {
+      where.createdAt = { [Op.gte]: new Date(startDate) };
+    }
+
+    const { count, rows } = await AggregatorOrder.findAndCountAll({
+      where,
+      attributes: { exclude: ['payload'] },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totals = await AggregatorOrder.findOne({
+      where: { ...where, status: 'accepted' },
+      attributes: [
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('platformTotal')), 'platformTotal'],
+        [sequelize.fn('SUM', sequelize.col('commissionAmount')), 'commission'],
+        [sequelize.fn('SUM', sequelize.col('netPayout')), 'netPayout']
+      ],
+      raw: true
+    });
+
+    return {
+      orders: rows,
+      summary: {
+        acceptedOrders: parseInt(totals.count || 0),
+        platformTotal: this.round(parseFloat(totals.platformTotal || 0)),
+        commission: this.round(parseFloat(totals.commission || 0)),
+        netPayout: this.round(parseFloat(totals.netPayout || 0))
+      },
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Get an order with the platform payload
+   * @param {Number} id - AggregatorOrder ID
+   * @returns {Promise<Object>} - AggregatorOrder
+   */
+  async getOrder(id) {
+    const order = await AggregatorOrder.findByPk(id);
+    if (!order) {
+      this.fail('Aggregator order not found', 404);
+    }
+    return order;
+  }
+}
+
+module.exports = new AggregatorService();
@@ -1,6 +1,8 @@
 const CardSession = require('../models/CardSession');
 const PaymentTransaction = require('../models/PaymentTransaction');
 const Sale = require('../models/Sale');
+const refundService = require('./refundService');
+const tipService = require('./tipService');
 const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
@@ -140,17 +142,28 @@ class CardPaymentService {
     try {
       const { saleId, amount, currency = 'LKR', cardType, returnUrl, metadata, cashierId, cashierName } = initData;
 
+      // The tip is charged on top of the sale amount
+      const tipAmount = tipService.parseTip(initData.tipAmount);
+      let sale = null;
+
       // Validate sale if provided
       if (saleId) {
-        const sale = await Sale.findByPk(saleId, { transaction });
+        sale = await Sale.findByPk(saleId, { transaction });
         if (!sale) {
           throw new Error('Sale not found');
         }
+        if (sale.tabStatus === 'open') {
+          throw new Error('Close the tab before taking payment');
+        }
       }
 
+      const tipRecipient = tipAmount > 0
+        ? await tipService.resolveRecipient(initData.tipRecipientId, sale ? sale.cashierId : cashierId, transaction)
+        : {};
+
       // Call payment gateway to initialize
       const gatewayResponse = await this.callPaymentGateway('initialize', {
-        amount,
+        amount: parseFloat((parseFloat(amount) + tipAmount).toFixed(2)),
         currency,
         metadata
       });
@@ -165,6 +178,8 @@ class CardPaymentService {
         paymentIntentId: gatewayResponse.paymentIntentId,
         saleId,
         amount,
+        tipAmount,
+        tipRecipientId: tipRecipient.tipRecipientId || null,
         currency,
         status: 'pending',
         cardType,
@@ -183,6 +198,8 @@ class CardPaymentService {
         sessionId: cardSession.sessionId,
         paymentIntentId: cardSession.paymentIntentId,
         amount: parseFloat(cardSession.amount),
+        tipAmount,
+        chargeAmount: parseFloat((parseFloat(cardSession.amount) + tipAmount).toFixed(2)),
         currency: cardSession.currency,
         status: cardSession.status,
         expiresAt: cardSession.expiresAt,
@@ -227,10 +244,12 @@ class CardPaymentService {
       // Update session to processing
       await cardSession.update({ status: 'processing' }, { transaction });
 
+      const tipAmount = parseFloat(cardSession.tipAmount || 0);
+
       // Call payment gateway to process
       const gatewayResponse = await this.callPaymentGateway('process', {
         paymentIntentId: cardSession.paymentIntentId,
-        amount: cardSession.amount,
+        amount: parseFloat((parseFloat(cardSession.amount) + tipAmount).toFixed(2)),
         cardDetails,
         billingDetails
       });
@@ -252,6 +271,15 @@ class CardPaymentService {
         throw new Error(gatewayResponse.failureReason || 'Payment failed');
       }
 
+      // Tips are tied to the cashier's shift so they are paid out with it
+      const tipFields = tipAmount > 0
+        ? {
+          tipAmount,
+          ...await tipService.resolveRecipient(cardSession.tipRecipientId, cardSession.cashierId, transaction),
+          cashDrawerId: await tipService.findOpenDrawerId(cardSession.cashierId, transaction)
+        }
+        : {};
+
       // Create payment transaction record
       const transactionId = this.generateTransactionId();
       const paymentTransaction = await PaymentTransaction.create({
@@ -264,6 +292,7 @@ class CardPaymentService {
         transactionType: 'payment',
         cashierId: cardSession.cashierId,
         cashierName: cardSession.cashierName,
+        ...tipFields,
         cardBrand: cardDetails.brand,
         cardLast4: cardDetails.last4,
         authorizationCode: gatewayResponse.authorizationCode,
@@ -279,6 +308,7 @@ class CardPaymentService {
         if (sale && sale.paymentMethod !== 'card') {
           await sale.update({ paymentMethod: 'card' }, { transaction });
         }
+        await tipService.addTipToSale(cardSession.saleId, tipAmount, transaction);
       }
 
       await transaction.commit();
@@ -288,6 +318,7 @@ class CardPaymentService {
         paymentId: paymentTransaction.id,
         saleNumber: paymentTransaction.receiptNumber,
         amount: parseFloat(paymentTransaction.amount),
+        tipAmount,
         cardLast4: paymentTransaction.cardLast4,
         cardBrand: paymentTransaction.cardBrand,
         status: 'completed',
@@ -377,12 +408,18 @@ class CardPaymentService {
 
   /**
    * Process card refund
+   * Refunds either specific item lines of the paid sale ({ items: [{ line, quantity, restock }] })
+   * or a lump amount. A payment can be refunded in several parts.
    */
   async processCardRefund(refundData) {
     const transaction = await sequelize.transaction();
+    let sale = null;
+    let refund;
+    let refundTransaction;
+    let restocked = [];
 
     try {
-      const { transactionId, amount, reason, approvedBy, approverName, notes } = refundData;
+      const { transactionId, amount, items, reason, approvedBy, approverName, notes } = refundData;
 
       // Get original payment transaction
       const originalPayment = await PaymentTransaction.findOne({
@@ -391,7 +428,8 @@ class CardPaymentService {
           paymentMethod: 'card',
           transactionType: 'payment'
         },
-        transaction
+        transaction,
+        lock: transaction.LOCK.UPDATE
       });
 
       if (!originalPayment) {
@@ -402,15 +440,33 @@ class CardPaymentService {
         throw new Error('Payment has already been refunded');
       }
 
-      // Validate refund amount
-      if (amount > parseFloat(originalPayment.amount)) {
+      if (originalPayment.saleId) {
+        sale = await Sale.findByPk(originalPayment.saleId, { transaction, lock: transaction.LOCK.UPDATE });
+      }
+
+      if (!sale && Array.isArray(items) && items.length > 0) {
+        throw new Error('Item refunds require a payment linked to a sale');
+      }
+
+      if (!sale && !amount) {
+        throw new Error('Refund amount is required');
+      }
+
+      refund = sale
+        ? await refundService.calculateRefund(sale, { items, amount }, transaction)
+        : { lines: [], totalAmount: parseFloat(amount), vatAmount: null, isFullRefund: false };
+
+      // Validate refund amount against what is left on the payment
+      const alreadyRefunded = parseFloat(originalPayment.refundedAmount || 0);
+      const refundable = parseFloat(originalPayment.amount) - alreadyRefunded;
+      if (refund.totalAmount > parseFloat(refundable.toFixed(2))) {
         throw new Error('Refund amount exceeds original payment amount');
       }
 
       // Call payment gateway to process refund
       const gatewayResponse = await this.callPaymentGateway('refund', {
         transactionId: originalPayment.gatewayTransactionId,
-        amount,
+        amount: refund.totalAmount,
         reason
       });
 
@@ -418,14 +474,16 @@ class CardPaymentService {
         throw new Error('Gateway refund failed');
       }
 
+      const previousRefunds = await refundService.countRefunds({ refundOfId: originalPayment.id }, transaction);
+
       // Create refund transaction
       const refundTransactionId = this.generateTransactionId().replace('CARD', 'REFUND');
-      const refundTransaction = await PaymentTransaction.create({
+      refundTransaction = await PaymentTransaction.create({
         transactionId: refundTransactionId,
         saleId: originalPayment.saleId,
         saleNumber: originalPayment.saleNumber,
         paymentMethod: 'card',
-        amount,
+        amount: refund.totalAmount,
         currency: originalPayment.currency,
         status: gatewayResponse.status === 'completed' ? 'completed' : 'pending',
         transactionType: 'refund',
@@ -434,45 +492,58 @@ class CardPaymentService {
         cardBrand: originalPayment.cardBrand,
         cardLast4: originalPayment.cardLast4,
         refundReason: reason,
-        refundedAmount: amount,
+        refundedAmount: refund.totalAmount,
+        refundedVatAmount: refund.vatAmount,
+        refundItems: refund.lines.length > 0 ? refund.lines : null,
+        refundOfId: originalPayment.id,
         approvedBy,
         gatewayResponse,
         gatewayTransactionId: gatewayResponse.refundRef,
-        receiptNumber: `REF-${originalPayment.receiptNumber}`,
+        receiptNumber: refundService.getRefundNumber(originalPayment.receiptNumber, previousRefunds),
         notes,
         processedAt: new Date(),
         refundedAt: new Date()
       }, { transaction });
 
-      // Update original payment status
+      // Update original payment; it is only marked refunded once nothing is left
+      const totalRefunded = parseFloat((alreadyRefunded + refund.totalAmount).toFixed(2));
       await originalPayment.update({
-        status: 'refunded',
-        refundedAmount: amount
+        ...(totalRefunded >= parseFloat(originalPayment.amount) && { status: 'refunded' }),
+        refundedAmount: totalRefunded
       }, { transaction });
 
-      // Update sale if exists
-      if (originalPayment.saleId) {
-        const sale = await Sale.findByPk(originalPayment.saleId, { transaction });
-        if (sale) {
-          await sale.update({ status: 'refunded' }, { transaction });
-        }
+      // Record refunded lines and totals on the sale if exists and restock unprepared items
+      if (sale) {
+        restocked = await refundService.applyRefundToSale(sale, refund, approvedBy, transaction);
       }
 
       await transaction.commit();
-
-      return {
-        refundId: refundTransaction.id,
-        transactionId: refundTransaction.transactionId,
-        refundAmount: parseFloat(amount),
-        status: refundTransaction.status,
-        estimatedArrival: '5-10 business days',
-        refundedAt: refundTransaction.refundedAt
-      };
-
     } catch (error) {
       await transaction.rollback();
       throw error;
     }
+
+    let receiptNumber = null;
+    if (sale) {
+      receiptNumber = await refundService.completeRefund(
+        sale, refund, refundTransaction, refundData.approvedBy, refundData.approverName
+      );
+    }
+
+    return {
+      refundId: refundTransaction.id,
+      transactionId: refundTransaction.transactionId,
+      refundAmount: refund.totalAmount,
+      refundVatAmount: refund.vatAmount,
+      refundedItems: refund.lines,
+      isFullRefund: refund.isFullRefund,
+      restocked,
+      status: refundTransaction.status,
+      estimatedArrival: '5-10 business days',
+      refundedAt: refundTransaction.refundedAt,
+      refundNumber: refundTransaction.receiptNumber,
+      receiptNumber
+    };
   }
 
   /**
@@ -0,0 +1,190 @@
+const { MenuCombo, MenuComboSlot, MenuComboSlotOption, MenuItem } = require('../models');
+
+/**
+ * Combo Service
+ * Expands set-meal bundles into their component menu items so each component
+ * is priced, taxed, routed to its kitchen station and deducted on its own
+ */
+class ComboService {
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Get a combo with its slots, default items and substitution options
+   * @param {Number} comboId - Combo ID
+   * @returns {Promise<Object>} - Combo record
+   */
+  async getComboWithSlots(comboId) {
+    return MenuCombo.findByPk(comboId, {
+      include: [{
+        model: MenuComboSlot,
+        as: 'slots',
+        include: [
+          {
+            model: MenuItem,
+            as: 'defaultMenuItem',
+            attributes: ['id', 'name', 'price', 'category', 'kitchenStationId', 'isAvailable']
+          },
+          {
+            model: MenuComboSlotOption,
+            as: 'options',
+            include: [{
+              model: MenuItem,
+              as: 'menuItem',
+              attributes: ['id', 'name', 'price', 'category', 'kitchenStationId', 'isAvailable']
+            }]
+          }
+        ]
+      }],
+      order: [[{ model: MenuComboSlot, as: 'slots' }, 'displayOrder', 'ASC']]
+    });
+  }
+
+  /**
+   * Replace combo lines in a basket with their component lines.
+   * The bundle price (plus substitution surcharges) is spread over the
+   * components in proportion to their standalone menu prices, so revenue,
+   * best-seller and VAT category reports see each component individually.
+   * @param {Array} items - Sale items; combo lines carry comboId and optional selections
+   * @returns {Promise<Array>} - Items with combos expanded
+   */
+  async expandComboItems(items) {
+    // Expanded component lines keep their comboId but also carry a product
+    const isComboLine = item => item.comboId && !item.product;
+
+    if (!items.some(isComboLine)) {
+      return items;
+    }
+
+    const expanded = [];
+    let comboLine = 0;
+
+    for (const item of items) {
+      if (!isComboLine(item)) {
+        expanded.push(item);
+        continue;
+      }
+
+      const combo = await this.getComboWithSlots(item.comboId);
+
+      if (!combo || !combo.isActive || !combo.isAvailable) {
+        const error = new Error(`Combo ${item.comboId} is not available`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const selections = Array.isArray(item.selections) ? item.selections : [];
+      const comboQuantity = parseInt(item.quantity) || 1;
+      comboLine += 1;
+
+      // Resolve the menu item served in each slot
+      const components = combo.slots.map(slot => {
+        const selection = selections.find(s => parseInt(s.slotId) === slot.id);
+        let menuItem = slot.defaultMenuItem;
+        let priceDelta = 0;
+
+        if (selection && selection.menuItemId && parseInt(selection.menuItemId) !== slot.defaultMenuItemId) {
+          const option = slot.options.find(o => o.menuItemId === parseInt(selection.menuItemId));
+          if (!option) {
+            const error = new Error(`${selection.menuItemId} is not a valid substitution for ${slot.name} in ${combo.name}`);
+            error.statusCode = 400;
+            throw error;
+          }
+          menuItem = option.menuItem;
+          priceDelta = parseFloat(option.priceDelta);
+        }
+
+        if (!menuItem || !menuItem.isAvailable) {
+          const error = new Error(`${menuItem ? menuItem.name : slot.name} in ${combo.name} is currently unavailable`);
+          error.statusCode = 400;
+          throw error;
+        }
+
+        return {
+          slot,
+          menuItem,
+          priceDelta,
+          modifiers: selection && Array.isArray(selection.modifiers) ? selection.modifiers : [],
+          // A starter-and-main combo can send each slot with its own course
+          course: (selection && selection.course) || item.course,
+          weight: parseFloat(menuItem.price || 0) * slot.quantity
+        };
+      });
+
+      const comboPrice = parseFloat(combo.price) + components.reduce((sum, c) => sum + c.priceDelta, 0);
+      const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+
+      // Allocate the bundle price per combo unit
+      let allocated = 0;
+      const lines = components.map(component => {
+        const share = totalWeight > 0
+          ? comboPrice * (component.weight / totalWeight)
+          : comboPrice / components.length;
+        const unitPrice = this.round(share / component.slot.quantity);
+        allocated += unitPrice * component.slot.quantity;
+
+        return {
+          product: component.menuItem.id,
+          productName: component.menuItem.name,
+          itemType: 'menu-item',
+          quantity: component.slot.quantity * comboQuantity,
+          unitPrice,
+          modifiers: component.modifiers,
+          ...(component.course && { course: parseInt(component.course) }),
+          comboId: combo.id,
+          comboName: combo.name,
+          comboLine,
+          comboSlot: component.slot.name,
+          comboPrice: this.round(comboPrice)
+        };
+      });
+
+      // Put any rounding remainder on a single-quantity slot so the lines add up to the bundle price
+      const remainder = this.round(comboPrice - allocated);
+      if (remainder !== 0) {
+        const target = lines.find((line, index) => components[index].slot.quantity === 1) || lines[0];
+        target.unitPrice = this.round(target.unitPrice + remainder);
+      }
+
+      expanded.push(...lines);
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Validate combo data before it is saved
+   * @param {Object} data - Combo fields including slots
+   */
+  async validateComboData(data) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    };
+
+    if (!Array.isArray(data.slots) || data.slots.length === 0) {
+      fail('A combo requires at least one slot');
+    }
+
+    const menuItemIds = new Set();
+    data.slots.forEach(slot => {
+      if (!slot.name || !slot.defaultMenuItemId) {
+        fail('Each slot requires a name and a default menu item');
+      }
+      menuItemIds.add(parseInt(slot.defaultMenuItemId));
+      (slot.options || []).forEach(option => menuItemIds.add(parseInt(option.menuItemId)));
+    });
+
+    const found = await MenuItem.count({ where: { id: [...menuItemIds] } });
+    if (found !== menuItemIds.size) {
+      fail('One or more menu items in the combo do not exist');
+    }
+  }
+}
+
+module.exports = new ComboService();
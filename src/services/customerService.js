@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Customer, Sale } = require('../models');
+
+/**
+ * Customer Service
+ * Customer profiles looked up by phone at the register, with delivery
+ * addresses, dietary notes and order history
+ */
+class CustomerService {
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Normalize a phone number so the same customer is found however it is
+   * typed: formatting is dropped and local Sri Lankan numbers (07X...) get
+   * the +94 country code
+   * @param {String} phone - Phone number as entered
+   * @returns {String} - Normalized phone number
+   */
+  normalizePhone(phone) {
+    const trimmed = String(phone || '').trim();
+    const digits = trimmed.replace(/\D/g, '');
+
+    if (trimmed.startsWith('+')) {
+      return `+${digits}`;
+    }
+    if (digits.startsWith('0') && digits.length === 10) {
+      return `+94${digits.slice(1)}`;
+    }
+    if (digits.startsWith('94') && digits.length === 11) {
+      return `+${digits}`;
+    }
+    return digits;
+  }
+
+  /**
+   * Give each address an ID and keep exactly one default
+   * @param {Array} addresses - Addresses as sent by the client
+   * @returns {Array} - Addresses ready to store
+   */
+  prepareAddresses(addresses) {
+    if (!Array.isArray(addresses)) {
+      return [];
+    }
+
+    const prepared = addresses.map(address => ({
+      id: address.id || crypto.randomUUID(),
+      label: address.label || null,
+      line1: address.line1,
+      line2: address.line2 || null,
+      city: address.city || null,
+      postalCode: address.postalCode || null,
+      landmark: address.landmark || null,
+      isDefault: Boolean(address.isDefault)
+    }));
+
+    const defaultIndex = prepared.findIndex(address => address.isDefault);
+    prepared.forEach((address, index) => {
+      address.isDefault = index === (defaultIndex === -1 ? 0 : defaultIndex);
+    });
+
+    return prepared;
+  }
+
+  /**
+   * Get a customer
+   * @param {Number} id - Customer ID
+   * @returns {Promise<Object>} - Customer record
+   */
+  async getCustomer(id) {
+    const customer = await Customer.findByPk(id);
+    if (!customer) {
+      this.fail('Customer not found', 404);
+    }
+    return customer;
+  }
+
+  /**
+   * Find a customer by phone number
+   * @param {String} phone - Phone number in any format
+   * @returns {Promise<Object|null>} - Customer record
+   */
+  async findByPhone(phone) {
+    return Customer.findOne({ where: { phone: this.normalizePhone(phone) } });
+  }
+
+  /**
+   * Search customers by name, phone or email
+   * @param {Object} filters - search, includeInactive, limit
+   * @returns {Promise<Array>} - Customer records
+   */
+  async searchCustomers(filters = {}) {
+    const { search, includeInactive, limit = 50 } = filters;
+    const where = {};
+
+    if (includeInactive !== 'true' && includeInactive !== true) {
+      where.isActive = true;
+    }
+
+    if (search) {
+      const phoneDigits = search.replace(/\D/g, '');
+      where[Op.or] = [
+        { name: { [Op.like]: `%${search}%` } },
+        { email: { [Op.like]: `%${search}%` } },
+        ...(phoneDigits.length >= 3 ? [{ phone: { [Op.like]: `%${phoneDigits.replace(/^0/, '')}%` } }] : [])
+      ];
+    }
+
+    return Customer.findAll({
+      where,
+      order: [['name', 'ASC']],
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+  }
+
+  /**
+   * Create a customer. Phone numbers are unique.
+   * @param {Object} data - name, phone, email, addresses, dietaryNotes, notes
+   * @param {Object} user - Staff member creating the profile
+   * @returns {Promise<Object>} - Customer record
+   */
+  async createCustomer(data, user) {
+    const phone = this.normalizePhone(data.phone);
+
+    const existing = await Customer.findOne({ where: { phone } });
+    if (existing) {
+      this.fail(`A customer with phone ${phone} already exists (${existing.name})`, 409);
+    }
+
+    return Customer.create({
+      name: data.name,
+      phone,
+      email: data.email || null,
+      addresses: this.prepareAddresses(data.addresses),
+      dietaryNotes: data.dietaryNotes || null,
+      notes: data.notes || null,
+      createdBy: user ? user.id : null
+    });
+  }
+
+  /**
+   * Update a customer
+   * @param {Number} id - Customer ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated customer
+   */
+  async updateCustomer(id, data) {
+    const customer = await this.getCustomer(id);
+    const updates = {};
+
+    for (const field of ['name', 'email', 'dietaryNotes', 'notes', 'isActive']) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+
+    if (data.phone !== undefined) {
+      updates.phone = this.normalizePhone(data.phone);
+      const existing = await Customer.findOne({ where: { phone: updates.phone, id: { [Op.ne]: customer.id } } });
+      if (existing) {
+        this.fail(`A customer with phone ${updates.phone} already exists (${existing.name})`, 409);
+      }
+    }
+
+    if (data.addresses !== undefined) {
+      updates.addresses = this.prepareAddresses(data.addresses);
+    }
+
+    await customer.update(updates);
+    return customer;
+  }
+
+  /**
+   * Add a delivery address
+   * @param {Number} id - Customer ID
+   * @param {Object} address - label, line1, line2, city, postalCode, landmark, isDefault
+   * @returns {Promise<Object>} - Updated customer
+   */
+  async addAddress(id, address) {
+    const customer = await this.getCustomer(id);
+    const addresses = (customer.addresses || []).map(existing => ({
+      ...existing,
+      isDefault: address.isDefault ? false : existing.isDefault
+    }));
+
+    await customer.update({
+      addresses: this.prepareAddresses([...addresses, { ...address, id: null }])
+    });
+    return customer;
+  }
+
+  /**
+   * Remove a delivery address
+   * @param {Number} id - Customer ID
+   * @param {String} addressId - Address ID
+   * @returns {Promise<Object>} - Updated customer
+   */
+  async removeAddress(id, addressId) {
+    const customer = await this.getCustomer(id);
+    const addresses = customer.addresses || [];
+
+    if (!addresses.some(address => address.id === addressId)) {
+      this.fail('Address not found', 404);
+    }
+
+    await customer.update({
+      addresses: this.prepareAddresses(addresses.filter(address => address.id !== addressId))
+    });
+    return customer;
+  }
+
+  /**
+   * Resolve the customer for a sale or order from a customer ID or phone
+   * @param {Object} data - customerId or customerPhone
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object|null>} - Customer record, or null for walk-ins
+   */
+  async resolveCustomer(data, transaction = null) {
+    const { customerId, customerPhone } = data;
+
+    if (customerId) {
+      const customer = await Customer.findByPk(customerId, { transaction });
+      if (!customer) {
+        this.fail('Customer not found', 404);
+      }
+      return customer;
+    }
+
+    if (customerPhone) {
+      return Customer.findOne({ where: { phone: this.normalizePhone(customerPhone) }, transaction });
+    }
+
+    return null;
+  }
+
+  /**
+   * Past orders and lifetime spend. Spend counts paid sales, less refunds;
+   * voided sales and open tabs are left out.
+   * @param {Number} id - Customer ID
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>} - { customer, stats, orders, pagination }
+   */
+  async getOrderHistory(id, options = {}) {
+    const customer = await this.getCustomer(id);
+    const page = parseInt(options.page) || 1;
+    const limit = Math.min(parseInt(options.limit) || 20, 100);
+
+    const counted = {
+      customerId: customer.id,
+      status: { [Op.ne]: 'voided' },
+      [Op.or]: [{ tabStatus: null }, { tabStatus: { [Op.ne]: 'open' } }]
+    };
+
+    const [totals] = await Sale.findAll({
+      where: counted,
+      attributes: [
+        [Sale.sequelize.fn('COUNT', Sale.sequelize.col('id')), 'orderCount'],
+        [Sale.sequelize.fn('SUM', Sale.sequelize.col('totalAmount')), 'totalSpent'],
+        [Sale.sequelize.fn('SUM', Sale.sequelize.col('refundedAmount')), 'totalRefunded'],
+        [Sale.sequelize.fn('MIN', Sale.sequelize.col('saleDate')), 'firstOrderAt'],
+        [Sale.sequelize.fn('MAX', Sale.sequelize.col('saleDate')), 'lastOrderAt']
+      ],
+      raw: true
+    });
+
+    const orderCount = parseInt(totals.orderCount || 0);
+    const lifetimeSpend = parseFloat((parseFloat(totals.totalSpent || 0) - parseFloat(totals.totalRefunded || 0)).toFixed(2));
+
+    const { count, rows } = await Sale.findAndCountAll({
+      where: { customerId: customer.id },
+      attributes: ['id', 'saleNumber', 'saleDate', 'orderType', 'status', 'tabStatus', 'items', 'totalAmount', 'refundedAmount', 'paymentMethod', 'cashierName'],
+      order: [['saleDate', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      customer,
+      stats: {
+        orderCount,
+        lifetimeSpend,
+        averageOrderValue: orderCount > 0 ? parseFloat((lifetimeSpend / orderCount).toFixed(2)) : 0,
+        firstOrderAt: totals.firstOrderAt,
+        lastOrderAt: totals.lastOrderAt
+      },
+      orders: rows.map(sale => ({
+        id: sale.id,
+        saleNumber: sale.saleNumber,
+        saleDate: sale.saleDate,
+        orderType: sale.orderType,
+        status: sale.status,
+        tabStatus: sale.tabStatus,
+        itemCount: (sale.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0),
+        items: (sale.items || []).map(item => ({ name: item.name, quantity: item.quantity })),
+        totalAmount: parseFloat(sale.totalAmount),
+        refundedAmount: parseFloat(sale.refundedAmount || 0),
+        paymentMethod: sale.paymentMethod,
+        cashierName: sale.cashierName
+      })),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+}
+
+module.exports = new CustomerService();
@@ -0,0 +1,737 @@
+const { Op } = require('sequelize');
+const { sequelize, Sale, KitchenOrder, CashDrawer, PaymentTransaction, DeliveryZone, Driver, Delivery, DriverSettlement } = require('../models');
+const paymentService = require('./paymentService');
+
+// Where a delivery can go next from each status
+const STATUS_TRANSITIONS = {
+  pending: ['ready', 'cancelled'],
+  ready: ['out_for_delivery', 'cancelled'],
+  out_for_delivery: ['delivered', 'failed'],
+  failed: ['ready', 'out_for_delivery', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+/**
+ * Delivery Service
+ * Delivery zones and fees, drivers, and the dispatch lifecycle that follows
+ * a delivery order once the kitchen has finished with it. Drivers hand in
+ * cash-on-delivery takings at the end of their shift, and the settlement
+ * pays it into a cash drawer as the sales' cash payments.
+ */
+class DeliveryService {
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  // ==========================================================================
+  // Zones
+  // ==========================================================================
+
+  /**
+   * List delivery zones
+   * @param {Object} filters - includeInactive
+   * @returns {Promise<Array>} - DeliveryZone records
+   */
+  async getZones(filters = {}) {
+    const where = {};
+    if (filters.includeInactive !== 'true' && filters.includeInactive !== true) {
+      where.isActive = true;
+    }
+    return DeliveryZone.findAll({ where, order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get a delivery zone
+   * @param {Number} id - DeliveryZone ID
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object>} - DeliveryZone record
+   */
+  async getZone(id, transaction = null) {
+    const zone = await DeliveryZone.findByPk(id, { transaction });
+    if (!zone) {
+      this.fail('Delivery zone not found', 404);
+    }
+    return zone;
+  }
+
+  /**
+   * Create a delivery zone
+   * @param {Object} data - name, description, areas, deliveryFee, minimumOrderValue, freeDeliveryAbove, estimatedMinutes
+   * @returns {Promise<Object>} - DeliveryZone record
+   */
+  async createZone(data) {
+    const existing = await DeliveryZone.findOne({ where: { name: data.name } });
+    if (existing) {
+      this.fail(`A delivery zone named ${data.name} already exists`, 409);
+    }
+
+    return DeliveryZone.create({
+      name: data.name,
+      description: data.description || null,
+      areas: data.areas || [],
+      deliveryFee: data.deliveryFee || 0,
+      minimumOrderValue: data.minimumOrderValue || 0,
+      freeDeliveryAbove: data.freeDeliveryAbove ?? null,
+      estimatedMinutes: data.estimatedMinutes || null
+    });
+  }
+
+  /**
+   * Update a delivery zone
+   * @param {Number} id - DeliveryZone ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated zone
+   */
+  async updateZone(id, data) {
+    const zone = await this.getZone(id);
+    const updates = {};
+
+    for (const field of ['name', 'description', 'areas', 'deliveryFee', 'minimumOrderValue', 'freeDeliveryAbove', 'estimatedMinutes', 'isActive']) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+
+    if (updates.name && updates.name !== zone.name) {
+      const existing = await DeliveryZone.findOne({ where: { name: updates.name, id: { [Op.ne]: zone.id } } });
+      if (existing) {
+        this.fail(`A delivery zone named ${updates.name} already exists`, 409);
+      }
+    }
+
+    await zone.update(updates);
+    return zone;
+  }
+
+  /**
+   * Work out the delivery fee for an order. The minimum order value and the
+   * free delivery threshold are checked against the bill total before the fee.
+   * @param {Number} zoneId - DeliveryZone ID
+   * @param {Number} orderTotal - Bill total (VAT inclusive)
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object>} - { zone, deliveryFee, orderTotal, total }
+   */
+  async quote(zoneId, orderTotal, transaction = null) {
+    const zone = await this.getZone(zoneId, transaction);
+    const total = parseFloat(orderTotal);
+
+    if (!zone.isActive) {
+      this.fail(`We are not delivering to ${zone.name} at the moment`);
+    }
+
+    const minimum = parseFloat(zone.minimumOrderValue || 0);
+    if (total < minimum) {
+      this.fail(`Minimum order for delivery to ${zone.name} is ${minimum.toFixed(2)}; this order is ${total.toFixed(2)}`);
+    }
+
+    const freeAbove = zone.freeDeliveryAbove !== null ? parseFloat(zone.freeDeliveryAbove) : null;
+    const deliveryFee = freeAbove !== null && total >= freeAbove ? 0 : parseFloat(zone.deliveryFee);
+
+    return {
+      zone,
+      deliveryFee,
+      orderTotal: total,
+      total: this.round(total + deliveryFee)
+    };
+  }
+
+  // ==========================================================================
+  // Drivers
+  // ==========================================================================
+
+  /**
+   * List drivers with the number of orders each is out with
+   * @param {Object} filters - includeInactive
+   * @returns {Promise<Array>} - Drivers
+   */
+  async getDrivers(filters = {}) {
+    const where = {};
+    if (filters.includeInactive !== 'true' && filters.includeInactive !== true) {
+      where.isActive = true;
+    }
+
+    const drivers = await Driver.findAll({ where, order: [['name', 'ASC']] });
+
+    const activeCounts = await Delivery.findAll({
+      where: { status: 'out_for_delivery', driverId: { [Op.in]: drivers.map(d => d.id) } },
+      attributes: ['driverId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['driverId'],
+      raw: true
+    });
+    const countByDriver = Object.fromEntries(activeCounts.map(row => [row.driverId, parseInt(row.count)]));
+
+    return drivers.map(driver => ({
+      ...driver.toJSON(),
+      activeDeliveries: countByDriver[driver.id] || 0,
+      isAvailable: driver.isActive && !countByDriver[driver.id]
+    }));
+  }
+
+  /**
+   * Get a driver
+   * @param {Number} id - Driver ID
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object>} - Driver record
+   */
+  async getDriver(id, transaction = null) {
+    const driver = await Driver.findByPk(id, { transaction });
+    if (!driver) {
+      this.fail('Driver not found', 404);
+    }
+    return driver;
+  }
+
+  /**
+   * Add a driver
+   * @param {Object} data - name, phone, vehicleNumber, notes
+   * @returns {Promise<Object>} - Driver record
+   */
+  async createDriver(data) {
+    const existing = await Driver.findOne({ where: { phone: data.phone } });
+    if (existing) {
+      this.fail(`A driver with phone ${data.phone} already exists (${existing.name})`, 409);
+    }
+
+    return Driver.create({
+      name: data.name,
+      phone: data.phone,
+      vehicleNumber: data.vehicleNumber || null,
+      notes: data.notes || null
+    });
+  }
+
+  /**
+   * Update a driver
+   * @param {Number} id - Driver ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated driver
+   */
+  async updateDriver(id, data) {
+    const driver = await this.getDriver(id);
+    const updates = {};
+
+    for (const field of ['name', 'phone', 'vehicleNumber', 'notes', 'isActive']) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+
+    if (updates.phone && updates.phone !== driver.phone) {
+      const existing = await Driver.findOne({ where: { phone: updates.phone, id: { [Op.ne]: driver.id } } });
+      if (existing) {
+        this.fail(`A driver with phone ${updates.phone} already exists (${existing.name})`, 409);
+      }
+    }
+
+    await driver.update(updates);
+    return driver;
+  }
+
+  // ==========================================================================
+  // Deliveries
+  // ==========================================================================
+
+  /**
+   * Address as printed on the receipt and the driver's slip
+   * @param {Object} address - line1, line2, city, postalCode, landmark
+   * @returns {String} - One-line address
+   */
+  formatAddress(address) {
+    const text = [address.line1, address.line2, address.city, address.postalCode].filter(Boolean).join(', ');
+    return address.landmark ? `${text} (near ${address.landmark})` : text;
+  }
+
+  /**
+   * Pick the delivery address: one typed in for this order, one of the
+   * customer's saved addresses, or the customer's default address
+   * @param {Object} data - deliveryAddress or deliveryAddressId
+   * @param {Object} customer - Customer record, if known
+   * @returns {Object} - Address
+   */
+  resolveAddress(data, customer) {
+    const { deliveryAddress, deliveryAddressId } = data;
+
+    if (deliveryAddress && deliveryAddress.line1) {
+      return {
+        label: deliveryAddress.label || null,
+        line1: deliveryAddress.line1,
+        line2: deliveryAddress.line2 || null,
+        city: deliveryAddress.city || null,
+        postalCode: deliveryAddress.postalCode || null,
+        landmark: deliveryAddress.landmark || null
+      };
+    }
+
+    const saved = customer ? customer.addresses || [] : [];
+    const address = deliveryAddressId
+      ? saved.find(a => a.id === deliveryAddressId)
+      : saved.find(a => a.isDefault) || saved[0];
+
+    if (deliveryAddressId && !address) {
+      this.fail('Delivery address not found on the customer profile', 404);
+    }
+    if (!address) {
+      this.fail('Delivery address is required for delivery orders');
+    }
+
+    const { id, isDefault, ...fields } = address;
+    return fields;
+  }
+
+  /**
+   * Open the dispatch record for a delivery sale
+   * @param {Object} sale - Sale record
+   * @param {Object} details - zone, deliveryFee, address, cashOnDelivery, collectAmount, customerPhone, notes
+   * @param {Object} transaction - Transaction the sale is created in
+   * @returns {Promise<Object>} - Delivery record
+   */
+  async createForSale(sale, details, transaction) {
+    const { zone = null, deliveryFee = 0, address, cashOnDelivery = false, collectAmount = 0, customerPhone = null, notes = null } = details;
+
+    return Delivery.create({
+      saleId: sale.id,
+      saleNumber: sale.saleNumber,
+      deliveryZoneId: zone ? zone.id : null,
+      zoneName: zone ? zone.name : null,
+      deliveryFee,
+      customerId: sale.customerId || null,
+      customerName: sale.customerName || null,
+      customerPhone,
+      address,
+      cashOnDelivery,
+      collectAmount: cashOnDelivery ? collectAmount : 0,
+      notes,
+      status: 'pending'
+    }, { transaction });
+  }
+
+  /**
+   * Get a delivery
+   * @param {Number} id - Delivery ID
+   * @returns {Promise<Object>} - Delivery with its sale
+   */
+  async getDelivery(id) {
+    const delivery = await Delivery.findByPk(id, {
+      include: [{
+        model: Sale,
+        as: 'sale',
+        attributes: ['id', 'saleNumber', 'items', 'totalAmount', 'amountPaid', 'paymentMethod', 'status', 'saleDate']
+      }]
+    });
+    if (!delivery) {
+      this.fail('Delivery not found', 404);
+    }
+    return delivery;
+  }
+
+  /**
+   * Dispatch board: deliveries by status, driver, zone or date
+   * @param {Object} filters - status (comma separated), driverId, zoneId, date, page, limit
+   * @returns {Promise<Object>} - { deliveries, pagination }
+   */
+  async getDeliveries(filters = {}) {
+    const { status, driverId, zoneId, date } = filters;
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const where = {};
+
+    if (status) {
+      where.status = { [Op.in]: String(status).split(',') };
+    }
+    if (driverId) {
+      where.driverId = driverId;
+    }
+    if (zoneId) {
+      where.deliveryZoneId = zoneId;
+    }
+    if (date) {
+      const start = new Date(date);
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(date);
+      end.setHours(23, 59, 59, 999);
+      where.createdAt = { [Op.between]: [start, end] };
+    }
+
+    const { count, rows } = await Delivery.findAndCountAll({
+      where,
+      order: [['createdAt', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      deliveries: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Assign or change the driver for a delivery that has not left yet
+   * @param {Number} id - Delivery ID
+   * @param {Number} driverId - Driver ID
+   * @param {Object} user - Staff member assigning the driver
+   * @returns {Promise<Object>} - Updated delivery
+   */
+  async assignDriver(id, driverId, user) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const delivery = await Delivery.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!delivery) {
+        this.fail('Delivery not found', 404);
+      }
+      if (!['pending', 'ready', 'failed'].includes(delivery.status)) {
+        this.fail(`Cannot change the driver of a delivery that is ${delivery.status.replace(/_/g, ' ')}`);
+      }
+
+      const driver = await this.getDriver(driverId, transaction);
+      if (!driver.isActive) {
+        this.fail(`${driver.name} is not an active driver`);
+      }
+
+      await delivery.update({
+        driverId: driver.id,
+        driverName: driver.name,
+        statusUpdatedBy: user.id,
+        statusUpdatedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+      return delivery;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Move a delivery through dispatch. Sending it out needs a driver;
+   * delivering it completes the sale; a failed delivery needs a reason
+   * and can be sent out again or cancelled.
+   * @param {Number} id - Delivery ID
+   * @param {Object} data - status, driverId, reason
+   * @param {Object} user - Staff member recording the change
+   * @returns {Promise<Object>} - Updated delivery
+   */
+  async updateStatus(id, data, user) {
+    const { status, driverId, reason } = data;
+    const transaction = await sequelize.transaction();
+
+    try {
+      const delivery = await Delivery.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!delivery) {
+        this.fail('Delivery not found', 404);
+      }
+
+      if (!STATUS_TRANSITIONS[delivery.status].includes(status)) {
+        this.fail(`Cannot change a delivery from ${delivery.status.replace(/_/g, ' ')} to ${status.replace(/_/g, ' ')}`);
+      }
+
+      const now = new Date();
+      const updates = {
+        status,
+        statusUpdatedBy: user.id,
+        statusUpdatedAt: now
+      };
+
+      if (status === 'ready') {
+        updates.readyAt = delivery.readyAt || now;
+      } else if (status === 'out_for_delivery') {
+        if (!driverId && !delivery.driverId) {
+          this.fail('Assign a driver before sending the order out');
+        }
+        const driver = await this.getDriver(driverId || delivery.driverId, transaction);
+        if (!driver.isActive) {
+          this.fail(`${driver.name} is not an active driver`);
+        }
+        Object.assign(updates, {
+          driverId: driver.id,
+          driverName: driver.name,
+          dispatchedAt: now,
+          attempts: delivery.attempts + 1,
+          failureReason: null
+        });
+      } else if (status === 'delivered') {
+        updates.deliveredAt = now;
+      } else if (status === 'failed') {
+        if (!reason) {
+          this.fail('A reason is required when a delivery fails');
+        }
+        updates.failedAt = now;
+        updates.failureReason = reason;
+      } else if (status === 'cancelled' && reason) {
+        updates.failureReason = reason;
+      }
+
+      await delivery.update(updates, { transaction });
+
+      // The order is finished once it reaches the customer
+      if (status === 'delivered') {
+        await Sale.update(
+          { status: 'completed', statusUpdatedBy: user.id, statusUpdatedAt: now },
+          { where: { id: delivery.saleId, status: { [Op.notIn]: ['voided', 'refunded'] } }, transaction }
+        );
+      }
+
+      await transaction.commit();
+      return delivery;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a sale's delivery ready once every kitchen ticket for it is done.
+   * Called when the kitchen updates a delivery order.
+   * @param {Number} saleId - Sale ID
+   * @returns {Promise<Object|null>} - Updated delivery
+   */
+  async markReadyForSale(saleId) {
+    const delivery = await Delivery.findOne({ where: { saleId, status: 'pending' } });
+    if (!delivery) {
+      return null;
+    }
+
+    const waiting = await KitchenOrder.count({
+      where: { saleId, status: { [Op.notIn]: ['ready', 'completed', 'cancelled'] } }
+    });
+    if (waiting > 0) {
+      return null;
+    }
+
+    await delivery.update({ status: 'ready', readyAt: new Date() });
+    return delivery;
+  }
+
+  /**
+   * Whether a sale has a delivery that has not reached the customer yet
+   * @param {Number} saleId - Sale ID
+   * @returns {Promise<Boolean>}
+   */
+  async isAwaitingDelivery(saleId) {
+    const count = await Delivery.count({
+      where: { saleId, status: { [Op.notIn]: ['delivered', 'cancelled'] } }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Cancel the delivery of a voided sale
+   * @param {Object} sale - Voided sale
+   * @param {Object} user - Staff member voiding the sale
+   * @returns {Promise<Object|null>} - Cancelled delivery
+   */
+  async cancelForSale(sale, user = null) {
+    const delivery = await Delivery.findOne({
+      where: { saleId: sale.id, status: { [Op.notIn]: ['delivered', 'cancelled'] } }
+    });
+    if (!delivery) {
+      return null;
+    }
+
+    await delivery.update({
+      status: 'cancelled',
+      failureReason: sale.cancellationReason || 'Sale voided',
+      statusUpdatedBy: user ? user.id : null,
+      statusUpdatedAt: new Date()
+    });
+    return delivery;
+  }
+
+  // ==========================================================================
+  // Driver cash settlement
+  // ==========================================================================
+
+  /**
+   * Cash-on-delivery orders a driver has delivered but not yet handed in
+   * @param {Number} driverId - Driver ID
+   * @param {Object} transaction - Optional transaction (rows are locked when given)
+   * @returns {Promise<Array>} - Delivery records
+   */
+  async getUnsettledDeliveries(driverId, transaction = null) {
+    return Delivery.findAll({
+      where: {
+        driverId,
+        status: 'delivered',
+        cashOnDelivery: true,
+        driverSettlementId: null
+      },
+      order: [['deliveredAt', 'ASC']],
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE })
+    });
+  }
+
+  /**
+   * What a driver should hand in: cash collected on delivered orders, plus
+   * the orders they are still out with
+   * @param {Number} driverId - Driver ID
+   * @returns {Promise<Object>} - { driver, deliveries, deliveryCount, expectedCash, outForDelivery }
+   */
+  async getSettlementPreview(driverId) {
+    const driver = await this.getDriver(driverId);
+    const deliveries = await this.getUnsettledDeliveries(driver.id);
+    const outForDelivery = await Delivery.count({ where: { driverId: driver.id, status: 'out_for_delivery' } });
+
+    return {
+      driver,
+      deliveries,
+      deliveryCount: deliveries.length,
+      expectedCash: this.round(deliveries.reduce((sum, d) => sum + parseFloat(d.collectAmount), 0)),
+      outForDelivery
+    };
+  }
+
+  /**
+   * Settle a driver's cash at the end of their shift. The counted cash goes
+   * into the settling user's open drawer and each order gets its cash
+   * payment; any shortfall stays on the settlement as the driver's variance.
+   * @param {Number} driverId - Driver ID
+   * @param {Object} data - countedCash, notes
+   * @param {Object} user - Staff member taking the cash
+   * @returns {Promise<Object>} - DriverSettlement with its deliveries
+   */
+  async settleDriver(driverId, data, user) {
+    const countedCash = this.round(parseFloat(data.countedCash || 0));
+    const transaction = await sequelize.transaction();
+
+    try {
+      const driver = await this.getDriver(driverId, transaction);
+      const deliveries = await this.getUnsettledDeliveries(driver.id, transaction);
+
+      if (deliveries.length === 0) {
+        this.fail(`${driver.name} has no cash-on-delivery orders to settle`);
+      }
+
+      const expectedCash = this.round(deliveries.reduce((sum, d) => sum + parseFloat(d.collectAmount), 0));
+
+      const cashDrawer = await CashDrawer.findOne({
+        where: { cashierId: user.id, status: 'open' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!cashDrawer) {
+        this.fail('No open cash drawer found. Please open a cash drawer first.');
+      }
+
+      const settlement = await DriverSettlement.create({
+        driverId: driver.id,
+        driverName: driver.name,
+        cashDrawerId: cashDrawer.id,
+        deliveryCount: deliveries.length,
+        expectedCash,
+        countedCash,
+        variance: this.round(countedCash - expectedCash),
+        settledBy: user.id,
+        settledByName: user.fullName,
+        settledAt: new Date(),
+        notes: data.notes || null
+      }, { transaction });
+
+      for (const delivery of deliveries) {
+        const sale = await Sale.findByPk(delivery.saleId, { transaction, lock: transaction.LOCK.UPDATE });
+        const amount = parseFloat(delivery.collectAmount);
+
+        if (amount > 0) {
+          const payment = await PaymentTransaction.create({
+            transactionId: paymentService.generateTransactionId('COD'),
+            saleId: sale.id,
+            saleNumber: sale.saleNumber,
+            paymentMethod: 'cash',
+            amount,
+            currency: 'LKR',
+            status: 'completed',
+            transactionType: 'payment',
+            cashierId: user.id,
+            cashierName: user.fullName,
+            cashDrawerId: cashDrawer.id,
+            amountPaid: amount,
+            changeGiven: 0,
+            receiptNumber: sale.saleNumber,
+            notes: `Cash on delivery collected by ${driver.name}`,
+            metadata: { deliveryId: delivery.id, driverId: driver.id, driverSettlementId: settlement.id },
+            processedAt: new Date()
+          }, { transaction });
+
+          await sale.update({
+            amountPaid: this.round(parseFloat(sale.amountPaid || 0) + amount),
+            tenders: [
+              ...(sale.tenders || []),
+              { paymentMethod: 'cash', amount, transactionId: payment.transactionId }
+            ]
+          }, { transaction });
+        }
+
+        await delivery.update({ driverSettlementId: settlement.id }, { transaction });
+      }
+
+      // The drawer takes what was actually handed over
+      await cashDrawer.update({
+        totalCashIn: this.round(parseFloat(cashDrawer.totalCashIn) + countedCash),
+        totalSales: cashDrawer.totalSales + deliveries.length
+      }, { transaction });
+
+      await transaction.commit();
+
+      return {
+        ...settlement.toJSON(),
+        deliveries: deliveries.map(d => ({
+          id: d.id,
+          saleId: d.saleId,
+          saleNumber: d.saleNumber,
+          collectAmount: parseFloat(d.collectAmount),
+          deliveredAt: d.deliveredAt
+        }))
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Past driver settlements
+   * @param {Object} filters - driverId, startDate, endDate
+   * @returns {Promise<Array>} - DriverSettlement records
+   */
+  async getSettlements(filters = {}) {
+    const { driverId, startDate, endDate } = filters;
+    const where = {};
+
+    if (driverId) {
+      where.driverId = driverId;
+    }
+    if (startDate && endDate) {
+      where.settledAt = { [Op.between]: [new Date(startDate), new Date(endDate)] };
+    } else if (startDate) {
+      where.settledAt = { [Op.gte]: new Date(startDate) };
+    }
+
+    return DriverSettlement.findAll({
+      where,
+      order: [['settledAt', 'DESC']],
+      limit: 200
+    });
+  }
+}
+
+module.exports = new DeliveryService();
@@ -0,0 +1,566 @@
+const path = require('path');
+const QRCode = require('qrcode');
+const { formatTime } = require('../config/languages');
+const textRasterizer = require('../utils/textRasterizer');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Characters per line in the printer's standard font, and printable dots, per paper width (mm)
+const PAPER = {
+  58: { columns: 32, dots: 384 },
+  80: { columns: 48, dots: 576 }
+};
+
+// Sinhala and Tamil are not in the printers' code pages, so lines using them are printed as images
+const RASTER_SCRIPT = /[\u0B80-\u0BFF\u0D80-\u0DFF]/;
+
+// Tallest image band sent in one command; some printers drop larger ones
+const RASTER_BAND_ROWS = 128;
+
+/**
+ * Raster image commands for a 1-bit bitmap ({ width, height, data }, one byte
+ * per pixel, non-zero is black), clipped to the paper
+ * @returns {Array<Buffer>}
+ */
+const rasterBands = (bitmap, dots) => {
+  const width = Math.min(bitmap.width, dots);
+  const rowBytes = Math.ceil(width / 8);
+  const buffers = [];
+
+  for (let top = 0; top < bitmap.height; top += RASTER_BAND_ROWS) {
+    const rows = Math.min(RASTER_BAND_ROWS, bitmap.height - top);
+    const band = Buffer.alloc(rowBytes * rows);
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < width; x++) {
+        if (bitmap.data[(top + y) * bitmap.width + x]) {
+          band[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+      }
+    }
+
+    buffers.push(Buffer.from([GS, 0x76, 0x30, 0, rowBytes & 0xff, rowBytes >> 8, rows & 0xff, rows >> 8]), band);
+  }
+
+  return buffers;
+};
+
+/**
+ * Collects ESC/POS commands for one document. Lines that need a raster
+ * image are kept as placeholders until the document is built.
+ */
+class EscPosBuilder {
+  constructor(paper) {
+    this.paper = paper;
+    this.parts = [];
+    this.style = { align: 'left', bold: false, width: 1, height: 1 };
+    this.bytes(ESC, 0x40); // Initialise
+    this.bytes(ESC, 0x74, 0); // Code page PC437
+  }
+
+  bytes(...values) {
+    this.parts.push(Buffer.from(values));
+    return this;
+  }
+
+  /**
+   * Characters that fit on a line at the current text width
+   */
+  get columns() {
+    return Math.floor(this.paper.columns / this.style.width);
+  }
+
+  align(position) {
+    this.style.align = position;
+    return this.bytes(ESC, 0x61, { left: 0, center: 1, right: 2 }[position]);
+  }
+
+  bold(on = true) {
+    this.style.bold = on;
+    return this.bytes(ESC, 0x45, on ? 1 : 0);
+  }
+
+  /**
+   * Character size as width and height multipliers (1-8)
+   */
+  size(width = 1, height = 1) {
+    this.style.width = width;
+    this.style.height = height;
+    return this.bytes(GS, 0x21, ((width - 1) << 4) | (height - 1));
+  }
+
+  invert(on = true) {
+    return this.bytes(GS, 0x42, on ? 1 : 0);
+  }
+
+  /**
+   * Print a line, wrapping it to the paper width
+   */
+  text(line = '') {
+    if (RASTER_SCRIPT.test(line)) {
+      this.parts.push({ raster: line, style: { ...this.style } });
+      return this;
+    }
+
+    this.wrap(String(line)).forEach(row => {
+      this.parts.push(Buffer.from(`${this.encode(row)}\n`, 'latin1'));
+    });
+    return this;
+  }
+
+  /**
+   * Label on the left and amount on the right of the same line
+   */
+  pair(left, right = '') {
+    left = String(left);
+    right = String(right);
+    const columns = this.columns;
+
+    if (left.length + right.length + 1 > columns) {
+      this.text(left);
+      return this.text(right.padStart(columns));
+    }
+    return this.text(left + right.padStart(columns - left.length));
+  }
+
+  divider(char = '-') {
+    return this.text(char.repeat(this.columns));
+  }
+
+  feed(lines = 1) {
+    return this.bytes(ESC, 0x64, lines);
+  }
+
+  /**
+   * Feed the paper past the cutter and cut it
+   */
+  cut(partial = false) {
+    return this.bytes(GS, 0x56, partial ? 0x42 : 0x41, 3);
+  }
+
+  /**
+   * Pulse the cash drawer connected to the printer (pin 2)
+   */
+  openDrawer() {
+    return this.bytes(ESC, 0x70, 0, 25, 250);
+  }
+
+  /**
+   * QR code using the printer's own QR support
+   */
+  nativeQr(data, moduleSize = 6) {
+    const payload = Buffer.from(String(data), 'utf8');
+    const length = payload.length + 3;
+
+    this.bytes(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0); // Model 2
+    this.bytes(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize); // Module size
+    this.bytes(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31); // Error correction M
+    this.bytes(GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30);
+    this.parts.push(payload);
+    return this.bytes(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30); // Print
+  }
+
+  /**
+   * QR code drawn as an image, for printers without QR support
+   */
+  rasterQr(data, moduleSize = 6) {
+    const { modules } = QRCode.create(String(data), { errorCorrectionLevel: 'M' });
+    const quiet = 4;
+    const count = modules.size + quiet * 2;
+    const scale = Math.max(1, Math.min(moduleSize, Math.floor(this.paper.dots / count)));
+    const size = count * scale;
+    const pixels = new Uint8Array(size * size);
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const row = Math.floor(y / scale) - quiet;
+        const col = Math.floor(x / scale) - quiet;
+        if (row >= 0 && col >= 0 && row < modules.size && col < modules.size && modules.get(row, col)) {
+          pixels[y * size + x] = 1;
+        }
+      }
+    }
+
+    return this.image({ width: size, height: size, data: pixels });
+  }
+
+  /**
+   * Print a 1-bit image
+   */
+  image(bitmap) {
+    this.parts.push(...rasterBands(bitmap, this.paper.dots));
+    return this;
+  }
+
+  /**
+   * Word-wrap a line to the current width
+   */
+  wrap(line) {
+    const columns = this.columns;
+    if (line.length <= columns) {
+      return [line];
+    }
+
+    const rows = [];
+    let row = '';
+    line.split(' ').forEach(word => {
+      while (word.length > columns) {
+        if (row) {
+          rows.push(row);
+          row = '';
+        }
+        rows.push(word.slice(0, columns));
+        word = word.slice(columns);
+      }
+      if (!row) {
+        row = word;
+      } else if (row.length + 1 + word.length <= columns) {
+        row += ` ${word}`;
+      } else {
+        rows.push(row);
+        row = word;
+      }
+    });
+    if (row) {
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Reduce text to what the code page can print
+   */
+  encode(text) {
+    return text
+      .replace(/[\u2018\u2019]/g, '\'')
+      .replace(/[\u201C\u201D]/g, '"')
+      .replace(/[\u2013\u2014]/g, '-')
+      .replace(/[^\x20-\x7e]/g, '?');
+  }
+
+  /**
+   * Build the byte stream, drawing Sinhala/Tamil lines with the rasterizer
+   * @param {Function|null} rasterizer - (text, options) => bitmap
+   * @returns {Promise<Buffer>}
+   */
+  async build(rasterizer) {
+    const buffers = [];
+
+    for (const part of this.parts) {
+      if (Buffer.isBuffer(part)) {
+        buffers.push(part);
+        continue;
+      }
+
+      if (!rasterizer) {
+        buffers.push(Buffer.from(`${this.encode(part.raster)}\n`, 'latin1'));
+        continue;
+      }
+
+      const bitmap = await rasterizer(part.raster, {
+        maxWidth: this.paper.dots,
+        bold: part.style.bold,
+        scale: part.style.height
+      });
+      buffers.push(...rasterBands(bitmap, this.paper.dots));
+    }
+
+    return Buffer.concat(buffers);
+  }
+}
+
+class EscPosService {
+  constructor() {
+    this.rasterizer = undefined;
+  }
+
+  getSettings() {
+    return {
+      paperWidth: parseInt(process.env.PRINTER_PAPER_WIDTH) || 80,
+      qrMode: process.env.ESCPOS_QR_MODE === 'raster' ? 'raster' : 'native'
+    };
+  }
+
+  /**
+   * Use a function to draw Sinhala/Tamil text as images:
+   * (text, { maxWidth, bold, scale }) => { width, height, data } (may return a promise)
+   * @param {Function|null} rasterizer
+   */
+  setRasterizer(rasterizer) {
+    this.rasterizer = rasterizer;
+  }
+
+  /**
+   * Rasterizer set in code, the module named by ESCPOS_RASTERIZER, or the
+   * bundled one (utils/textRasterizer)
+   * @returns {Function|null}
+   */
+  getRasterizer() {
+    if (this.rasterizer === undefined) {
+      this.rasterizer = process.env.ESCPOS_RASTERIZER
+        ? require(path.resolve(process.env.ESCPOS_RASTERIZER))
+        : textRasterizer;
+    }
+    return this.rasterizer;
+  }
+
+  /**
+   * Start a document for a paper width (58 or 80 mm)
+   */
+  createBuilder(paperWidth) {
+    const paper = PAPER[parseInt(paperWidth) || this.getSettings().paperWidth];
+    if (!paper) {
+      const error = new Error(`Unsupported paper width ${paperWidth}; use 58 or 80`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return new EscPosBuilder(paper);
+  }
+
+  /**
+   * Finish a document: QR code, cash drawer and cut
+   */
+  async finish(builder, options = {}) {
+    const { qr = null, openDrawer = false, cut = true } = options;
+
+    if (qr) {
+      builder.align('center').feed(1);
+      if (this.getSettings().qrMode === 'raster') {
+        builder.rasterQr(qr);
+      } else {
+        builder.nativeQr(qr);
+      }
+      builder.align('left');
+    }
+
+    builder.feed(3);
+    if (cut) {
+      builder.cut(cut === 'partial');
+    }
+    if (openDrawer) {
+      builder.openDrawer();
+    }
+
+    return builder.build(this.getRasterizer());
+  }
+
+  /**
+   * Company block and title at the top of receipts and reports
+   */
+  header(b, companyInfo, title, details = []) {
+    b.align('center').bold().size(1, 2).text(companyInfo.name).size(1, 1).bold(false);
+    [...details, companyInfo.vatNumber].filter(Boolean).forEach(line => b.text(line));
+    b.divider('=');
+    b.bold().size(1, 2).text(title).size(1, 1).bold(false);
+    b.divider('=').align('left');
+  }
+
+  /**
+   * Render a receipt template (receiptService or offline receipts)
+   * @param {Object} template - Receipt template
+   * @param {Object} options - paperWidth, qr, openDrawer, cut, offline
+   * @returns {Promise<Buffer>} - ESC/POS bytes
+   */
+  async renderReceipt(template, options = {}) {
+    const b = this.createBuilder(options.paperWidth);
+    const company = template.companyInfo;
+
+    this.header(b, company, template.header.title, [company.address, company.phone, company.email]);
+
+    const info = template.receiptInfo;
+    b.text(`${info.date} ${info.time}`);
+    b.text(`Receipt No: ${info.receiptNo}`);
+    if (info.saleNo) {
+      b.text(`Sale No: ${info.saleNo}`);
+    }
+    b.text(`Order Type: ${info.orderType}`);
+    if (info.tableNo) {
+      b.text(`Table No: ${info.tableNo}`);
+    }
+    b.text(`Cashier: ${info.cashier}`);
+    if (info.customer) {
+      b.text(`Customer: ${info.customer}`);
+    }
+    if (template.deliveryInfo) {
+      b.text(`${template.deliveryInfo.label}: ${template.deliveryInfo.address}`);
+    }
+    b.divider();
+
+    let currentCombo = null;
+    template.items.forEach(item => {
+      // Combo components are printed under their bundle name
+      if (item.comboLine && item.comboLine !== currentCombo) {
+        b.bold().text(item.comboName).bold(false);
+      }
+      currentCombo = item.comboLine || null;
+
+      b.pair(`${item.quantity} x ${item.name}`, item.total);
+      (item.modifiers || []).forEach(modifier => b.text(`   ${modifier}`));
+      if (item.discount) {
+        const promoName = item.promotions && item.promotions.length > 0 ? item.promotions.join(', ') : 'Discount';
+        b.pair(`   ${promoName}`, `-${item.discount}`);
+      }
+    });
+    b.divider();
+
+    const calculations = template.calculations;
+    if (calculations.discount) {
+      b.pair(calculations.discount.label, calculations.discount.amount);
+    }
+    b.pair(calculations.subtotal.label, calculations.subtotal.amount);
+    b.pair(calculations.vat.label, calculations.vat.amount);
+    if (calculations.deliveryFee) {
+      b.pair(calculations.deliveryFee.label, calculations.deliveryFee.amount);
+    }
+    b.divider('=');
+    b.bold().size(1, 2).pair(calculations.total.label.toUpperCase(), calculations.total.amount).size(1, 1).bold(false);
+    b.divider('=');
+
+    const payment = template.paymentInfo;
+    b.pair(payment.method.label, payment.method.value);
+    (payment.tenders || []).forEach(tender => b.pair(`   ${tender.label}`, tender.amount));
+    b.pair(payment.amountPaid.label, payment.amountPaid.amount);
+    if (payment.tip) {
+      b.pair(payment.tip.label, payment.tip.amount);
+    }
+    if (payment.change) {
+      b.bold().pair(payment.change.label, payment.change.amount).bold(false);
+    }
+
+    if (template.loyalty) {
+      const loyalty = template.loyalty;
+      b.divider();
+      if (loyalty.tier) {
+        b.pair(loyalty.tier.label, loyalty.tier.value);
+      }
+      if (loyalty.earned) {
+        b.pair(loyalty.earned.label, loyalty.earned.value);
+      }
+      if (loyalty.redeemed) {
+        b.pair(loyalty.redeemed.label, `${loyalty.redeemed.value} (${loyalty.redeemed.amount})`);
+      }
+      b.pair(loyalty.balance.label, loyalty.balance.value);
+    }
+
+    if (template.specialNotes) {
+      b.divider().text(`Notes: ${template.specialNotes}`);
+    }
+
+    b.feed(1).align('center');
+    b.bold().text(template.footer.thankYou).bold(false);
+    [template.footer.poweredBy, template.footer.terms, template.footer.refundPolicy, template.footer.copy]
+      .filter(Boolean)
+      .forEach(line => b.text(line));
+    if (options.offline) {
+      b.feed(1).text('[OFFLINE RECEIPT]').text('Will sync when online');
+    }
+    b.align('left');
+
+    return this.finish(b, options);
+  }
+
+  /**
+   * Render an X or Z report template (receiptService.generateShiftReportTemplate)
+   * @param {Object} template - Shift report template
+   * @param {Object} options - paperWidth, cut
+   * @returns {Promise<Buffer>} - ESC/POS bytes
+   */
+  async renderShiftReport(template, options = {}) {
+    const b = this.createBuilder(options.paperWidth);
+
+    this.header(b, template.companyInfo, template.header.title);
+
+    const info = template.reportInfo;
+    if (info.businessDate) {
+      b.text(`Business Day: ${info.businessDate}`);
+    }
+    b.text(`From: ${info.from}`);
+    b.text(`To:   ${info.to}`);
+    if (info.generatedBy) {
+      b.text(`By:   ${info.generatedBy}`);
+    }
+
+    template.sections.forEach(section => {
+      b.divider().bold().text(section.title.toUpperCase()).bold(false);
+      section.rows.forEach(row => b.pair(row.label, row.amount || row.value || ''));
+    });
+
+    b.divider('=').align('center').text(template.footer.note).align('left');
+
+    return this.finish(b, options);
+  }
+
+  /**
+   * Render a kitchen ticket. Items of held courses are listed under a HOLD heading.
+   * @param {Object} order - Kitchen order
+   * @param {Object} options - paperWidth, stationId (only that station's items), reprint, cut
+   * @returns {Promise<Buffer>} - ESC/POS bytes
+   */
+  async renderKitchenTicket(order, options = {}) {
+    const b = this.createBuilder(options.paperWidth);
+    const stationId = options.stationId ? parseInt(options.stationId) : null;
+    const items = (order.items || []).filter(item => !stationId || item.stationId === stationId);
+    const station = items.find(item => item.stationName);
+
+    b.align('center');
+    if (options.reprint) {
+      b.text('** REPRINT **');
+    }
+    b.bold().size(2, 2).text(order.orderNumber.split('-').pop()).size(1, 2);
+    b.text([String(order.orderType || '').toUpperCase(), order.tableNumber ? `TABLE ${order.tableNumber}` : null].filter(Boolean).join('  '));
+    b.size(1, 1).bold(false);
+    if (['high', 'urgent'].includes(order.priority)) {
+      b.bold().invert().text(` ${order.priority.toUpperCase()} `).invert(false).bold(false);
+    }
+    b.align('left');
+
+    b.pair(order.orderNumber, formatTime(order.createdAt || new Date()));
+    if (station) {
+      b.text(`Station: ${station.stationName}`);
+    }
+    if (order.orderType !== 'dine-in' && order.customerName) {
+      b.text(`Customer: ${order.customerName}`);
+    }
+    if (order.sale && order.sale.saleNumber) {
+      b.text(`Sale: ${order.sale.saleNumber}`);
+    }
+    b.divider('=');
+
+    // Courses in order, each under its own heading when the ticket has more than one
+    const courses = [...new Set(items.map(item => item.course || null))].sort((x, y) => (x || 0) - (y || 0));
+    courses.forEach(course => {
+      const courseItems = items.filter(item => (item.course || null) === course);
+      const held = courseItems.some(item => item.held);
+
+      if (course && (courses.length > 1 || held)) {
+        b.bold().text(`-- Course ${course}${held ? ' (HOLD)' : ''} --`).bold(false);
+      }
+
+      courseItems.forEach(item => {
+        b.bold().size(1, 2).text(`${item.quantity || 1} x ${item.productName || item.name}`).size(1, 1).bold(false);
+        (item.modifiers || []).forEach(modifier => {
+          const label = typeof modifier === 'string'
+            ? modifier
+            : (modifier.action === 'remove' ? `No ${modifier.name.replace(/^no\s+/i, '')}` : `+ ${modifier.name}`);
+          b.text(`    ${label}`);
+        });
+        if (item.comboName) {
+          b.text(`    (${item.comboName})`);
+        }
+        if (item.notes || item.specialInstructions) {
+          b.text(`    ! ${item.notes || item.specialInstructions}`);
+        }
+      });
+    });
+
+    if (order.specialInstructions) {
+      b.divider().bold().text('NOTES:').bold(false).text(order.specialInstructions);
+    }
+    b.divider('=');
+
+    return this.finish(b, options);
+  }
+}
+
+module.exports = new EscPosService();
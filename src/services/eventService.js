@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { Session, User } = require('../models');
+const { EVENTS, EVENT_ROLES } = require('../config/events');
+
+// Events kept for clients that reconnect with Last-Event-ID
+const REPLAY_SIZE = 200;
+// Comment line sent to idle streams so proxies don't close them
+const HEARTBEAT_MS = 25000;
+// How often open streams are checked against their sessions
+const SESSION_CHECK_MS = 60000;
+// Lifetime of a stream ticket; it is also used up by the first connection
+const TICKET_TTL_MS = 30000;
+
+class EventService {
+  constructor() {
+    this.clients = new Map();
+    this.nextClientId = 1;
+    // Start from the clock so IDs from before a restart are never mistaken for new ones
+    this.nextEventId = Date.now();
+    this.recent = [];
+    this.heartbeatTimer = null;
+    this.sessionTimer = null;
+    this.tickets = new Map();
+  }
+
+  /**
+   * Issue a single-use ticket for opening a stream. EventSource can't send an
+   * Authorization header, and a ticket in the URL keeps the session token out
+   * of URLs and access logs.
+   * @param {String} token - Session token of the signed-in user
+   * @returns {Object} - { ticket, expiresAt }
+   */
+  issueTicket(token) {
+    const now = Date.now();
+    for (const [key, entry] of this.tickets) {
+      if (entry.expiresAt <= now) {
+        this.tickets.delete(key);
+      }
+    }
+
+    const ticket = crypto.randomBytes(24).toString('hex');
+    const expiresAt = now + TICKET_TTL_MS;
+    this.tickets.set(ticket, { token, expiresAt });
+
+    return { ticket, expiresAt: new Date(expiresAt) };
+  }
+
+  /**
+   * Use up a stream ticket
+   * @param {String} ticket - Ticket from issueTicket
+   * @returns {String|null} - Session token, or null if the ticket is unknown, used or expired
+   */
+  redeemTicket(ticket) {
+    const entry = this.tickets.get(String(ticket));
+    this.tickets.delete(String(ticket));
+
+    return entry && entry.expiresAt > Date.now() ? entry.token : null;
+  }
+
+  /**
+   * Open a server-sent event stream on the response
+   * @param {Object} req - Authenticated request
+   * @param {Object} res - Response kept open for the stream
+   * @param {Object} options - stationIds and types to limit events to, lastEventId to replay from
+   * @returns {Object} - Client
+   */
+  subscribe(req, res, { stationIds = [], types = [], lastEventId = null } = {}) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = {
+      id: this.nextClientId++,
+      res,
+      userId: req.user.id,
+      role: req.user.role,
+      token: req.token,
+      stationIds,
+      types
+    };
+    this.clients.set(client.id, client);
+
+    res.write('retry: 5000\n\n');
+    this.write(client, {
+      type: 'ready',
+      data: { clientId: client.id, role: client.role, stationIds, types }
+    });
+    this.replay(client, lastEventId);
+
+    req.on('close', () => this.unsubscribe(client.id));
+    this.startHeartbeat();
+    this.startSessionCheck();
+
+    return client;
+  }
+
+  /**
+   * Drop a client whose stream has closed
+   * @param {Number} clientId - Client ID
+   */
+  unsubscribe(clientId) {
+    this.clients.delete(clientId);
+    if (this.clients.size === 0) {
+      this.stopHeartbeat();
+      this.stopSessionCheck();
+    }
+  }
+
+  /**
+   * Send the events a reconnecting client missed, or tell it to reload
+   * if they are no longer kept
+   * @param {Object} client - Client
+   * @param {String} lastEventId - Last-Event-ID the client received
+   */
+  replay(client, lastEventId) {
+    const lastId = parseInt(lastEventId);
+    if (!lastId) {
+      return;
+    }
+
+    const oldest = this.recent[0];
+    const newest = this.recent[this.recent.length - 1];
+    if (!oldest || lastId < oldest.id - 1 || lastId > newest.id) {
+      this.write(client, { type: 'resync', data: { reason: 'Missed events are no longer available; reload current state' } });
+      return;
+    }
+
+    this.recent
+      .filter(event => event.id > lastId && this.canReceive(client, event))
+      .forEach(event => this.write(client, event));
+  }
+
+  /**
+   * Whether a client is subscribed to an event and allowed to see it
+   * @param {Object} client - Client
+   * @param {Object} event - Event
+   * @returns {Boolean}
+   */
+  canReceive(client, event) {
+    const roles = EVENT_ROLES[event.type];
+    if (!roles || !roles.includes(client.role)) {
+      return false;
+    }
+
+    if (client.types.length > 0 && !client.types.includes(event.type)) {
+      return false;
+    }
+
+    // Station screens only get tickets for their stations; events without stations go to everyone
+    if (client.stationIds.length > 0 && event.stationIds) {
+      return event.stationIds.some(id => client.stationIds.includes(id));
+    }
+
+    return true;
+  }
+
+  /**
+   * Write an event to a client's stream
+   * @param {Object} client - Client
+   * @param {Object} event - { id, type, data }
+   */
+  write(client, event) {
+    try {
+      client.res.write(`${event.id ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    } catch (error) {
+      console.error(`Dropping event stream client ${client.id}:`, error.message);
+      this.unsubscribe(client.id);
+    }
+  }
+
+  /**
+   * Push an event to every subscribed client
+   * @param {String} type - Event type (see config/events)
+   * @param {Object} data - Payload
+   * @param {Array|null} stationIds - Stations the event concerns (null for all)
+   * @returns {Object} - Event
+   */
+  publish(type, data, stationIds = null) {
+    const event = {
+      id: this.nextEventId++,
+      type,
+      data: { ...data, at: new Date() },
+      stationIds
+    };
+
+    this.recent.push(event);
+    if (this.recent.length > REPLAY_SIZE) {
+      this.recent.shift();
+    }
+
+    for (const client of this.clients.values()) {
+      if (this.canReceive(client, event)) {
+        this.write(client, event);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Publish now, or once the transaction commits so a rolled back change is never announced
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @param {Function} publish - Publishes the event
+   */
+  afterCommit(transaction, publish) {
+    if (transaction) {
+      transaction.afterCommit(publish);
+    } else {
+      publish();
+    }
+  }
+
+  /**
+   * Push a kitchen order event to the order's stations
+   * @param {String} type - Event type
+   * @param {Object} order - Kitchen order
+   * @param {Object} details - Extra payload
+   * @param {Object} transaction - Optional Sequelize transaction
+   */
+  publishOrder(type, order, details = {}, transaction = null) {
+    const stationIds = [...new Set([...(order.assignedStations || []), order.kitchenStationId].filter(Boolean))];
+
+    this.afterCommit(transaction, () => this.publish(type, {
+      ...details,
+      order: order.toJSON ? order.toJSON() : order
+    }, stationIds));
+  }
+
+  /**
+   * Push a table's current status
+   * @param {Object} table - Table
+   * @param {Object} details - Extra payload (e.g. previousStatus)
+   */
+  publishTable(table, details = {}) {
+    this.publish(EVENTS.TABLE_STATUS, {
+      ...details,
+      table: {
+        id: table.id,
+        tableNumber: table.tableNumber,
+        status: table.status,
+        mergedIntoId: table.mergedIntoId || null,
+        floorAreaId: table.floorAreaId || null
+      }
+    });
+  }
+
+  /**
+   * Keep open streams alive while there are clients
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      for (const client of this.clients.values()) {
+        try {
+          client.res.write(': ping\n\n');
+        } catch (error) {
+          this.unsubscribe(client.id);
+        }
+      }
+    }, HEARTBEAT_MS);
+    // Do not keep the process alive just for this timer
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Stop the heartbeat once the last client has gone
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Close streams whose session has been logged out or has expired, or whose
+   * user has been deactivated
+   */
+  async checkSessions() {
+    const clients = [...this.clients.values()];
+    if (clients.length === 0) {
+      return;
+    }
+
+    const now = new Date();
+    const sessions = await Session.findAll({
+      where: {
+        token: { [Op.in]: [...new Set(clients.map(client => client.token))] },
+        isActive: true,
+        expiresAt: { [Op.gt]: now }
+      },
+      attributes: ['token']
+    });
+    const users = await User.findAll({
+      where: { id: { [Op.in]: [...new Set(clients.map(client => client.userId))] }, isActive: true },
+      attributes: ['id', 'role']
+    });
+    const activeTokens = new Set(sessions.map(session => session.token));
+    const activeUsers = new Map(users.map(user => [user.id, user.role]));
+
+    clients.forEach(client => {
+      let valid = activeTokens.has(client.token) && activeUsers.get(client.userId) === client.role;
+      if (valid) {
+        try {
+          jwt.verify(client.token, process.env.JWT_SECRET);
+        } catch (error) {
+          valid = false;
+        }
+      }
+
+      if (!valid) {
+        this.close(client, 'Session has expired or been logged out');
+      }
+    });
+  }
+
+  /**
+   * Tell a client its session has ended and close its stream
+   * @param {Object} client - Client
+   * @param {String} reason - Why the stream is closed
+   */
+  close(client, reason) {
+    this.write(client, { type: 'session.ended', data: { reason } });
+    try {
+      client.res.end();
+    } catch (error) {
+      // Already closed
+    }
+    this.unsubscribe(client.id);
+  }
+
+  /**
+   * Check sessions of open streams while there are clients
+   */
+  startSessionCheck() {
+    if (this.sessionTimer) {
+      return;
+    }
+
+    this.sessionTimer = setInterval(() => {
+      this.checkSessions().catch(error => console.error('Event stream session check failed:', error.message));
+    }, SESSION_CHECK_MS);
+    this.sessionTimer.unref();
+  }
+
+  stopSessionCheck() {
+    if (this.sessionTimer) {
+      clearInterval(this.sessionTimer);
+      this.sessionTimer = null;
+    }
+  }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,475 @@
+const { Op } = require('sequelize');
+const { sequelize, Table, FloorArea, FloorPlanVersion, Reservation } = require('../models');
+const tableService = require('./tableService');
+
+/**
+ * Floor Plan Service
+ * Dining areas and the tables laid out on them. Every layout change is saved
+ * as a numbered version of the area so it can be rolled back; plans are
+ * returned with each table's live status, open order total and seated time.
+ */
+class FloorPlanService {
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // ==========================================================================
+  // Areas
+  // ==========================================================================
+
+  /**
+   * List areas
+   * @param {Boolean} includeInactive - Include hidden areas
+   * @returns {Promise<Array>} - Areas in display order
+   */
+  async getAreas(includeInactive = false) {
+    return FloorArea.findAll({
+      where: includeInactive ? {} : { isActive: true },
+      order: [['sortOrder', 'ASC'], ['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Get an area
+   * @param {Number} id - FloorArea ID
+   * @param {Object} transaction - Optional transaction (row is locked when given)
+   * @returns {Promise<Object>} - FloorArea
+   */
+  async getArea(id, transaction = null) {
+    const area = await FloorArea.findByPk(id, {
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE })
+    });
+    if (!area) {
+      this.fail('Floor area not found', 404);
+    }
+    return area;
+  }
+
+  /**
+   * Add an area
+   * @param {Object} data - name, description, width, height, sortOrder
+   * @returns {Promise<Object>} - FloorArea
+   */
+  async createArea(data) {
+    const existing = await FloorArea.findOne({ where: { name: data.name } });
+    if (existing) {
+      this.fail(`Floor area ${data.name} already exists`, 409);
+    }
+
+    return FloorArea.create({
+      name: data.name,
+      description: data.description || null,
+      width: data.width || 1000,
+      height: data.height || 800,
+      sortOrder: data.sortOrder || 0
+    });
+  }
+
+  /**
+   * Update an area. Renaming it also renames the location of its tables.
+   * @param {Number} id - FloorArea ID
+   * @param {Object} data - name, description, width, height, sortOrder, isActive
+   * @returns {Promise<Object>} - Updated area
+   */
+  async updateArea(id, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const area = await this.getArea(id, transaction);
+
+      const updates = {};
+      for (const field of ['name', 'description', 'width', 'height', 'sortOrder', 'isActive']) {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      }
+
+      if (updates.name && updates.name !== area.name) {
+        const existing = await FloorArea.findOne({ where: { name: updates.name }, transaction });
+        if (existing) {
+          this.fail(`Floor area ${updates.name} already exists`, 409);
+        }
+        await Table.update({ location: updates.name }, { where: { floorAreaId: area.id }, transaction });
+      }
+
+      // Shrinking the area must not leave tables outside it
+      if (updates.width || updates.height) {
+        const outside = await Table.count({
+          where: {
+            floorAreaId: area.id,
+            [Op.or]: [
+              { posX: { [Op.gt]: updates.width || area.width } },
+              { posY: { [Op.gt]: updates.height || area.height } }
+            ]
+          },
+          transaction
+        });
+        if (outside > 0) {
+          this.fail(`${outside} table(s) would be outside the area; move them first`);
+        }
+      }
+
+      await area.update(updates, { transaction });
+      await transaction.commit();
+      return area;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // ==========================================================================
+  // Live plans
+  // ==========================================================================
+
+  /**
+   * A table as stored in a layout version
+   * @param {Object} table - Table record
+   * @returns {Object} - Layout entry
+   */
+  toLayoutEntry(table) {
+    return {
+      tableId: table.id,
+      tableNumber: table.tableNumber,
+      shape: table.shape,
+      x: table.posX,
+      y: table.posY,
+      width: table.width,
+      height: table.height,
+      rotation: table.rotation,
+      capacity: table.capacity
+    };
+  }
+
+  /**
+   * Add live status to tables: open order count and total, when the party
+   * sat down, and the next booking today. Tables merged into another show
+   * the main table; their orders are billed there.
+   * @param {Array} tables - Table records
+   * @returns {Promise<Array>} - Layout entries with live fields
+   */
+  async getLiveTables(tables) {
+    if (tables.length === 0) {
+      return [];
+    }
+
+    const ids = tables.map(table => table.id);
+    const now = new Date();
+    const endOfDay = new Date(now);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const [orders, seated, upcoming] = await Promise.all([
+      tableService.getActiveOrders(ids),
+      Reservation.findAll({ where: { tableId: { [Op.in]: ids }, status: 'seated' } }),
+      Reservation.findAll({
+        where: {
+          tableId: { [Op.in]: ids },
+          status: 'booked',
+          reservedFor: { [Op.between]: [new Date(now.getTime() - 60 * 60 * 1000), endOfDay] }
+        },
+        order: [['reservedFor', 'ASC']]
+      })
+    ]);
+
+    const tableNumbers = new Map(tables.map(table => [table.id, table.tableNumber]));
+    const mainIds = tables.filter(table => table.mergedIntoId && !tableNumbers.has(table.mergedIntoId)).map(table => table.mergedIntoId);
+    if (mainIds.length > 0) {
+      const mains = await Table.findAll({ where: { id: { [Op.in]: mainIds } }, attributes: ['id', 'tableNumber'] });
+      mains.forEach(main => tableNumbers.set(main.id, main.tableNumber));
+    }
+
+    return tables.map(table => {
+      const tableOrders = orders.filter(sale => sale.tableId === table.id);
+      const reservation = seated.find(r => r.tableId === table.id);
+      const next = upcoming.find(r => r.tableId === table.id);
+
+      // Seated from whichever came first: the booked party or the first order
+      const seatedTimes = [
+        ...(reservation && reservation.seatedAt ? [new Date(reservation.seatedAt)] : []),
+        ...tableOrders.map(sale => new Date(sale.saleDate))
+      ];
+      const seatedAt = table.status === 'occupied' && seatedTimes.length > 0
+        ? new Date(Math.min(...seatedTimes))
+        : null;
+
+      return {
+        ...this.toLayoutEntry(table),
+        location: table.location,
+        status: table.status,
+        mergedIntoId: table.mergedIntoId,
+        mergedIntoTableNumber: table.mergedIntoId ? tableNumbers.get(table.mergedIntoId) || null : null,
+        openOrders: tableOrders.length,
+        orderTotal: this.round(tableOrders.reduce((sum, sale) => sum + parseFloat(sale.totalAmount || 0), 0)),
+        saleIds: tableOrders.map(sale => sale.id),
+        seatedAt,
+        minutesSeated: seatedAt ? Math.floor((now - seatedAt) / 60000) : null,
+        partySize: reservation ? reservation.partySize : null,
+        nextReservation: next
+          ? { id: next.id, customerName: next.customerName, partySize: next.partySize, reservedFor: next.reservedFor }
+          : null
+      };
+    });
+  }
+
+  /**
+   * An area's plan with live table status
+   * @param {Number} id - FloorArea ID
+   * @returns {Promise<Object>} - { area, tables }
+   */
+  async getPlan(id) {
+    const area = await this.getArea(id);
+    const tables = await Table.findAll({
+      where: { floorAreaId: area.id, isActive: true },
+      order: [['tableNumber', 'ASC']]
+    });
+
+    return { area, tables: await this.getLiveTables(tables) };
+  }
+
+  /**
+   * Every active area's plan, plus active tables not placed on any area
+   * @returns {Promise<Object>} - { areas, unplaced }
+   */
+  async getPlans() {
+    const areas = await this.getAreas();
+    const tables = await Table.findAll({
+      where: { isActive: true },
+      order: [['tableNumber', 'ASC']]
+    });
+    const live = await this.getLiveTables(tables);
+    const areaIds = new Map(tables.map(table => [table.id, table.floorAreaId]));
+
+    return {
+      areas: areas.map(area => ({
+        ...area.toJSON(),
+        tables: live.filter(table => areaIds.get(table.tableId) === area.id)
+      })),
+      unplaced: live.filter(table => !areas.some(area => area.id === areaIds.get(table.tableId)))
+    };
+  }
+
+  // ==========================================================================
+  // Layout and versions
+  // ==========================================================================
+
+  /**
+   * Check a layout against the area before it is applied
+   * @param {Object} area - FloorArea
+   * @param {Array} entries - Layout entries
+   */
+  validateLayout(area, entries) {
+    const seen = new Set();
+    for (const entry of entries) {
+      const tableId = parseInt(entry.tableId);
+      if (seen.has(tableId)) {
+        this.fail(`Table ${entry.tableNumber || tableId} is placed more than once`);
+      }
+      seen.add(tableId);
+
+      if (entry.x < 0 || entry.x > area.width || entry.y < 0 || entry.y > area.height) {
+        this.fail(`Table ${entry.tableNumber || tableId} is outside the ${area.name} area (${area.width} x ${area.height})`);
+      }
+    }
+  }
+
+  /**
+   * Place tables on an area. Tables on the area that aren't in the layout
+   * are taken off it.
+   * @param {Object} area - FloorArea
+   * @param {Array} entries - Layout entries
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Array>} - Other areas that lost a table to this one
+   */
+  async applyLayout(area, entries, transaction) {
+    const ids = entries.map(entry => parseInt(entry.tableId));
+    const tables = ids.length > 0
+      ? await Table.findAll({ where: { id: { [Op.in]: ids } }, transaction, lock: transaction.LOCK.UPDATE })
+      : [];
+
+    const missing = ids.filter(id => !tables.some(table => table.id === id));
+    if (missing.length > 0) {
+      this.fail(`Table(s) ${missing.join(', ')} not found`, 404);
+    }
+
+    const otherAreaIds = new Set();
+    for (const entry of entries) {
+      const table = tables.find(t => t.id === parseInt(entry.tableId));
+      if (!table.isActive) {
+        this.fail(`Table ${table.tableNumber} is not active`);
+      }
+      if (table.floorAreaId && table.floorAreaId !== area.id) {
+        otherAreaIds.add(table.floorAreaId);
+      }
+
+      await table.update({
+        floorAreaId: area.id,
+        location: area.name,
+        shape: entry.shape || table.shape,
+        posX: Math.round(entry.x),
+        posY: Math.round(entry.y),
+        width: entry.width !== undefined ? entry.width : table.width,
+        height: entry.height !== undefined ? entry.height : table.height,
+        rotation: entry.rotation !== undefined ? ((Math.round(entry.rotation) % 360) + 360) % 360 : table.rotation,
+        ...(entry.capacity !== undefined && { capacity: entry.capacity })
+      }, { transaction });
+    }
+
+    await Table.update(
+      { floorAreaId: null, posX: null, posY: null },
+      { where: { floorAreaId: area.id, id: { [Op.notIn]: ids.length > 0 ? ids : [0] } }, transaction }
+    );
+
+    return [...otherAreaIds];
+  }
+
+  /**
+   * Save the area's current layout as its next version
+   * @param {Object} area - Locked FloorArea
+   * @param {Object} details - note, restoredFrom
+   * @param {Object} user - Staff member
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Object>} - FloorPlanVersion
+   */
+  async recordVersion(area, details, user, transaction) {
+    const tables = await Table.findAll({
+      where: { floorAreaId: area.id },
+      order: [['tableNumber', 'ASC']],
+      transaction
+    });
+
+    const version = await FloorPlanVersion.create({
+      floorAreaId: area.id,
+      version: area.layoutVersion + 1,
+      layout: tables.map(table => this.toLayoutEntry(table)),
+      note: details.note || null,
+      restoredFrom: details.restoredFrom || null,
+      createdBy: user.id,
+      createdByName: user.fullName
+    }, { transaction });
+
+    await area.update({ layoutVersion: version.version }, { transaction });
+    return version;
+  }
+
+  /**
+   * Replace an area's layout and save it as a new version. Tables moved
+   * here from another area get a new version recorded there too.
+   * @param {Number} id - FloorArea ID
+   * @param {Object} data - tables (layout entries), note
+   * @param {Object} user - Staff member
+   * @returns {Promise<Object>} - { area, version }
+   */
+  async saveLayout(id, data, user) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const area = await this.getArea(id, transaction);
+      this.validateLayout(area, data.tables);
+
+      const otherAreaIds = await this.applyLayout(area, data.tables, transaction);
+      const version = await this.recordVersion(area, { note: data.note }, user, transaction);
+
+      for (const otherId of otherAreaIds) {
+        const other = await this.getArea(otherId, transaction);
+        await this.recordVersion(other, { note: `Table(s) moved to ${area.name}` }, user, transaction);
+      }
+
+      await transaction.commit();
+      return { area, version };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * List an area's layout versions, newest first
+   * @param {Number} id - FloorArea ID
+   * @returns {Promise<Array>} - Versions without their layouts
+   */
+  async getVersions(id) {
+    const area = await this.getArea(id);
+    const versions = await FloorPlanVersion.findAll({
+      where: { floorAreaId: area.id },
+      attributes: { exclude: ['layout'] },
+      order: [['version', 'DESC']]
+    });
+
+    return { area, versions };
+  }
+
+  /**
+   * Get one layout version
+   * @param {Number} id - FloorArea ID
+   * @param {Number} version - Version number
+   * @returns {Promise<Object>} - FloorPlanVersion
+   */
+  async getVersion(id, version) {
+    const snapshot = await FloorPlanVersion.findOne({ where: { floorAreaId: id, version } });
+    if (!snapshot) {
+      this.fail(`Version ${version} of this floor plan not found`, 404);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Roll an area back to an earlier layout. The rollback is saved as a new
+   * version. Tables that were deleted, deactivated or have since been placed
+   * on another area are left where they are and reported as skipped.
+   * @param {Number} id - FloorArea ID
+   * @param {Number} versionNumber - Version to restore
+   * @param {Object} user - Staff member
+   * @returns {Promise<Object>} - { area, version, skipped }
+   */
+  async restoreVersion(id, versionNumber, user) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const area = await this.getArea(id, transaction);
+      const snapshot = await this.getVersion(area.id, versionNumber);
+
+      const ids = snapshot.layout.map(entry => entry.tableId);
+      const tables = ids.length > 0
+        ? await Table.findAll({ where: { id: { [Op.in]: ids } }, transaction })
+        : [];
+
+      const entries = [];
+      const skipped = [];
+      for (const entry of snapshot.layout) {
+        const table = tables.find(t => t.id === entry.tableId);
+        if (!table || !table.isActive) {
+          skipped.push({ tableId: entry.tableId, tableNumber: entry.tableNumber, reason: 'Table no longer exists or is inactive' });
+        } else if (table.floorAreaId && table.floorAreaId !== area.id) {
+          skipped.push({ tableId: entry.tableId, tableNumber: entry.tableNumber, reason: 'Table is now placed on another area' });
+        } else {
+          entries.push(entry);
+        }
+      }
+
+      this.validateLayout(area, entries);
+      await this.applyLayout(area, entries, transaction);
+      const version = await this.recordVersion(area, {
+        note: `Rolled back to version ${snapshot.version}`,
+        restoredFrom: snapshot.version
+      }, user, transaction);
+
+      await transaction.commit();
+      return { area, version, skipped };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+module.exports = new FloorPlanService();
@@ -0,0 +1,554 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, CashDrawer, GiftVoucher, GiftVoucherTransaction } = require('../models');
+const customerService = require('./customerService');
+
+// Codes avoid characters that are easily misread on paper (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const CODE_PREFIXES = {
+  gift_voucher: 'GV',
+  store_credit: 'SC'
+};
+
+/**
+ * Gift Voucher Service
+ * Gift vouchers are sold with a unique code and redeemed, in part or in
+ * full, as a tender until they expire. Store credit works the same way but
+ * is issued on refunds and does not expire. Every change to a balance is
+ * written to the voucher ledger, which is what the liability report reads.
+ */
+class GiftVoucherService {
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Codes are matched case-insensitively and without surrounding spaces
+   */
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Default expiry for a gift voucher sold now
+   * @returns {Date} - Expiry date
+   */
+  getDefaultExpiry() {
+    const months = parseInt(process.env.GIFT_VOUCHER_VALIDITY_MONTHS) || 12;
+    const expiresAt = new Date();
+    expiresAt.setMonth(expiresAt.getMonth() + months);
+    expiresAt.setHours(23, 59, 59, 999);
+    return expiresAt;
+  }
+
+  /**
+   * Generate an unused code, e.g. GV-7KQ2-M9TX
+   * @param {String} type - gift_voucher or store_credit
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<String>} - Voucher code
+   */
+  async generateCode(type, transaction = null) {
+    const block = () => Array.from({ length: 4 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = `${CODE_PREFIXES[type]}-${block()}-${block()}`;
+      const existing = await GiftVoucher.findOne({ where: { code }, attributes: ['id'], transaction });
+      if (!existing) {
+        return code;
+      }
+    }
+
+    this.fail('Could not generate a unique voucher code, please try again', 500);
+  }
+
+  /**
+   * Write a ledger entry and set the voucher's new balance
+   * @param {Object} voucher - GiftVoucher record, locked in the transaction
+   * @param {Object} entry - type, amount (signed), saleId, paymentTransactionId, cashDrawerId, user, notes
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Object>} - GiftVoucherTransaction record
+   */
+  async postEntry(voucher, entry, transaction) {
+    const { type, amount, saleId = null, paymentTransactionId = null, cashDrawerId = null, user = null, notes = null } = entry;
+    // Vouchers are created with their starting balance, so issuing only logs it
+    const balanceAfter = type === 'issue'
+      ? parseFloat(voucher.balance)
+      : this.round(parseFloat(voucher.balance) + amount);
+
+    if (type !== 'issue') {
+      await voucher.update({ balance: balanceAfter, ...entry.updates }, { transaction });
+    }
+
+    return GiftVoucherTransaction.create({
+      giftVoucherId: voucher.id,
+      type,
+      amount,
+      balanceAfter,
+      saleId,
+      paymentTransactionId,
+      cashDrawerId,
+      performedBy: user ? user.id : null,
+      performedByName: user ? user.fullName : null,
+      notes
+    }, { transaction });
+  }
+
+  /**
+   * Sell a gift voucher. A pre-printed code can be given; otherwise one is
+   * generated. Cash taken for the voucher goes into the seller's drawer.
+   * @param {Object} data - amount, code, paymentMethod, customerId, customerPhone, purchaserName,
+   *   recipientName, expiresAt, notes
+   * @param {Object} user - Staff member selling the voucher
+   * @returns {Promise<Object>} - GiftVoucher record
+   */
+  async issueVoucher(data, user) {
+    const amount = this.round(parseFloat(data.amount));
+    const paymentMethod = data.paymentMethod || 'cash';
+
+    if (!(amount > 0)) {
+      this.fail('Voucher amount must be greater than zero');
+    }
+
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : this.getDefaultExpiry();
+    if (expiresAt <= new Date()) {
+      this.fail('Expiry date must be in the future');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      let code;
+      if (data.code) {
+        code = this.normalizeCode(data.code);
+        const existing = await GiftVoucher.findOne({ where: { code }, attributes: ['id'], transaction });
+        if (existing) {
+          this.fail(`Voucher code ${code} is already in use`, 409);
+        }
+      } else {
+        code = await this.generateCode('gift_voucher', transaction);
+      }
+
+      const customer = await customerService.resolveCustomer(data, transaction);
+
+      const cashDrawer = await CashDrawer.findOne({
+        where: { cashierId: user.id, status: 'open' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (paymentMethod === 'cash') {
+        if (!cashDrawer) {
+          this.fail('No open cash drawer found. Please open a cash drawer first.');
+        }
+        await cashDrawer.update({
+          totalVoucherSales: this.round(parseFloat(cashDrawer.totalVoucherSales || 0) + amount)
+        }, { transaction });
+      }
+
+      const voucher = await GiftVoucher.create({
+        code,
+        type: 'gift_voucher',
+        initialValue: amount,
+        balance: amount,
+        expiresAt,
+        customerId: customer ? customer.id : null,
+        purchaserName: data.purchaserName || (customer ? customer.name : null),
+        recipientName: data.recipientName || null,
+        paymentMethod,
+        cashDrawerId: cashDrawer ? cashDrawer.id : null,
+        issuedBy: user.id,
+        issuedByName: user.fullName,
+        issuedAt: new Date(),
+        notes: data.notes || null
+      }, { transaction });
+
+      await this.postEntry(voucher, {
+        type: 'issue',
+        amount,
+        cashDrawerId: voucher.cashDrawerId,
+        user,
+        notes: `Sold (${paymentMethod})`
+      }, transaction);
+
+      await transaction.commit();
+      return voucher;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Issue store credit for a refund
+   * @param {Object} data - amount, customerId, sourceSaleId, sourceTransactionId, cashDrawerId, notes, user
+   * @param {Object} transaction - Transaction the refund runs in
+   * @returns {Promise<Object>} - GiftVoucher record
+   */
+  async issueStoreCredit(data, transaction) {
+    const { amount, customerId = null, sourceSaleId = null, sourceTransactionId = null, cashDrawerId = null, notes = null, user } = data;
+
+    const voucher = await GiftVoucher.create({
+      code: await this.generateCode('store_credit', transaction),
+      type: 'store_credit',
+      initialValue: amount,
+      balance: amount,
+      expiresAt: null,
+      customerId,
+      sourceSaleId,
+      sourceTransactionId,
+      cashDrawerId,
+      issuedBy: user.id,
+      issuedByName: user.fullName,
+      issuedAt: new Date(),
+      notes
+    }, { transaction });
+
+    await this.postEntry(voucher, {
+      type: 'issue',
+      amount,
+      saleId: sourceSaleId,
+      paymentTransactionId: sourceTransactionId,
+      cashDrawerId,
+      user,
+      notes: 'Issued on refund'
+    }, transaction);
+
+    return voucher;
+  }
+
+  /**
+   * Expire a voucher whose expiry date has passed. The remaining balance
+   * is written off so it stops counting as a liability.
+   * @param {Object} voucher - GiftVoucher record, locked in the transaction
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Boolean>} - True if the voucher was expired
+   */
+  async expireIfDue(voucher, transaction) {
+    if (voucher.status !== 'active' || !voucher.expiresAt || new Date(voucher.expiresAt) > new Date()) {
+      return false;
+    }
+
+    await this.postEntry(voucher, {
+      type: 'expire',
+      amount: -parseFloat(voucher.balance),
+      notes: 'Expired with balance unused',
+      updates: { status: 'expired' }
+    }, transaction);
+
+    return true;
+  }
+
+  /**
+   * Expire every voucher past its expiry date
+   * @returns {Promise<Number>} - Number of vouchers expired
+   */
+  async expireDueVouchers() {
+    const due = await GiftVoucher.findAll({
+      where: { status: 'active', expiresAt: { [Op.lte]: new Date() } },
+      attributes: ['id']
+    });
+
+    let expired = 0;
+    for (const { id } of due) {
+      const transaction = await sequelize.transaction();
+      try {
+        const voucher = await GiftVoucher.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (await this.expireIfDue(voucher, transaction)) {
+          expired++;
+        }
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Look up a voucher and its ledger by code
+   * @param {String} code - Voucher code
+   * @returns {Promise<Object>} - GiftVoucher record with transactions
+   */
+  async getVoucher(code) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const voucher = await GiftVoucher.findOne({
+        where: { code: this.normalizeCode(code) },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!voucher) {
+        this.fail('Voucher not found', 404);
+      }
+
+      await this.expireIfDue(voucher, transaction);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return GiftVoucher.findOne({
+      where: { code: this.normalizeCode(code) },
+      include: [{ model: GiftVoucherTransaction, as: 'transactions' }],
+      order: [[{ model: GiftVoucherTransaction, as: 'transactions' }, 'createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * List vouchers
+   * @param {Object} filters - type, status, customerId, search, page, limit
+   * @returns {Promise<Object>} - { vouchers, pagination }
+   */
+  async listVouchers(filters = {}) {
+    const { type, status, customerId, search } = filters;
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const where = {};
+
+    if (type) {
+      where.type = type;
+    }
+    if (status) {
+      where.status = status;
+    }
+    if (customerId) {
+      where.customerId = customerId;
+    }
+    if (search) {
+      where[Op.or] = [
+        { code: { [Op.like]: `%${this.normalizeCode(search)}%` } },
+        { purchaserName: { [Op.like]: `%${search}%` } },
+        { recipientName: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows } = await GiftVoucher.findAndCountAll({
+      where,
+      order: [['issuedAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      vouchers: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Take a tender off a voucher's balance
+   * @param {Object} data - code, method (gift_voucher|store_credit), amount, saleId,
+   *   paymentTransactionId, cashDrawerId, user
+   * @param {Object} transaction - Transaction the payment runs in
+   * @returns {Promise<Object>} - { voucher, amount, balance }
+   */
+  async redeem(data, transaction) {
+    const { method, saleId = null, paymentTransactionId = null, cashDrawerId = null, user = null } = data;
+    const code = this.normalizeCode(data.code);
+    const amount = this.round(parseFloat(data.amount));
+
+    if (!code) {
+      this.fail(method === 'store_credit' ? 'Store credit code is required' : 'Voucher code is required');
+    }
+
+    const voucher = await GiftVoucher.findOne({ where: { code }, transaction, lock: transaction.LOCK.UPDATE });
+    if (!voucher) {
+      this.fail(`Voucher ${code} not found`, 404);
+    }
+    if (voucher.type !== method) {
+      this.fail(voucher.type === 'store_credit'
+        ? `${code} is store credit, not a gift voucher`
+        : `${code} is a gift voucher, not store credit`);
+    }
+
+    await this.expireIfDue(voucher, transaction);
+
+    if (voucher.status !== 'active') {
+      this.fail(`Voucher ${code} is ${voucher.status}`);
+    }
+    if (amount > parseFloat(voucher.balance)) {
+      this.fail(`Voucher ${code} has only ${parseFloat(voucher.balance).toFixed(2)} left`);
+    }
+
+    const entry = await this.postEntry(voucher, {
+      type: 'redeem',
+      amount: -amount,
+      saleId,
+      paymentTransactionId,
+      cashDrawerId,
+      user,
+      updates: this.round(parseFloat(voucher.balance) - amount) === 0 ? { status: 'redeemed' } : {}
+    }, transaction);
+
+    return { voucher, amount, balance: parseFloat(entry.balanceAfter) };
+  }
+
+  /**
+   * Put voucher tenders back on their vouchers when a sale is voided
+   * @param {Object} sale - Voided sale
+   * @param {Object} user - Staff member voiding the sale
+   * @param {Object} outerTransaction - Optional transaction to run in
+   * @returns {Promise<Array>} - Reversal ledger entries
+   */
+  async reverseForSale(sale, user = null, outerTransaction = null) {
+    const transaction = outerTransaction || await sequelize.transaction();
+
+    try {
+      const entries = await GiftVoucherTransaction.findAll({
+        where: { saleId: sale.id, type: { [Op.in]: ['redeem', 'reversal'] } },
+        transaction
+      });
+
+      // Net redeemed per voucher, less anything already put back
+      const owed = {};
+      for (const entry of entries) {
+        owed[entry.giftVoucherId] = this.round((owed[entry.giftVoucherId] || 0) - parseFloat(entry.amount));
+      }
+
+      const reversals = [];
+      for (const [giftVoucherId, amount] of Object.entries(owed)) {
+        if (amount <= 0) {
+          continue;
+        }
+
+        const voucher = await GiftVoucher.findByPk(giftVoucherId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (voucher.status === 'void') {
+          continue;
+        }
+
+        reversals.push(await this.postEntry(voucher, {
+          type: 'reversal',
+          amount,
+          saleId: sale.id,
+          user,
+          notes: `Sale ${sale.saleNumber} voided`,
+          updates: voucher.status === 'redeemed' ? { status: 'active' } : {}
+        }, transaction));
+      }
+
+      if (!outerTransaction) {
+        await transaction.commit();
+      }
+      return reversals;
+    } catch (error) {
+      if (!outerTransaction) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a voucher; its remaining balance is written off
+   * @param {String} code - Voucher code
+   * @param {String} reason - Why the voucher is voided
+   * @param {Object} user - Manager voiding the voucher
+   * @returns {Promise<Object>} - GiftVoucher record
+   */
+  async voidVoucher(code, reason, user) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const voucher = await GiftVoucher.findOne({
+        where: { code: this.normalizeCode(code) },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!voucher) {
+        this.fail('Voucher not found', 404);
+      }
+      if (voucher.status !== 'active') {
+        this.fail(`Voucher is already ${voucher.status}`);
+      }
+
+      await this.postEntry(voucher, {
+        type: 'void',
+        amount: -parseFloat(voucher.balance),
+        user,
+        notes: reason,
+        updates: {
+          status: 'void',
+          voidedBy: user.id,
+          voidedAt: new Date(),
+          voidReason: reason
+        }
+      }, transaction);
+
+      await transaction.commit();
+      return voucher;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Vouchers sold and store credit issued, per cash drawer. Redemptions
+   * are in the drawer's tender mix.
+   * @param {Array} drawerIds - CashDrawer IDs
+   * @returns {Promise<Object>} - { [drawerId]: { vouchersSold, storeCreditIssued } }
+   */
+  async getDrawerSummaryByDrawer(drawerIds) {
+    if (drawerIds.length === 0) {
+      return {};
+    }
+
+    const rows = await GiftVoucher.findAll({
+      where: { cashDrawerId: { [Op.in]: drawerIds } },
+      attributes: [
+        'cashDrawerId',
+        'type',
+        'paymentMethod',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('initialValue')), 'amount']
+      ],
+      group: ['cashDrawerId', 'type', 'paymentMethod'],
+      raw: true
+    });
+
+    const summary = {};
+    for (const row of rows) {
+      const drawer = summary[row.cashDrawerId] = summary[row.cashDrawerId] || {
+        vouchersSold: { count: 0, amount: 0, byPaymentMethod: {} },
+        storeCreditIssued: { count: 0, amount: 0 }
+      };
+      const count = parseInt(row.count);
+      const amount = this.round(parseFloat(row.amount || 0));
+
+      if (row.type === 'store_credit') {
+        drawer.storeCreditIssued.count += count;
+        drawer.storeCreditIssued.amount = this.round(drawer.storeCreditIssued.amount + amount);
+      } else {
+        drawer.vouchersSold.count += count;
+        drawer.vouchersSold.amount = this.round(drawer.vouchersSold.amount + amount);
+        drawer.vouchersSold.byPaymentMethod[row.paymentMethod] = { count, amount };
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new GiftVoucherService();
@@ -0,0 +1,280 @@
+const { Op } = require('sequelize');
+const { HeldOrder, Product, MenuItem, Table, NumberSequence } = require('../models');
+const salesService = require('./salesService');
+const comboService = require('./comboService');
+const { ROLES } = require('../config/roles');
+
+/**
+ * Held Order Service
+ * Parks a register cart so the cashier can serve someone else, and recalls it
+ * later. Parked carts keep the lines as entered; they are re-priced on recall
+ * so the sale uses the VAT settings, price levels and availability of that moment.
+ */
+class HeldOrderService {
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Generate a hold number (HOLD-YYYYMMDD-0001)
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<String>} - Hold number
+   */
+  async generateHoldNumber(transaction = null) {
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    const prefix = `HOLD-${year}${month}${day}`;
+    const sequence = await NumberSequence.nextValue(prefix, transaction, { model: HeldOrder, field: 'holdNumber' });
+
+    return `${prefix}-${String(sequence).padStart(4, '0')}`;
+  }
+
+  /**
+   * Whether a user may see and act on a held order. Managers and admins can
+   * handle any order; cashiers only their own or those parked on their device.
+   * @param {Object} heldOrder - HeldOrder record
+   * @param {Object} user - Authenticated user
+   * @param {String} deviceId - Requesting device
+   */
+  canAccess(heldOrder, user, deviceId = null) {
+    if (user.role === ROLES.ADMIN || user.role === ROLES.MANAGER) {
+      return true;
+    }
+    return heldOrder.cashierId === user.id || Boolean(deviceId && heldOrder.deviceId === deviceId);
+  }
+
+  /**
+   * Get a held order the user is allowed to handle
+   * @param {Number} id - HeldOrder ID
+   * @param {Object} user - Authenticated user
+   * @param {String} deviceId - Requesting device
+   * @returns {Promise<Object>} - HeldOrder record
+   */
+  async getHeldOrder(id, user, deviceId = null) {
+    const heldOrder = await HeldOrder.findByPk(id);
+    if (!heldOrder || !this.canAccess(heldOrder, user, deviceId)) {
+      this.fail('Held order not found', 404);
+    }
+    return heldOrder;
+  }
+
+  /**
+   * Park a cart. The lines are priced once so the register can show a total
+   * next to the parked order; that total is not used when the order is recalled.
+   * @param {Object} holdData - items, orderType, tableId, label, customerName, notes, promotionIds, promoCode, deviceId
+   * @param {Object} user - Cashier parking the order
+   * @returns {Promise<Object>} - HeldOrder record
+   */
+  async parkOrder(holdData, user) {
+    const { items, orderType, tableId, promotionIds, promoCode } = holdData;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      this.fail('A held order must contain at least one item');
+    }
+
+    let tableNumber = holdData.tableNumber || null;
+    if (tableId) {
+      const table = await Table.findByPk(tableId);
+      if (!table) {
+        this.fail('Table not found', 404);
+      }
+      tableNumber = table.tableNumber;
+    }
+
+    const { billCalculation } = await salesService.priceItems(items, { orderType, promotionIds, promoCode });
+
+    return HeldOrder.create({
+      holdNumber: await this.generateHoldNumber(),
+      label: holdData.label || null,
+      items,
+      orderType: orderType || 'takeaway',
+      tableId: tableId || null,
+      tableNumber,
+      customerName: holdData.customerName || null,
+      promotionIds: Array.isArray(promotionIds) && promotionIds.length > 0 ? promotionIds : null,
+      promoCode: promoCode || null,
+      notes: holdData.notes || null,
+      totalAmount: billCalculation.totalAmount,
+      cashierId: user.id,
+      cashierName: user.fullName,
+      deviceId: holdData.deviceId || null,
+      status: 'held'
+    });
+  }
+
+  /**
+   * List held orders. Cashiers see their own orders plus those on their
+   * device; managers may filter by cashier or device.
+   * @param {Object} filters - status, cashierId, deviceId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} - HeldOrder records, oldest first
+   */
+  async listHeldOrders(filters, user) {
+    const where = { status: filters.status || 'held' };
+    const isManager = user.role === ROLES.ADMIN || user.role === ROLES.MANAGER;
+
+    if (isManager) {
+      if (filters.cashierId) where.cashierId = filters.cashierId;
+      if (filters.deviceId) where.deviceId = filters.deviceId;
+    } else if (filters.deviceId) {
+      where[Op.or] = [{ cashierId: user.id }, { deviceId: filters.deviceId }];
+    } else {
+      where.cashierId = user.id;
+    }
+
+    return HeldOrder.findAll({
+      where,
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Check each parked line against current availability. Combo lines are
+   * expanded on their own so one unavailable combo does not hide the rest.
+   * @param {Array} items - Parked cart lines
+   * @returns {Promise<Object>} - { availableItems, unavailableItems }
+   */
+  async checkAvailability(items) {
+    const availableItems = [];
+    const unavailableItems = [];
+
+    for (const [index, item] of items.entries()) {
+      if (item.comboId && !item.product) {
+        try {
+          await comboService.expandComboItems([item]);
+          availableItems.push(item);
+        } catch (error) {
+          unavailableItems.push({ line: index, comboId: item.comboId, reason: error.message });
+        }
+        continue;
+      }
+
+      // Lines with itemType 'product' are retail products, the rest menu items
+      if (item.itemType === 'product') {
+        const product = await Product.findByPk(item.product, { attributes: ['id', 'name', 'isActive'] });
+        if (!product) {
+          unavailableItems.push({ line: index, product: item.product, reason: 'Item no longer exists' });
+        } else if (!product.isActive) {
+          unavailableItems.push({ line: index, product: item.product, name: product.name, reason: 'Product is no longer active' });
+        } else {
+          availableItems.push(item);
+        }
+        continue;
+      }
+
+      const menuItem = await MenuItem.findByPk(item.product, { attributes: ['id', 'name', 'isAvailable'] });
+      if (!menuItem) {
+        unavailableItems.push({ line: index, product: item.product, reason: 'Item no longer exists' });
+      } else if (!menuItem.isAvailable) {
+        unavailableItems.push({ line: index, product: item.product, name: menuItem.name, reason: 'Menu item is not available' });
+      } else {
+        availableItems.push(item);
+      }
+    }
+
+    return { availableItems, unavailableItems };
+  }
+
+  /**
+   * Recall a held order. Unavailable lines are dropped and reported, and the
+   * remaining lines are re-priced against current VAT settings and price
+   * levels. The order is claimed atomically so two registers cannot both
+   * recall it. The returned cart is then completed through POST /api/sales.
+   * @param {Number} id - HeldOrder ID
+   * @param {Object} user - User recalling the order
+   * @param {String} deviceId - Requesting device
+   * @returns {Promise<Object>} - { heldOrder, cart, billCalculation, appliedPromotions, unavailableItems, previousTotal, priceChanged }
+   */
+  async recallOrder(id, user, deviceId = null) {
+    const heldOrder = await this.getHeldOrder(id, user, deviceId);
+    if (heldOrder.status !== 'held') {
+      this.fail(`Held order has already been ${heldOrder.status}`, 409);
+    }
+
+    const { availableItems, unavailableItems } = await this.checkAvailability(heldOrder.items || []);
+
+    let pricing = null;
+    if (availableItems.length > 0) {
+      pricing = await salesService.priceItems(availableItems, {
+        orderType: heldOrder.orderType,
+        promotionIds: heldOrder.promotionIds || [],
+        promoCode: heldOrder.promoCode
+      });
+    }
+
+    const [claimed] = await HeldOrder.update({
+      status: 'recalled',
+      recalledAt: new Date(),
+      recalledBy: user.id
+    }, {
+      where: { id: heldOrder.id, status: 'held' }
+    });
+
+    if (claimed === 0) {
+      this.fail('Held order was recalled or discarded by another register', 409);
+    }
+
+    await heldOrder.reload();
+
+    const previousTotal = heldOrder.totalAmount !== null ? parseFloat(heldOrder.totalAmount) : null;
+    const totalAmount = pricing ? pricing.billCalculation.totalAmount : 0;
+
+    return {
+      heldOrder,
+      cart: {
+        items: availableItems,
+        orderType: heldOrder.orderType,
+        tableId: heldOrder.tableId,
+        tableNumber: heldOrder.tableNumber,
+        customerName: heldOrder.customerName,
+        promotionIds: heldOrder.promotionIds || [],
+        promoCode: heldOrder.promoCode
+      },
+      billCalculation: pricing ? pricing.billCalculation : null,
+      appliedPromotions: pricing ? pricing.appliedPromotions : [],
+      unavailableItems,
+      previousTotal,
+      priceChanged: previousTotal !== null && previousTotal !== totalAmount
+    };
+  }
+
+  /**
+   * Discard a held order (customer walked away)
+   * @param {Number} id - HeldOrder ID
+   * @param {Object} user - User discarding the order
+   * @param {String} reason - Optional reason
+   * @param {String} deviceId - Requesting device
+   * @returns {Promise<Object>} - HeldOrder record
+   */
+  async discardOrder(id, user, reason = null, deviceId = null) {
+    const heldOrder = await this.getHeldOrder(id, user, deviceId);
+    if (heldOrder.status !== 'held') {
+      this.fail(`Held order has already been ${heldOrder.status}`, 409);
+    }
+
+    const [discarded] = await HeldOrder.update({
+      status: 'discarded',
+      discardedAt: new Date(),
+      discardedBy: user.id,
+      discardReason: reason
+    }, {
+      where: { id: heldOrder.id, status: 'held' }
+    });
+
+    if (discarded === 0) {
+      this.fail('Held order was recalled or discarded by another register', 409);
+    }
+
+    return heldOrder.reload();
+  }
+}
+
+module.exports = new HeldOrderService();
@@ -15,11 +15,14 @@ class IngredientService {
    * @param {number} saleId - Reference sale ID
    * @param {number} userId - User performing the transaction
    * @param {number} stockLocationId - Optional ID of the stock location for station-specific tracking
+   * @param {Array<number>} modifierIds - Optional selected modifier IDs that add to or remove from the recipe
+   * @param {Object} outerTransaction - Optional caller transaction to run the deduction in
    * @returns {Promise<Object>} - Deduction result
    */
-  async deductIngredientsForOrder(menuItemId, quantity, saleId, userId, stockLocationId = null) {
+  async deductIngredientsForOrder(menuItemId, quantity, saleId, userId, stockLocationId = null, modifierIds = [], outerTransaction = null) {
     const { StockLocation, StockTransaction } = require('../models');
-    const transaction = await sequelize.transaction();
+    // Inside a caller's transaction (e.g. the sale) the caller commits or rolls back
+    const transaction = outerTransaction || await sequelize.transaction();
 
     try {
       // Get stock location if provided
@@ -28,7 +31,7 @@ class IngredientService {
         location = await StockLocation.findByPk(stockLocationId, { transaction });
       }
       // Get all ingredients for this menu item
-      const recipe = await MenuItemIngredient.findAll({
+      let recipe = await MenuItemIngredient.findAll({
         where: { menuItemId },
         include: [{
           model: Ingredient,
@@ -36,8 +39,12 @@ class IngredientService {
         }]
       });
 
+      if (modifierIds.length > 0) {
+        recipe = await this.applyModifiersToRecipe(recipe, modifierIds);
+      }
+
       if (!recipe || recipe.length === 0) {
-        await transaction.rollback();
+        if (!outerTransaction) await transaction.rollback();
         return {
           success: false,
           message: 'No recipe found for this menu item'
@@ -49,7 +56,12 @@ class IngredientService {
 
       // Check stock availability and perform deductions
       for (const item of recipe) {
-        const ingredient = item.ingredient;
+        // Re-read the ingredient under a row lock so concurrent orders
+        // cannot both deduct from the same stock reading
+        const ingredient = await Ingredient.findByPk(item.ingredient.id, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
         const requiredQuantity = parseFloat(item.quantity) * quantity;
 
         // Check if sufficient stock
@@ -124,7 +136,8 @@ class IngredientService {
       }
 
       if (insufficientStock.length > 0) {
-        await transaction.rollback();
+        // The caller's transaction still holds deductions made above; it must roll back
+        if (!outerTransaction) await transaction.rollback();
         return {
           success: false,
           message: 'Insufficient stock for some ingredients',
@@ -132,7 +145,7 @@ class IngredientService {
         };
       }
 
-      await transaction.commit();
+      if (!outerTransaction) await transaction.commit();
 
       return {
         success: true,
@@ -140,21 +153,82 @@ class IngredientService {
         deductions
       };
     } catch (error) {
-      await transaction.rollback();
+      if (!outerTransaction) await transaction.rollback();
       throw error;
     }
   }
 
+  /**
+   * Adjust a base recipe with the ingredient rows of the selected modifiers.
+   * 'add' modifiers append their rows; 'remove' modifiers reduce the matching
+   * base row by their quantity, or drop it entirely when the quantity is 0.
+   * @param {Array} recipe - Base MenuItemIngredient rows
+   * @param {Array<number>} modifierIds - Selected modifier IDs
+   * @returns {Promise<Array>} - Adjusted recipe lines ({ ingredient, quantity, unit })
+   */
+  async applyModifiersToRecipe(recipe, modifierIds) {
+    const { MenuModifier } = require('../models');
+
+    const modifiers = await MenuModifier.findAll({
+      where: { id: modifierIds },
+      include: [{
+        model: MenuItemIngredient,
+        as: 'ingredients',
+        include: [{
+          model: Ingredient,
+          as: 'ingredient'
+        }]
+      }]
+    });
+
+    const lines = recipe.map(item => ({
+      ingredient: item.ingredient,
+      quantity: parseFloat(item.quantity),
+      unit: item.unit
+    }));
+
+    // The same modifier can be selected more than once (e.g. double extra cheese)
+    for (const modifierId of modifierIds) {
+      const modifier = modifiers.find(m => m.id === parseInt(modifierId));
+      if (!modifier) continue;
+
+      for (const row of modifier.ingredients || []) {
+        if (!row.ingredient) continue;
+
+        if (modifier.action === 'remove') {
+          const base = lines.find(line => line.ingredient && line.ingredient.id === row.ingredient.id);
+          if (base) {
+            const reduceBy = parseFloat(row.quantity);
+            base.quantity = reduceBy > 0 ? Math.max(0, base.quantity - reduceBy) : 0;
+          }
+        } else {
+          lines.push({
+            ingredient: row.ingredient,
+            quantity: parseFloat(row.quantity),
+            unit: row.unit
+          });
+        }
+      }
+    }
+
+    return lines.filter(line => line.quantity > 0);
+  }
+
   /**
    * Revert ingredient deductions (e.g., when order/sale is cancelled)
+   * Stock already put back for the same reference is never returned twice.
    * @param {string} referenceType - 'sale' or 'kitchen_order'
    * @param {number} referenceId - ID of the reference
    * @param {number} userId - User performing the reversion
+   * @param {Array<Object>} lines - Optional items to revert ({ menuItemId, quantity, modifierIds }),
+   *   e.g. unprepared items on a partial refund. Reverts everything when omitted.
+   * @param {Object} outerTransaction - Optional caller transaction to run the reversion in
    * @returns {Promise<Object>} - Reversion result
    */
-  async revertDeductionForOrder(referenceType, referenceId, userId) {
+  async revertDeductionForOrder(referenceType, referenceId, userId, lines = null, outerTransaction = null) {
     const { StockLocation, StockTransaction } = require('../models');
-    const transaction = await sequelize.transaction();
+    // Inside a caller's transaction (e.g. the refund) the caller commits or rolls back
+    const transaction = outerTransaction || await sequelize.transaction();
 
     try {
       // Find all transactions for this reference
@@ -162,35 +236,81 @@ class IngredientService {
         where: {
           referenceType,
           referenceId,
-          transactionType: 'usage'
+          transactionType: ['usage', 'reversion']
         },
         include: [{ model: Ingredient, as: 'ingredient' }],
         transaction
       });
 
-      if (transactions.length === 0) {
-        await transaction.rollback();
+      const usages = transactions.filter(t => t.transactionType === 'usage');
+
+      if (usages.length === 0) {
+        if (!outerTransaction) await transaction.rollback();
         return { success: true, message: 'No deductions found to revert' };
       }
 
+      // Quantity still deducted per ingredient for this reference
+      const outstanding = new Map();
+      for (const t of transactions) {
+        const entry = outstanding.get(t.ingredientId) || { ingredient: t.ingredient, unit: t.unit, quantity: 0 };
+        entry.quantity += t.transactionType === 'usage'
+          ? Math.abs(parseFloat(t.quantity))
+          : -Math.abs(parseFloat(t.quantity));
+        outstanding.set(t.ingredientId, entry);
+      }
+
+      // Limit the reversion to the recipe quantities of the given items
+      if (lines) {
+        const requested = new Map();
+        for (const line of lines) {
+          let recipe = await MenuItemIngredient.findAll({
+            where: { menuItemId: line.menuItemId },
+            include: [{ model: Ingredient, as: 'ingredient' }]
+          });
+
+          if (line.modifierIds && line.modifierIds.length > 0) {
+            recipe = await this.applyModifiersToRecipe(recipe, line.modifierIds);
+          }
+
+          for (const row of recipe) {
+            if (!row.ingredient) continue;
+            const quantity = parseFloat(row.quantity) * line.quantity;
+            requested.set(row.ingredient.id, (requested.get(row.ingredient.id) || 0) + quantity);
+          }
+        }
+
+        for (const [ingredientId, entry] of outstanding) {
+          entry.quantity = Math.min(entry.quantity, requested.get(ingredientId) || 0);
+        }
+      }
+
       const reversions = [];
 
-      for (const usage of transactions) {
-        const ingredient = usage.ingredient;
-        const revertQuantity = Math.abs(parseFloat(usage.quantity));
+      for (const [ingredientId, entry] of outstanding) {
+        const revertQuantity = Math.round(entry.quantity * 1000) / 1000;
+
+        if (!entry.ingredient || revertQuantity <= 0) {
+          continue;
+        }
+
+        // Re-read under a row lock so a concurrent order's deduction is not overwritten
+        const ingredient = await Ingredient.findByPk(ingredientId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
 
         // Put back stock
-        const previousStock = ingredient.currentStock;
+        const previousStock = parseFloat(ingredient.currentStock);
         const newStock = previousStock + revertQuantity;
 
         await ingredient.update({ currentStock: newStock }, { transaction });
 
         // Record reversion transaction
         await IngredientTransaction.create({
-          ingredientId: ingredient.id,
+          ingredientId,
           transactionType: 'reversion',
           quantity: revertQuantity,
-          unit: usage.unit,
+          unit: entry.unit,
           previousStock,
           newStock,
           unitCost: ingredient.unitCost,
@@ -199,7 +319,9 @@ class IngredientService {
           referenceId,
           performedBy: userId,
           transactionDate: new Date(),
-          notes: `Reversion of transaction ${usage.id}`
+          notes: lines
+            ? `Partial reversion of ${referenceType} ${referenceId}`
+            : `Reversion of ${referenceType} ${referenceId}`
         }, { transaction });
 
         // Also revert location-specific stock if it was a location-based transaction
@@ -208,7 +330,7 @@ class IngredientService {
             referenceType,
             referenceId,
             transactionType: 'usage',
-            ingredientId: ingredient.id
+            ingredientId
           },
           transaction
         });
@@ -218,9 +340,9 @@ class IngredientService {
           await StockTransaction.create({
             transactionNumber,
             transactionType: 'transfer_in', // Or a new type like 'reversion'
-            ingredientId: ingredient.id,
+            ingredientId,
             quantity: revertQuantity,
-            unit: usage.unit,
+            unit: entry.unit,
             previousStock,
             newStock,
             toLocation: stockTx.fromLocation, // Put back to where it came from
@@ -233,18 +355,18 @@ class IngredientService {
         }
 
         reversions.push({
-          ingredientId: ingredient.id,
+          ingredientId,
           reverted: revertQuantity
         });
 
         // Check alerts (might resolve out-of-stock)
-        await this.checkAndGenerateAlert(ingredient.id, transaction);
+        await this.checkAndGenerateAlert(ingredientId, transaction);
       }
 
-      await transaction.commit();
+      if (!outerTransaction) await transaction.commit();
       return { success: true, message: 'Deductions reverted successfully', reversions };
     } catch (error) {
-      await transaction.rollback();
+      if (!outerTransaction) await transaction.rollback();
       throw error;
     }
   }
@@ -1,15 +1,20 @@
 const { Op } = require('sequelize');
-const { KitchenOrder, KitchenStation, Sale, Product, MenuItem, MenuItemIngredient, Ingredient, MenuItemPortion, StockLocation, StockTransaction } = require('../models');
+const { KitchenOrder, KitchenStation, Sale, Product, MenuItem, MenuItemIngredient, Ingredient, MenuItemPortion, StockLocation, StockTransaction, NumberSequence } = require('../models');
 const XLSX = require('xlsx');
 const fs = require('fs');
+const customerService = require('./customerService');
+const eventService = require('./eventService');
+const printService = require('./printService');
+const { EVENTS } = require('../config/events');
 
 class KitchenService {
   /**
    * Create a kitchen order from a sale or as a standalone order
    * @param {Object} saleData - Sale data including items and routing information
+   * @param {Object} transaction - Optional Sequelize transaction (e.g. the sale's)
    * @returns {Promise<Object>} - Created kitchen order
    */
-  async createKitchenOrder(saleData) {
+  async createKitchenOrder(saleData, transaction = null) {
     try {
       const {
         saleId,
@@ -20,6 +25,7 @@ class KitchenService {
         priority,
         status,
         specialInstructions,
+        customerId,
         customerName,
         customerPhone,
         customerEmail,
@@ -33,14 +39,22 @@ class KitchenService {
       // If saleId is provided, verify sale exists
       let sale = null;
       if (saleId) {
-        sale = await Sale.findByPk(saleId);
+        sale = await Sale.findByPk(saleId, { transaction });
         if (!sale) {
           throw new Error(`Sale with ID ${saleId} not found`);
         }
       }
 
-      // Route items to appropriate stations
-      const routedItems = await this.routeItemsToStations(items);
+      // Link a known customer by ID, or by phone for standalone orders
+      const customer = await customerService.resolveCustomer({
+        customerId: customerId || sale?.customerId,
+        customerPhone
+      }, transaction);
+
+      // Route items to appropriate stations, holding any course after the first
+      const { items: routedItems, firedAt, courseTimings } = this.applyCourses(
+        await this.routeItemsToStations(items)
+      );
 
       // Calculate estimated preparation time
       const estimatedTime = await this.calculateEstimatedTime(routedItems);
@@ -49,7 +63,7 @@ class KitchenService {
       const assignedStations = [...new Set(routedItems.map(item => item.stationId).filter(Boolean))];
 
       // Generate kitchen order number
-      const orderNumber = await this.generateOrderNumber();
+      const orderNumber = await this.generateOrderNumber(transaction);
 
       // Create kitchen order
       const kitchenOrder = await KitchenOrder.create({
@@ -63,17 +77,24 @@ class KitchenService {
         status: status || 'unpaid', // Default to unpaid if no status provided
         estimatedTime,
         specialInstructions,
-        customerName: customerName || sale?.customerName || 'Walk-in Customer',
-        customerPhone: customerPhone || null,
-        customerEmail: customerEmail || null,
+        customerId: customer?.id || null,
+        customerName: customerName || customer?.name || sale?.customerName || 'Walk-in Customer',
+        customerPhone: customerPhone || customer?.phone || null,
+        customerEmail: customerEmail || customer?.email || null,
         assignedStations,
         kitchenStationId: kitchenStationId || null,
         paymentMethod: paymentMethod || null,
         subtotal: subtotal || null,
         tax: tax || null,
         totalAmount: totalAmount || null,
+        firedAt,
+        courseTimings,
         isInventoryDeducted: saleData.isInventoryDeducted || false
-      });
+      }, { transaction });
+
+      eventService.publishOrder(EVENTS.ORDER_CREATED, kitchenOrder, {}, transaction);
+      // One ticket per station on the station's printer
+      eventService.afterCommit(transaction, () => printService.autoPrintKitchenOrder(kitchenOrder));
 
       return kitchenOrder;
     } catch (error) {
@@ -192,31 +213,18 @@ class KitchenService {
   }
 
   /**
-   * Generate unique kitchen order number
+   * Generate unique kitchen order number from the per-day sequence
+   * @param {Object} transaction - Optional Sequelize transaction
    * @returns {Promise<String>} - Generated order number
    */
-  async generateOrderNumber() {
+  async generateOrderNumber(transaction = null) {
     const date = new Date();
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
     const day = String(date.getDate()).padStart(2, '0');
 
     const prefix = `KO-${year}${month}${day}`;
-
-    const lastOrder = await KitchenOrder.findOne({
-      where: {
-        orderNumber: {
-          [Op.like]: `${prefix}%`
-        }
-      },
-      order: [['orderNumber', 'DESC']]
-    });
-
-    let sequence = 1;
-    if (lastOrder) {
-      const lastSequence = parseInt(lastOrder.orderNumber.split('-').pop());
-      sequence = lastSequence + 1;
-    }
+    const sequence = await NumberSequence.nextValue(prefix, transaction, { model: KitchenOrder, field: 'orderNumber' });
 
     return `${prefix}-${String(sequence).padStart(4, '0')}`;
   }
@@ -251,6 +259,8 @@ class KitchenService {
 
       await order.save();
 
+      eventService.publishOrder(EVENTS.ORDER_UPDATED, order);
+
       // If saleId exists, we might need to update it as well
       if (order.saleId) {
         const { Sale } = require('../models');
@@ -287,12 +297,27 @@ class KitchenService {
         throw new Error(`Kitchen order with ID ${orderId} not found`);
       }
 
+      if (status === 'completed' && (order.items || []).some(item => item.held)) {
+        const error = new Error(`Order ${order.orderNumber} still has held courses; fire or cancel them before serving`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const previousStatus = order.status;
       const updates = {
         status,
         statusUpdatedBy: userId,
         statusUpdatedAt: new Date()
       };
 
+      // Time each fired course from the ticket's status changes
+      if (order.courseTimings && ['preparing', 'ready'].includes(status)) {
+        const stamp = status === 'preparing' ? 'startedAt' : 'readyAt';
+        updates.courseTimings = order.courseTimings.map(timing => timing[stamp]
+          ? timing
+          : { ...timing, [stamp]: updates.statusUpdatedAt });
+      }
+
       // Update timestamps based on status
       if (status === 'preparing' && !order.startedAt) {
         updates.startedAt = new Date();
@@ -318,7 +343,8 @@ class KitchenService {
         const { Sale } = require('../models');
         const sale = await Sale.findByPk(order.saleId);
 
-        if (sale) {
+        // An open tab has a ticket per round, so one round's status says nothing about the tab
+        if (sale && sale.tabStatus !== 'open') {
           // Map kitchen status to sale status
           const saleStatusMap = {
             'pending': 'pending',
@@ -328,10 +354,32 @@ class KitchenService {
             'cancelled': 'voided' // Map cancelled kitchen order to voided sale
           };
 
-          const newSaleStatus = saleStatusMap[status];
+          let newSaleStatus = saleStatusMap[status];
+
+          // A dispatched delivery is completed when it reaches the customer
+          if (newSaleStatus === 'completed' && sale.orderType === 'delivery') {
+            const deliveryService = require('./deliveryService');
+            if (await deliveryService.isAwaitingDelivery(sale.id)) {
+              newSaleStatus = 'ready';
+            }
+          }
+
           if (newSaleStatus && sale.status !== newSaleStatus) {
             await sale.update({ status: newSaleStatus });
           }
+
+          // Hand the order to dispatch once all of its tickets are ready
+          if (sale.orderType === 'delivery' && ['ready', 'completed'].includes(status)) {
+            const deliveryService = require('./deliveryService');
+            await deliveryService.markReadyForSale(sale.id);
+          }
+
+          // Keep delivery platforms up to date; a slow platform must not hold up the kitchen
+          if (sale.orderType === 'delivery') {
+            const aggregatorService = require('./aggregatorService');
+            aggregatorService.notifyStatus(sale.id, status)
+              .catch(error => console.error('Aggregator status update failed:', error.message));
+          }
         }
       }
 
@@ -344,6 +392,8 @@ class KitchenService {
         }
       }
 
+      eventService.publishOrder(status === 'cancelled' ? EVENTS.ORDER_CANCELLED : EVENTS.ORDER_STATUS, order, { previousStatus });
+
       return order;
     } catch (error) {
       throw error;
@@ -355,20 +405,30 @@ class KitchenService {
    * @param {Number} orderId - Kitchen order ID
    * @param {Number} saleId - Sale ID to link
    * @param {String} status - Optional status to update
+   * @param {Object} transaction - Optional Sequelize transaction
    * @returns {Promise<Object>} - Updated kitchen order
    */
-  async linkSaleToOrder(orderId, saleId, status = 'pending') {
+  async linkSaleToOrder(orderId, saleId, status = 'pending', transaction = null) {
     try {
-      const order = await KitchenOrder.findByPk(orderId);
+      const order = await KitchenOrder.findByPk(orderId, {
+        transaction,
+        ...(transaction && { lock: transaction.LOCK.UPDATE })
+      });
 
       if (!order) {
         throw new Error(`Kitchen order with ID ${orderId} not found`);
       }
 
+      const previousStatus = order.status;
       await order.update({
         saleId: saleId,
         status: status
-      });
+      }, { transaction });
+
+      // A paid order reaches the stations now
+      if (status !== previousStatus) {
+        eventService.publishOrder(EVENTS.ORDER_STATUS, order, { previousStatus }, transaction);
+      }
 
       return order;
     } catch (error) {
@@ -428,10 +488,13 @@ class KitchenService {
   /**
    * Get orders by station
    * @param {Number} stationId - Station ID
+   * @param {Object} options - includeHeld: false leaves out items of courses not yet fired
    * @returns {Promise<Array>} - Orders for the station
    */
-  async getOrdersByStation(stationId) {
+  async getOrdersByStation(stationId, { includeHeld = true } = {}) {
     try {
+      stationId = parseInt(stationId);
+
       const orders = await KitchenOrder.findAll({
         where: {
           kitchenStationId: stationId,
@@ -451,10 +514,17 @@ class KitchenService {
       });
 
       // Filter items for this specific station
-      const filteredOrders = orders.map(order => ({
-        ...order.toJSON(),
-        items: order.items.filter(item => item.stationId === stationId)
-      }));
+      const filteredOrders = orders.map(order => {
+        const items = order.items.filter(item => item.stationId === stationId);
+        const heldCourses = [...new Set(items.filter(item => item.held).map(item => item.course))];
+
+        return {
+          ...order.toJSON(),
+          items: includeHeld ? items : items.filter(item => !item.held),
+          heldCount: items.filter(item => item.held).length,
+          nextHeldCourse: heldCourses.length > 0 ? Math.min(...heldCourses) : null
+        };
+      }).filter(order => includeHeld || order.items.length > 0 || order.heldCount === 0);
 
       return filteredOrders;
     } catch (error) {
@@ -482,11 +552,21 @@ class KitchenService {
         throw new Error(`Invalid item index ${itemIndex}`);
       }
 
+      // Held courses haven't reached the station; they can't be worked on until fired
+      if (items[itemIndex].held) {
+        const error = new Error(`${items[itemIndex].productName} is in held course ${items[itemIndex].course}; fire the course first`);
+        error.statusCode = 400;
+        throw error;
+      }
+
       items[itemIndex].status = status;
       await order.update({ items });
 
-      // Check if all items are ready
-      const allReady = items.every(item => item.status === 'ready');
+      eventService.publishOrder(EVENTS.ORDER_ITEM_STATUS, order, { itemIndex, item: items[itemIndex] });
+
+      // Check if all fired items are ready; held courses haven't reached the station yet
+      const firedItems = items.filter(item => !item.held);
+      const allReady = firedItems.length > 0 && firedItems.every(item => item.status === 'ready');
       if (allReady && order.status !== 'ready') {
         await this.updateOrderStatus(orderId, 'ready');
       }
@@ -517,13 +597,26 @@ class KitchenService {
       const completedOrders = orders.filter(o => o.status === 'completed').length;
       const cancelledOrders = orders.filter(o => o.status === 'cancelled').length;
 
-      // Calculate average preparation time
-      const completedWithTimes = orders.filter(o => o.startedAt && o.readyAt);
-      const avgPrepTime = completedWithTimes.length > 0
-        ? completedWithTimes.reduce((sum, o) => {
-          return sum + (new Date(o.readyAt) - new Date(o.startedAt)) / 60000;
-        }, 0) / completedWithTimes.length
-        : 0;
+      // Prep time runs from when a course was fired (or started, if later) until it was ready,
+      // so held courses don't count as kitchen time. Ticket time also includes the wait in the queue.
+      const prepTimes = [];
+      const ticketTimes = [];
+      orders.forEach(o => {
+        const timings = Array.isArray(o.courseTimings) && o.courseTimings.length > 0
+          ? o.courseTimings
+          : [{ firedAt: o.firedAt || o.createdAt, startedAt: o.startedAt, readyAt: o.readyAt }];
+
+        timings.filter(t => t.readyAt).forEach(t => {
+          const readyAt = new Date(t.readyAt);
+          const firedAt = new Date(t.firedAt);
+          const startedAt = t.startedAt ? new Date(Math.max(new Date(t.startedAt), firedAt)) : firedAt;
+          prepTimes.push((readyAt - startedAt) / 60000);
+          ticketTimes.push((readyAt - firedAt) / 60000);
+        });
+      });
+      const average = times => times.length > 0 ? times.reduce((sum, t) => sum + t, 0) / times.length : 0;
+      const avgPrepTime = average(prepTimes);
+      const avgTicketTime = average(ticketTimes);
 
       // Orders by type
       const ordersByType = {
@@ -545,6 +638,7 @@ class KitchenService {
         completedOrders,
         cancelledOrders,
         avgPrepTime: Math.round(avgPrepTime * 10) / 10,
+        avgTicketTime: Math.round(avgTicketTime * 10) / 10,
         ordersByType,
         ordersByPriority
       };
@@ -556,14 +650,15 @@ class KitchenService {
   /**
    * Create multiple kitchen orders for different stations from a single sale
    * @param {Object} saleData - Sale data with items grouped by kitchen
+   * @param {Object} transaction - Optional Sequelize transaction (e.g. the sale's)
    * @returns {Promise<Array>} - Array of created kitchen orders
    */
-  async createMultipleKitchenOrders(saleData) {
+  async createMultipleKitchenOrders(saleData, transaction = null) {
     try {
       const { saleId, items, orderType, tableNumber, priority, specialInstructions, customerName, kitchenStationId, paymentMethod } = saleData;
 
       // Verify sale exists
-      const sale = await Sale.findByPk(saleId);
+      const sale = await Sale.findByPk(saleId, { transaction });
       if (!sale) {
         throw new Error(`Sale with ID ${saleId} not found`);
       }
@@ -580,10 +675,16 @@ class KitchenService {
 
       const createdOrders = [];
 
+      // The first course is the sale's, so one station doesn't start its mains with another's starters
+      const firstCourse = this.getFirstCourse(items);
+
       // Create a kitchen order for each station
       for (const [stationId, stationItems] of Object.entries(itemsByKitchen)) {
-        const orderNumber = await this.generateOrderNumber();
-        const routedItems = await this.routeItemsToStations(stationItems);
+        const orderNumber = await this.generateOrderNumber(transaction);
+        const { items: routedItems, firedAt, courseTimings } = this.applyCourses(
+          await this.routeItemsToStations(stationItems),
+          firstCourse
+        );
         const estimatedTime = await this.calculateEstimatedTime(routedItems);
         const assignedStations = [...new Set(routedItems.map(item => item.stationId).filter(Boolean))];
 
@@ -597,12 +698,17 @@ class KitchenService {
           status: 'pending',
           estimatedTime,
           specialInstructions,
+          customerId: sale.customerId,
           customerName: customerName || sale.customerName,
           assignedStations,
           kitchenStationId: stationId === 'unassigned' ? null : parseInt(stationId),
-          paymentMethod: paymentMethod || sale.paymentMethod
-        });
+          paymentMethod: paymentMethod || sale.paymentMethod,
+          firedAt,
+          courseTimings
+        }, { transaction });
 
+        eventService.publishOrder(EVENTS.ORDER_CREATED, kitchenOrder, {}, transaction);
+        eventService.afterCommit(transaction, () => printService.autoPrintKitchenOrder(kitchenOrder));
         createdOrders.push(kitchenOrder);
       }
 
@@ -612,6 +718,208 @@ class KitchenService {
     }
   }
 
+  /**
+   * Lowest course number on a set of items
+   * @param {Array} items - Sale items, some tagged with a course
+   * @returns {Number|null} - First course, or null if no item has one
+   */
+  getFirstCourse(items) {
+    const courses = items.map(item => parseInt(item.course)).filter(Boolean);
+    return courses.length > 0 ? Math.min(...courses) : null;
+  }
+
+  /**
+   * Hold every course after the first until a server fires it.
+   * Untagged items go out with the first course.
+   * @param {Array} items - Routed items
+   * @param {Number} firstCourse - Course that fires now (the whole sale's, for per-station tickets)
+   * @returns {Object} - { items, firedAt, courseTimings } for the ticket
+   */
+  applyCourses(items, firstCourse = this.getFirstCourse(items)) {
+    const now = new Date();
+
+    if (firstCourse === null) {
+      return { items, firedAt: now, courseTimings: null };
+    }
+
+    const coursedItems = items.map(item => {
+      const course = parseInt(item.course) || firstCourse;
+      const held = course > firstCourse;
+      return { ...item, course, held, firedAt: held ? null : now };
+    });
+    const fired = coursedItems.some(item => !item.held);
+
+    return {
+      items: coursedItems,
+      firedAt: fired ? now : null,
+      courseTimings: fired ? [{ course: firstCourse, firedAt: now, startedAt: null, readyAt: null }] : []
+    };
+  }
+
+  /**
+   * Active tickets of a kitchen order or of every ticket on a sale
+   * @param {Object} target - { orderId } or { saleId }
+   * @returns {Promise<Array>} - Kitchen orders
+   */
+  async getCourseTickets({ orderId, saleId }) {
+    const where = orderId ? { id: orderId } : { saleId };
+    const orders = await KitchenOrder.findAll({
+      where: {
+        ...where,
+        status: { [Op.in]: ['unpaid', 'pending', 'preparing', 'ready'] }
+      },
+      order: [['id', 'ASC']]
+    });
+
+    if (orders.length === 0) {
+      const error = new Error(orderId
+        ? `Kitchen order with ID ${orderId} not found or already served`
+        : `No active kitchen orders for sale ${saleId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return orders;
+  }
+
+  /**
+   * Fire a held course to the stations. Without a course number the next held course is fired.
+   * A ticket that was already ready goes back in the queue for the new course.
+   * @param {Object} target - { orderId } for one ticket or { saleId } for all of a sale's tickets
+   * @param {Number} course - Course to fire (optional)
+   * @param {Number} userId - User ID firing the course
+   * @returns {Promise<Object>} - { course, orders }
+   */
+  async fireCourse(target, course = null, userId = null) {
+    try {
+      const orders = await this.getCourseTickets(target);
+      const heldCourses = [...new Set(orders.flatMap(order =>
+        (order.items || []).filter(item => item.held).map(item => item.course)
+      ))];
+
+      if (heldCourses.length === 0) {
+        const error = new Error('There are no held courses to fire');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const fireCourse = course ? parseInt(course) : Math.min(...heldCourses);
+      if (!heldCourses.includes(fireCourse)) {
+        const error = new Error(`Course ${fireCourse} is not held (held: ${heldCourses.sort((a, b) => a - b).join(', ')})`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const now = new Date();
+      const firedOrders = [];
+      let reopened = false;
+
+      for (const order of orders) {
+        if (!order.items.some(item => item.held && item.course === fireCourse)) {
+          continue;
+        }
+
+        const updates = {
+          items: order.items.map(item => item.held && item.course === fireCourse
+            ? { ...item, held: false, firedAt: now }
+            : item),
+          courseTimings: [
+            ...(order.courseTimings || []),
+            { course: fireCourse, firedAt: now, startedAt: null, readyAt: null }
+          ],
+          firedAt: now,
+          statusUpdatedBy: userId,
+          statusUpdatedAt: now
+        };
+
+        // The previous course is done; the ticket is back in the queue for this one
+        if (order.status === 'ready') {
+          updates.status = 'pending';
+          updates.readyAt = null;
+          reopened = true;
+        }
+
+        await order.update(updates);
+        eventService.publishOrder(EVENTS.ORDER_COURSE, order, { course: fireCourse, action: 'fired' });
+        // The stations get a ticket with just the fired course
+        printService.autoPrintKitchenOrder(order, { course: fireCourse });
+        firedOrders.push(order);
+      }
+
+      // The sale was waiting to be served; it's back in the kitchen
+      const saleId = firedOrders[0].saleId;
+      if (reopened && saleId) {
+        const sale = await Sale.findByPk(saleId);
+        if (sale && sale.tabStatus !== 'open' && sale.status === 'ready') {
+          await sale.update({ status: 'preparing' });
+        }
+      }
+
+      return { course: fireCourse, orders: firedOrders };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Hold a fired course again, e.g. when the table asks for more time.
+   * Only possible while none of the course's items has been started.
+   * @param {Object} target - { orderId } for one ticket or { saleId } for all of a sale's tickets
+   * @param {Number} course - Course to hold
+   * @param {Number} userId - User ID holding the course
+   * @returns {Promise<Object>} - { course, orders }
+   */
+  async holdCourse(target, course, userId = null) {
+    try {
+      const holdCourse = parseInt(course);
+      const orders = await this.getCourseTickets(target);
+      const courseItems = orders.flatMap(order =>
+        (order.items || []).filter(item => item.course === holdCourse && !item.held)
+      );
+
+      if (courseItems.length === 0) {
+        const error = new Error(`Course ${holdCourse} has no fired items to hold`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const started = courseItems.find(item => item.status !== 'pending');
+      if (started) {
+        const error = new Error(`${started.productName} in course ${holdCourse} has already been started`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const now = new Date();
+      const heldOrders = [];
+
+      for (const order of orders) {
+        if (!order.items.some(item => item.course === holdCourse && !item.held)) {
+          continue;
+        }
+
+        const courseTimings = (order.courseTimings || []).filter(timing => timing.course !== holdCourse);
+        const lastFired = courseTimings[courseTimings.length - 1];
+
+        await order.update({
+          items: order.items.map(item => item.course === holdCourse
+            ? { ...item, held: true, firedAt: null }
+            : item),
+          courseTimings,
+          firedAt: lastFired ? lastFired.firedAt : null,
+          statusUpdatedBy: userId,
+          statusUpdatedAt: now
+        });
+        eventService.publishOrder(EVENTS.ORDER_COURSE, order, { course: holdCourse, action: 'held' });
+        heldOrders.push(order);
+      }
+
+      return { course: holdCourse, orders: heldOrders };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Process recipe upload and create menu item
    * @param {Number} stationId - Kitchen Station ID
@@ -904,9 +1212,10 @@ class KitchenService {
         const result = await ingredientService.deductIngredientsForOrder(
           menuItemId,
           item.quantity || 1,
-          null, // saleId
+          order.saleId || null,
           order.statusUpdatedBy || 1,
-          stockLocationId
+          stockLocationId,
+          (item.modifiers || []).map(m => m.modifierId).filter(Boolean)
         );
 
         if (!result.success) {
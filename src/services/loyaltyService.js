@@ -0,0 +1,558 @@
+const { Op } = require('sequelize');
+const { sequelize, Customer, LoyaltySettings, LoyaltyTransaction } = require('../models');
+const customerService = require('./customerService');
+
+/**
+ * Loyalty Service
+ * Points are earned on sales for known customers, redeemed at checkout as a
+ * pre-VAT discount or as a tender, and taken back when a sale is refunded or
+ * voided. Every change to a balance is written to the points ledger.
+ */
+class LoyaltyService {
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Settings used until an admin saves their own
+   */
+  getDefaultSettings() {
+    return {
+      isEnabled: true,
+      pointsPerUnit: 1,
+      spendUnit: 100,
+      categoryMultipliers: {},
+      bonusDays: [],
+      tiers: [],
+      pointValue: 1,
+      minRedeemPoints: 100
+    };
+  }
+
+  /**
+   * Active loyalty settings
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object>} - LoyaltySettings record or defaults
+   */
+  async getSettings(transaction = null) {
+    const settings = await LoyaltySettings.findOne({
+      where: { isActive: true },
+      order: [['updatedAt', 'DESC']],
+      transaction
+    });
+    return settings || this.getDefaultSettings();
+  }
+
+  /**
+   * Save loyalty settings
+   * @param {Object} data - Settings fields to change
+   * @param {Object} user - Admin making the change
+   * @returns {Promise<Object>} - Saved settings
+   */
+  async updateSettings(data, user) {
+    const fields = ['isEnabled', 'pointsPerUnit', 'spendUnit', 'categoryMultipliers', 'bonusDays', 'tiers', 'pointValue', 'minRedeemPoints'];
+    const updates = { lastModifiedBy: user.id };
+
+    for (const field of fields) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+
+    const settings = await LoyaltySettings.findOne({
+      where: { isActive: true },
+      order: [['updatedAt', 'DESC']]
+    });
+
+    if (settings) {
+      return settings.update(updates);
+    }
+    return LoyaltySettings.create({ ...this.getDefaultSettings(), ...updates });
+  }
+
+  /**
+   * Tiers sorted from lowest to highest
+   */
+  sortTiers(settings) {
+    return [...(settings.tiers || [])].sort(
+      (a, b) => (a.minLifetimePoints || 0) - (b.minLifetimePoints || 0)
+    );
+  }
+
+  /**
+   * Membership tier for a lifetime points total
+   * @param {Object} settings - Loyalty settings
+   * @param {Number} lifetimePoints - Customer lifetime points
+   * @returns {Object|null} - Tier ({ name, minLifetimePoints, earnMultiplier })
+   */
+  getTier(settings, lifetimePoints) {
+    return this.sortTiers(settings)
+      .filter(tier => lifetimePoints >= (tier.minLifetimePoints || 0))
+      .pop() || null;
+  }
+
+  /**
+   * Bonus earn multiplier for a date: the highest matching weekday or date rule
+   * @param {Object} settings - Loyalty settings
+   * @param {Date} date - Sale date
+   * @returns {Number} - Multiplier (1 when no bonus applies)
+   */
+  getBonusMultiplier(settings, date = new Date()) {
+    const day = new Date(date);
+    const isoDate = [
+      day.getFullYear(),
+      String(day.getMonth() + 1).padStart(2, '0'),
+      String(day.getDate()).padStart(2, '0')
+    ].join('-');
+
+    return (settings.bonusDays || [])
+      .filter(bonus => (bonus.date ? bonus.date === isoDate : Number(bonus.dayOfWeek) === day.getDay()))
+      .reduce((max, bonus) => Math.max(max, parseFloat(bonus.multiplier) || 1), 1);
+  }
+
+  /**
+   * Points earned on priced sale lines. Each line's spend (VAT inclusive) is
+   * weighted by its category multiplier.
+   * @param {Array} items - Priced sale lines
+   * @param {Object} settings - Loyalty settings
+   * @param {Object} options - tierMultiplier, bonusMultiplier, paidShare (share of the bill not paid with points)
+   * @returns {Number} - Whole points
+   */
+  calculateEarnPoints(items, settings, options = {}) {
+    const { tierMultiplier = 1, bonusMultiplier = 1, paidShare = 1 } = options;
+    const categoryMultipliers = settings.categoryMultipliers || {};
+
+    const weightedSpend = (items || []).reduce((sum, item) => {
+      const multiplier = categoryMultipliers[item.category] !== undefined
+        ? parseFloat(categoryMultipliers[item.category])
+        : 1;
+      return sum + parseFloat(item.totalWithVAT || 0) * multiplier;
+    }, 0);
+
+    const points = (weightedSpend * paidShare / parseFloat(settings.spendUnit))
+      * parseFloat(settings.pointsPerUnit) * bonusMultiplier * (parseFloat(tierMultiplier) || 1);
+
+    // Allow for floating point error before rounding down
+    return Math.max(0, Math.floor(points + 1e-9));
+  }
+
+  /**
+   * Check a redemption request against the customer's balance
+   * @param {Object} customer - Customer record (null for walk-ins)
+   * @param {Number} points - Points to redeem
+   * @param {Object} settings - Loyalty settings
+   * @returns {Object} - { points, amount, pointValue }
+   */
+  planRedemption(customer, points, settings) {
+    if (!settings.isEnabled) {
+      this.fail('The loyalty programme is not enabled');
+    }
+    if (!customer) {
+      this.fail('Points can only be redeemed for a known customer');
+    }
+
+    const requested = parseInt(points);
+    if (!(requested > 0)) {
+      this.fail('Points to redeem must be a whole number above zero');
+    }
+    if (requested < settings.minRedeemPoints) {
+      this.fail(`At least ${settings.minRedeemPoints} points must be redeemed at once`);
+    }
+    if (requested > customer.loyaltyPoints) {
+      this.fail(`Customer has only ${customer.loyaltyPoints} points`);
+    }
+
+    const pointValue = parseFloat(settings.pointValue);
+    return { points: requested, amount: this.round(requested * pointValue), pointValue };
+  }
+
+  /**
+   * Reduce a redemption so it is worth no more than the amount it pays for
+   * @param {Object} redemption - { points, amount, pointValue }
+   * @param {Number} maxAmount - Most the points may cover
+   * @returns {Object} - Redemption, possibly with fewer points
+   */
+  capRedemption(redemption, maxAmount) {
+    if (redemption.amount <= maxAmount) {
+      return redemption;
+    }
+
+    const points = Math.floor(maxAmount / redemption.pointValue + 1e-9);
+    if (points <= 0) {
+      this.fail('The bill is too small to redeem points against');
+    }
+    return { ...redemption, points, amount: this.round(points * redemption.pointValue) };
+  }
+
+  /**
+   * Spread a points discount over the lines in proportion to their value so
+   * it is taken off before VAT, like a fixed-amount promotion
+   * @param {Array} items - Lines after promotions
+   * @param {Object} redemption - { points, amount, pointValue }
+   * @returns {Object} - { items, redemption }
+   */
+  applyDiscount(items, redemption) {
+    const lineNet = (line) => Math.max(0, (line.quantity * line.unitPrice) - (line.discountAmount || 0));
+    const netTotal = this.round(items.reduce((sum, line) => sum + lineNet(line), 0));
+    const applied = this.capRedemption(redemption, netTotal);
+
+    const targets = items.filter(line => lineNet(line) > 0);
+    let remaining = applied.amount;
+
+    const lines = items.map(line => {
+      if (!targets.includes(line)) {
+        return line;
+      }
+
+      // The last line takes whatever rounding left over
+      const isLast = line === targets[targets.length - 1];
+      const discount = isLast ? remaining : this.round(applied.amount * (lineNet(line) / netTotal));
+      remaining = this.round(remaining - discount);
+
+      return {
+        ...line,
+        discountAmount: this.round((line.discountAmount || 0) + discount),
+        promotions: [
+          ...(line.promotions || []),
+          { promotionId: null, name: 'Loyalty points', type: 'loyalty', amount: discount }
+        ]
+      };
+    });
+
+    return { items: lines, redemption: applied };
+  }
+
+  /**
+   * Load a customer with a row lock for a balance change
+   * @param {Number} customerId - Customer ID
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Object>} - Customer record
+   */
+  async lockCustomer(customerId, transaction) {
+    const customer = await Customer.findByPk(customerId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!customer) {
+      this.fail('Customer not found', 404);
+    }
+    return customer;
+  }
+
+  /**
+   * Change a customer's balance and write the ledger entry. The customer
+   * must already be locked in the transaction.
+   * @param {Object} customer - Locked customer record
+   * @param {Object} entry - type, points (signed), saleId, amount, description, user, countsTowardsLifetime, settings
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Object>} - LoyaltyTransaction record
+   */
+  async postEntry(customer, entry, transaction) {
+    const { type, points, saleId = null, amount = null, description = null, user = null, countsTowardsLifetime = false } = entry;
+    const settings = entry.settings || await this.getSettings(transaction);
+
+    const balance = customer.loyaltyPoints + points;
+    // Reversals may leave a balance owed when the points were already spent
+    if (balance < 0 && type !== 'reversal') {
+      this.fail(`Customer has only ${customer.loyaltyPoints} points`);
+    }
+
+    const lifetimePoints = Math.max(0, customer.lifetimePoints + (countsTowardsLifetime ? points : 0));
+    const tier = this.getTier(settings, lifetimePoints);
+
+    await customer.update({
+      loyaltyPoints: balance,
+      lifetimePoints,
+      loyaltyTier: tier ? tier.name : null
+    }, { transaction });
+
+    return LoyaltyTransaction.create({
+      customerId: customer.id,
+      customerPhone: customer.phone,
+      saleId,
+      type,
+      points,
+      balanceAfter: balance,
+      amount,
+      description,
+      createdBy: user ? user.id : null,
+      createdByName: user ? user.fullName : null
+    }, { transaction });
+  }
+
+  /**
+   * Take redeemed points off the customer's balance for a sale
+   * @param {Object} sale - Sale record
+   * @param {Object} customer - Locked customer record
+   * @param {Object} redemption - { points, amount }
+   * @param {Object} user - Cashier
+   * @param {Object} transaction - The sale's transaction
+   */
+  async redeemForSale(sale, customer, redemption, user, transaction) {
+    return this.postEntry(customer, {
+      type: 'redeem',
+      points: -redemption.points,
+      saleId: sale.id,
+      amount: redemption.amount,
+      description: `Redeemed on sale ${sale.saleNumber} as ${sale.loyaltyRedeemedAs}`,
+      user
+    }, transaction);
+  }
+
+  /**
+   * Award points for a sale. Spend paid with points does not earn points.
+   * @param {Object} sale - Sale record
+   * @param {Object} customer - Locked customer record
+   * @param {Object} settings - Loyalty settings
+   * @param {Object} user - Cashier
+   * @param {Object} transaction - The sale's transaction
+   * @returns {Promise<Number>} - Points earned
+   */
+  async earnForSale(sale, customer, settings, user, transaction) {
+    if (!settings.isEnabled) {
+      return 0;
+    }
+
+    const totalAmount = parseFloat(sale.totalAmount);
+    const tenderAmount = sale.loyaltyRedeemedAs === 'tender' ? parseFloat(sale.loyaltyRedemptionAmount || 0) : 0;
+    const paidShare = totalAmount > 0 ? Math.max(0, 1 - tenderAmount / totalAmount) : 0;
+    const tier = this.getTier(settings, customer.lifetimePoints);
+
+    const points = this.calculateEarnPoints(sale.items, settings, {
+      tierMultiplier: tier ? tier.earnMultiplier : 1,
+      bonusMultiplier: this.getBonusMultiplier(settings, sale.saleDate || new Date()),
+      paidShare
+    });
+
+    if (points <= 0) {
+      return 0;
+    }
+
+    await this.postEntry(customer, {
+      type: 'earn',
+      points,
+      saleId: sale.id,
+      amount: this.round(totalAmount - tenderAmount),
+      description: `Earned on sale ${sale.saleNumber}`,
+      countsTowardsLifetime: true,
+      user,
+      settings
+    }, transaction);
+
+    await sale.update({ loyaltyPointsEarned: points }, { transaction });
+    return points;
+  }
+
+  /**
+   * Take back points earned on a refunded or voided sale. Partial refunds
+   * reverse earned points in proportion to the amount refunded. Redeemed
+   * points are returned when the sale is voided, or fully refunded after
+   * being taken as a discount (a points tender is refunded as a payment).
+   * @param {Object} sale - Sale record, after its refund totals or status were updated
+   * @param {Object} options - reason, user
+   * @param {Object} outerTransaction - Optional transaction to run inside
+   * @returns {Promise<Object|null>} - { pointsReversed, pointsReturned }
+   */
+  async reverseForSale(sale, options = {}, outerTransaction = null) {
+    if (!sale.customerId || (!sale.loyaltyPointsEarned && !sale.loyaltyPointsRedeemed)) {
+      return null;
+    }
+
+    const { reason = 'refund', user = null } = options;
+    const transaction = outerTransaction || await sequelize.transaction();
+
+    try {
+      const earned = sale.loyaltyPointsEarned || 0;
+      const alreadyReversed = sale.loyaltyPointsReversed || 0;
+      const totalAmount = parseFloat(sale.totalAmount);
+      const isFull = sale.status === 'refunded' || sale.status === 'voided';
+
+      const target = isFull || totalAmount <= 0
+        ? earned
+        : Math.min(earned, Math.round(earned * parseFloat(sale.refundedAmount || 0) / totalAmount));
+      const pointsReversed = Math.max(0, target - alreadyReversed);
+
+      const returnsRedeemed = sale.loyaltyPointsRedeemed > 0
+        && (sale.status === 'voided' || (sale.status === 'refunded' && sale.loyaltyRedeemedAs === 'discount'));
+      const alreadyReturned = returnsRedeemed && await LoyaltyTransaction.count({
+        where: { saleId: sale.id, type: 'reversal', points: { [Op.gt]: 0 } },
+        transaction
+      });
+      const pointsReturned = returnsRedeemed && !alreadyReturned ? sale.loyaltyPointsRedeemed : 0;
+
+      if (pointsReversed === 0 && pointsReturned === 0) {
+        if (!outerTransaction) {
+          await transaction.commit();
+        }
+        return null;
+      }
+
+      const customer = await this.lockCustomer(sale.customerId, transaction);
+      const settings = await this.getSettings(transaction);
+
+      if (pointsReversed > 0) {
+        await this.postEntry(customer, {
+          type: 'reversal',
+          points: -pointsReversed,
+          saleId: sale.id,
+          description: `Earned points reversed for ${reason} of sale ${sale.saleNumber}`,
+          countsTowardsLifetime: true,
+          user,
+          settings
+        }, transaction);
+
+        await sale.update({ loyaltyPointsReversed: alreadyReversed + pointsReversed }, { transaction });
+      }
+
+      if (pointsReturned > 0) {
+        await this.postEntry(customer, {
+          type: 'reversal',
+          points: pointsReturned,
+          saleId: sale.id,
+          amount: parseFloat(sale.loyaltyRedemptionAmount || 0),
+          description: `Redeemed points returned for ${reason} of sale ${sale.saleNumber}`,
+          user,
+          settings
+        }, transaction);
+      }
+
+      if (!outerTransaction) {
+        await transaction.commit();
+      }
+
+      return { pointsReversed, pointsReturned };
+    } catch (error) {
+      if (!outerTransaction) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Manually add or remove points
+   * @param {String} phone - Customer phone
+   * @param {Object} data - points (signed), reason
+   * @param {Object} user - Manager making the adjustment
+   * @returns {Promise<Object>} - LoyaltyTransaction record
+   */
+  async adjustPoints(phone, data, user) {
+    const points = parseInt(data.points);
+    if (!points) {
+      this.fail('Points must be a whole number other than zero');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const customer = await Customer.findOne({
+        where: { phone: customerService.normalizePhone(phone) },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!customer) {
+        this.fail('No loyalty account for this phone number', 404);
+      }
+
+      const entry = await this.postEntry(customer, {
+        type: 'adjustment',
+        points,
+        description: data.reason,
+        user
+      }, transaction);
+
+      await transaction.commit();
+      return entry;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Points account for a phone number: balance, tier and ledger
+   * @param {String} phone - Customer phone
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>} - Account summary with ledger entries
+   */
+  async getAccount(phone, options = {}) {
+    const customer = await customerService.findByPhone(phone);
+    if (!customer) {
+      this.fail('No loyalty account for this phone number', 404);
+    }
+
+    const settings = await this.getSettings();
+    const page = parseInt(options.page) || 1;
+    const limit = Math.min(parseInt(options.limit) || 20, 100);
+
+    const tier = this.getTier(settings, customer.lifetimePoints);
+    const nextTier = this.sortTiers(settings).find(t => (t.minLifetimePoints || 0) > customer.lifetimePoints) || null;
+
+    const { count, rows } = await LoyaltyTransaction.findAndCountAll({
+      where: { customerId: customer.id },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      customer: {
+        id: customer.id,
+        name: customer.name,
+        phone: customer.phone
+      },
+      balance: customer.loyaltyPoints,
+      lifetimePoints: customer.lifetimePoints,
+      tier: tier ? tier.name : null,
+      nextTier: nextTier
+        ? { name: nextTier.name, pointsNeeded: nextTier.minLifetimePoints - customer.lifetimePoints }
+        : null,
+      redeemableValue: this.round(Math.max(0, customer.loyaltyPoints) * parseFloat(settings.pointValue)),
+      canRedeem: settings.isEnabled && customer.loyaltyPoints >= settings.minRedeemPoints,
+      transactions: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Points summary printed on a sale's receipt
+   * @param {Object} sale - Sale record or snapshot
+   * @returns {Promise<Object|null>} - { pointsEarned, pointsRedeemed, redemptionAmount, balance, tier }
+   */
+  async getReceiptSummary(sale) {
+    if (!sale.customerId) {
+      return null;
+    }
+
+    const customer = await Customer.findByPk(sale.customerId, {
+      attributes: ['id', 'loyaltyPoints', 'loyaltyTier']
+    });
+    if (!customer) {
+      return null;
+    }
+
+    return {
+      pointsEarned: sale.loyaltyPointsEarned || 0,
+      pointsRedeemed: sale.loyaltyPointsRedeemed || 0,
+      redemptionAmount: parseFloat(sale.loyaltyRedemptionAmount || 0),
+      balance: customer.loyaltyPoints,
+      tier: customer.loyaltyTier
+    };
+  }
+}
+
+module.exports = new LoyaltyService();
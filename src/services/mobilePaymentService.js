@@ -8,6 +8,7 @@ const MobilePaymentSession = require('../models/MobilePaymentSession');
 const PaymentTransaction = require('../models/PaymentTransaction');
 const Sale = require('../models/Sale');
 const User = require('../models/User');
+const tipService = require('./tipService');
 const QRCode = require('qrcode');
 
 // Supported mobile wallet providers in Sri Lanka
@@ -132,12 +133,33 @@ class MobilePaymentService {
     return { success: false, message: 'Unknown endpoint' };
   }
 
+  /**
+   * Tip columns for the payment transaction of a session. Tips are tied to
+   * the cashier's open drawer so they are paid out with that shift.
+   */
+  static async getTipFields(session) {
+    const tipAmount = parseFloat(session.tipAmount || 0);
+    if (tipAmount <= 0) {
+      return {};
+    }
+
+    return {
+      tipAmount,
+      ...await tipService.resolveRecipient(session.tipRecipientId, session.cashierId),
+      cashDrawerId: await tipService.findOpenDrawerId(session.cashierId)
+    };
+  }
+
   /**
    * Generate QR code for mobile wallet payment
    */
   static async generateQRPayment(data) {
     const { saleId, amount, currency = 'LKR', walletType, expiryMinutes = 10, userId, metadata = {} } = data;
 
+    // The tip is charged on top of the sale amount
+    const tipAmount = tipService.parseTip(data.tipAmount);
+    const chargeAmount = parseFloat((parseFloat(amount) + tipAmount).toFixed(2));
+
     // Validate wallet type
     if (!SUPPORTED_WALLETS[walletType]) {
       throw new Error(`Unsupported wallet type: ${walletType}`);
@@ -145,7 +167,7 @@ class MobilePaymentService {
 
     // Validate amount limits
     const wallet = SUPPORTED_WALLETS[walletType];
-    if (amount < wallet.minAmount || amount > wallet.maxAmount) {
+    if (chargeAmount < wallet.minAmount || chargeAmount > wallet.maxAmount) {
       throw new Error(`Amount must be between ${wallet.minAmount} and ${wallet.maxAmount} for ${wallet.name}`);
     }
 
@@ -156,20 +178,25 @@ class MobilePaymentService {
     }
 
     // If saleId provided, validate sale exists
+    let sale = null;
     if (saleId) {
-      const sale = await Sale.findByPk(saleId);
+      sale = await Sale.findByPk(saleId);
       if (!sale) {
         throw new Error('Sale not found');
       }
     }
 
+    const tipRecipient = tipAmount > 0
+      ? await tipService.resolveRecipient(data.tipRecipientId, sale ? sale.cashierId : userId)
+      : {};
+
     // Generate QR ID
     const qrId = this.generateQRId();
 
     // Call gateway to generate QR payment
     const gatewayResponse = await this.callMobileWalletGateway('/qr/generate', {
       qrId,
-      amount,
+      amount: chargeAmount,
       currency,
       walletType
     });
@@ -188,6 +215,8 @@ class MobilePaymentService {
       cashierId: userId,
       cashierName: user.fullName || user.username,
       amount,
+      tipAmount,
+      tipRecipientId: tipRecipient.tipRecipientId || null,
       currency,
       walletType,
       qrCode: qrCodeImage,
@@ -204,6 +233,8 @@ class MobilePaymentService {
       qrCode: session.qrCode,
       qrData: session.qrData,
       amount: session.amount,
+      tipAmount,
+      chargeAmount,
       currency: session.currency,
       walletType: session.walletType,
       expiresAt: session.expiresAt,
@@ -245,6 +276,13 @@ class MobilePaymentService {
         throw new Error('User not found');
       }
 
+      const tipAmount = tipService.parseTip(data.tipAmount);
+      let tipRecipientId = null;
+      if (tipAmount > 0) {
+        const sale = saleId ? await Sale.findByPk(saleId) : null;
+        ({ tipRecipientId } = await tipService.resolveRecipient(data.tipRecipientId, sale ? sale.cashierId : userId));
+      }
+
       // Create new session
       const newQrId = this.generateQRId();
       session = await MobilePaymentSession.create({
@@ -253,6 +291,8 @@ class MobilePaymentService {
         cashierId: userId,
         cashierName: user.fullName || user.username,
         amount,
+        tipAmount,
+        tipRecipientId,
         currency: 'LKR',
         walletType,
         phoneNumber: phoneNumber ? this.maskPhoneNumber(phoneNumber) : null,
@@ -265,10 +305,12 @@ class MobilePaymentService {
     // Update status to processing
     await session.update({ status: 'processing' });
 
+    const tipAmount = parseFloat(session.tipAmount || 0);
+
     // Call gateway to process payment
     const gatewayResponse = await this.callMobileWalletGateway('/payment/process', {
       qrId: session.qrId,
-      amount: session.amount,
+      amount: parseFloat((parseFloat(session.amount) + tipAmount).toFixed(2)),
       walletType: session.walletType,
       phoneNumber: phoneNumber,
       transactionRef
@@ -298,6 +340,7 @@ class MobilePaymentService {
       transactionType: 'payment',
       cashierId: session.cashierId,
       cashierName: session.cashierName,
+      ...await this.getTipFields(session),
       walletType: session.walletType,
       phoneNumber: session.phoneNumber || this.maskPhoneNumber(phoneNumber),
       qrId: session.qrId,
@@ -322,6 +365,7 @@ class MobilePaymentService {
         { paymentStatus: 'paid', paidAt: new Date() },
         { where: { id: session.saleId } }
       );
+      await tipService.addTipToSale(session.saleId, tipAmount);
     }
 
     return {
@@ -329,6 +373,7 @@ class MobilePaymentService {
       paymentId: session.qrId,
       saleNumber: transaction.saleNumber,
       amount: transaction.amount,
+      tipAmount,
       walletType: session.walletType,
       phoneNumber: session.phoneNumber,
       status: 'completed',
@@ -436,12 +481,14 @@ class MobilePaymentService {
             transactionType: 'payment',
             cashierId: session.cashierId,
             cashierName: session.cashierName,
+            ...await this.getTipFields(session),
             walletType: session.walletType,
             phoneNumber: session.phoneNumber,
             qrId: session.qrId,
             gatewayTransactionId: transactionRef,
             processedAt: new Date()
           });
+          await tipService.addTipToSale(session.saleId, parseFloat(session.tipAmount || 0));
         }
 
         await session.update({
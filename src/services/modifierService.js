@@ -0,0 +1,130 @@
+const { MenuModifierGroup, MenuModifier, MenuItemModifierGroup } = require('../models');
+
+/**
+ * Modifier Service
+ * Validates modifier selections on sale items and prices them
+ */
+class ModifierService {
+  /**
+   * Normalise a modifier selection to its ID. Clients may send plain IDs or
+   * objects ({ modifierId } / { id }).
+   */
+  getModifierId(selection) {
+    if (selection && typeof selection === 'object') {
+      return parseInt(selection.modifierId || selection.id);
+    }
+    return parseInt(selection);
+  }
+
+  /**
+   * Validate modifier selections against the groups attached to each menu item
+   * and add the price deltas to the unit price
+   * @param {Array} items - Sale items, optionally with a modifiers array
+   * @returns {Promise<Array>} - Items with resolved modifiers and adjusted unitPrice
+   */
+  async resolveItemModifiers(items) {
+    const menuItemIds = [...new Set(items
+      .filter(item => item.itemType !== 'product')
+      .map(item => parseInt(item.product)))];
+
+    if (menuItemIds.length === 0) {
+      return items;
+    }
+
+    const links = await MenuItemModifierGroup.findAll({
+      where: { menuItemId: menuItemIds }
+    });
+
+    const groupIds = [...new Set(links.map(link => link.modifierGroupId))];
+    const groups = groupIds.length > 0
+      ? await MenuModifierGroup.findAll({
+        where: { id: groupIds, isActive: true },
+        include: [{
+          model: MenuModifier,
+          as: 'modifiers',
+          where: { isActive: true },
+          required: false
+        }]
+      })
+      : [];
+
+    const groupsById = new Map(groups.map(group => [group.id, group]));
+
+    return items.map(item => {
+      const selections = Array.isArray(item.modifiers) ? item.modifiers : [];
+
+      if (item.itemType === 'product') {
+        return item;
+      }
+
+      const itemGroups = links
+        .filter(link => link.menuItemId === parseInt(item.product))
+        .map(link => groupsById.get(link.modifierGroupId))
+        .filter(Boolean);
+
+      if (itemGroups.length === 0) {
+        if (selections.length > 0) {
+          const error = new Error(`Modifiers are not available for ${item.productName || `item ${item.product}`}`);
+          error.statusCode = 400;
+          throw error;
+        }
+        return item;
+      }
+
+      const available = new Map();
+      itemGroups.forEach(group => {
+        (group.modifiers || []).forEach(modifier => available.set(modifier.id, { modifier, group }));
+      });
+
+      const resolved = [];
+      for (const selection of selections) {
+        const modifierId = this.getModifierId(selection);
+        const match = available.get(modifierId);
+
+        if (!match) {
+          const error = new Error(`Modifier ${modifierId} is not available for ${item.productName || `item ${item.product}`}`);
+          error.statusCode = 400;
+          throw error;
+        }
+
+        resolved.push({
+          modifierId: match.modifier.id,
+          name: match.modifier.name,
+          groupId: match.group.id,
+          groupName: match.group.name,
+          action: match.modifier.action,
+          priceDelta: parseFloat(match.modifier.priceDelta)
+        });
+      }
+
+      // Enforce min/max selections per group
+      for (const group of itemGroups) {
+        const count = resolved.filter(m => m.groupId === group.id).length;
+
+        if (count < group.minSelections) {
+          const error = new Error(`${group.name} requires at least ${group.minSelections} selection(s)`);
+          error.statusCode = 400;
+          throw error;
+        }
+
+        if (group.maxSelections !== null && count > group.maxSelections) {
+          const error = new Error(`${group.name} allows at most ${group.maxSelections} selection(s)`);
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+
+      const baseUnitPrice = parseFloat(item.unitPrice);
+      const priceDelta = resolved.reduce((sum, m) => sum + m.priceDelta, 0);
+
+      return {
+        ...item,
+        baseUnitPrice,
+        unitPrice: Math.max(0, Math.round((baseUnitPrice + priceDelta) * 100) / 100),
+        modifiers: resolved
+      };
+    });
+  }
+}
+
+module.exports = new ModifierService();
@@ -1,4 +1,4 @@
-const { Receipt } = require('../models');
+const { Receipt, Sale, Customer } = require('../models');
 
 /**
  * Notification Service for SMS and Email delivery
@@ -89,8 +89,24 @@ class NotificationService {
     }
   }
 
+  /**
+   * Customer the receipt was issued to, if any (older receipts only link
+   * through their sale)
+   */
+  static async getReceiptCustomer(receipt) {
+    let customerId = receipt.customerId;
+
+    if (!customerId && receipt.saleId) {
+      const sale = await Sale.findByPk(receipt.saleId, { attributes: ['customerId'] });
+      customerId = sale ? sale.customerId : null;
+    }
+
+    return customerId ? Customer.findByPk(customerId) : null;
+  }
+
   /**
    * Send receipt via SMS
+   * Defaults to the customer's stored phone number
    */
   static async sendReceiptSMS(receiptId, phoneNumber) {
     const receipt = await Receipt.findByPk(receiptId);
@@ -100,7 +116,14 @@ class NotificationService {
     }
 
     if (!phoneNumber) {
-      throw new Error('Phone number is required');
+      const customer = await this.getReceiptCustomer(receipt);
+      phoneNumber = customer ? customer.phone : null;
+    }
+
+    if (!phoneNumber) {
+      const error = new Error('Phone number is required');
+      error.statusCode = 400;
+      throw error;
     }
 
     // Validate phone number format (basic validation)
@@ -155,6 +178,7 @@ class NotificationService {
 
   /**
    * Send receipt via Email
+   * Defaults to the customer's stored email address
    */
   static async sendReceiptEmail(receiptId, emailAddress, includeAttachment = false) {
     const receipt = await Receipt.findByPk(receiptId);
@@ -164,7 +188,14 @@ class NotificationService {
     }
 
     if (!emailAddress) {
-      throw new Error('Email address is required');
+      const customer = await this.getReceiptCustomer(receipt);
+      emailAddress = customer ? customer.email : null;
+    }
+
+    if (!emailAddress) {
+      const error = new Error('Email address is required');
+      error.statusCode = 400;
+      throw error;
     }
 
     // Validate email format
@@ -171,6 +171,11 @@ class OfflineReceiptService {
       text += line('-') + '\n';
 
       // Calculations
+      if (template.calculations.discount && template.calculations.discount.rawAmount > 0) {
+        const discount = `-${formatCurrency(template.calculations.discount.rawAmount, language)}`.padStart(10);
+        text += `${'Discount:'.padEnd(30)} ${discount}\n`;
+      }
+
       const subtotal = formatCurrency(template.calculations.subtotal, language).padStart(10);
       text += `${'Subtotal:'.padEnd(30)} ${subtotal}\n`;
 
@@ -179,11 +184,6 @@ class OfflineReceiptService {
         text += `${`VAT (${template.calculations.vatRate}%):`.padEnd(30)} ${vat}\n`;
       }
 
-      if (template.calculations.discount > 0) {
-        const discount = formatCurrency(template.calculations.discount, language).padStart(10);
-        text += `${'Discount:'.padEnd(30)} ${discount}\n`;
-      }
-
       const total = formatCurrency(template.calculations.total, language).padStart(10);
       text += line('-') + '\n';
       text += `${'TOTAL:'.padEnd(30)} ${total}\n`;
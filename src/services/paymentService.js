@@ -1,6 +1,11 @@
 const CashDrawer = require('../models/CashDrawer');
 const PaymentTransaction = require('../models/PaymentTransaction');
 const Sale = require('../models/Sale');
+const CashMovement = require('../models/CashMovement');
+const Expense = require('../models/Expense');
+const refundService = require('./refundService');
+const tipService = require('./tipService');
+const giftVoucherService = require('./giftVoucherService');
 const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
@@ -76,14 +81,19 @@ class PaymentService {
     const transaction = await sequelize.transaction();
 
     try {
-      const { saleId, items, amount, amountPaid, cashierId, cashierName, notes, denominations } = paymentData;
+      const { saleId, items, amount, amountPaid, cashierId, cashierName, notes, denominations, tipRecipientId } = paymentData;
+
+      // A tip is paid on top of the sale amount and is never part of it
+      const tipAmount = tipService.parseTip(paymentData.tipAmount);
 
       // Validate amount paid is sufficient
-      if (amountPaid < amount) {
-        throw new Error('Amount paid is less than the total amount');
+      if (amountPaid < amount + tipAmount) {
+        throw new Error(tipAmount > 0
+          ? 'Amount paid is less than the total amount plus tip'
+          : 'Amount paid is less than the total amount');
       }
 
-      const changeGiven = parseFloat((amountPaid - amount).toFixed(2));
+      const changeGiven = parseFloat((amountPaid - amount - tipAmount).toFixed(2));
 
       // Get or create sale if items provided
       let sale = null;
@@ -92,6 +102,9 @@ class PaymentService {
         if (!sale) {
           throw new Error('Sale not found');
         }
+        if (sale.tabStatus === 'open') {
+          throw new Error('Close the tab before taking payment');
+        }
       } else if (items && items.length > 0) {
         // This would typically call salesService.createSale
         // For now, we'll just note that a sale should be created
@@ -111,6 +124,10 @@ class PaymentService {
         throw new Error('No open cash drawer found. Please open a cash drawer first.');
       }
 
+      const tipRecipient = tipAmount > 0
+        ? await tipService.resolveRecipient(tipRecipientId, sale ? sale.cashierId : cashierId, transaction)
+        : {};
+
       // Create payment transaction
       const transactionId = this.generateTransactionId('CASH');
       const paymentTransaction = await PaymentTransaction.create({
@@ -127,15 +144,17 @@ class PaymentService {
         cashDrawerId: cashDrawer.id,
         amountPaid,
         changeGiven,
+        tipAmount,
+        ...tipRecipient,
         denominations,
         receiptNumber: sale ? sale.saleNumber : transactionId,
         notes,
         processedAt: new Date()
       }, { transaction });
 
-      // Update cash drawer
+      // Update cash drawer: the cash handed over goes in, change comes back out
       await cashDrawer.update({
-        totalCashIn: parseFloat((parseFloat(cashDrawer.totalCashIn) + amount).toFixed(2)),
+        totalCashIn: parseFloat((parseFloat(cashDrawer.totalCashIn) + parseFloat(amountPaid)).toFixed(2)),
         totalCashOut: parseFloat((parseFloat(cashDrawer.totalCashOut) + changeGiven).toFixed(2)),
         totalSales: cashDrawer.totalSales + 1
       }, { transaction });
@@ -145,6 +164,8 @@ class PaymentService {
         await sale.update({ paymentMethod: 'cash' }, { transaction });
       }
 
+      await tipService.addTipToSale(sale ? sale.id : null, tipAmount, transaction);
+
       await transaction.commit();
 
       return {
@@ -153,6 +174,8 @@ class PaymentService {
         amount: parseFloat(paymentTransaction.amount),
         amountPaid: parseFloat(paymentTransaction.amountPaid),
         changeGiven: parseFloat(paymentTransaction.changeGiven),
+        tipAmount,
+        tipRecipientName: tipRecipient.tipRecipientName || null,
         paymentMethod: 'cash',
         timestamp: paymentTransaction.processedAt,
         receiptNumber: paymentTransaction.receiptNumber
@@ -164,6 +187,269 @@ class PaymentService {
     }
   }
 
+  /**
+   * Take payment for a sale with several tenders (e.g. part cash, part card).
+   * Each tender becomes its own PaymentTransaction. Non-cash tenders are
+   * charged exactly and may not exceed the balance due; only cash can be
+   * over-tendered, so change always comes out of the cash tender. A tender's
+   * tipAmount is charged on top of what it pays towards the sale.
+   * @param {Object} paymentData - saleId, tenders, tipRecipientId, cashierId, cashierName, notes
+   *   Each tender: method (cash|card|mobile|payhere|gift_voucher|store_credit), amount (cash: amount handed over),
+   *   tipAmount, denominations, cardBrand, cardLast4, authorizationCode, walletType, phoneNumber, qrId,
+   *   gatewayTransactionId, reference (voucher or store credit code)
+   * @returns {Promise<Object>} - Sale payment summary with one entry per tender
+   */
+  async processMixedPayment(paymentData) {
+    const { saleId, tenders, tipRecipientId, cashierId, cashierName, notes } = paymentData;
+
+    const fail = (message, statusCode = 400) => {
+      const error = new Error(message);
+      error.statusCode = statusCode;
+      throw error;
+    };
+
+    if (!Array.isArray(tenders) || tenders.length === 0) {
+      fail('At least one tender is required');
+    }
+
+    const cashTenders = tenders.filter(tender => tender.method === 'cash');
+    if (cashTenders.length > 1) {
+      fail('Combine cash into a single tender');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const sale = await Sale.findByPk(saleId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!sale) {
+        fail('Sale not found', 404);
+      }
+      if (sale.tabStatus === 'open') {
+        fail('Close the tab before taking payment');
+      }
+
+      // Anything already paid against the sale is taken off the balance
+      const alreadyPaid = await PaymentTransaction.sum('amount', {
+        where: { saleId: sale.id, transactionType: 'payment', status: 'completed' },
+        transaction
+      }) || 0;
+      const balanceDue = parseFloat((parseFloat(sale.totalAmount) - alreadyPaid).toFixed(2));
+
+      if (balanceDue <= 0) {
+        fail('Sale has already been paid in full', 409);
+      }
+
+      const nonCashTotal = parseFloat(tenders
+        .filter(tender => tender.method !== 'cash')
+        .reduce((sum, tender) => sum + parseFloat(tender.amount), 0)
+        .toFixed(2));
+
+      if (nonCashTotal > balanceDue) {
+        fail('Non-cash tenders exceed the balance due; change can only be given from cash');
+      }
+
+      const cashApplied = parseFloat((balanceDue - nonCashTotal).toFixed(2));
+      const cashTendered = cashTenders.length > 0 ? parseFloat(cashTenders[0].amount) : 0;
+      const cashTip = cashTenders.length > 0 ? tipService.parseTip(cashTenders[0].tipAmount) : 0;
+
+      if (cashTendered < cashApplied + cashTip) {
+        fail(`Tenders are ${(cashApplied + cashTip - cashTendered).toFixed(2)} short of the balance due`);
+      }
+
+      const changeGiven = parseFloat((cashTendered - cashApplied - cashTip).toFixed(2));
+      const tipTotal = parseFloat(tenders
+        .reduce((sum, tender) => sum + tipService.parseTip(tender.tipAmount), 0)
+        .toFixed(2));
+      const amountTendered = parseFloat((nonCashTotal + (tipTotal - cashTip) + cashTendered).toFixed(2));
+      const tipRecipient = tipTotal > 0
+        ? await tipService.resolveRecipient(tipRecipientId, sale.cashierId, transaction)
+        : {};
+
+      if (cashTenders.length > 0 && cashTenders[0].denominations) {
+        const validation = this.validateDenominations(cashTenders[0].denominations, cashTendered);
+        if (!validation.isValid) {
+          fail(validation.message);
+        }
+      }
+
+      // Every tender is tied to the cashier's drawer so reconciliation shows the tender mix
+      const cashDrawer = await CashDrawer.findOne({
+        where: { cashierId, status: 'open' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!cashDrawer && cashTenders.length > 0) {
+        fail('No open cash drawer found. Please open a cash drawer first.');
+      }
+
+      const prefixes = {
+        cash: 'CASH',
+        card: 'CARD',
+        mobile: 'MOB',
+        payhere: 'PAYHERE',
+        gift_voucher: 'GV',
+        store_credit: 'SC'
+      };
+
+      const paymentTransactions = [];
+      const voucherRedemptions = {};
+      for (const tender of tenders) {
+        const isCash = tender.method === 'cash';
+
+        const paymentTransaction = await PaymentTransaction.create({
+          transactionId: this.generateTransactionId(prefixes[tender.method] || 'TXN'),
+          saleId: sale.id,
+          saleNumber: sale.saleNumber,
+          paymentMethod: tender.method,
+          amount: isCash ? cashApplied : parseFloat(tender.amount),
+          currency: 'LKR',
+          status: 'completed',
+          transactionType: 'payment',
+          cashierId,
+          cashierName,
+          cashDrawerId: cashDrawer ? cashDrawer.id : null,
+          // Non-cash tenders are charged the amount plus their tip
+          amountPaid: isCash ? cashTendered : parseFloat((parseFloat(tender.amount) + tipService.parseTip(tender.tipAmount)).toFixed(2)),
+          changeGiven: isCash ? changeGiven : 0,
+          tipAmount: tipService.parseTip(tender.tipAmount),
+          ...(tipService.parseTip(tender.tipAmount) > 0 && tipRecipient),
+          denominations: isCash ? tender.denominations || null : null,
+          cardBrand: tender.cardBrand || null,
+          cardLast4: tender.cardLast4 || null,
+          authorizationCode: tender.authorizationCode || null,
+          walletType: tender.walletType || null,
+          phoneNumber: tender.phoneNumber || null,
+          qrId: tender.qrId || null,
+          gatewayTransactionId: tender.gatewayTransactionId || null,
+          receiptNumber: sale.saleNumber,
+          notes,
+          metadata: {
+            mixedTender: tenders.length > 1,
+            ...(tender.reference && { reference: tender.reference })
+          },
+          processedAt: new Date()
+        }, { transaction });
+
+        // Vouchers and store credit are taken off their balance with the payment
+        if (tender.method === 'gift_voucher' || tender.method === 'store_credit') {
+          const redemption = await giftVoucherService.redeem({
+            code: tender.reference,
+            method: tender.method,
+            amount: tender.amount,
+            saleId: sale.id,
+            paymentTransactionId: paymentTransaction.id,
+            cashDrawerId: paymentTransaction.cashDrawerId,
+            user: { id: cashierId, fullName: cashierName }
+          }, transaction);
+          voucherRedemptions[paymentTransaction.transactionId] = {
+            voucherCode: redemption.voucher.code,
+            voucherBalance: redemption.balance
+          };
+        }
+
+        paymentTransactions.push(paymentTransaction);
+      }
+
+      if (cashTenders.length > 0) {
+        await cashDrawer.update({
+          totalCashIn: parseFloat((parseFloat(cashDrawer.totalCashIn) + cashTendered).toFixed(2)),
+          totalCashOut: parseFloat((parseFloat(cashDrawer.totalCashOut) + changeGiven).toFixed(2)),
+          totalSales: cashDrawer.totalSales + 1
+        }, { transaction });
+      }
+
+      const saleTenders = [
+        ...(sale.tenders || []),
+        ...paymentTransactions.map(pt => ({
+          paymentMethod: pt.paymentMethod,
+          amount: parseFloat(pt.amount),
+          transactionId: pt.transactionId
+        }))
+      ];
+      const methods = new Set(saleTenders.map(tender => tender.paymentMethod));
+      const [onlyMethod] = methods;
+
+      await sale.update({
+        // Sales keep the coarse method; PayHere is a card payment and points are 'other'
+        paymentMethod: methods.size > 1
+          ? 'mixed'
+          : { payhere: 'card', loyalty_points: 'other' }[onlyMethod] || onlyMethod,
+        amountPaid: parseFloat((alreadyPaid + amountTendered).toFixed(2)),
+        changeGiven,
+        tenders: saleTenders
+      }, { transaction });
+
+      await tipService.addTipToSale(sale.id, tipTotal, transaction);
+
+      await transaction.commit();
+
+      return {
+        saleId: sale.id,
+        saleNumber: sale.saleNumber,
+        totalAmount: parseFloat(sale.totalAmount),
+        balanceDue,
+        amountTendered,
+        changeGiven,
+        tipAmount: tipTotal,
+        tipRecipientName: tipRecipient.tipRecipientName || null,
+        paymentMethod: sale.paymentMethod,
+        tenders: paymentTransactions.map(pt => ({
+          transactionId: pt.transactionId,
+          paymentMethod: pt.paymentMethod,
+          amount: parseFloat(pt.amount),
+          amountPaid: parseFloat(pt.amountPaid),
+          changeGiven: parseFloat(pt.changeGiven),
+          tipAmount: parseFloat(pt.tipAmount),
+          ...voucherRedemptions[pt.transactionId]
+        })),
+        receiptNumber: sale.saleNumber,
+        timestamp: new Date()
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Payments grouped by tender, per cash drawer
+   * @param {Array} drawerIds - CashDrawer IDs
+   * @returns {Promise<Object>} - { [drawerId]: { [paymentMethod]: { count, amount } } }
+   */
+  async getTenderMixByDrawer(drawerIds) {
+    if (drawerIds.length === 0) {
+      return {};
+    }
+
+    const rows = await PaymentTransaction.findAll({
+      where: {
+        cashDrawerId: { [Op.in]: drawerIds },
+        transactionType: 'payment',
+        status: { [Op.in]: ['completed', 'refunded'] }
+      },
+      attributes: [
+        'cashDrawerId',
+        'paymentMethod',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('amount')), 'amount']
+      ],
+      group: ['cashDrawerId', 'paymentMethod'],
+      raw: true
+    });
+
+    const mix = {};
+    for (const row of rows) {
+      mix[row.cashDrawerId] = mix[row.cashDrawerId] || {};
+      mix[row.cashDrawerId][row.paymentMethod] = {
+        count: parseInt(row.count),
+        amount: parseFloat(parseFloat(row.amount || 0).toFixed(2))
+      };
+    }
+
+    return mix;
+  }
+
   /**
    * Open cash drawer
    */
@@ -216,9 +502,9 @@ class PaymentService {
     const transaction = await sequelize.transaction();
 
     try {
-      const { drawerId, closingBalance, actualCash, denominations, notes } = closeData;
+      const { drawerId, closingBalance, actualCash, denominations, notes, payOutTips, closedBy, closedByName } = closeData;
 
-      const cashDrawer = await CashDrawer.findByPk(drawerId, { transaction });
+      const cashDrawer = await CashDrawer.findByPk(drawerId, { transaction, lock: transaction.LOCK.UPDATE });
 
       if (!cashDrawer) {
         throw new Error('Cash drawer not found');
@@ -236,10 +522,29 @@ class PaymentService {
         }
       }
 
+      // Paid-outs and safe drops awaiting approval would leave the count wrong
+      const pendingMovements = await CashMovement.count({
+        where: { cashDrawerId: drawerId, status: 'pending' },
+        transaction
+      });
+
+      if (pendingMovements > 0) {
+        throw new Error(`Cash drawer has ${pendingMovements} cash movement(s) awaiting approval`);
+      }
+
+      // Settle the shift's tips from the drawer before it is counted
+      if (payOutTips) {
+        await tipService.payOutTips({
+          cashDrawerId: cashDrawer.id,
+          paidBy: closedBy,
+          paidByName: closedByName,
+          notes: 'Paid out at drawer close'
+        }, transaction);
+        await cashDrawer.reload({ transaction });
+      }
+
       // Calculate expected balance
-      const expectedBalance = parseFloat(cashDrawer.openingBalance) + 
-                             parseFloat(cashDrawer.totalCashIn) - 
-                             parseFloat(cashDrawer.totalCashOut);
+      const expectedBalance = this.calculateExpectedBalance(cashDrawer);
 
       const variance = parseFloat((actualCash - expectedBalance).toFixed(2));
 
@@ -275,8 +580,13 @@ class PaymentService {
         transaction
       }) || 0;
 
+      const tips = await tipService.getDrawerTipSummary(cashDrawer.id, transaction);
+
       await transaction.commit();
 
+      const tenderMix = await this.getTenderMixByDrawer([cashDrawer.id]);
+      const giftVouchers = await giftVoucherService.getDrawerSummaryByDrawer([cashDrawer.id]);
+
       return {
         drawerId: cashDrawer.id,
         expectedBalance: parseFloat(expectedBalance.toFixed(2)),
@@ -289,10 +599,18 @@ class PaymentService {
           openingBalance: parseFloat(cashDrawer.openingBalance),
           totalCashIn: parseFloat(cashDrawer.totalCashIn),
           totalCashOut: parseFloat(cashDrawer.totalCashOut),
+          totalPaidIn: parseFloat(cashDrawer.totalPaidIn || 0),
+          totalPaidOut: parseFloat(cashDrawer.totalPaidOut || 0),
+          totalSafeDrops: parseFloat(cashDrawer.totalSafeDrops || 0),
+          totalTipsPaidOut: parseFloat(cashDrawer.totalTipsPaidOut || 0),
+          totalVoucherSales: parseFloat(cashDrawer.totalVoucherSales || 0),
           expectedBalance: parseFloat(expectedBalance.toFixed(2)),
           actualCash: parseFloat(actualCash),
           variance: parseFloat(variance.toFixed(2)),
-          closingDenominations: denominations
+          closingDenominations: denominations,
+          tenderMix: tenderMix[cashDrawer.id] || {},
+          giftVouchers: giftVouchers[cashDrawer.id] || null,
+          tips
         }
       };
 
@@ -328,9 +646,7 @@ class PaymentService {
       return null;
     }
 
-    const expectedBalance = parseFloat(cashDrawer.openingBalance) + 
-                           parseFloat(cashDrawer.totalCashIn) - 
-                           parseFloat(cashDrawer.totalCashOut);
+    const expectedBalance = this.calculateExpectedBalance(cashDrawer);
 
     return {
       drawerId: cashDrawer.id,
@@ -340,6 +656,11 @@ class PaymentService {
       currentBalance: parseFloat(expectedBalance.toFixed(2)),
       totalCashIn: parseFloat(cashDrawer.totalCashIn),
       totalCashOut: parseFloat(cashDrawer.totalCashOut),
+      totalPaidIn: parseFloat(cashDrawer.totalPaidIn || 0),
+      totalPaidOut: parseFloat(cashDrawer.totalPaidOut || 0),
+      totalSafeDrops: parseFloat(cashDrawer.totalSafeDrops || 0),
+      totalTipsPaidOut: parseFloat(cashDrawer.totalTipsPaidOut || 0),
+      totalVoucherSales: parseFloat(cashDrawer.totalVoucherSales || 0),
       expectedBalance: parseFloat(expectedBalance.toFixed(2)),
       actualCash: cashDrawer.actualCash ? parseFloat(cashDrawer.actualCash) : null,
       variance: cashDrawer.variance ? parseFloat(cashDrawer.variance) : 0,
@@ -350,43 +671,299 @@ class PaymentService {
     };
   }
 
+  /**
+   * Cash the drawer should hold: opening float plus cash taken in (sales,
+   * cash tips, gift vouchers sold) and paid-ins, less change, refunds,
+   * paid-outs, safe drops and tips paid out to staff
+   * @param {Object} drawer - CashDrawer record
+   * @returns {Number} - Expected balance
+   */
+  calculateExpectedBalance(drawer) {
+    return parseFloat((
+      parseFloat(drawer.openingBalance) +
+      parseFloat(drawer.totalCashIn || 0) +
+      parseFloat(drawer.totalVoucherSales || 0) -
+      parseFloat(drawer.totalCashOut || 0) +
+      parseFloat(drawer.totalPaidIn || 0) -
+      parseFloat(drawer.totalPaidOut || 0) -
+      parseFloat(drawer.totalSafeDrops || 0) -
+      parseFloat(drawer.totalTipsPaidOut || 0)
+    ).toFixed(2));
+  }
+
+  /**
+   * Record a paid-in, paid-out or safe drop on an open drawer. Movements by a
+   * Manager/Admin are approved straight away; a cashier's movement waits for
+   * manager approval before it affects the drawer balance.
+   * @param {Object} movementData - drawerId, movementType, amount, reason, reference, denominations,
+   *   createExpense, expenseCategory, supplierName, notes, userId, userName, userRole
+   * @returns {Promise<Object>} - CashMovement record
+   */
+  async recordCashMovement(movementData) {
+    const { drawerId, movementType, amount, reason, reference, denominations, createExpense, expenseCategory, supplierName, notes, userId, userName, userRole } = movementData;
+
+    const cashDrawer = drawerId
+      ? await CashDrawer.findByPk(drawerId)
+      : await CashDrawer.findOne({ where: { cashierId: userId, status: 'open' } });
+
+    if (!cashDrawer) {
+      const error = new Error(drawerId ? 'Cash drawer not found' : 'No open cash drawer found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (cashDrawer.status !== 'open') {
+      const error = new Error('Cash drawer is not open');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Only managers may record movements against another cashier's drawer
+    const isManager = userRole === 'Admin' || userRole === 'Manager';
+    if (!isManager && Number(cashDrawer.cashierId) !== Number(userId)) {
+      const error = new Error('Cash movements can only be recorded on your own cash drawer');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (denominations) {
+      const validation = this.validateDenominations(denominations, parseFloat(amount));
+      if (!validation.isValid) {
+        const error = new Error(validation.message);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    const movement = await CashMovement.create({
+      cashDrawerId: cashDrawer.id,
+      movementType,
+      amount,
+      reason,
+      reference: reference || null,
+      denominations: denominations || null,
+      status: 'pending',
+      performedBy: userId,
+      performedByName: userName,
+      createExpense: movementType === 'paid_out' && Boolean(createExpense),
+      expenseCategory: expenseCategory || null,
+      supplierName: supplierName || null,
+      notes: notes || null
+    });
+
+    if (isManager) {
+      return this.approveCashMovement(movement.id, userId, userName);
+    }
+
+    return movement;
+  }
+
+  /**
+   * Approve a pending cash movement and apply it to the drawer. Paid-outs
+   * flagged with createExpense also record a linked cash Expense.
+   * @param {Number} movementId - CashMovement ID
+   * @param {Number} approvedBy - Manager/Admin user ID
+   * @param {String} approverName - Manager/Admin name
+   * @returns {Promise<Object>} - Approved CashMovement
+   */
+  async approveCashMovement(movementId, approvedBy, approverName) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const movement = await CashMovement.findByPk(movementId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!movement) {
+        const error = new Error('Cash movement not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (movement.status !== 'pending') {
+        const error = new Error(`Cash movement has already been ${movement.status}`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const cashDrawer = await CashDrawer.findByPk(movement.cashDrawerId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (cashDrawer.status !== 'open') {
+        const error = new Error('Cash drawer is no longer open');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const amount = parseFloat(movement.amount);
+
+      if (movement.movementType !== 'paid_in' && amount > this.calculateExpectedBalance(cashDrawer)) {
+        const error = new Error(`Drawer only holds ${this.calculateExpectedBalance(cashDrawer).toFixed(2)} in cash`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const totals = {
+        paid_in: 'totalPaidIn',
+        paid_out: 'totalPaidOut',
+        safe_drop: 'totalSafeDrops'
+      };
+      const field = totals[movement.movementType];
+
+      await cashDrawer.update({
+        [field]: parseFloat((parseFloat(cashDrawer[field] || 0) + amount).toFixed(2))
+      }, { transaction });
+
+      let expenseId = null;
+      if (movement.movementType === 'paid_out' && movement.createExpense) {
+        const expense = await Expense.create({
+          description: movement.reason,
+          amount,
+          date: new Date(),
+          category: movement.expenseCategory || 'Paid Out',
+          paymentMethod: 'cash',
+          recordedBy: approvedBy,
+          supplierName: movement.supplierName,
+          notes: `Paid out from cash drawer #${cashDrawer.id}${movement.reference ? ` (ref ${movement.reference})` : ''}`
+        }, { transaction });
+        expenseId = expense.id;
+      }
+
+      await movement.update({
+        status: 'approved',
+        approvedBy,
+        approverName,
+        approvedAt: new Date(),
+        expenseId
+      }, { transaction });
+
+      await transaction.commit();
+      return movement;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending cash movement; it never affects the drawer
+   * @param {Number} movementId - CashMovement ID
+   * @param {Number} approvedBy - Manager/Admin user ID
+   * @param {String} approverName - Manager/Admin name
+   * @param {String} reason - Rejection reason
+   * @returns {Promise<Object>} - Rejected CashMovement
+   */
+  async rejectCashMovement(movementId, approvedBy, approverName, reason = null) {
+    const movement = await CashMovement.findByPk(movementId);
+    if (!movement) {
+      const error = new Error('Cash movement not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (movement.status !== 'pending') {
+      const error = new Error(`Cash movement has already been ${movement.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await movement.update({
+      status: 'rejected',
+      approvedBy,
+      approverName,
+      approvedAt: new Date(),
+      rejectionReason: reason
+    });
+
+    return movement;
+  }
+
+  /**
+   * List cash movements
+   * @param {Object} filters - drawerId, status, movementType, startDate, endDate
+   * @returns {Promise<Array>} - CashMovement records, newest first
+   */
+  async getCashMovements(filters = {}) {
+    const { drawerId, status, movementType, startDate, endDate } = filters;
+    const where = {};
+
+    if (drawerId) where.cashDrawerId = drawerId;
+    if (status) where.status = status;
+    if (movementType) where.movementType = movementType;
+    if (startDate && endDate) {
+      where.createdAt = { [Op.between]: [new Date(startDate), new Date(endDate)] };
+    }
+
+    return CashMovement.findAll({
+      where,
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Cash still refundable on a sale: the cash tender (the whole sale when it
+   * was paid in cash without tenders) less the cash already refunded
+   * @param {Object} sale - Sale record
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Number>}
+   */
+  async getCashRefundable(sale, transaction = null) {
+    const cashPaid = Array.isArray(sale.tenders) && sale.tenders.length > 0
+      ? sale.tenders
+        .filter(tender => tender.paymentMethod === 'cash')
+        .reduce((sum, tender) => sum + parseFloat(tender.amount || 0), 0)
+      : (sale.paymentMethod === 'cash' ? parseFloat(sale.totalAmount) : 0);
+
+    const cashRefunded = await PaymentTransaction.sum('amount', {
+      where: {
+        saleId: sale.id,
+        transactionType: 'refund',
+        paymentMethod: 'cash',
+        status: 'completed'
+      },
+      transaction
+    });
+
+    return parseFloat((cashPaid - (cashRefunded || 0)).toFixed(2));
+  }
+
   /**
    * Process cash refund
+   * Refunds either specific item lines ({ items: [{ line, quantity, restock }] })
+   * or a lump amount. Sales can be refunded in several parts.
+   * Cash refunds are limited to the cash paid on the sale, so a mixed-tender
+   * sale gets back at most its cash tender in cash.
+   * With refundTo 'store_credit' the customer gets store credit instead of
+   * cash; any sale can be refunded this way and no drawer is needed.
    */
   async processCashRefund(refundData) {
     const transaction = await sequelize.transaction();
+    let sale;
+    let refund;
+    let refundTransaction;
+    let storeCredit = null;
+    let restocked = [];
 
     try {
-      const { saleId, amount, reason, approvedBy, approverName, notes } = refundData;
+      const { saleId, amount, items, reason, approvedBy, approverName, notes, refundTo = 'cash' } = refundData;
+      const toStoreCredit = refundTo === 'store_credit';
 
       // Get original sale
-      const sale = await Sale.findByPk(saleId, { transaction });
+      sale = await Sale.findByPk(saleId, { transaction, lock: transaction.LOCK.UPDATE });
       if (!sale) {
         throw new Error('Sale not found');
       }
 
-      if (sale.paymentMethod !== 'cash') {
+      // Cash only goes back up to what was paid in cash, less earlier cash refunds
+      const cashRefundable = toStoreCredit ? null : await this.getCashRefundable(sale, transaction);
+      if (cashRefundable !== null && cashRefundable <= 0) {
         throw new Error('Original payment was not cash');
       }
 
-      if (sale.status === 'refunded') {
-        throw new Error('Sale has already been refunded');
-      }
+      refund = await refundService.calculateRefund(sale, { items, amount }, transaction);
 
-      // Validate refund amount
-      if (amount > parseFloat(sale.totalAmount)) {
-        throw new Error('Refund amount exceeds sale total');
+      if (refund.totalAmount <= 0) {
+        throw new Error('Nothing to refund');
       }
 
-      // Get original payment transaction
-      const originalPayment = await PaymentTransaction.findOne({
-        where: {
-          saleId,
-          paymentMethod: 'cash',
-          transactionType: 'payment'
-        },
-        transaction
-      });
+      if (cashRefundable !== null && refund.totalAmount > cashRefundable) {
+        throw new Error(`Refund exceeds the cash paid on this sale (${cashRefundable.toFixed(2)} refundable in cash)`);
+      }
 
       // Get active cash drawer for approver
       const cashDrawer = await CashDrawer.findOne({
@@ -397,60 +974,87 @@ class PaymentService {
         transaction
       });
 
-      if (!cashDrawer) {
+      if (!cashDrawer && !toStoreCredit) {
         throw new Error('No open cash drawer found for processing refund');
       }
 
+      const previousRefunds = await refundService.countRefunds({ saleId }, transaction);
+
       // Create refund transaction
       const refundTransactionId = this.generateTransactionId('REFUND');
-      const refundTransaction = await PaymentTransaction.create({
+      refundTransaction = await PaymentTransaction.create({
         transactionId: refundTransactionId,
         saleId,
         saleNumber: sale.saleNumber,
-        paymentMethod: 'cash',
-        amount,
+        paymentMethod: toStoreCredit ? 'store_credit' : 'cash',
+        amount: refund.totalAmount,
         currency: 'LKR',
         status: 'completed',
         transactionType: 'refund',
         cashierId: approvedBy,
         cashierName: approverName,
-        cashDrawerId: cashDrawer.id,
+        cashDrawerId: cashDrawer ? cashDrawer.id : null,
         refundReason: reason,
-        refundedAmount: amount,
+        refundedAmount: refund.totalAmount,
+        refundedVatAmount: refund.vatAmount,
+        refundItems: refund.lines.length > 0 ? refund.lines : null,
         approvedBy,
-        receiptNumber: `REF-${sale.saleNumber}`,
+        receiptNumber: refundService.getRefundNumber(sale.saleNumber, previousRefunds),
         notes,
         processedAt: new Date(),
         refundedAt: new Date()
       }, { transaction });
 
-      // Update cash drawer
-      await cashDrawer.update({
-        totalCashOut: parseFloat((parseFloat(cashDrawer.totalCashOut) + amount).toFixed(2)),
-        totalRefunds: cashDrawer.totalRefunds + 1
-      }, { transaction });
+      if (toStoreCredit) {
+        storeCredit = await giftVoucherService.issueStoreCredit({
+          amount: refund.totalAmount,
+          customerId: sale.customerId,
+          sourceSaleId: sale.id,
+          sourceTransactionId: refundTransaction.id,
+          cashDrawerId: cashDrawer ? cashDrawer.id : null,
+          notes: reason,
+          user: { id: approvedBy, fullName: approverName }
+        }, transaction);
+        await refundTransaction.update({ metadata: { storeCreditCode: storeCredit.code } }, { transaction });
+      } else {
+        // Update cash drawer
+        await cashDrawer.update({
+          totalCashOut: parseFloat((parseFloat(cashDrawer.totalCashOut) + refund.totalAmount).toFixed(2)),
+          totalRefunds: cashDrawer.totalRefunds + 1
+        }, { transaction });
+      }
 
-      // Update original sale status
-      await sale.update({
-        status: 'refunded'
-      }, { transaction });
+      // Record refunded lines and totals on the original sale and restock unprepared items
+      restocked = await refundService.applyRefundToSale(sale, refund, approvedBy, transaction);
 
       await transaction.commit();
-
-      return {
-        refundId: refundTransaction.id,
-        transactionId: refundTransaction.transactionId,
-        saleId: sale.id,
-        saleNumber: sale.saleNumber,
-        refundAmount: parseFloat(amount),
-        refundedAt: refundTransaction.refundedAt,
-        refundNumber: refundTransaction.receiptNumber
-      };
-
     } catch (error) {
       await transaction.rollback();
       throw error;
     }
+
+    const receiptNumber = await refundService.completeRefund(
+      sale, refund, refundTransaction, refundData.approvedBy, refundData.approverName
+    );
+
+    return {
+      refundId: refundTransaction.id,
+      transactionId: refundTransaction.transactionId,
+      saleId: sale.id,
+      saleNumber: sale.saleNumber,
+      refundAmount: refund.totalAmount,
+      refundVatAmount: refund.vatAmount,
+      refundedItems: refund.lines,
+      isFullRefund: refund.isFullRefund,
+      refundTo: storeCredit ? 'store_credit' : 'cash',
+      storeCredit: storeCredit
+        ? { code: storeCredit.code, amount: parseFloat(storeCredit.balance) }
+        : null,
+      restocked,
+      refundedAt: refundTransaction.refundedAt,
+      refundNumber: refundTransaction.receiptNumber,
+      receiptNumber
+    };
   }
 
   /**
@@ -473,11 +1077,7 @@ class PaymentService {
       }
 
       // Calculate expected balance
-      const expectedBalance = parseFloat((
-        parseFloat(drawer.openingBalance) +
-        parseFloat(drawer.totalCashIn) -
-        parseFloat(drawer.totalCashOut)
-      ).toFixed(2));
+      const expectedBalance = this.calculateExpectedBalance(drawer);
 
       // Calculate variance
       const variance = parseFloat((actualCash - expectedBalance).toFixed(2));
@@ -505,6 +1105,9 @@ class PaymentService {
 
       await dbTransaction.commit();
 
+      const tenderMix = await this.getTenderMixByDrawer([drawer.id]);
+      const giftVouchers = await giftVoucherService.getDrawerSummaryByDrawer([drawer.id]);
+
       return {
         drawerId: drawer.id,
         cashierId: drawer.cashierId,
@@ -519,6 +1122,13 @@ class PaymentService {
         totalRefunds: drawer.totalRefunds,
         totalCashIn: parseFloat(drawer.totalCashIn),
         totalCashOut: parseFloat(drawer.totalCashOut),
+        totalPaidIn: parseFloat(drawer.totalPaidIn || 0),
+        totalPaidOut: parseFloat(drawer.totalPaidOut || 0),
+        totalSafeDrops: parseFloat(drawer.totalSafeDrops || 0),
+        totalTipsPaidOut: parseFloat(drawer.totalTipsPaidOut || 0),
+        totalVoucherSales: parseFloat(drawer.totalVoucherSales || 0),
+        tenderMix: tenderMix[drawer.id] || {},
+        giftVouchers: giftVouchers[drawer.id] || null,
         status: 'reconciled',
         openedAt: drawer.openedAt,
         closedAt: drawer.closedAt,
@@ -575,6 +1185,7 @@ class PaymentService {
           'variance',
           'totalCashIn',
           'totalCashOut',
+          'totalVoucherSales',
           'totalSales',
           'totalRefunds',
           'status',
@@ -585,6 +1196,19 @@ class PaymentService {
         ]
       });
 
+      const tenderMix = await this.getTenderMixByDrawer(drawers.map(d => d.id));
+      const giftVouchers = await giftVoucherService.getDrawerSummaryByDrawer(drawers.map(d => d.id));
+
+      // Total each tender across all drawers
+      const overallTenderMix = {};
+      for (const drawerMix of Object.values(tenderMix)) {
+        for (const [method, totals] of Object.entries(drawerMix)) {
+          overallTenderMix[method] = overallTenderMix[method] || { count: 0, amount: 0 };
+          overallTenderMix[method].count += totals.count;
+          overallTenderMix[method].amount = parseFloat((overallTenderMix[method].amount + totals.amount).toFixed(2));
+        }
+      }
+
       // Calculate summary statistics
       const summary = {
         totalDrawers: drawers.length,
@@ -594,8 +1218,10 @@ class PaymentService {
         totalVariance: parseFloat(drawers.reduce((sum, d) => sum + parseFloat(d.variance || 0), 0).toFixed(2)),
         totalCashIn: parseFloat(drawers.reduce((sum, d) => sum + parseFloat(d.totalCashIn || 0), 0).toFixed(2)),
         totalCashOut: parseFloat(drawers.reduce((sum, d) => sum + parseFloat(d.totalCashOut || 0), 0).toFixed(2)),
+        totalVoucherSales: parseFloat(drawers.reduce((sum, d) => sum + parseFloat(d.totalVoucherSales || 0), 0).toFixed(2)),
         totalSales: drawers.reduce((sum, d) => sum + (d.totalSales || 0), 0),
-        totalRefunds: drawers.reduce((sum, d) => sum + (d.totalRefunds || 0), 0)
+        totalRefunds: drawers.reduce((sum, d) => sum + (d.totalRefunds || 0), 0),
+        tenderMix: overallTenderMix
       };
 
       return {
@@ -614,8 +1240,11 @@ class PaymentService {
             : 0,
           totalCashIn: parseFloat(d.totalCashIn),
           totalCashOut: parseFloat(d.totalCashOut),
+          totalVoucherSales: parseFloat(d.totalVoucherSales || 0),
           totalSales: d.totalSales,
           totalRefunds: d.totalRefunds,
+          tenderMix: tenderMix[d.id] || {},
+          giftVouchers: giftVouchers[d.id] || null,
           status: d.status,
           openedAt: d.openedAt,
           closedAt: d.closedAt,
@@ -0,0 +1,266 @@
+const { Op } = require('sequelize');
+const { MenuPriceLevel, MenuItem, MenuItemPortion, PriceHistory } = require('../models');
+
+/**
+ * Price Level Service
+ * Resolves menu prices by order type and day/time schedule (e.g. happy hour)
+ * and records scheduled price changes in the price history
+ */
+class PriceLevelService {
+  constructor() {
+    this.scheduleTimer = null;
+  }
+
+  /**
+   * Convert an HH:mm string into minutes since midnight
+   */
+  toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return (hours * 60) + (minutes || 0);
+  }
+
+  /**
+   * Whether a level has any day/time/date restriction
+   */
+  isScheduled(level) {
+    return (level.daysOfWeek && level.daysOfWeek.length > 0) ||
+      Boolean(level.startTime && level.endTime) ||
+      Boolean(level.startDate || level.endDate);
+  }
+
+  /**
+   * Check whether a price level's schedule covers the given time
+   * @param {Object} level - MenuPriceLevel record
+   * @param {Date} date - Point in time to check against
+   * @returns {Boolean}
+   */
+  isLevelInSchedule(level, date = new Date()) {
+    if (!level.isActive) {
+      return false;
+    }
+
+    if (level.startDate && new Date(level.startDate) > date) {
+      return false;
+    }
+
+    if (level.endDate && new Date(level.endDate) < date) {
+      return false;
+    }
+
+    const days = level.daysOfWeek || [];
+    if (days.length > 0 && !days.map(Number).includes(date.getDay())) {
+      return false;
+    }
+
+    if (level.startTime && level.endTime) {
+      const now = (date.getHours() * 60) + date.getMinutes();
+      const start = this.toMinutes(level.startTime);
+      const end = this.toMinutes(level.endTime);
+
+      // Windows such as 22:00 - 02:00 wrap past midnight
+      const inWindow = start <= end
+        ? now >= start && now < end
+        : now >= start || now < end;
+
+      if (!inWindow) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Rank matching levels: explicit priority first, then the most specific match
+   * (portion over item, order type over any, scheduled over always-on)
+   */
+  rankLevel(level) {
+    return (level.priority * 1000) +
+      (level.portionId ? 100 : 0) +
+      (level.orderType ? 10 : 0) +
+      (this.isScheduled(level) ? 1 : 0);
+  }
+
+  /**
+   * Pick the level that applies to an item for the order type and time
+   * @param {Array} levels - Candidate levels for the menu item
+   * @param {Object} context - { portionId, orderType, date }
+   * @returns {Object|null} - Winning level
+   */
+  selectLevel(levels, context) {
+    const { portionId = null, orderType = null, date = new Date() } = context;
+
+    const matching = levels.filter(level =>
+      (!level.portionId || level.portionId === portionId) &&
+      (!level.orderType || level.orderType === orderType) &&
+      this.isLevelInSchedule(level, date)
+    );
+
+    if (matching.length === 0) {
+      return null;
+    }
+
+    return matching.sort((a, b) => this.rankLevel(b) - this.rankLevel(a))[0];
+  }
+
+  /**
+   * Resolve unit prices for sale items. Menu items that have price levels
+   * configured are priced by the server: the winning level's price, or the
+   * base menu/portion price when no level applies. Items without levels keep
+   * the price sent by the client.
+   * @param {Array} items - Sale items
+   * @param {Object} options - { orderType, date }
+   * @returns {Promise<Array>} - Items with resolved unitPrice
+   */
+  async resolveItemPrices(items, options = {}) {
+    const { orderType = 'takeaway', date = new Date() } = options;
+
+    // Combo components are priced from the bundle, products have no levels
+    const candidates = items.filter(item => !item.comboId && item.itemType !== 'product');
+    const menuItemIds = [...new Set(candidates.map(item => parseInt(item.product)))];
+
+    if (menuItemIds.length === 0) {
+      return items;
+    }
+
+    const levels = await MenuPriceLevel.findAll({
+      where: { menuItemId: menuItemIds, isActive: true }
+    });
+
+    if (levels.length === 0) {
+      return items;
+    }
+
+    const pricedIds = [...new Set(levels.map(level => level.menuItemId))];
+    const menuItems = await MenuItem.findAll({
+      where: { id: pricedIds },
+      attributes: ['id', 'price']
+    });
+    const portionIds = [...new Set(candidates.map(item => item.portionId).filter(Boolean))];
+    const portions = portionIds.length > 0
+      ? await MenuItemPortion.findAll({ where: { id: portionIds }, attributes: ['id', 'menuItemId', 'price'] })
+      : [];
+
+    return items.map(item => {
+      if (item.comboId || item.itemType === 'product') {
+        return item;
+      }
+
+      const menuItemId = parseInt(item.product);
+      const itemLevels = levels.filter(level => level.menuItemId === menuItemId);
+      if (itemLevels.length === 0) {
+        return item;
+      }
+
+      const portionId = item.portionId ? parseInt(item.portionId) : null;
+      const level = this.selectLevel(itemLevels, { portionId, orderType, date });
+
+      let unitPrice;
+      if (level) {
+        unitPrice = parseFloat(level.price);
+      } else {
+        const portion = portions.find(p => p.id === portionId && p.menuItemId === menuItemId);
+        const menuItem = menuItems.find(mi => mi.id === menuItemId);
+        unitPrice = parseFloat(portion ? portion.price : menuItem.price);
+      }
+
+      return {
+        ...item,
+        unitPrice,
+        priceLevelId: level ? level.id : null,
+        priceLevelName: level ? level.name : null
+      };
+    });
+  }
+
+  /**
+   * Write a price history row whenever a scheduled level starts or stops
+   * applying. Runs periodically so happy hour changes show in the history.
+   * @param {Date} date - Point in time to evaluate
+   * @returns {Promise<Number>} - Number of changes recorded
+   */
+  async recordScheduledPriceChanges(date = new Date()) {
+    const levels = await MenuPriceLevel.findAll({
+      // Deactivated levels still in effect are included so their end is recorded
+      where: {
+        [Op.or]: [{ isActive: true }, { isInEffect: true }]
+      },
+      include: [
+        { model: MenuItem, as: 'menuItem', attributes: ['id', 'name', 'price'] },
+        { model: MenuItemPortion, as: 'portion', attributes: ['id', 'name', 'price'] }
+      ]
+    });
+
+    let recorded = 0;
+
+    for (const level of levels) {
+      if (!this.isScheduled(level) || !level.menuItem) {
+        continue;
+      }
+
+      const inEffect = this.isLevelInSchedule(level, date);
+      if (inEffect === level.isInEffect) {
+        continue;
+      }
+
+      const basePrice = parseFloat(level.portion ? level.portion.price : level.menuItem.price);
+      const levelPrice = parseFloat(level.price);
+      const itemName = [
+        level.menuItem.name,
+        level.portion ? `(${level.portion.name})` : null,
+        `- ${level.name}${level.orderType ? ` [${level.orderType}]` : ''}`
+      ].filter(Boolean).join(' ');
+
+      if (level.createdBy) {
+        await PriceHistory.create({
+          resourceType: 'MenuItem',
+          resourceId: level.menuItemId,
+          itemName,
+          oldPrice: inEffect ? basePrice : levelPrice,
+          newPrice: inEffect ? levelPrice : basePrice,
+          changedBy: level.createdBy,
+          changedByName: `Scheduled: ${level.name}`,
+          priceLevelId: level.id
+        });
+        recorded++;
+      } else {
+        console.warn(`Price level ${level.id} has no owner; schedule change not written to price history`);
+      }
+
+      await level.update({ isInEffect: inEffect });
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Start the periodic schedule check
+   * @param {Number} intervalMs - Check interval (default one minute)
+   */
+  startScheduleWatcher(intervalMs = 60000) {
+    if (this.scheduleTimer) {
+      return;
+    }
+
+    const run = () => this.recordScheduledPriceChanges().catch(error => {
+      console.error('Error recording scheduled price changes:', error.message);
+    });
+
+    run();
+    this.scheduleTimer = setInterval(run, intervalMs);
+    // Do not keep the process alive just for this timer
+    this.scheduleTimer.unref();
+  }
+
+  /**
+   * Stop the periodic schedule check
+   */
+  stopScheduleWatcher() {
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+  }
+}
+
+module.exports = new PriceLevelService();
@@ -0,0 +1,173 @@
+const net = require('net');
+
+/**
+ * Sends jobs to raw TCP printers, one at a time per printer, with retries.
+ * Jobs are only kept until they finish; printService logs them.
+ */
+class PrintQueueService {
+  constructor() {
+    this.nextJobId = 1;
+    // Per printer: pending jobs and whether one is being sent
+    this.queues = new Map();
+    this.payloads = new Map();
+  }
+
+  /**
+   * Fail with an HTTP status the error handler understands
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  getSettings() {
+    return {
+      maxAttempts: parseInt(process.env.PRINT_MAX_ATTEMPTS) || 3,
+      retryDelayMs: parseInt(process.env.PRINT_RETRY_DELAY_MS) || 2000,
+      timeoutMs: parseInt(process.env.PRINTER_TIMEOUT_MS) || 5000
+    };
+  }
+
+  /**
+   * Parse "host:port" (port 9100 if left out)
+   * @param {String} address
+   * @returns {Object} - { host, port }
+   */
+  parseAddress(address) {
+    const [host, port] = String(address).trim().split(':');
+    if (!host) {
+      this.fail(`Invalid printer address "${address}"`);
+    }
+    return { host, port: parseInt(port) || 9100 };
+  }
+
+  /**
+   * Printer for a kind of document, from RECEIPT_PRINTER or KITCHEN_PRINTER
+   * (kitchen tickets go to the receipt printer if there is no kitchen printer)
+   * @param {String} role - 'receipt' or 'kitchen'
+   * @returns {Object} - { host, port }
+   */
+  getPrinter(role) {
+    const address = role === 'kitchen'
+      ? process.env.KITCHEN_PRINTER || process.env.RECEIPT_PRINTER
+      : process.env.RECEIPT_PRINTER;
+
+    if (!address) {
+      this.fail(`No ${role} printer configured; set ${role === 'kitchen' ? 'KITCHEN_PRINTER or ' : ''}RECEIPT_PRINTER to host:port`, 503);
+    }
+    return this.parseAddress(address);
+  }
+
+  /**
+   * Queue bytes for a raw TCP printer. Jobs for the same printer print in order.
+   * The returned job has a non-enumerable `done` promise that resolves when it
+   * has printed or finally failed.
+   * @param {Object} printer - { host, port }
+   * @param {Buffer} data - ESC/POS bytes
+   * @param {Object} details - type and description of the document
+   * @returns {Object} - Job
+   */
+  enqueue(printer, data, details = {}) {
+    const job = {
+      id: this.nextJobId++,
+      type: details.type || 'raw',
+      description: details.description || null,
+      printer: { host: printer.host, port: printer.port },
+      bytes: data.length,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      createdAt: new Date(),
+      printedAt: null
+    };
+
+    let resolve;
+    Object.defineProperty(job, 'done', { value: new Promise(r => { resolve = r; }) });
+    this.payloads.set(job.id, { data, resolve });
+
+    const key = `${printer.host}:${printer.port}`;
+    if (!this.queues.has(key)) {
+      this.queues.set(key, { jobs: [], busy: false });
+    }
+    this.queues.get(key).jobs.push(job);
+    this.drain(key);
+
+    return job;
+  }
+
+  /**
+   * Send a printer's queued jobs one at a time
+   * @param {String} key - host:port
+   */
+  async drain(key) {
+    const queue = this.queues.get(key);
+    if (queue.busy) {
+      return;
+    }
+
+    queue.busy = true;
+    while (queue.jobs.length > 0) {
+      await this.process(queue.jobs.shift());
+    }
+    queue.busy = false;
+  }
+
+  /**
+   * Send a job, retrying with a growing delay
+   * @param {Object} job - Job
+   */
+  async process(job) {
+    const { maxAttempts, retryDelayMs, timeoutMs } = this.getSettings();
+    const { data, resolve } = this.payloads.get(job.id);
+
+    while (job.attempts < maxAttempts) {
+      job.attempts += 1;
+      job.status = 'printing';
+      try {
+        await this.send(job.printer, data, timeoutMs);
+        job.status = 'printed';
+        job.error = null;
+        job.printedAt = new Date();
+        break;
+      } catch (error) {
+        job.error = error.message;
+        job.status = job.attempts < maxAttempts ? 'retrying' : 'failed';
+        if (job.status === 'retrying') {
+          await new Promise(r => setTimeout(r, retryDelayMs * job.attempts));
+        } else {
+          console.error(`Printing ${job.description || job.type} on ${job.printer.host}:${job.printer.port} failed:`, error.message);
+        }
+      }
+    }
+
+    this.payloads.delete(job.id);
+    resolve(job);
+  }
+
+  /**
+   * Write bytes to a raw TCP (port 9100) printer
+   * @param {Object} printer - { host, port }
+   * @param {Buffer} data - Bytes
+   * @param {Number} timeoutMs - Connect/write timeout
+   * @returns {Promise<void>}
+   */
+  send(printer, data, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: printer.host, port: printer.port });
+
+      socket.setTimeout(timeoutMs, () => {
+        socket.destroy(new Error(`Printer ${printer.host}:${printer.port} did not respond within ${timeoutMs} ms`));
+      });
+      socket.once('connect', () => socket.end(data));
+      socket.once('error', reject);
+      socket.once('close', hadError => {
+        if (!hadError) {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+module.exports = new PrintQueueService();
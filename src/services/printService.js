@@ -0,0 +1,735 @@
+const { Op } = require('sequelize');
+const { Printer, PrintJob, KitchenStation, KitchenOrder, Sale, ZReport } = require('../models');
+const ReceiptService = require('./receiptService');
+const OfflineReceiptService = require('./offlineReceiptService');
+const OfflineService = require('./offlineService');
+const shiftReportService = require('./shiftReportService');
+const escposService = require('./escposService');
+const printQueueService = require('./printQueueService');
+const { ROLES } = require('../config/roles');
+
+// Render options kept on a job so it can be printed again the same way
+const STORED_OPTIONS = ['paperWidth', 'language', 'qr', 'openDrawer', 'cut', 'cashierId'];
+
+// Roles that may print each document type, as on the print routes
+const DOCUMENT_ROLES = {
+  receipt: [ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER],
+  offline_receipt: [ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER],
+  kitchen_ticket: [ROLES.ADMIN, ROLES.MANAGER, ROLES.CASHIER, ROLES.KITCHEN_STAFF],
+  z_report: [ROLES.ADMIN, ROLES.MANAGER],
+  x_report: [ROLES.ADMIN, ROLES.MANAGER]
+};
+
+/**
+ * Print Service
+ * Printers registered as devices and how documents are routed to them:
+ * kitchen tickets to their station's printer, receipts by order type and
+ * receipt type. Every job is logged, falls back to the printer's fallback
+ * printer when it fails, and can be reprinted from the log.
+ */
+class PrintService {
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  // ==========================================================================
+  // Printers
+  // ==========================================================================
+
+  /**
+   * List printers
+   * @param {Object} filters - type, isActive
+   * @returns {Promise<Array>} - Printers with their fallback and stations
+   */
+  async getPrinters(filters = {}) {
+    const where = {};
+    if (filters.type) {
+      where.type = filters.type;
+    }
+    if (filters.isActive !== undefined) {
+      where.isActive = filters.isActive === true || filters.isActive === 'true';
+    }
+
+    return Printer.findAll({
+      where,
+      include: [
+        { model: Printer, as: 'fallbackPrinter', attributes: ['id', 'name', 'isActive'] },
+        { model: KitchenStation, as: 'stations', attributes: ['id', 'name', 'code'] }
+      ],
+      order: [['type', 'ASC'], ['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Get a printer
+   * @param {Number} id - Printer ID
+   * @returns {Promise<Object>} - Printer
+   */
+  async getPrinter(id) {
+    const printer = await Printer.findByPk(id, {
+      include: [
+        { model: Printer, as: 'fallbackPrinter' },
+        { model: KitchenStation, as: 'stations', attributes: ['id', 'name', 'code'] }
+      ]
+    });
+    if (!printer) {
+      this.fail('Printer not found', 404);
+    }
+    return printer;
+  }
+
+  /**
+   * Register a printer
+   * @param {Object} data - name, type, host, port, paperWidth, orderTypes, receiptTypes, isDefault, fallbackPrinterId, location
+   * @returns {Promise<Object>} - Printer
+   */
+  async createPrinter(data) {
+    const existing = await Printer.findOne({ where: { name: data.name } });
+    if (existing) {
+      this.fail(`Printer ${data.name} already exists`, 409);
+    }
+    await this.checkFallback(null, data.fallbackPrinterId);
+
+    const printer = await Printer.create({
+      name: data.name,
+      type: data.type || 'receipt',
+      host: data.host,
+      port: data.port || 9100,
+      paperWidth: data.paperWidth || 80,
+      orderTypes: data.orderTypes || [],
+      receiptTypes: data.receiptTypes || [],
+      isDefault: data.isDefault || false,
+      fallbackPrinterId: data.fallbackPrinterId || null,
+      location: data.location || null,
+      isActive: data.isActive !== undefined ? data.isActive : true
+    });
+
+    return this.getPrinter(printer.id);
+  }
+
+  /**
+   * Update a printer
+   * @param {Number} id - Printer ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Printer
+   */
+  async updatePrinter(id, data) {
+    const printer = await this.getPrinter(id);
+
+    if (data.name && data.name !== printer.name) {
+      const existing = await Printer.findOne({ where: { name: data.name } });
+      if (existing) {
+        this.fail(`Printer ${data.name} already exists`, 409);
+      }
+    }
+    if (data.fallbackPrinterId !== undefined) {
+      await this.checkFallback(printer.id, data.fallbackPrinterId);
+    }
+
+    const fields = ['name', 'type', 'host', 'port', 'paperWidth', 'orderTypes', 'receiptTypes', 'isDefault', 'fallbackPrinterId', 'location', 'isActive'];
+    fields.forEach(field => {
+      if (data[field] !== undefined) {
+        printer[field] = data[field];
+      }
+    });
+    await printer.save();
+
+    return this.getPrinter(printer.id);
+  }
+
+  /**
+   * Remove a printer. Its stations and the printers using it as a fallback are left without one.
+   * @param {Number} id - Printer ID
+   */
+  async deletePrinter(id) {
+    const printer = await this.getPrinter(id);
+
+    await KitchenStation.update({ printerId: null }, { where: { printerId: printer.id } });
+    await Printer.update({ fallbackPrinterId: null }, { where: { fallbackPrinterId: printer.id } });
+    await printer.destroy();
+  }
+
+  /**
+   * A fallback must be another existing printer, and must not fall back to this one
+   * @param {Number|null} printerId - Printer being saved (null when new)
+   * @param {Number|null} fallbackPrinterId - Proposed fallback
+   */
+  async checkFallback(printerId, fallbackPrinterId) {
+    if (!fallbackPrinterId) {
+      return;
+    }
+    if (printerId && parseInt(fallbackPrinterId) === printerId) {
+      this.fail('A printer cannot be its own fallback');
+    }
+
+    const fallback = await Printer.findByPk(fallbackPrinterId);
+    if (!fallback) {
+      this.fail('Fallback printer not found', 404);
+    }
+    if (printerId && fallback.fallbackPrinterId === printerId) {
+      this.fail(`${fallback.name} already falls back to this printer`);
+    }
+  }
+
+  /**
+   * Send a station's kitchen tickets to a printer
+   * @param {Number} stationId - KitchenStation ID
+   * @param {Number|null} printerId - Printer ID, or null to stop printing for the station
+   * @returns {Promise<Object>} - KitchenStation with its printer
+   */
+  async assignStationPrinter(stationId, printerId) {
+    const station = await KitchenStation.findByPk(stationId);
+    if (!station) {
+      this.fail('Kitchen station not found', 404);
+    }
+    if (printerId) {
+      await this.getPrinter(printerId);
+    }
+
+    await station.update({ printerId: printerId || null });
+
+    return KitchenStation.findByPk(station.id, {
+      include: [{ model: Printer, as: 'printer' }]
+    });
+  }
+
+  // ==========================================================================
+  // Routing
+  // ==========================================================================
+
+  /**
+   * Where a printer's jobs are sent, with its fallback if that is enabled
+   * @param {Object} printer - Printer (with fallbackPrinter loaded)
+   * @returns {Object} - { printerId, name, host, port, paperWidth, fallback }
+   */
+  toTarget(printer) {
+    const fallback = printer.fallbackPrinter && printer.fallbackPrinter.isActive
+      ? printer.fallbackPrinter
+      : null;
+
+    return {
+      printerId: printer.id,
+      name: printer.name,
+      host: printer.host,
+      port: printer.port,
+      paperWidth: printer.paperWidth,
+      fallback: fallback && {
+        printerId: fallback.id,
+        name: fallback.name,
+        host: fallback.host,
+        port: fallback.port,
+        paperWidth: fallback.paperWidth,
+        fallback: null
+      }
+    };
+  }
+
+  /**
+   * Best enabled printer of a type for an order type and receipt type. A printer
+   * limited to the order or receipt type wins over one that prints everything,
+   * then the default printer.
+   * @param {String} type - 'receipt' or 'kitchen'
+   * @param {Object} criteria - orderType, receiptType
+   * @returns {Promise<Object|null>} - Printer
+   */
+  async findPrinter(type, { orderType = null, receiptType = null } = {}) {
+    const printers = await Printer.findAll({
+      where: { type, isActive: true },
+      include: [{ model: Printer, as: 'fallbackPrinter' }],
+      order: [['id', 'ASC']]
+    });
+
+    const matches = (list, value) => !list || list.length === 0 || list.includes(value);
+    const specificity = printer => Number((printer.orderTypes || []).length > 0) + Number((printer.receiptTypes || []).length > 0);
+
+    return printers
+      .filter(printer => matches(printer.orderTypes, orderType) && matches(printer.receiptTypes, receiptType))
+      .sort((a, b) => specificity(b) - specificity(a) || b.isDefault - a.isDefault)[0] || null;
+  }
+
+  /**
+   * Printer a document goes to: the one asked for, the kitchen station's printer,
+   * a matching registered printer, or RECEIPT_PRINTER / KITCHEN_PRINTER
+   * @param {Object} document - role, orderType, receiptType, stationId
+   * @param {Object} options - printerId or printer (host:port) to override the routing
+   * @param {Boolean} registeredOnly - Only use registered printers (null if none matches)
+   * @returns {Promise<Object|null>} - Target
+   */
+  async resolveTarget(document, options = {}, registeredOnly = false) {
+    if (options.printerId) {
+      const printer = await this.getPrinter(options.printerId);
+      if (!printer.isActive) {
+        this.fail(`Printer ${printer.name} is disabled`);
+      }
+      return this.toTarget(printer);
+    }
+    if (options.printer) {
+      return { printerId: null, name: options.printer, ...printQueueService.parseAddress(options.printer), paperWidth: null, fallback: null };
+    }
+
+    if (document.role === 'kitchen' && document.stationId) {
+      const station = await KitchenStation.findByPk(document.stationId, {
+        include: [{
+          model: Printer,
+          as: 'printer',
+          include: [{ model: Printer, as: 'fallbackPrinter' }]
+        }]
+      });
+
+      if (station && station.printer) {
+        if (station.printer.isActive) {
+          return this.toTarget(station.printer);
+        }
+        // Station printer switched off: its fallback takes the tickets
+        const fallback = station.printer.fallbackPrinter;
+        if (fallback && fallback.isActive) {
+          return this.toTarget({ ...fallback.toJSON(), fallbackPrinter: null });
+        }
+      }
+    }
+
+    const printer = await this.findPrinter(document.role, document);
+    if (printer) {
+      return this.toTarget(printer);
+    }
+    if (registeredOnly) {
+      return null;
+    }
+
+    const address = printQueueService.getPrinter(document.role);
+    return { printerId: null, name: `${address.host}:${address.port}`, ...address, paperWidth: null, fallback: null };
+  }
+
+  // ==========================================================================
+  // Documents
+  // ==========================================================================
+
+  /**
+   * QR code printed on receipts: RECEIPT_QR_URL with {receiptNo} replaced, e.g. a digital receipt link
+   */
+  receiptQr(receiptNumber) {
+    return process.env.RECEIPT_QR_URL
+      ? process.env.RECEIPT_QR_URL.replace('{receiptNo}', encodeURIComponent(receiptNumber))
+      : null;
+  }
+
+  /**
+   * Load a printable document. Documents render themselves for a paper width
+   * and carry what routing needs (role, orderType, receiptType, stationId).
+   * @param {String} documentType - receipt, offline_receipt, kitchen_ticket, z_report, x_report
+   * @param {String} documentId - ID of the document
+   * @param {Object} options - Render options
+   * @returns {Promise<Object>} - Document
+   */
+  async getDocument(documentType, documentId, options = {}) {
+    switch (documentType) {
+      case 'receipt': {
+        const receipt = await ReceiptService.getReceiptById(documentId);
+        if (!receipt) {
+          this.fail('Receipt not found', 404);
+        }
+
+        return {
+          documentType,
+          documentId: String(receipt.id),
+          role: 'receipt',
+          orderType: receipt.orderType,
+          receiptType: receipt.receiptType,
+          name: receipt.receiptNumber,
+          description: `Receipt ${receipt.receiptNumber}`,
+          render: paperWidth => escposService.renderReceipt(receipt.receiptData.template, {
+            ...options,
+            paperWidth,
+            qr: options.qr || this.receiptQr(receipt.receiptNumber)
+          }),
+          // Record the outcome on the receipt once the printer has it
+          onDone: job => receipt.update({
+            deliveryStatus: job.status === 'printed' ? 'printed' : 'failed',
+            deliveryAttempts: (receipt.deliveryAttempts || 0) + job.attempts,
+            deliveredAt: job.printedAt,
+            errorMessage: job.errorMessage
+          })
+        };
+      }
+
+      case 'offline_receipt': {
+        const queueItem = await OfflineService.getQueueItem(documentId);
+        if (!queueItem || queueItem.operationType !== 'receipt') {
+          this.fail('Offline receipt not found', 404);
+        }
+        const { template } = await OfflineReceiptService.regenerateTemplate(documentId, options.language || null);
+        const receiptData = queueItem.transactionData || {};
+
+        return {
+          documentType,
+          documentId: String(documentId),
+          role: 'receipt',
+          orderType: receiptData.orderType || 'dine-in',
+          receiptType: receiptData.receiptType || 'original',
+          name: `offline-${documentId}`,
+          description: `Offline receipt ${receiptData.receiptNumber || documentId}`,
+          render: paperWidth => escposService.renderReceipt(template, { ...options, paperWidth, offline: true })
+        };
+      }
+
+      case 'kitchen_ticket': {
+        const order = await this.getKitchenOrder(documentId);
+        const stationId = options.stationId ? parseInt(options.stationId) : null;
+
+        return {
+          documentType,
+          documentId: String(order.id),
+          role: 'kitchen',
+          orderType: order.orderType,
+          stationId,
+          name: order.orderNumber,
+          description: `Kitchen ticket ${order.orderNumber}`,
+          render: paperWidth => escposService.renderKitchenTicket(order, { ...options, paperWidth, stationId })
+        };
+      }
+
+      case 'z_report': {
+        const zReport = await ZReport.findByPk(documentId);
+        if (!zReport) {
+          this.fail('Z report not found', 404);
+        }
+        const template = ReceiptService.generateShiftReportTemplate(
+          { ...zReport.report, generatedByName: zReport.generatedByName },
+          options.language
+        );
+
+        return {
+          documentType,
+          documentId: String(zReport.id),
+          role: 'receipt',
+          name: `z-report-${zReport.zNumber}`,
+          description: `Z report #${zReport.zNumber}`,
+          render: paperWidth => escposService.renderShiftReport(template, { ...options, paperWidth })
+        };
+      }
+
+      case 'x_report': {
+        // Running totals, so a reprint shows the figures as they are now
+        const report = await shiftReportService.getXReport({
+          cashierId: options.cashierId ? parseInt(options.cashierId) : null
+        });
+        const template = ReceiptService.generateShiftReportTemplate(report, options.language);
+
+        return {
+          documentType,
+          documentId: null,
+          role: 'receipt',
+          name: 'x-report',
+          description: 'X report',
+          render: paperWidth => escposService.renderShiftReport(template, { ...options, paperWidth })
+        };
+      }
+
+      default:
+        this.fail(`Unknown document type ${documentType}`);
+    }
+  }
+
+  /**
+   * @param {Number} id - KitchenOrder ID
+   * @returns {Promise<Object>} - Plain kitchen order with its sale number
+   */
+  async getKitchenOrder(id) {
+    const order = await KitchenOrder.findByPk(id, {
+      include: [{ model: Sale, as: 'sale', attributes: ['saleNumber'] }]
+    });
+    if (!order) {
+      this.fail('Kitchen order not found', 404);
+    }
+    return order.toJSON();
+  }
+
+  /**
+   * One ticket per station on a kitchen order, as routed by routeItemsToStations.
+   * Items without a station make up a ticket of their own.
+   * @param {Object} order - Plain kitchen order
+   * @param {Object} options - Render options; stationId (or unassigned) for a single station's ticket; course for one course's items
+   * @returns {Array} - Documents
+   */
+  getStationTickets(order, options = {}) {
+    const groups = new Map();
+    const course = options.course ? parseInt(options.course) : null;
+    (order.items || []).filter(item => !course || item.course === course).forEach(item => {
+      const stationId = item.stationId || null;
+      if (!groups.has(stationId)) {
+        groups.set(stationId, []);
+      }
+      groups.get(stationId).push(item);
+    });
+
+    const only = options.unassigned ? null : (options.stationId ? parseInt(options.stationId) : undefined);
+
+    return [...groups.entries()]
+      .filter(([stationId]) => only === undefined || stationId === only)
+      .map(([stationId, items]) => ({
+        documentType: 'kitchen_ticket',
+        documentId: String(order.id),
+        role: 'kitchen',
+        orderType: order.orderType,
+        stationId,
+        name: order.orderNumber,
+        description: `Kitchen ticket ${order.orderNumber} (${items[0].stationName || 'Unassigned'})`,
+        render: paperWidth => escposService.renderKitchenTicket(
+          { ...order, items },
+          { ...options, paperWidth, stationId: null }
+        )
+      }));
+  }
+
+  // ==========================================================================
+  // Jobs
+  // ==========================================================================
+
+  /**
+   * Render a document for its printer, log the job and queue it. The job is
+   * returned queued; its outcome is saved on the log when the printer is done.
+   * @param {Object} document - From getDocument or getStationTickets
+   * @param {Object} target - From resolveTarget
+   * @param {Object} options - Render options
+   * @param {Object} context - userId, reprintOfId
+   * @returns {Promise<Object>} - PrintJob
+   */
+  async printDocument(document, target, options = {}, context = {}) {
+    const data = await document.render(options.paperWidth || target.paperWidth || undefined);
+
+    const storedOptions = {};
+    STORED_OPTIONS.forEach(key => {
+      if (options[key] !== undefined) {
+        storedOptions[key] = options[key];
+      }
+    });
+
+    const job = await PrintJob.create({
+      documentType: document.documentType,
+      documentId: document.documentId,
+      description: document.description,
+      kitchenStationId: document.role === 'kitchen' ? document.stationId || null : null,
+      printerId: target.printerId,
+      printerAddress: `${target.host}:${target.port}`,
+      status: 'queued',
+      bytes: data.length,
+      options: storedOptions,
+      reprintOfId: context.reprintOfId || null,
+      requestedBy: context.userId || null
+    });
+
+    this.dispatch(job, document, target, data, options)
+      .then(() => document.onDone && document.onDone(job))
+      .catch(error => console.error(`Could not record print job ${job.id}:`, error.message));
+
+    return job;
+  }
+
+  /**
+   * Send a logged job, then to the fallback printer if every attempt failed
+   * @param {Object} job - PrintJob
+   * @param {Object} document - Document (re-rendered if the fallback has other paper)
+   * @param {Object} target - Target
+   * @param {Buffer} data - Rendered bytes
+   * @param {Object} options - Render options
+   */
+  async dispatch(job, document, target, data, options) {
+    const details = { type: document.documentType, description: document.description };
+    let result = await printQueueService.enqueue(target, data, details).done;
+    let attempts = result.attempts;
+
+    if (result.status === 'failed' && target.fallback) {
+      const fallback = target.fallback;
+      console.warn(`Print job ${job.id}: ${target.name} failed (${result.error}); sending to fallback ${fallback.name}`);
+
+      const fallbackData = !options.paperWidth && fallback.paperWidth && fallback.paperWidth !== target.paperWidth
+        ? await document.render(fallback.paperWidth)
+        : data;
+      await job.update({
+        usedFallback: true,
+        printerId: fallback.printerId,
+        printerAddress: `${fallback.host}:${fallback.port}`
+      });
+
+      result = await printQueueService.enqueue(fallback, fallbackData, details).done;
+      attempts += result.attempts;
+    }
+
+    await job.update({
+      status: result.status,
+      attempts,
+      errorMessage: result.error,
+      printedAt: result.printedAt
+    });
+  }
+
+  /**
+   * Print a document on the printer it routes to
+   * @param {String} documentType - Document type
+   * @param {String} documentId - Document ID
+   * @param {Object} options - Render options, printerId or printer to override the routing
+   * @param {Number} userId - User printing it
+   * @returns {Promise<Object>} - PrintJob
+   */
+  async print(documentType, documentId, options = {}, userId = null) {
+    const document = await this.getDocument(documentType, documentId, options);
+    const target = await this.resolveTarget(document, options);
+
+    return this.printDocument(document, target, options, { userId });
+  }
+
+  /**
+   * Print a kitchen order's tickets, one per station on the station's printer
+   * @param {Number} orderId - KitchenOrder ID
+   * @param {Object} options - Render options; stationId for one station; printerId or printer to override the routing
+   * @param {Object} context - userId; registeredOnly to skip stations without a registered printer
+   * @returns {Promise<Array>} - PrintJobs
+   */
+  async printKitchenOrder(orderId, options = {}, context = {}) {
+    const order = await this.getKitchenOrder(orderId);
+    const tickets = this.getStationTickets(order, options);
+    if (tickets.length === 0) {
+      this.fail(options.stationId ? 'The order has no items for this station' : 'The order has no items');
+    }
+
+    const jobs = [];
+    for (const ticket of tickets) {
+      const target = await this.resolveTarget(ticket, options, context.registeredOnly);
+      if (target) {
+        jobs.push(await this.printDocument(ticket, target, options, { userId: context.userId }));
+      }
+    }
+    return jobs;
+  }
+
+  /**
+   * Print the tickets of a new kitchen order, or of a course just fired. Only
+   * registered printers are used, so kitchens without ticket printers are not sent anything.
+   * @param {Object} order - KitchenOrder
+   * @param {Object} options - course to print only that course's items
+   * @returns {Promise<Array>} - PrintJobs
+   */
+  async autoPrintKitchenOrder(order, options = {}) {
+    try {
+      return await this.printKitchenOrder(order.id, options, { registeredOnly: true });
+    } catch (error) {
+      console.error(`Could not print kitchen order ${order.orderNumber}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Print a logged job again, with the same options and a reprint mark on kitchen tickets.
+   * The cash drawer is not opened again.
+   * @param {Number} jobId - PrintJob ID
+   * @param {Object} options - printerId or printer to send it elsewhere
+   * @param {Object} user - User reprinting it
+   * @returns {Promise<Object>} - New PrintJob
+   */
+  async reprint(jobId, options = {}, user = {}) {
+    const original = await this.getJob(jobId);
+    if (!DOCUMENT_ROLES[original.documentType].includes(user.role)) {
+      this.fail(`User role '${user.role}' cannot reprint this document`, 403);
+    }
+    const renderOptions = { ...(original.options || {}), openDrawer: false, reprint: true };
+
+    let document;
+    if (original.documentType === 'kitchen_ticket') {
+      const order = await this.getKitchenOrder(original.documentId);
+      [document] = this.getStationTickets(order, original.kitchenStationId
+        ? { ...renderOptions, stationId: original.kitchenStationId }
+        : { ...renderOptions, unassigned: true });
+      if (!document) {
+        this.fail('The order no longer has items for this ticket');
+      }
+    } else {
+      document = await this.getDocument(original.documentType, original.documentId, renderOptions);
+    }
+
+    const target = await this.resolveTarget(document, options);
+
+    return this.printDocument(document, target, renderOptions, {
+      userId: user.id,
+      reprintOfId: original.id
+    });
+  }
+
+  /**
+   * Print job log, newest first
+   * @param {Object} filters - status, documentType, documentId, printerId, stationId, date, page, limit
+   * @returns {Promise<Object>} - { jobs, pagination }
+   */
+  async getJobs(filters = {}) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const where = {};
+
+    if (filters.status) {
+      where.status = filters.status;
+    }
+    if (filters.documentType) {
+      where.documentType = filters.documentType;
+    }
+    if (filters.documentId) {
+      where.documentId = String(filters.documentId);
+    }
+    if (filters.printerId) {
+      where.printerId = filters.printerId;
+    }
+    if (filters.stationId) {
+      where.kitchenStationId = filters.stationId;
+    }
+    if (filters.date) {
+      const start = new Date(filters.date);
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(filters.date);
+      end.setHours(23, 59, 59, 999);
+      where.createdAt = { [Op.between]: [start, end] };
+    }
+
+    const { count, rows } = await PrintJob.findAndCountAll({
+      where,
+      include: [
+        { model: Printer, as: 'printer', attributes: ['id', 'name'] },
+        { model: KitchenStation, as: 'station', attributes: ['id', 'name'] }
+      ],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      jobs: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * @param {Number} id - PrintJob ID
+   * @returns {Promise<Object>} - PrintJob
+   */
+  async getJob(id) {
+    const job = await PrintJob.findByPk(id, {
+      include: [
+        { model: Printer, as: 'printer', attributes: ['id', 'name'] },
+        { model: KitchenStation, as: 'station', attributes: ['id', 'name'] }
+      ]
+    });
+    if (!job) {
+      this.fail('Print job not found', 404);
+    }
+    return job;
+  }
+}
+
+module.exports = new PrintService();
@@ -0,0 +1,349 @@
+const { Op, col, literal } = require('sequelize');
+const { Promotion, Product, MenuItem } = require('../models');
+
+// Order in which rule types are evaluated. Line-level rules run first so that
+// bill-level fixed discounts are prorated over what the customer actually pays.
+const TYPE_ORDER = ['buy_x_get_y', 'category', 'percentage', 'fixed_amount'];
+
+/**
+ * Promotion Service
+ * Resolves which promotions apply to a bill and spreads the discount over
+ * the individual lines before VAT is calculated
+ */
+class PromotionService {
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Convert an HH:mm string into minutes since midnight
+   */
+  toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return (hours * 60) + (minutes || 0);
+  }
+
+  /**
+   * Check whether a promotion is inside its validity window
+   * @param {Object} promotion - Promotion record
+   * @param {Date} date - Point in time to check against
+   * @returns {Boolean}
+   */
+  isPromotionValid(promotion, date = new Date()) {
+    if (!promotion.isActive) {
+      return false;
+    }
+
+    if (promotion.startDate && new Date(promotion.startDate) > date) {
+      return false;
+    }
+
+    if (promotion.endDate && new Date(promotion.endDate) < date) {
+      return false;
+    }
+
+    if (promotion.usageLimit !== null && promotion.usageLimit !== undefined &&
+      promotion.usageCount >= promotion.usageLimit) {
+      return false;
+    }
+
+    const days = promotion.daysOfWeek || [];
+    if (days.length > 0 && !days.map(Number).includes(date.getDay())) {
+      return false;
+    }
+
+    if (promotion.startTime && promotion.endTime) {
+      const now = (date.getHours() * 60) + date.getMinutes();
+      const start = this.toMinutes(promotion.startTime);
+      const end = this.toMinutes(promotion.endTime);
+
+      // Windows such as 22:00 - 02:00 wrap past midnight
+      const inWindow = start <= end
+        ? now >= start && now < end
+        : now >= start || now < end;
+
+      if (!inWindow) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate promotion data before it is saved
+   * @param {Object} data - Promotion fields
+   */
+  validatePromotionData(data) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    };
+
+    const value = parseFloat(data.value || 0);
+
+    if (['percentage', 'category'].includes(data.type) && (value <= 0 || value > 100)) {
+      fail('Percentage discounts must be between 0 and 100');
+    }
+
+    if (data.type === 'fixed_amount' && value <= 0) {
+      fail('Fixed amount discounts must be greater than 0');
+    }
+
+    if (data.type === 'category' && (!Array.isArray(data.categories) || data.categories.length === 0)) {
+      fail('Category promotions require at least one category');
+    }
+
+    if (data.type === 'buy_x_get_y' && (!data.buyQuantity || !data.getQuantity)) {
+      fail('Buy X get Y promotions require buyQuantity and getQuantity');
+    }
+
+    if (data.startDate && data.endDate && new Date(data.endDate) < new Date(data.startDate)) {
+      fail('End date must be after start date');
+    }
+
+    if ((data.startTime && !data.endTime) || (!data.startTime && data.endTime)) {
+      fail('Both startTime and endTime are required for a daily time window');
+    }
+  }
+
+  /**
+   * Get promotions that can be applied at the given time
+   * @param {Object} options - { date, promotionIds, promoCode }
+   * @returns {Promise<Array>} - Applicable promotions
+   */
+  async getApplicablePromotions(options = {}) {
+    const { date = new Date(), promotionIds = [], promoCode = null } = options;
+
+    const orConditions = [{ isAutomatic: true }];
+    if (promotionIds.length > 0) {
+      // Promotions with a code only apply when the code is given
+      orConditions.push({ id: { [Op.in]: promotionIds }, code: null });
+    }
+    if (promoCode) {
+      orConditions.push({ code: promoCode });
+    }
+
+    const promotions = await Promotion.findAll({
+      where: {
+        isActive: true,
+        [Op.or]: orConditions
+      },
+      order: [['priority', 'DESC'], ['id', 'ASC']]
+    });
+
+    if (promoCode) {
+      const codePromotion = promotions.find(p => p.code === promoCode);
+      if (!codePromotion || !this.isPromotionValid(codePromotion, date)) {
+        const error = new Error(`Promo code ${promoCode} is invalid or has expired`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    return promotions.filter(p => this.isPromotionValid(p, date));
+  }
+
+  /**
+   * Key for an item in the category map. Products and menu items live in
+   * separate tables whose IDs overlap, so the key carries the item type.
+   */
+  categoryKey(item) {
+    return `${item.itemType === 'product' ? 'product' : 'menu-item'}:${Number(item.product)}`;
+  }
+
+  /**
+   * Look up the category of each item so category rules can be matched.
+   * Lines with itemType 'product' are looked up in products, the rest in menu items.
+   * @param {Array} items - Sale items
+   * @returns {Promise<Map>} - Map of categoryKey to category
+   */
+  async getItemCategories(items) {
+    const productIds = [...new Set(items.filter(item => item.itemType === 'product').map(item => Number(item.product)))];
+    const menuItemIds = [...new Set(items.filter(item => item.itemType !== 'product').map(item => Number(item.product)))];
+    const categories = new Map();
+
+    if (productIds.length > 0) {
+      const products = await Product.findAll({
+        where: { id: productIds },
+        attributes: ['id', 'category']
+      });
+      products.forEach(p => categories.set(this.categoryKey({ itemType: 'product', product: p.id }), p.category));
+    }
+
+    if (menuItemIds.length > 0) {
+      const menuItems = await MenuItem.findAll({
+        where: { id: menuItemIds },
+        attributes: ['id', 'category']
+      });
+      menuItems.forEach(mi => categories.set(this.categoryKey({ itemType: 'menu-item', product: mi.id }), mi.category));
+    }
+
+    return categories;
+  }
+
+  /**
+   * Check whether a line is targeted by a promotion
+   */
+  matchesLine(promotion, line) {
+    const itemIds = (promotion.menuItemIds || []).map(Number);
+    const categories = promotion.categories || [];
+
+    if (itemIds.length === 0 && categories.length === 0) {
+      return true;
+    }
+
+    return itemIds.includes(Number(line.product)) || categories.includes(line.category);
+  }
+
+  /**
+   * Apply promotions to sale items. Each returned item carries its own
+   * discountAmount so VAT is calculated on the discounted line value.
+   * @param {Array} items - Sale items ({ product, quantity, unitPrice })
+   * @param {Object} options - { date, promotionIds, promoCode }
+   * @returns {Promise<Object>} - Discounted items and a summary of applied rules
+   */
+  async applyPromotions(items, options = {}) {
+    const promotions = await this.getApplicablePromotions(options);
+
+    const lines = items.map(item => ({
+      ...item,
+      discountAmount: 0,
+      promotions: []
+    }));
+
+    if (promotions.length === 0) {
+      return { items: lines, discountAmount: 0, appliedPromotions: [] };
+    }
+
+    const categories = await this.getItemCategories(items);
+    lines.forEach(line => {
+      line.category = line.category || categories.get(this.categoryKey(line)) || null;
+    });
+
+    const grossSubtotal = lines.reduce((sum, line) => sum + (line.quantity * line.unitPrice), 0);
+    const lineNet = (line) => (line.quantity * line.unitPrice) - line.discountAmount;
+    const appliedPromotions = [];
+
+    const sorted = [...promotions].sort((a, b) =>
+      TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type)
+    );
+
+    for (const promotion of sorted) {
+      if (grossSubtotal < parseFloat(promotion.minOrderAmount || 0)) {
+        continue;
+      }
+
+      const targets = lines.filter(line => this.matchesLine(promotion, line) && lineNet(line) > 0);
+      if (targets.length === 0) {
+        continue;
+      }
+
+      const value = parseFloat(promotion.value || 0);
+      const lineDiscounts = new Map();
+
+      switch (promotion.type) {
+        case 'buy_x_get_y': {
+          const setSize = promotion.buyQuantity + promotion.getQuantity;
+          targets.forEach(line => {
+            const freeUnits = Math.floor(line.quantity / setSize) * promotion.getQuantity;
+            if (freeUnits > 0) {
+              lineDiscounts.set(line, Math.min(freeUnits * line.unitPrice, lineNet(line)));
+            }
+          });
+          break;
+        }
+        case 'category':
+        case 'percentage':
+          targets.forEach(line => {
+            lineDiscounts.set(line, lineNet(line) * (value / 100));
+          });
+          break;
+        case 'fixed_amount': {
+          // Spread the flat amount over the targeted lines in proportion to their value
+          const targetTotal = targets.reduce((sum, line) => sum + lineNet(line), 0);
+          const amount = Math.min(value, targetTotal);
+          targets.forEach(line => {
+            lineDiscounts.set(line, amount * (lineNet(line) / targetTotal));
+          });
+          break;
+        }
+        default:
+          break;
+      }
+
+      let total = [...lineDiscounts.values()].reduce((sum, amount) => sum + amount, 0);
+      if (total <= 0) {
+        continue;
+      }
+
+      // Scale every line down proportionally when the rule has a cap
+      const cap = promotion.maxDiscountAmount !== null && promotion.maxDiscountAmount !== undefined
+        ? parseFloat(promotion.maxDiscountAmount)
+        : null;
+      const scale = cap !== null && total > cap ? cap / total : 1;
+
+      total = 0;
+      lineDiscounts.forEach((amount, line) => {
+        const discount = this.round(amount * scale);
+        if (discount <= 0) return;
+        line.discountAmount = this.round(line.discountAmount + discount);
+        line.promotions.push({
+          promotionId: promotion.id,
+          name: promotion.name,
+          type: promotion.type,
+          amount: discount
+        });
+        total += discount;
+      });
+
+      appliedPromotions.push({
+        promotionId: promotion.id,
+        name: promotion.name,
+        code: promotion.code || null,
+        type: promotion.type,
+        amount: this.round(total)
+      });
+    }
+
+    return {
+      items: lines,
+      discountAmount: this.round(lines.reduce((sum, line) => sum + line.discountAmount, 0)),
+      appliedPromotions
+    };
+  }
+
+  /**
+   * Increment usage counters for the promotions used on a sale. Each counter is
+   * only incremented while it is under its limit, so concurrent sales cannot take
+   * a promotion past it; the sale fails when a promotion has run out.
+   * @param {Array} appliedPromotions - Summary returned by applyPromotions
+   * @param {Object} transaction - Optional Sequelize transaction
+   */
+  async recordUsage(appliedPromotions = [], transaction = null) {
+    for (const applied of appliedPromotions) {
+      const [affected] = await Promotion.update({ usageCount: literal('usageCount + 1') }, {
+        where: {
+          id: applied.promotionId,
+          [Op.or]: [
+            { usageLimit: null },
+            { usageCount: { [Op.lt]: col('usageLimit') } }
+          ]
+        },
+        transaction
+      });
+
+      if (affected === 0) {
+        const error = new Error(`Promotion ${applied.name} has reached its usage limit`);
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = new PromotionService();
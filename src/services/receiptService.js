@@ -1,5 +1,6 @@
 const { Receipt, Sale, User } = require('../models');
 const { getLanguageTranslations, formatCurrency, formatDate, formatTime } = require('../config/languages');
+const loyaltyService = require('./loyaltyService');
 
 class ReceiptService {
   /**
@@ -28,7 +29,8 @@ class ReceiptService {
         time: formatTime(sale.saleDate || sale.createdAt, language),
         orderType: t.dineIn,
         tableNo: sale.tableNumber || sale.tableId || 'N/A',
-        cashier: sale.cashierName
+        cashier: sale.cashierName,
+        customer: sale.customerName || null
       },
       items: this.generateItemList(sale.items, language),
       calculations: this.generateCalculations(sale, language, t),
@@ -56,7 +58,8 @@ class ReceiptService {
         date: formatDate(sale.saleDate || sale.createdAt, language),
         time: formatTime(sale.saleDate || sale.createdAt, language),
         orderType: t.takeaway,
-        cashier: sale.cashierName
+        cashier: sale.cashierName,
+        customer: sale.customerName || null
       },
       items: this.generateItemList(sale.items, language),
       calculations: this.generateCalculations(sale, language, t),
@@ -84,14 +87,15 @@ class ReceiptService {
         date: formatDate(sale.saleDate || sale.createdAt, language),
         time: formatTime(sale.saleDate || sale.createdAt, language),
         orderType: t.delivery,
-        cashier: sale.cashierName
+        cashier: sale.cashierName,
+        customer: sale.customerName || null
       },
       items: this.generateItemList(sale.items, language),
       calculations: this.generateCalculations(sale, language, t),
       paymentInfo: this.generatePaymentInfo(sale, language, t),
       footer: this.generateFooter(t, receiptType),
       deliveryInfo: {
-        // Placeholder for future delivery address integration
+        label: t.deliveryAddress,
         address: sale.deliveryAddress || 'N/A'
       },
       specialNotes: sale.notes || null
@@ -141,20 +145,52 @@ class ReceiptService {
       return [];
     }
 
-    return items.map(item => ({
-      name: item.name || item.productName,
-      quantity: item.quantity,
-      unitPrice: formatCurrency(item.price || item.unitPrice, language),
-      total: formatCurrency((item.quantity * (item.price || item.unitPrice)), language),
-      rawTotal: item.quantity * (item.price || item.unitPrice)
-    }));
+    return items.map(item => {
+      const line = {
+        name: item.name || item.productName,
+        quantity: item.quantity,
+        unitPrice: formatCurrency(item.price || item.unitPrice, language),
+        total: formatCurrency((item.quantity * (item.price || item.unitPrice)), language),
+        rawTotal: item.quantity * (item.price || item.unitPrice)
+      };
+
+      if (item.comboId) {
+        line.comboName = item.comboName;
+        line.comboLine = item.comboLine;
+      }
+
+      if (Array.isArray(item.modifiers) && item.modifiers.length > 0) {
+        line.modifiers = item.modifiers.map(m => (m.action === 'remove' ? `No ${m.name.replace(/^no\s+/i, '')}` : `+ ${m.name}`));
+      }
+
+      const discountAmount = parseFloat(item.discountAmount || 0);
+      if (discountAmount > 0) {
+        line.discount = formatCurrency(discountAmount, language);
+        line.rawDiscount = discountAmount;
+        line.promotions = (item.promotions || []).map(p => p.name);
+      }
+
+      return line;
+    });
   }
 
   /**
    * Generate calculation section
    */
   static generateCalculations(sale, language, t) {
-    const calculations = {
+    const calculations = {};
+
+    // Promotional discounts are taken off before VAT, so they are listed above the subtotal
+    const discountAmount = parseFloat(sale.discountAmount || 0);
+    if (discountAmount > 0) {
+      calculations.discount = {
+        label: t.discount,
+        amount: `-${formatCurrency(discountAmount, language)}`,
+        rawAmount: discountAmount
+      };
+    }
+
+    Object.assign(calculations, {
       subtotal: {
         label: t.subtotal,
         amount: formatCurrency(sale.subtotal, language),
@@ -164,13 +200,26 @@ class ReceiptService {
         label: `${t.vat} (${(parseFloat(sale.vatRate || 0.15) * 100).toFixed(2)}%)`,
         amount: formatCurrency(sale.vatAmount, language),
         rawAmount: parseFloat(sale.vatAmount)
-      },
+      }
+    });
+
+    // The delivery fee is charged after VAT, between the VAT line and the total
+    const deliveryFee = parseFloat(sale.deliveryFee || 0);
+    if (deliveryFee > 0) {
+      calculations.deliveryFee = {
+        label: t.deliveryFee,
+        amount: formatCurrency(deliveryFee, language),
+        rawAmount: deliveryFee
+      };
+    }
+
+    Object.assign(calculations, {
       total: {
         label: t.totalAmount,
         amount: formatCurrency(sale.totalAmount, language),
         rawAmount: parseFloat(sale.totalAmount)
       }
-    };
+    });
 
     return calculations;
   }
@@ -183,7 +232,12 @@ class ReceiptService {
       'cash': t.cash,
       'card': t.card,
       'mobile': t.mobile,
-      'other': t.other
+      'payhere': t.payhere,
+      'gift_voucher': t.giftVoucher,
+      'store_credit': t.storeCredit,
+      'loyalty_points': t.loyaltyPoints,
+      'other': t.other,
+      'mixed': t.mixed
     };
 
     const paymentInfo = {
@@ -198,8 +252,17 @@ class ReceiptService {
       }
     };
 
-    // Add change for cash payments
-    if (sale.paymentMethod === 'cash' && sale.changeGiven > 0) {
+    // One line per tender when the sale was paid with more than one
+    if (sale.tenders && sale.tenders.length > 1) {
+      paymentInfo.tenders = sale.tenders.map(tender => ({
+        label: paymentMethodMap[tender.paymentMethod] || tender.paymentMethod,
+        amount: formatCurrency(tender.amount, language),
+        rawAmount: parseFloat(tender.amount)
+      }));
+    }
+
+    // Add change for cash payments (mixed tenders give change from their cash part)
+    if ((sale.paymentMethod === 'cash' || sale.paymentMethod === 'mixed') && sale.changeGiven > 0) {
       paymentInfo.change = {
         label: t.change,
         amount: formatCurrency(sale.changeGiven, language),
@@ -207,6 +270,15 @@ class ReceiptService {
       };
     }
 
+    // Tips are shown apart from the bill total
+    if (parseFloat(sale.tipAmount || 0) > 0) {
+      paymentInfo.tip = {
+        label: t.tip,
+        amount: formatCurrency(sale.tipAmount, language),
+        rawAmount: parseFloat(sale.tipAmount)
+      };
+    }
+
     // Add split bill info if applicable
     if (sale.isSplit) {
       paymentInfo.splitBill = {
@@ -218,6 +290,36 @@ class ReceiptService {
     return paymentInfo;
   }
 
+  /**
+   * Generate the loyalty points section (customer's balance after this sale)
+   */
+  static generateLoyaltyInfo(summary, language = 'english') {
+    if (!summary) {
+      return null;
+    }
+
+    const t = getLanguageTranslations(language);
+    const loyalty = {
+      balance: { label: t.pointsBalance, value: summary.balance }
+    };
+
+    if (summary.pointsEarned > 0) {
+      loyalty.earned = { label: t.pointsEarned, value: summary.pointsEarned };
+    }
+    if (summary.pointsRedeemed > 0) {
+      loyalty.redeemed = {
+        label: t.pointsRedeemed,
+        value: summary.pointsRedeemed,
+        amount: formatCurrency(summary.redemptionAmount, language)
+      };
+    }
+    if (summary.tier) {
+      loyalty.tier = { label: t.memberTier, value: summary.tier };
+    }
+
+    return loyalty;
+  }
+
   /**
    * Generate footer section
    */
@@ -277,26 +379,57 @@ class ReceiptService {
       text += `Table No: ${info.tableNo}\n`;
     }
     text += `Cashier: ${info.cashier}\n`;
+    if (info.customer) {
+      text += `Customer: ${info.customer}\n`;
+    }
+    if (template.deliveryInfo) {
+      text += `${template.deliveryInfo.label}: ${template.deliveryInfo.address}\n`;
+    }
     text += '-'.repeat(48) + '\n';
     
     // Items
     text += 'Item'.padEnd(25) + 'Qty'.padEnd(8) + 'Price'.padEnd(15) + '\n';
     text += '-'.repeat(48) + '\n';
     
+    let currentCombo = null;
     template.items.forEach(item => {
+      // Combo components are printed under their bundle name
+      if (item.comboLine && item.comboLine !== currentCombo) {
+        text += `${item.comboName}\n`;
+      }
+      currentCombo = item.comboLine || null;
+
       text += item.name.substring(0, 25).padEnd(25);
       text += item.quantity.toString().padEnd(8);
       text += item.total.padEnd(15) + '\n';
+      (item.modifiers || []).forEach(modifier => {
+        text += `  ${modifier}`.substring(0, 48) + '\n';
+      });
+      if (item.discount) {
+        const promoName = item.promotions && item.promotions.length > 0 ? item.promotions.join(', ') : 'Discount';
+        text += `  ${promoName}`.substring(0, 33).padEnd(33);
+        text += `-${item.discount}`.padEnd(15) + '\n';
+      }
     });
     
     text += '-'.repeat(48) + '\n';
     
     // Calculations
+    if (template.calculations.discount) {
+      text += template.calculations.discount.label.padEnd(33);
+      text += template.calculations.discount.amount.padStart(15) + '\n';
+    }
+
     text += template.calculations.subtotal.label.padEnd(33);
     text += template.calculations.subtotal.amount.padStart(15) + '\n';
     
     text += template.calculations.vat.label.padEnd(33);
     text += template.calculations.vat.amount.padStart(15) + '\n';
+
+    if (template.calculations.deliveryFee) {
+      text += template.calculations.deliveryFee.label.padEnd(33);
+      text += template.calculations.deliveryFee.amount.padStart(15) + '\n';
+    }
     
     text += '='.repeat(48) + '\n';
     text += template.calculations.total.label.toUpperCase().padEnd(33);
@@ -305,11 +438,33 @@ class ReceiptService {
     
     // Payment Info
     text += `\n${template.paymentInfo.method.label}: ${template.paymentInfo.method.value}\n`;
+    (template.paymentInfo.tenders || []).forEach(tender => {
+      text += `  ${tender.label}`.padEnd(33) + tender.amount.padStart(15) + '\n';
+    });
     text += `${template.paymentInfo.amountPaid.label}: ${template.paymentInfo.amountPaid.amount}\n`;
     
+    if (template.paymentInfo.tip) {
+      text += `${template.paymentInfo.tip.label}: ${template.paymentInfo.tip.amount}\n`;
+    }
+
     if (template.paymentInfo.change) {
       text += `${template.paymentInfo.change.label}: ${template.paymentInfo.change.amount}\n`;
     }
+
+    // Loyalty points
+    if (template.loyalty) {
+      text += '-'.repeat(48) + '\n';
+      if (template.loyalty.tier) {
+        text += `${template.loyalty.tier.label}: ${template.loyalty.tier.value}\n`;
+      }
+      if (template.loyalty.earned) {
+        text += `${template.loyalty.earned.label}: ${template.loyalty.earned.value}\n`;
+      }
+      if (template.loyalty.redeemed) {
+        text += `${template.loyalty.redeemed.label}: ${template.loyalty.redeemed.value} (${template.loyalty.redeemed.amount})\n`;
+      }
+      text += `${template.loyalty.balance.label}: ${template.loyalty.balance.value}\n`;
+    }
     
     // Special Notes
     if (template.specialNotes) {
@@ -439,6 +594,8 @@ class ReceiptService {
       <div>Order Type: ${template.receiptInfo.orderType}</div>
       ${template.receiptInfo.tableNo ? `<div>Table No: ${template.receiptInfo.tableNo}</div>` : ''}
       <div>Cashier: ${template.receiptInfo.cashier}</div>
+      ${template.receiptInfo.customer ? `<div>Customer: ${template.receiptInfo.customer}</div>` : ''}
+      ${template.deliveryInfo ? `<div>${template.deliveryInfo.label}: ${template.deliveryInfo.address}</div>` : ''}
     </div>
     
     <table class="items-table">
@@ -452,15 +609,25 @@ class ReceiptService {
       <tbody>
         ${template.items.map(item => `
           <tr>
-            <td>${item.name}</td>
+            <td>${item.name}${item.modifiers ? item.modifiers.map(m => `<br><small>${m}</small>`).join('') : ''}</td>
             <td>${item.quantity}</td>
             <td style="text-align: right;">${item.total}</td>
           </tr>
+          ${item.discount ? `
+          <tr>
+            <td colspan="2">&nbsp;&nbsp;${(item.promotions && item.promotions.length > 0) ? item.promotions.join(', ') : 'Discount'}</td>
+            <td style="text-align: right;">-${item.discount}</td>
+          </tr>` : ''}
         `).join('')}
       </tbody>
     </table>
     
     <div class="calculations">
+      ${template.calculations.discount ? `
+      <div class="calc-row">
+        <span>${template.calculations.discount.label}</span>
+        <span>${template.calculations.discount.amount}</span>
+      </div>` : ''}
       <div class="calc-row">
         <span>${template.calculations.subtotal.label}</span>
         <span>${template.calculations.subtotal.amount}</span>
@@ -469,6 +636,11 @@ class ReceiptService {
         <span>${template.calculations.vat.label}</span>
         <span>${template.calculations.vat.amount}</span>
       </div>
+      ${template.calculations.deliveryFee ? `
+      <div class="calc-row">
+        <span>${template.calculations.deliveryFee.label}</span>
+        <span>${template.calculations.deliveryFee.amount}</span>
+      </div>` : ''}
       <div class="calc-row total-row">
         <span>${template.calculations.total.label}</span>
         <span>${template.calculations.total.amount}</span>
@@ -480,10 +652,22 @@ class ReceiptService {
         <span>${template.paymentInfo.method.label}</span>
         <span>${template.paymentInfo.method.value}</span>
       </div>
+      ${(template.paymentInfo.tenders || []).map(tender => `
+        <div class="calc-row">
+          <span>&nbsp;&nbsp;${tender.label}</span>
+          <span>${tender.amount}</span>
+        </div>
+      `).join('')}
       <div class="calc-row">
         <span>${template.paymentInfo.amountPaid.label}</span>
         <span>${template.paymentInfo.amountPaid.amount}</span>
       </div>
+      ${template.paymentInfo.tip ? `
+        <div class="calc-row">
+          <span>${template.paymentInfo.tip.label}</span>
+          <span>${template.paymentInfo.tip.amount}</span>
+        </div>
+      ` : ''}
       ${template.paymentInfo.change ? `
         <div class="calc-row">
           <span>${template.paymentInfo.change.label}</span>
@@ -491,6 +675,33 @@ class ReceiptService {
         </div>
       ` : ''}
     </div>
+
+    ${template.loyalty ? `
+      <div class="payment-info">
+        ${template.loyalty.tier ? `
+          <div class="calc-row">
+            <span>${template.loyalty.tier.label}</span>
+            <span>${template.loyalty.tier.value}</span>
+          </div>
+        ` : ''}
+        ${template.loyalty.earned ? `
+          <div class="calc-row">
+            <span>${template.loyalty.earned.label}</span>
+            <span>${template.loyalty.earned.value}</span>
+          </div>
+        ` : ''}
+        ${template.loyalty.redeemed ? `
+          <div class="calc-row">
+            <span>${template.loyalty.redeemed.label}</span>
+            <span>${template.loyalty.redeemed.value} (${template.loyalty.redeemed.amount})</span>
+          </div>
+        ` : ''}
+        <div class="calc-row">
+          <span>${template.loyalty.balance.label}</span>
+          <span>${template.loyalty.balance.value}</span>
+        </div>
+      </div>
+    ` : ''}
     
     ${template.specialNotes ? `
       <div class="notes">
@@ -514,6 +725,159 @@ class ReceiptService {
     `.trim();
   }
 
+  /**
+   * Generate a printable template for an X or Z shift report
+   * @param {Object} report - Report from shiftReportService (X) or ZReport.report (Z)
+   * @param {String} language - Language for company info and amounts
+   */
+  static generateShiftReportTemplate(report, language = 'english') {
+    const t = getLanguageTranslations(language);
+    const money = (amount) => formatCurrency(amount || 0, language);
+    const breakdownRows = (breakdown) => Object.entries(breakdown || {}).map(([key, entry]) => ({
+      label: `${key} (${entry.count})`,
+      amount: money(entry.amount)
+    }));
+
+    const sections = [
+      {
+        title: 'Sales',
+        rows: [
+          { label: 'Transactions', value: String(report.summary.transactionCount) },
+          { label: 'Net of VAT', amount: money(report.summary.subtotal) },
+          { label: 'VAT', amount: money(report.summary.vatAmount) },
+          { label: 'Total Sales', amount: money(report.summary.totalSales) },
+          { label: 'Refunds', amount: `-${money(report.refunds.amount)}` },
+          { label: 'Net Sales', amount: money(report.netSales) },
+          { label: 'Average Bill', amount: money(report.summary.averageBill) }
+        ]
+      },
+      { title: 'Payment Methods', rows: breakdownRows(report.byPaymentMethod) },
+      { title: 'Order Types', rows: breakdownRows(report.byOrderType) },
+      {
+        title: 'VAT Rates',
+        rows: report.byVatRate.map(rate => ({
+          label: `${(rate.vatRate * 100).toFixed(2)}% on ${money(rate.taxableAmount)}`,
+          amount: money(rate.vatAmount)
+        }))
+      },
+      {
+        title: 'Discounts',
+        rows: [
+          { label: `Total (${report.discounts.discountedSales} bills)`, amount: money(report.discounts.total) },
+          ...report.discounts.byPromotion.map(promotion => ({
+            label: `${promotion.name} (${promotion.count})`,
+            amount: money(promotion.amount)
+          }))
+        ]
+      },
+      {
+        title: 'Refunds & Voids',
+        rows: [
+          ...breakdownRows(report.refunds.byPaymentMethod).map(row => ({ ...row, label: `Refund ${row.label}` })),
+          { label: `Voided bills (${report.voids.count})`, amount: money(report.voids.amount) },
+          { label: `Open tabs (${report.openTabs.count})`, amount: money(report.openTabs.amount) }
+        ]
+      },
+      // Z reports stored before tips were recorded have no tips section
+      ...(report.tips ? [{
+        title: 'Tips (not in sales)',
+        rows: [
+          ...breakdownRows(report.tips.byPaymentMethod),
+          { label: `Total (${report.tips.count})`, amount: money(report.tips.amount) }
+        ]
+      }] : []),
+      {
+        title: 'Cash Drawers',
+        rows: [
+          ...report.cashDrawers.drawers.map(drawer => ({
+            label: `#${drawer.id} ${drawer.cashierName}`,
+            amount: drawer.status === 'open' ? 'OPEN' : money(drawer.variance)
+          })),
+          { label: 'Expected Cash', amount: money(report.cashDrawers.expectedCash) },
+          { label: 'Counted Cash', amount: money(report.cashDrawers.countedCash) },
+          { label: 'Over / Short', amount: money(report.cashDrawers.variance) }
+        ]
+      }
+    ];
+
+    return {
+      companyInfo: this.generateCompanyInfo(t),
+      header: {
+        title: report.reportType === 'Z' ? `Z REPORT #${report.zNumber}` : 'X REPORT',
+        type: report.reportType
+      },
+      reportInfo: {
+        businessDate: report.businessDate || null,
+        from: `${formatDate(report.periodStart, language)} ${formatTime(report.periodStart, language)}`,
+        to: `${formatDate(report.periodEnd, language)} ${formatTime(report.periodEnd, language)}`,
+        generatedBy: report.generatedByName || null
+      },
+      sections,
+      footer: {
+        note: report.reportType === 'Z' ? 'End of day - totals closed' : 'Mid-shift - totals not reset'
+      }
+    };
+  }
+
+  /**
+   * Convert a shift report template to plain text for the receipt printer
+   */
+  static shiftReportToPlainText(template) {
+    let text = '';
+
+    text += '='.repeat(48) + '\n';
+    text += template.companyInfo.name.toUpperCase().padStart(32) + '\n';
+    text += template.companyInfo.vatNumber + '\n';
+    text += '='.repeat(48) + '\n';
+    text += template.header.title.padStart(30) + '\n';
+    text += '='.repeat(48) + '\n';
+
+    const info = template.reportInfo;
+    if (info.businessDate) {
+      text += `Business Day: ${info.businessDate}\n`;
+    }
+    text += `From: ${info.from}\n`;
+    text += `To:   ${info.to}\n`;
+    if (info.generatedBy) {
+      text += `By:   ${info.generatedBy}\n`;
+    }
+
+    template.sections.forEach(section => {
+      text += '-'.repeat(48) + '\n';
+      text += section.title.toUpperCase() + '\n';
+      section.rows.forEach(row => {
+        text += row.label.substring(0, 33).padEnd(33);
+        text += (row.amount || row.value || '').padStart(15) + '\n';
+      });
+    });
+
+    text += '='.repeat(48) + '\n';
+    text += template.footer.note.padStart(36) + '\n';
+    text += '='.repeat(48) + '\n';
+
+    return text;
+  }
+
+  /**
+   * Convert a shift report template to HTML
+   */
+  static shiftReportToHTML(template) {
+    const escape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${escape(template.header.title)}</title>
+</head>
+<body>
+  <pre style="font-family: 'Courier New', monospace; max-width: 400px; margin: 0 auto;">${escape(this.shiftReportToPlainText(template))}</pre>
+</body>
+</html>
+    `.trim();
+  }
+
   /**
    * Create and save receipt record
    */
@@ -525,11 +889,12 @@ class ReceiptService {
       deliveryMethod = null,
       ipAddress = null,
       userAgent = null,
-      metadata = {}
+      metadata = {},
+      saleSnapshot = null
     } = options;
 
-    // Fetch sale with all related data
-    const sale = await Sale.findByPk(saleId);
+    // Fetch sale with all related data (refund receipts pass a snapshot of the refunded lines)
+    const sale = saleSnapshot || await Sale.findByPk(saleId);
     if (!sale) {
       throw new Error('Sale not found');
     }
@@ -540,10 +905,14 @@ class ReceiptService {
     // Generate receipt template
     const template = this.generateReceipt(sale, language, receiptType);
 
+    // Print the customer's points balance as it stands now
+    template.loyalty = this.generateLoyaltyInfo(await loyaltyService.getReceiptSummary(sale), language);
+
     // Create receipt record
     const receipt = await Receipt.create({
       receiptNumber,
       saleId,
+      customerId: sale.customerId || null,
       receiptType,
       format,
       language,
@@ -551,7 +920,7 @@ class ReceiptService {
       templateVersion: '1.0',
       receiptData: {
         template,
-        sale: sale.toJSON()
+        sale: saleSnapshot || sale.toJSON()
       },
       deliveryMethod,
       deliveryStatus: format === 'print' ? 'pending' : 'pending',
@@ -0,0 +1,361 @@
+const { PaymentTransaction, KitchenOrder } = require('../models');
+const ingredientService = require('./ingredientService');
+const ReceiptService = require('./receiptService');
+const loyaltyService = require('./loyaltyService');
+
+// Kitchen order states in which a pending item has not been started
+const UNSTARTED_ORDER_STATUSES = ['unpaid', 'pending'];
+
+/**
+ * Refund Service
+ * Works out what a refund covers (whole lines, part quantities or a lump amount),
+ * keeps the sale's running refund totals and per-line refunded quantities,
+ * restocks unprepared items with the refund and issues the refund receipt
+ */
+class RefundService {
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Amounts still refundable on a sale
+   * @param {Object} sale - Sale record
+   * @returns {Object} - { amount, vatAmount }
+   */
+  getRemaining(sale) {
+    return {
+      amount: this.round(parseFloat(sale.totalAmount) - parseFloat(sale.refundedAmount || 0)),
+      vatAmount: this.round(parseFloat(sale.vatAmount) - parseFloat(sale.refundedVatAmount || 0))
+    };
+  }
+
+  /**
+   * Work out an item-level refund. Each requested line is an index into
+   * sale.items with the quantity being returned; the line's subtotal, VAT and
+   * discount are prorated by quantity.
+   * @param {Object} sale - Sale record
+   * @param {Array} items - [{ line, quantity, restock }]
+   * @returns {Object} - { lines, subtotal, vatAmount, totalAmount, isFullRefund }
+   */
+  calculateItemRefund(sale, items) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    };
+
+    const saleItems = sale.items || [];
+    const requested = new Map();
+
+    for (const item of items) {
+      const index = parseInt(item.line);
+      const quantity = parseInt(item.quantity);
+
+      if (!saleItems[index]) {
+        fail(`Sale has no item line ${item.line}`);
+      }
+      if (!(quantity > 0)) {
+        fail(`Refund quantity for line ${index} must be at least 1`);
+      }
+
+      // The same line may be listed twice; combine the quantities
+      const existing = requested.get(index);
+      requested.set(index, {
+        quantity: (existing ? existing.quantity : 0) + quantity,
+        restock: Boolean(item.restock) || Boolean(existing && existing.restock)
+      });
+    }
+
+    const lines = [];
+    for (const [index, request] of requested) {
+      const saleItem = saleItems[index];
+      const remainingQuantity = saleItem.quantity - (saleItem.refundedQuantity || 0);
+
+      if (request.quantity > remainingQuantity) {
+        fail(`Only ${remainingQuantity} of ${saleItem.productName} can still be refunded`);
+      }
+
+      const share = request.quantity / saleItem.quantity;
+
+      lines.push({
+        line: index,
+        product: saleItem.product,
+        productName: saleItem.productName,
+        itemType: saleItem.itemType,
+        quantity: request.quantity,
+        unitPrice: saleItem.unitPrice,
+        discountAmount: this.round(parseFloat(saleItem.discountAmount || 0) * share),
+        subtotal: this.round(parseFloat(saleItem.subtotal || 0) * share),
+        vatAmount: this.round(parseFloat(saleItem.vatAmount || 0) * share),
+        totalWithVAT: this.round(parseFloat(saleItem.totalWithVAT || saleItem.subtotal || 0) * share),
+        modifiers: saleItem.modifiers || [],
+        ...(saleItem.comboId && {
+          comboId: saleItem.comboId,
+          comboName: saleItem.comboName,
+          comboLine: saleItem.comboLine
+        }),
+        restock: request.restock && saleItem.itemType === 'menu-item'
+      });
+    }
+
+    const isFullRefund = saleItems.every((saleItem, index) => {
+      const line = lines.find(l => l.line === index);
+      return (saleItem.refundedQuantity || 0) + (line ? line.quantity : 0) >= saleItem.quantity;
+    });
+
+    let subtotal = this.round(lines.reduce((sum, l) => sum + l.subtotal, 0));
+    let vatAmount = this.round(lines.reduce((sum, l) => sum + l.vatAmount, 0));
+    let totalAmount = this.round(lines.reduce((sum, l) => sum + l.totalWithVAT, 0));
+    const remaining = this.getRemaining(sale);
+
+    if (isFullRefund) {
+      // Returning the last items refunds whatever is left, so service charge and
+      // rounding differences do not leave a residue on the sale
+      totalAmount = remaining.amount;
+      vatAmount = remaining.vatAmount;
+      subtotal = this.round(totalAmount - vatAmount);
+    } else if (totalAmount > remaining.amount) {
+      // Lump-amount refunds may already have paid back part of these lines;
+      // never refund more than is left on the sale
+      vatAmount = Math.min(this.round(vatAmount * (remaining.amount / totalAmount)), remaining.vatAmount);
+      totalAmount = remaining.amount;
+      subtotal = this.round(totalAmount - vatAmount);
+    }
+
+    return { lines, subtotal, vatAmount, totalAmount, isFullRefund };
+  }
+
+  /**
+   * Work out a lump-amount refund. The VAT portion follows the sale's VAT share.
+   * @param {Object} sale - Sale record
+   * @param {Number} amount - Amount to refund
+   * @returns {Object} - { lines, subtotal, vatAmount, totalAmount, isFullRefund }
+   */
+  calculateAmountRefund(sale, amount) {
+    const remaining = this.getRemaining(sale);
+    const totalAmount = this.round(parseFloat(amount));
+
+    if (totalAmount > remaining.amount) {
+      const error = new Error(`Refund amount exceeds the refundable balance of ${remaining.amount.toFixed(2)}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const isFullRefund = totalAmount === remaining.amount;
+    const vatAmount = isFullRefund
+      ? remaining.vatAmount
+      : this.round(totalAmount * (parseFloat(sale.vatAmount) / parseFloat(sale.totalAmount)));
+
+    return {
+      lines: [],
+      subtotal: this.round(totalAmount - vatAmount),
+      vatAmount,
+      totalAmount,
+      isFullRefund
+    };
+  }
+
+  /**
+   * Work out a refund from the request: item lines when given, otherwise the lump amount
+   * @param {Object} sale - Sale record
+   * @param {Object} refundData - { items, amount }
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Object>} - Refund calculation
+   */
+  async calculateRefund(sale, { items, amount }, transaction = null) {
+    if (sale.status === 'refunded') {
+      const error = new Error('Sale has already been refunded');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (this.getRemaining(sale).amount <= 0) {
+      const error = new Error('Nothing is left to refund on this sale');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (Array.isArray(items) && items.length > 0) {
+      const refund = this.calculateItemRefund(sale, items);
+      await this.checkRestock(sale, refund.lines, transaction);
+      return refund;
+    }
+
+    if (!amount) {
+      const error = new Error('Either refund items or a refund amount is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return this.calculateAmountRefund(sale, amount);
+  }
+
+  /**
+   * Refuse to restock lines the kitchen has already started. A line's kitchen
+   * items are matched by product (and round, on tabs); an item counts as
+   * unstarted while it is pending and either held or on a ticket the kitchen
+   * has not picked up.
+   * @param {Object} sale - Sale record
+   * @param {Array} lines - Refund lines
+   * @param {Object} transaction - Optional Sequelize transaction
+   */
+  async checkRestock(sale, lines, transaction = null) {
+    const restocking = lines.filter(line => line.restock);
+    if (restocking.length === 0) {
+      return;
+    }
+
+    const orders = await KitchenOrder.findAll({ where: { saleId: sale.id }, transaction });
+
+    for (const line of restocking) {
+      const saleItem = sale.items[line.line];
+      const started = orders.some(order => (order.items || []).some(item =>
+        Number(item.product || item.productId) === Number(saleItem.product) &&
+        (item.round || null) === (saleItem.round || null) &&
+        !(item.status === 'pending' && (item.held || UNSTARTED_ORDER_STATUSES.includes(order.status)))
+      ));
+
+      if (started) {
+        const error = new Error(`${saleItem.productName} has already been started in the kitchen and cannot be restocked`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Record a refund on the sale: refunded quantities per line and the running
+   * totals. The sale only becomes 'refunded' once nothing is left to refund.
+   * Loyalty points earned on the refunded amount are reversed and unprepared
+   * items are restocked, all in the refund's transaction.
+   * @param {Object} sale - Sale record
+   * @param {Object} refund - Refund calculation
+   * @param {Number} userId - User processing the refund
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - Ingredients put back into stock
+   */
+  async applyRefundToSale(sale, refund, userId, transaction = null) {
+    const items = (sale.items || []).map((item, index) => {
+      const line = refund.lines.find(l => l.line === index);
+      if (!line) {
+        return item;
+      }
+      return {
+        ...item,
+        refundedQuantity: (item.refundedQuantity || 0) + line.quantity
+      };
+    });
+
+    await sale.update({
+      items,
+      refundedAmount: this.round(parseFloat(sale.refundedAmount || 0) + refund.totalAmount),
+      refundedVatAmount: this.round(parseFloat(sale.refundedVatAmount || 0) + refund.vatAmount),
+      ...(refund.isFullRefund && { status: 'refunded' })
+    }, { transaction });
+
+    // Take back loyalty points earned on the refunded part of the sale
+    await loyaltyService.reverseForSale(sale, { reason: 'refund' }, transaction);
+
+    const reversion = await this.restockRefundedItems(sale, refund, userId, transaction);
+    return reversion && reversion.reversions ? reversion.reversions : [];
+  }
+
+  /**
+   * Put back the ingredients of refunded items that were never prepared
+   * @param {Object} sale - Sale record
+   * @param {Object} refund - Refund calculation
+   * @param {Number} userId - User processing the refund
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Object|null>} - Reversion result
+   */
+  async restockRefundedItems(sale, refund, userId, transaction = null) {
+    const lines = refund.lines
+      .filter(line => line.restock)
+      .map(line => ({
+        menuItemId: line.product,
+        quantity: line.quantity,
+        modifierIds: line.modifiers.map(m => m.modifierId).filter(Boolean)
+      }));
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    return ingredientService.revertDeductionForOrder('sale', sale.id, userId, lines, transaction);
+  }
+
+  /**
+   * Issue a refund receipt that lists only the refunded lines
+   * @param {Object} sale - Sale record
+   * @param {Object} refund - Refund calculation
+   * @param {Object} refundTransaction - Refund PaymentTransaction
+   * @param {Number} userId - User processing the refund
+   * @param {String} userName - User name
+   * @returns {Promise<Object>} - { receipt, template }
+   */
+  async createRefundReceipt(sale, refund, refundTransaction, userId, userName) {
+    const snapshot = {
+      ...sale.toJSON(),
+      items: refund.lines,
+      discountAmount: this.round(refund.lines.reduce((sum, l) => sum + l.discountAmount, 0)),
+      subtotal: refund.subtotal,
+      vatAmount: refund.vatAmount,
+      totalAmount: refund.totalAmount,
+      amountPaid: refund.totalAmount,
+      changeGiven: 0,
+      isSplit: false,
+      saleDate: refundTransaction.refundedAt
+    };
+
+    return ReceiptService.createReceipt(sale.id, userId, userName, {
+      receiptType: 'refund',
+      saleSnapshot: snapshot,
+      metadata: {
+        refundTransactionId: refundTransaction.transactionId,
+        refundNumber: refundTransaction.receiptNumber
+      }
+    });
+  }
+
+  /**
+   * Follow-up once the refund is committed: issue the refund receipt.
+   * Money has already moved at this point, so a failure is logged rather than thrown.
+   * @returns {Promise<String|null>} - Refund receipt number
+   */
+  async completeRefund(sale, refund, refundTransaction, userId, userName) {
+    try {
+      const { receipt } = await this.createRefundReceipt(sale, refund, refundTransaction, userId, userName);
+      return receipt.receiptNumber;
+    } catch (error) {
+      console.error(`Failed to create refund receipt for sale ${sale.saleNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Count the refunds already recorded against a card payment or a sale
+   * @param {Object} scope - { refundOfId } for a payment, { saleId } for a sale
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Number>}
+   */
+  async countRefunds(scope, transaction = null) {
+    return PaymentTransaction.count({
+      where: { ...scope, transactionType: 'refund' },
+      transaction
+    });
+  }
+
+  /**
+   * Reference number for a refund; later partial refunds on the same sale get a suffix
+   * @param {String} base - Original sale or payment receipt number
+   * @param {Number} previousRefunds - Number of earlier refunds on the sale
+   */
+  getRefundNumber(base, previousRefunds) {
+    return previousRefunds > 0 ? `REF-${base}-${previousRefunds + 1}` : `REF-${base}`;
+  }
+}
+
+module.exports = new RefundService();
@@ -1,8 +1,25 @@
 const { Op } = require('sequelize');
-const { Sale, Expense, Product, MenuItem, User, AuditLog, PriceHistory } = require('../models');
+const { Sale, Expense, Product, MenuItem, User, AuditLog, PriceHistory, GiftVoucher, GiftVoucherTransaction } = require('../models');
+const giftVoucherService = require('./giftVoucherService');
 const sequelize = require('sequelize');
 
 class ReportService {
+    /**
+     * Line revenue after promotional discounts
+     */
+    getItemRevenue(item) {
+        const price = parseFloat(item.unitPrice || 0);
+        return (price * item.quantity) - parseFloat(item.discountAmount || 0);
+    }
+
+    /**
+     * Line profit: discounted revenue minus cost of goods
+     */
+    getItemProfit(item) {
+        const cost = parseFloat(item.costPrice || 0);
+        return this.getItemRevenue(item) - (cost * item.quantity);
+    }
+
     /**
      * Get Daily Sales Report
      */
@@ -27,9 +44,7 @@ class ReportService {
         sales.forEach(sale => {
             const items = typeof sale.items === 'string' ? JSON.parse(sale.items) : sale.items;
             items.forEach(item => {
-                const cost = parseFloat(item.costPrice || 0);
-                const price = parseFloat(item.unitPrice || 0);
-                totalProfit += (price - cost) * item.quantity;
+                totalProfit += this.getItemProfit(item);
             });
         });
 
@@ -68,9 +83,7 @@ class ReportService {
         sales.forEach(sale => {
             const items = typeof sale.items === 'string' ? JSON.parse(sale.items) : sale.items;
             items.forEach(item => {
-                const cost = parseFloat(item.costPrice || 0);
-                const price = parseFloat(item.unitPrice || 0);
-                totalSalesProfit += (price - cost) * item.quantity;
+                totalSalesProfit += this.getItemProfit(item);
             });
         });
 
@@ -110,9 +123,7 @@ class ReportService {
         sales.forEach(sale => {
             const items = typeof sale.items === 'string' ? JSON.parse(sale.items) : sale.items;
             items.forEach(item => {
-                const cost = parseFloat(item.costPrice || 0);
-                const price = parseFloat(item.unitPrice || 0);
-                const profit = (price - cost) * item.quantity;
+                const profit = this.getItemProfit(item);
 
                 overallSalesProfit += profit;
 
@@ -125,7 +136,7 @@ class ReportService {
                     };
                 }
                 itemProfits[item.productName].quantity += item.quantity;
-                itemProfits[item.productName].revenue += price * item.quantity;
+                itemProfits[item.productName].revenue += this.getItemRevenue(item);
                 itemProfits[item.productName].profit += profit;
             });
         });
@@ -161,9 +172,7 @@ class ReportService {
                     };
                 }
                 stats[item.productName].quantity += item.quantity;
-                const cost = parseFloat(item.costPrice || 0);
-                const price = parseFloat(item.unitPrice || 0);
-                stats[item.productName].profit += (price - cost) * item.quantity;
+                stats[item.productName].profit += this.getItemProfit(item);
             });
         });
 
@@ -176,6 +185,93 @@ class ReportService {
         };
     }
 
+    /**
+     * Gift Voucher Liability
+     * Unredeemed gift voucher and store credit balances are owed to the
+     * holders, so they are a liability rather than revenue; a voucher only
+     * becomes revenue through the sale it is redeemed on. Balances written
+     * off at expiry are breakage. Read from the voucher ledger, so any past
+     * date can be reported.
+     */
+    async getGiftVoucherLiability(asOf = null) {
+        const asOfDate = asOf ? new Date(asOf) : new Date();
+
+        // Write off vouchers that have expired but not been looked up since
+        if (asOfDate >= new Date()) {
+            await giftVoucherService.expireDueVouchers();
+        }
+
+        const rows = await GiftVoucherTransaction.findAll({
+            where: { createdAt: { [Op.lte]: asOfDate } },
+            include: [{ model: GiftVoucher, as: 'voucher', attributes: [] }],
+            attributes: [
+                [sequelize.col('voucher.type'), 'voucherType'],
+                'type',
+                [sequelize.fn('COUNT', sequelize.col('GiftVoucherTransaction.id')), 'count'],
+                [sequelize.fn('SUM', sequelize.col('GiftVoucherTransaction.amount')), 'amount']
+            ],
+            group: [sequelize.col('voucher.type'), 'GiftVoucherTransaction.type'],
+            raw: true
+        });
+
+        const round = amount => Math.round(amount * 100) / 100;
+        const emptyTotals = () => ({
+            issuedCount: 0,
+            issued: 0,
+            redeemed: 0,
+            expired: 0,
+            voided: 0,
+            outstanding: 0
+        });
+        const byType = {
+            gift_voucher: emptyTotals(),
+            store_credit: emptyTotals()
+        };
+
+        rows.forEach(row => {
+            const totals = byType[row.voucherType];
+            const amount = parseFloat(row.amount || 0);
+
+            totals.outstanding = round(totals.outstanding + amount);
+            if (row.type === 'issue') {
+                totals.issuedCount += parseInt(row.count);
+                totals.issued = round(totals.issued + amount);
+            } else if (row.type === 'redeem' || row.type === 'reversal') {
+                // Reversals put back redemptions from voided sales
+                totals.redeemed = round(totals.redeemed - amount);
+            } else if (row.type === 'expire') {
+                totals.expired = round(totals.expired - amount);
+            } else if (row.type === 'void') {
+                totals.voided = round(totals.voided - amount);
+            }
+        });
+
+        // Vouchers with value left that expire in the next 30 days
+        const expiringSoon = await GiftVoucher.findAll({
+            where: {
+                status: 'active',
+                expiresAt: {
+                    [Op.between]: [asOfDate, new Date(asOfDate.getTime() + 30 * 24 * 60 * 60 * 1000)]
+                }
+            },
+            attributes: ['code', 'balance', 'expiresAt'],
+            order: [['expiresAt', 'ASC']]
+        });
+
+        return {
+            asOf: asOfDate,
+            totalLiability: round(byType.gift_voucher.outstanding + byType.store_credit.outstanding),
+            giftVouchers: byType.gift_voucher,
+            storeCredit: byType.store_credit,
+            breakage: round(byType.gift_voucher.expired + byType.store_credit.expired),
+            expiringWithin30Days: {
+                count: expiringSoon.length,
+                amount: round(expiringSoon.reduce((sum, v) => sum + parseFloat(v.balance), 0)),
+                vouchers: expiringSoon
+            }
+        };
+    }
+
     /**
      * Get Remote Monitoring Dashboard Stats
      */
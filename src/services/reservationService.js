@@ -0,0 +1,890 @@
+const { Op } = require('sequelize');
+const { sequelize, Table, Reservation, WaitlistEntry } = require('../models');
+const customerService = require('./customerService');
+
+const MINUTE = 60 * 1000;
+
+// Booked and seated reservations take up their table for the time slot
+const ACTIVE_STATUSES = ['booked', 'seated'];
+const WAITING_STATUSES = ['waiting', 'notified'];
+
+/**
+ * Reservation Service
+ * Table bookings and the walk-in waitlist. Tables are allocated by capacity
+ * and location and a table can't be booked twice for overlapping slots.
+ * Shortly before a booking its table is held (status reserved); once the
+ * party is seated, the order taken at the table is linked to the booking.
+ */
+class ReservationService {
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Booking settings from the environment
+   * @returns {Object} - defaultDuration, holdMinutes, noShowMinutes
+   */
+  getSettings() {
+    return {
+      defaultDuration: parseInt(process.env.RESERVATION_DEFAULT_DURATION_MINUTES) || 90,
+      holdMinutes: parseInt(process.env.RESERVATION_HOLD_MINUTES) || 15,
+      // 0 turns automatic no-shows off
+      noShowMinutes: process.env.RESERVATION_NO_SHOW_MINUTES !== undefined
+        ? parseInt(process.env.RESERVATION_NO_SHOW_MINUTES)
+        : 30
+    };
+  }
+
+  /**
+   * Short time for messages, e.g. 19:30
+   */
+  formatTime(date) {
+    return new Date(date).toTimeString().substring(0, 5);
+  }
+
+  // ==========================================================================
+  // Table allocation
+  // ==========================================================================
+
+  /**
+   * Bookings on a table that overlap a time slot
+   * @param {Number} tableId - Table ID
+   * @param {Date} start - Slot start
+   * @param {Date} end - Slot end
+   * @param {Object} options - excludeId, transaction
+   * @returns {Promise<Array>} - Overlapping reservations
+   */
+  async findConflicts(tableId, start, end, options = {}) {
+    const where = {
+      tableId,
+      status: { [Op.in]: ACTIVE_STATUSES },
+      reservedFor: { [Op.lt]: end },
+      endsAt: { [Op.gt]: start }
+    };
+    if (options.excludeId) {
+      where.id = { [Op.ne]: options.excludeId };
+    }
+
+    return Reservation.findAll({ where, order: [['reservedFor', 'ASC']], transaction: options.transaction });
+  }
+
+  /**
+   * Tables that could seat a party, smallest first so large tables are kept
+   * for large parties
+   * @param {Number} partySize - Number of guests
+   * @param {String} location - Preferred section, if any
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Array>} - Tables
+   */
+  async getCandidateTables(partySize, location = null, transaction = null) {
+    const where = {
+      isActive: true,
+      status: { [Op.ne]: 'maintenance' },
+      capacity: { [Op.gte]: partySize }
+    };
+    if (location) {
+      where.location = location;
+    }
+
+    return Table.findAll({
+      where,
+      order: [['capacity', 'ASC'], ['tableNumber', 'ASC']],
+      transaction
+    });
+  }
+
+  /**
+   * Tables free for a party over a time slot
+   * @param {Object} query - reservedFor, durationMinutes, partySize, location
+   * @returns {Promise<Object>} - { start, end, tables }
+   */
+  async getAvailability(query) {
+    const start = new Date(query.reservedFor);
+    const duration = parseInt(query.durationMinutes) || this.getSettings().defaultDuration;
+    const end = new Date(start.getTime() + duration * MINUTE);
+    const partySize = parseInt(query.partySize);
+
+    const tables = await this.getCandidateTables(partySize, query.location || null);
+    const free = [];
+    for (const table of tables) {
+      const conflicts = await this.findConflicts(table.id, start, end);
+      if (conflicts.length === 0) {
+        free.push(table);
+      }
+    }
+
+    return { start, end, partySize, tables: free };
+  }
+
+  /**
+   * Pick the table for a booking, or check the one asked for. The table row
+   * is locked so two bookings for the same slot can't both get it.
+   * @param {Object} request - partySize, start, end, location, tableId, excludeId
+   * @param {Object} transaction - Booking transaction
+   * @returns {Promise<Object>} - Table
+   */
+  async allocateTable(request, transaction) {
+    const { partySize, start, end, location, tableId, excludeId } = request;
+
+    if (tableId) {
+      const table = await Table.findByPk(tableId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!table || !table.isActive) {
+        this.fail('Table not found', 404);
+      }
+      if (table.status === 'maintenance') {
+        this.fail(`Table ${table.tableNumber} is under maintenance`);
+      }
+      if (table.capacity < partySize) {
+        this.fail(`Table ${table.tableNumber} seats ${table.capacity}; the party is ${partySize}`);
+      }
+
+      const conflicts = await this.findConflicts(table.id, start, end, { excludeId, transaction });
+      if (conflicts.length > 0) {
+        const booked = conflicts.map(r => `${this.formatTime(r.reservedFor)}-${this.formatTime(r.endsAt)} (${r.customerName})`).join(', ');
+        this.fail(`Table ${table.tableNumber} is already booked ${booked}`, 409);
+      }
+      return table;
+    }
+
+    const candidates = await this.getCandidateTables(partySize, location, transaction);
+    for (const candidate of candidates) {
+      const table = await Table.findByPk(candidate.id, { transaction, lock: transaction.LOCK.UPDATE });
+      const conflicts = await this.findConflicts(table.id, start, end, { excludeId, transaction });
+      if (conflicts.length === 0) {
+        return table;
+      }
+    }
+
+    this.fail(`No ${location ? `${location} ` : ''}table for ${partySize} is free from ${this.formatTime(start)} to ${this.formatTime(end)}`, 409);
+  }
+
+  // ==========================================================================
+  // Reservations
+  // ==========================================================================
+
+  /**
+   * List reservations
+   * @param {Object} filters - date, status, tableId, phone
+   * @returns {Promise<Array>} - Reservations by time
+   */
+  async getReservations(filters = {}) {
+    const { date, status, tableId, phone } = filters;
+    const where = {};
+
+    if (date) {
+      const start = new Date(date);
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(date);
+      end.setHours(23, 59, 59, 999);
+      where.reservedFor = { [Op.between]: [start, end] };
+    }
+    if (status) {
+      where.status = { [Op.in]: String(status).split(',') };
+    }
+    if (tableId) {
+      where.tableId = tableId;
+    }
+    if (phone) {
+      where.customerPhone = customerService.normalizePhone(phone);
+    }
+
+    return Reservation.findAll({
+      where,
+      order: [['reservedFor', 'ASC']],
+      limit: 500
+    });
+  }
+
+  /**
+   * Get a reservation
+   * @param {Number} id - Reservation ID
+   * @param {Object} transaction - Optional transaction (row is locked when given)
+   * @returns {Promise<Object>} - Reservation
+   */
+  async getReservation(id, transaction = null) {
+    const reservation = await Reservation.findByPk(id, {
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE })
+    });
+    if (!reservation) {
+      this.fail('Reservation not found', 404);
+    }
+    return reservation;
+  }
+
+  /**
+   * Book a table
+   * @param {Object} data - customerId, customerName, customerPhone, customerEmail, partySize, reservedFor, durationMinutes, location, tableId, notes
+   * @param {Object} user - Staff member taking the booking
+   * @returns {Promise<Object>} - Reservation
+   */
+  async createReservation(data, user) {
+    const settings = this.getSettings();
+    const start = new Date(data.reservedFor);
+    const duration = parseInt(data.durationMinutes) || settings.defaultDuration;
+    const end = new Date(start.getTime() + duration * MINUTE);
+    const partySize = parseInt(data.partySize);
+
+    if (start.getTime() < Date.now() - 5 * MINUTE) {
+      this.fail('Reservation time is in the past');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const customer = await customerService.resolveCustomer(
+        { customerId: data.customerId, customerPhone: data.customerPhone },
+        transaction
+      );
+
+      if (!data.customerName && !customer) {
+        this.fail('Customer name is required');
+      }
+
+      const table = await this.allocateTable({
+        partySize,
+        start,
+        end,
+        location: data.location || null,
+        tableId: data.tableId || null
+      }, transaction);
+
+      const reservation = await Reservation.create({
+        customerId: customer ? customer.id : null,
+        customerName: data.customerName || (customer ? customer.name : null),
+        customerPhone: data.customerPhone ? customerService.normalizePhone(data.customerPhone) : (customer ? customer.phone : null),
+        customerEmail: data.customerEmail || (customer ? customer.email : null),
+        partySize,
+        reservedFor: start,
+        durationMinutes: duration,
+        endsAt: end,
+        preferredLocation: data.location || null,
+        tableId: table.id,
+        tableNumber: table.tableNumber,
+        notes: data.notes || null,
+        createdBy: user.id,
+        createdByName: user.fullName
+      }, { transaction });
+
+      // A booking for the next few minutes holds its table straight away
+      if (start.getTime() - settings.holdMinutes * MINUTE <= Date.now()) {
+        await this.holdTable(reservation, transaction);
+      }
+
+      await transaction.commit();
+      return reservation;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Change a booking. A new time, party size, section or table is checked
+   * for conflicts again.
+   * @param {Number} id - Reservation ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated reservation
+   */
+  async updateReservation(id, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const reservation = await this.getReservation(id, transaction);
+      if (reservation.status !== 'booked') {
+        this.fail(`Cannot change a reservation that is ${reservation.status.replace(/_/g, ' ')}`);
+      }
+
+      const updates = {};
+      for (const field of ['customerName', 'customerEmail', 'notes']) {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      }
+      if (data.customerPhone !== undefined) {
+        updates.customerPhone = customerService.normalizePhone(data.customerPhone);
+      }
+
+      const rescheduled = ['reservedFor', 'durationMinutes', 'partySize', 'location', 'tableId']
+        .some(field => data[field] !== undefined);
+
+      if (rescheduled) {
+        const start = new Date(data.reservedFor || reservation.reservedFor);
+        const duration = parseInt(data.durationMinutes) || reservation.durationMinutes;
+        const partySize = parseInt(data.partySize) || reservation.partySize;
+        const location = data.location !== undefined ? data.location : reservation.preferredLocation;
+
+        // Keep the current table when it still fits, unless another was asked for
+        let tableId = data.tableId || null;
+        if (!tableId && data.location === undefined) {
+          tableId = reservation.tableId;
+        }
+
+        const end = new Date(start.getTime() + duration * MINUTE);
+        let table;
+        try {
+          table = await this.allocateTable({ partySize, start, end, location, tableId, excludeId: reservation.id }, transaction);
+        } catch (error) {
+          // The current table no longer works; try the others
+          if (data.tableId || !tableId || error.statusCode === 404) {
+            throw error;
+          }
+          table = await this.allocateTable({ partySize, start, end, location, excludeId: reservation.id }, transaction);
+        }
+
+        if (table.id !== reservation.tableId) {
+          await this.releaseHold(reservation, transaction);
+          updates.tableHeldAt = null;
+        }
+
+        Object.assign(updates, {
+          reservedFor: start,
+          durationMinutes: duration,
+          endsAt: end,
+          partySize,
+          preferredLocation: location || null,
+          tableId: table.id,
+          tableNumber: table.tableNumber
+        });
+      }
+
+      await reservation.update(updates, { transaction });
+      await transaction.commit();
+      return reservation;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Seat a booked party, at its table or another one
+   * @param {Number} id - Reservation ID
+   * @param {Object} data - tableId (optional)
+   * @returns {Promise<Object>} - Seated reservation
+   */
+  async seatReservation(id, data = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const reservation = await this.getReservation(id, transaction);
+      await this.seat(reservation, data.tableId || reservation.tableId, transaction);
+
+      await transaction.commit();
+      return reservation;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Seat a booked reservation at a table and mark the table occupied
+   * @param {Object} reservation - Locked reservation
+   * @param {Number} tableId - Table to seat the party at
+   * @param {Object} transaction - Transaction
+   */
+  async seat(reservation, tableId, transaction) {
+    if (reservation.status !== 'booked') {
+      this.fail(`Cannot seat a reservation that is ${reservation.status.replace(/_/g, ' ')}`);
+    }
+
+    const table = await Table.findByPk(tableId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!table || !table.isActive) {
+      this.fail('Table not found', 404);
+    }
+    if (table.status === 'maintenance') {
+      this.fail(`Table ${table.tableNumber} is under maintenance`);
+    }
+    if (table.status === 'occupied') {
+      this.fail(`Table ${table.tableNumber} is still occupied`, 409);
+    }
+    if (table.capacity < reservation.partySize) {
+      this.fail(`Table ${table.tableNumber} seats ${table.capacity}; the party is ${reservation.partySize}`);
+    }
+
+    // Moving the party frees the table that was held for them
+    if (reservation.tableId && reservation.tableId !== table.id) {
+      await this.releaseHold(reservation, transaction);
+    }
+
+    await table.update({ status: 'occupied' }, { transaction });
+    await reservation.update({
+      status: 'seated',
+      seatedAt: new Date(),
+      tableId: table.id,
+      tableNumber: table.tableNumber
+    }, { transaction });
+  }
+
+  /**
+   * Cancel a booking, or record that the party didn't come
+   * @param {Number} id - Reservation ID
+   * @param {String} status - cancelled or no_show
+   * @param {String} reason - Optional reason
+   * @returns {Promise<Object>} - Updated reservation
+   */
+  async cancelReservation(id, status = 'cancelled', reason = null) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const reservation = await this.getReservation(id, transaction);
+      if (reservation.status !== 'booked') {
+        this.fail(`Cannot cancel a reservation that is ${reservation.status.replace(/_/g, ' ')}`);
+      }
+
+      await this.releaseHold(reservation, transaction);
+      await reservation.update({
+        status,
+        cancelledAt: new Date(),
+        cancellationReason: reason
+      }, { transaction });
+
+      await transaction.commit();
+      return reservation;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // ==========================================================================
+  // Table holds and the order taken at the table
+  // ==========================================================================
+
+  /**
+   * Set a booking's table to reserved, if it is free
+   * @param {Object} reservation - Reservation
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Boolean>} - Whether the table was held
+   */
+  async holdTable(reservation, transaction = null) {
+    const table = await Table.findByPk(reservation.tableId, {
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE })
+    });
+    if (!table || table.status !== 'available') {
+      return false;
+    }
+
+    await table.update({ status: 'reserved' }, { transaction });
+    await reservation.update({ tableHeldAt: new Date() }, { transaction });
+    return true;
+  }
+
+  /**
+   * Give back a table held for a booking, unless another due booking needs it
+   * @param {Object} reservation - Reservation
+   * @param {Object} transaction - Optional transaction
+   */
+  async releaseHold(reservation, transaction = null) {
+    if (!reservation.tableHeldAt || !reservation.tableId) {
+      return;
+    }
+
+    const table = await Table.findByPk(reservation.tableId, {
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE })
+    });
+    if (table && table.status === 'reserved') {
+      const nextHeld = await Reservation.count({
+        where: {
+          tableId: table.id,
+          status: 'booked',
+          tableHeldAt: { [Op.ne]: null },
+          id: { [Op.ne]: reservation.id }
+        },
+        transaction
+      });
+      if (nextHeld === 0) {
+        await table.update({ status: 'available' }, { transaction });
+      }
+    }
+  }
+
+  /**
+   * Hold tables for bookings that are due and mark parties that never came
+   * as no-shows. Run every minute by the watcher.
+   * @returns {Promise<Object>} - { held, noShows }
+   */
+  async processDueReservations() {
+    const { holdMinutes, noShowMinutes } = this.getSettings();
+    const now = Date.now();
+    let held = 0;
+    let noShows = 0;
+
+    const due = await Reservation.findAll({
+      where: {
+        status: 'booked',
+        tableId: { [Op.ne]: null },
+        tableHeldAt: null,
+        reservedFor: { [Op.lte]: new Date(now + holdMinutes * MINUTE) },
+        endsAt: { [Op.gt]: new Date(now) }
+      },
+      attributes: ['id'],
+      order: [['reservedFor', 'ASC']]
+    });
+
+    // Each booking is held in its own transaction with the table row locked,
+    // so a till seating a walk-in at the same moment can't be overwritten
+    for (const { id } of due) {
+      const transaction = await sequelize.transaction();
+      try {
+        const reservation = await this.getReservation(id, transaction);
+        if (reservation.status === 'booked' && !reservation.tableHeldAt && await this.holdTable(reservation, transaction)) {
+          held++;
+        }
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        console.error(`Error holding the table for reservation ${id}:`, error.message);
+      }
+    }
+
+    if (noShowMinutes > 0) {
+      const late = await Reservation.findAll({
+        where: {
+          status: 'booked',
+          reservedFor: { [Op.lt]: new Date(now - noShowMinutes * MINUTE) }
+        },
+        attributes: ['id']
+      });
+
+      for (const { id } of late) {
+        const transaction = await sequelize.transaction();
+        try {
+          // Re-read under lock: the party may have been seated since the query
+          const reservation = await this.getReservation(id, transaction);
+          if (reservation.status === 'booked') {
+            await this.releaseHold(reservation, transaction);
+            await reservation.update({
+              status: 'no_show',
+              cancelledAt: new Date(),
+              cancellationReason: `Not seated within ${noShowMinutes} minutes of the booking`
+            }, { transaction });
+            noShows++;
+          }
+          await transaction.commit();
+        } catch (error) {
+          await transaction.rollback();
+          console.error(`Error marking reservation ${id} as a no-show:`, error.message);
+        }
+      }
+    }
+
+    return { held, noShows };
+  }
+
+  /**
+   * Start the periodic check for due reservations
+   * @param {Number} intervalMs - Check interval (default one minute)
+   */
+  startDueWatcher(intervalMs = 60000) {
+    if (this.dueTimer) {
+      return;
+    }
+
+    const run = () => this.processDueReservations().catch(error => {
+      console.error('Error processing due reservations:', error.message);
+    });
+
+    run();
+    this.dueTimer = setInterval(run, intervalMs);
+    // Do not keep the process alive just for this timer
+    this.dueTimer.unref();
+  }
+
+  /**
+   * Stop the periodic check for due reservations
+   */
+  stopDueWatcher() {
+    if (this.dueTimer) {
+      clearInterval(this.dueTimer);
+      this.dueTimer = null;
+    }
+  }
+
+  /**
+   * Link an order assigned to a table with the party's reservation. A
+   * reservation that is still booked is seated at the table first; without
+   * a reservation ID, the party seated at the table without an order is used.
+   * @param {Object} link - tableId, saleId, reservationId
+   * @returns {Promise<Object|null>} - Linked reservation
+   */
+  async linkOrder({ tableId, saleId, reservationId = null }) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      let reservation;
+      if (reservationId) {
+        reservation = await this.getReservation(reservationId, transaction);
+        if (reservation.status === 'booked') {
+          await this.seat(reservation, tableId, transaction);
+        } else if (reservation.status !== 'seated' || reservation.tableId !== parseInt(tableId)) {
+          this.fail(`Reservation for ${reservation.customerName} is not seated at this table`);
+        }
+      } else {
+        reservation = await Reservation.findOne({
+          where: { tableId, status: 'seated', saleId: null },
+          order: [['seatedAt', 'DESC']],
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+      }
+
+      if (reservation) {
+        await reservation.update({ saleId }, { transaction });
+      }
+
+      await transaction.commit();
+      return reservation;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Finish the seated reservations on a table that is being released
+   * @param {Number} tableId - Table ID
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<String>} - Status for the table: reserved if a due booking holds it, otherwise available
+   */
+  async releaseTable(tableId, transaction = null) {
+    await Reservation.update(
+      { status: 'completed', completedAt: new Date() },
+      { where: { tableId, status: 'seated' }, transaction }
+    );
+
+    const { holdMinutes } = this.getSettings();
+    const dueBooking = await Reservation.findOne({
+      where: {
+        tableId,
+        status: 'booked',
+        reservedFor: { [Op.lte]: new Date(Date.now() + holdMinutes * MINUTE) }
+      },
+      order: [['reservedFor', 'ASC']],
+      transaction
+    });
+
+    if (dueBooking) {
+      await dueBooking.update({ tableHeldAt: dueBooking.tableHeldAt || new Date() }, { transaction });
+      return 'reserved';
+    }
+    return 'available';
+  }
+
+  // ==========================================================================
+  // Waitlist
+  // ==========================================================================
+
+  /**
+   * Estimate how long a walk-in party will wait. Each suitable table is
+   * expected to free up one dining duration after it was taken (or after
+   * the booking holding it); parties ahead in the queue take the earliest
+   * tables first.
+   * @param {Number} partySize - Number of guests
+   * @param {String} location - Preferred section, if any
+   * @param {Number} partiesAhead - Waiting parties ahead who fit the same tables
+   * @returns {Promise<Number>} - Minutes, rounded up to five
+   */
+  async estimateWait(partySize, location = null, partiesAhead = 0) {
+    const { defaultDuration } = this.getSettings();
+    const now = Date.now();
+    const duration = defaultDuration * MINUTE;
+
+    const tables = await this.getCandidateTables(partySize, location);
+    if (tables.length === 0) {
+      this.fail(`No ${location ? `${location} ` : ''}table seats a party of ${partySize}`);
+    }
+
+    const freeAt = [];
+    for (const table of tables) {
+      let time = now;
+      if (table.status === 'occupied') {
+        // Tables are marked occupied when the party sits down
+        time = Math.max(new Date(table.updatedAt).getTime() + duration, now + 5 * MINUTE);
+      }
+
+      // A walk-in can't sit at a table booked before they would finish
+      const bookings = await this.findConflicts(table.id, new Date(time), new Date(time + duration));
+      if (bookings.length > 0) {
+        time = Math.max(...bookings.map(r => new Date(r.endsAt).getTime()));
+      }
+      freeAt.push(time);
+    }
+
+    freeAt.sort((a, b) => a - b);
+    const slot = freeAt[partiesAhead % freeAt.length] + Math.floor(partiesAhead / freeAt.length) * duration;
+    return Math.max(0, Math.ceil((slot - now) / (5 * MINUTE)) * 5);
+  }
+
+  /**
+   * Waiting parties ahead of a position who could take the same tables
+   * @param {Array} queue - Waiting entries in order
+   * @param {Number} index - Position of the party
+   * @param {Number} largestTable - Largest suitable table capacity
+   * @returns {Number}
+   */
+  countAhead(queue, index, largestTable) {
+    return queue.slice(0, index).filter(entry => entry.partySize <= largestTable).length;
+  }
+
+  /**
+   * The waitlist in order, with a fresh wait estimate for each party
+   * @returns {Promise<Array>} - Entries with position, minutesWaited and estimatedWaitMinutes
+   */
+  async getWaitlist() {
+    const queue = await WaitlistEntry.findAll({
+      where: { status: { [Op.in]: WAITING_STATUSES } },
+      order: [['createdAt', 'ASC']]
+    });
+
+    const result = [];
+    for (const [index, entry] of queue.entries()) {
+      const tables = await this.getCandidateTables(entry.partySize, entry.preferredLocation);
+      const largest = tables.length > 0 ? tables[tables.length - 1].capacity : 0;
+
+      result.push({
+        ...entry.toJSON(),
+        position: index + 1,
+        minutesWaited: Math.floor((Date.now() - new Date(entry.createdAt).getTime()) / MINUTE),
+        estimatedWaitMinutes: tables.length > 0
+          ? await this.estimateWait(entry.partySize, entry.preferredLocation, this.countAhead(queue, index, largest))
+          : null
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Add a walk-in party to the waitlist and quote them a wait
+   * @param {Object} data - customerName, customerPhone, customerId, partySize, location, notes
+   * @param {Object} user - Staff member
+   * @returns {Promise<Object>} - Entry with estimatedWaitMinutes and position
+   */
+  async addToWaitlist(data, user) {
+    const partySize = parseInt(data.partySize);
+    const location = data.location || null;
+
+    const queue = await WaitlistEntry.findAll({
+      where: { status: { [Op.in]: WAITING_STATUSES } },
+      order: [['createdAt', 'ASC']]
+    });
+    const tables = await this.getCandidateTables(partySize, location);
+    const largest = tables.length > 0 ? tables[tables.length - 1].capacity : 0;
+    const wait = await this.estimateWait(partySize, location, this.countAhead(queue, queue.length, largest));
+
+    const customer = await customerService.resolveCustomer({ customerId: data.customerId, customerPhone: data.customerPhone });
+
+    const entry = await WaitlistEntry.create({
+      customerId: customer ? customer.id : null,
+      customerName: data.customerName || (customer ? customer.name : null),
+      customerPhone: data.customerPhone ? customerService.normalizePhone(data.customerPhone) : (customer ? customer.phone : null),
+      partySize,
+      preferredLocation: location,
+      quotedWaitMinutes: wait,
+      notes: data.notes || null,
+      addedBy: user.id
+    });
+
+    return {
+      ...entry.toJSON(),
+      position: queue.length + 1,
+      estimatedWaitMinutes: wait
+    };
+  }
+
+  /**
+   * Get an active waitlist entry
+   * @param {Number} id - WaitlistEntry ID
+   * @returns {Promise<Object>} - WaitlistEntry
+   */
+  async getWaitingEntry(id) {
+    const entry = await WaitlistEntry.findByPk(id);
+    if (!entry) {
+      this.fail('Waitlist entry not found', 404);
+    }
+    if (!WAITING_STATUSES.includes(entry.status)) {
+      this.fail(`${entry.customerName} is no longer waiting (${entry.status})`);
+    }
+    return entry;
+  }
+
+  /**
+   * Record that a waiting party was told their table is ready
+   * @param {Number} id - WaitlistEntry ID
+   * @returns {Promise<Object>} - Updated entry
+   */
+  async notifyWaitlistEntry(id) {
+    const entry = await this.getWaitingEntry(id);
+    await entry.update({ status: 'notified', notifiedAt: new Date() });
+    return entry;
+  }
+
+  /**
+   * Seat a waiting party at a free table. Tables booked before the party
+   * would finish are refused.
+   * @param {Number} id - WaitlistEntry ID
+   * @param {Number} tableId - Table ID
+   * @returns {Promise<Object>} - Updated entry
+   */
+  async seatWaitlistEntry(id, tableId) {
+    const entry = await this.getWaitingEntry(id);
+    const { defaultDuration } = this.getSettings();
+    const transaction = await sequelize.transaction();
+
+    try {
+      const table = await Table.findByPk(tableId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!table || !table.isActive) {
+        this.fail('Table not found', 404);
+      }
+      if (table.status !== 'available') {
+        this.fail(`Table ${table.tableNumber} is ${table.status}`, 409);
+      }
+      if (table.capacity < entry.partySize) {
+        this.fail(`Table ${table.tableNumber} seats ${table.capacity}; the party is ${entry.partySize}`);
+      }
+
+      const now = new Date();
+      const bookings = await this.findConflicts(table.id, now, new Date(now.getTime() + defaultDuration * MINUTE), { transaction });
+      if (bookings.length > 0) {
+        this.fail(`Table ${table.tableNumber} is booked at ${this.formatTime(bookings[0].reservedFor)}`, 409);
+      }
+
+      await table.update({ status: 'occupied' }, { transaction });
+      await entry.update({
+        status: 'seated',
+        seatedAt: now,
+        tableId: table.id,
+        tableNumber: table.tableNumber
+      }, { transaction });
+
+      await transaction.commit();
+      return entry;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Take a party off the waitlist
+   * @param {Number} id - WaitlistEntry ID
+   * @param {String} status - left or cancelled
+   * @returns {Promise<Object>} - Updated entry
+   */
+  async removeFromWaitlist(id, status = 'left') {
+    const entry = await this.getWaitingEntry(id);
+    await entry.update({ status });
+    return entry;
+  }
+}
+
+module.exports = new ReservationService();
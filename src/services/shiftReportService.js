@@ -0,0 +1,393 @@
+const { Op } = require('sequelize');
+const { sequelize, Sale, PaymentTransaction, CashDrawer, ZReport, NumberSequence } = require('../models');
+
+/**
+ * Shift Report Service
+ * X reports (mid-shift, read-only) and Z reports (end of day, stored and final).
+ * Both cover the period since the last Z report, so an X report shows what the
+ * next Z will close.
+ */
+class ShiftReportService {
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Add an amount to a { key: { count, amount } } breakdown
+   */
+  addToBreakdown(breakdown, key, amount) {
+    if (!breakdown[key]) {
+      breakdown[key] = { count: 0, amount: 0 };
+    }
+    breakdown[key].count += 1;
+    breakdown[key].amount = this.round(breakdown[key].amount + amount);
+  }
+
+  /**
+   * Local YYYY-MM-DD for a date
+   */
+  toBusinessDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * The most recent Z report, if any
+   * @returns {Promise<Object|null>} - ZReport record
+   */
+  async getLastZReport() {
+    return ZReport.findOne({ order: [['zNumber', 'DESC']] });
+  }
+
+  /**
+   * Build the report figures for a period
+   * @param {Date} periodStart - Start of period (exclusive when following a Z)
+   * @param {Date} periodEnd - End of period
+   * @param {Object} options - { cashierId } to limit an X report to one cashier
+   * @returns {Promise<Object>} - Report breakdown
+   */
+  async buildReport(periodStart, periodEnd, options = {}) {
+    const { cashierId } = options;
+    const period = { [Op.gt]: periodStart, [Op.lte]: periodEnd };
+
+    // Tabs belong to the period they were closed in, however long they ran;
+    // tabs still open at the end of the period are listed apart from takings
+    const sales = await Sale.findAll({
+      where: {
+        [Op.or]: [
+          { tabStatus: null, saleDate: period },
+          { tabStatus: 'closed', tabClosedAt: period },
+          { tabStatus: 'open', saleDate: { [Op.lte]: periodEnd } }
+        ],
+        ...(cashierId && { cashierId })
+      }
+    });
+
+    const summary = {
+      transactionCount: 0,
+      totalSales: 0,
+      subtotal: 0,
+      vatAmount: 0,
+      discountAmount: 0,
+      averageBill: 0
+    };
+    const byPaymentMethod = {};
+    const byOrderType = {};
+    const byVatRate = {};
+    const discountsByPromotion = {};
+    const voids = { count: 0, amount: 0 };
+    const openTabs = { count: 0, amount: 0 };
+    let discountedSales = 0;
+
+    for (const sale of sales) {
+      const totalAmount = parseFloat(sale.totalAmount);
+
+      if (sale.status === 'voided') {
+        voids.count += 1;
+        voids.amount = this.round(voids.amount + totalAmount);
+        continue;
+      }
+
+      // Open tabs have not been paid yet; they are counted when closed
+      if (sale.tabStatus === 'open') {
+        openTabs.count += 1;
+        openTabs.amount = this.round(openTabs.amount + totalAmount);
+        continue;
+      }
+
+      const discountAmount = parseFloat(sale.discountAmount || 0);
+
+      summary.transactionCount += 1;
+      summary.totalSales += totalAmount;
+      summary.subtotal += parseFloat(sale.subtotal);
+      summary.vatAmount += parseFloat(sale.vatAmount);
+      summary.discountAmount += discountAmount;
+
+      // Mixed-tender sales are counted under each tender they used
+      if (sale.tenders && sale.tenders.length > 0) {
+        for (const tender of sale.tenders) {
+          this.addToBreakdown(byPaymentMethod, tender.paymentMethod, parseFloat(tender.amount));
+        }
+      } else {
+        this.addToBreakdown(byPaymentMethod, sale.paymentMethod || 'cash', totalAmount);
+      }
+      this.addToBreakdown(byOrderType, sale.orderType || 'takeaway', totalAmount);
+
+      for (const item of sale.items || []) {
+        const rate = String(parseFloat(item.vatRate || 0));
+        if (!byVatRate[rate]) {
+          byVatRate[rate] = { vatRate: parseFloat(rate), taxableAmount: 0, vatAmount: 0 };
+        }
+        byVatRate[rate].taxableAmount = this.round(byVatRate[rate].taxableAmount + parseFloat(item.subtotal || 0));
+        byVatRate[rate].vatAmount = this.round(byVatRate[rate].vatAmount + parseFloat(item.vatAmount || 0));
+      }
+
+      if (discountAmount > 0) {
+        discountedSales += 1;
+      }
+      for (const promotion of sale.appliedPromotions || []) {
+        const key = promotion.promotionId;
+        if (!discountsByPromotion[key]) {
+          discountsByPromotion[key] = { promotionId: key, name: promotion.name, count: 0, amount: 0 };
+        }
+        discountsByPromotion[key].count += 1;
+        discountsByPromotion[key].amount = this.round(discountsByPromotion[key].amount + parseFloat(promotion.amount || 0));
+      }
+    }
+
+    summary.totalSales = this.round(summary.totalSales);
+    summary.subtotal = this.round(summary.subtotal);
+    summary.vatAmount = this.round(summary.vatAmount);
+    summary.discountAmount = this.round(summary.discountAmount);
+    summary.averageBill = summary.transactionCount > 0
+      ? this.round(summary.totalSales / summary.transactionCount)
+      : 0;
+
+    const refundTransactions = await PaymentTransaction.findAll({
+      where: {
+        transactionType: 'refund',
+        status: 'completed',
+        refundedAt: period,
+        ...(cashierId && { cashierId })
+      }
+    });
+
+    const refunds = { count: 0, amount: 0, vatAmount: 0, byPaymentMethod: {} };
+    for (const refund of refundTransactions) {
+      const amount = parseFloat(refund.amount);
+      refunds.count += 1;
+      refunds.amount = this.round(refunds.amount + amount);
+      refunds.vatAmount = this.round(refunds.vatAmount + parseFloat(refund.refundedVatAmount || 0));
+      this.addToBreakdown(refunds.byPaymentMethod, refund.paymentMethod, amount);
+    }
+
+    // Tips are collected with payments but are not sales, so they are reported apart
+    const tipTransactions = await PaymentTransaction.findAll({
+      where: {
+        transactionType: 'payment',
+        status: { [Op.in]: ['completed', 'refunded'] },
+        tipAmount: { [Op.gt]: 0 },
+        processedAt: period,
+        ...(cashierId && { cashierId })
+      }
+    });
+
+    const tips = { count: 0, amount: 0, byPaymentMethod: {} };
+    for (const tip of tipTransactions) {
+      const amount = parseFloat(tip.tipAmount);
+      tips.count += 1;
+      tips.amount = this.round(tips.amount + amount);
+      this.addToBreakdown(tips.byPaymentMethod, tip.paymentMethod, amount);
+    }
+
+    const cashDrawers = await this.getCashDrawerSummary(periodStart, periodEnd, cashierId);
+
+    return {
+      periodStart,
+      periodEnd,
+      ...(cashierId && { cashierId: parseInt(cashierId) }),
+      summary,
+      netSales: this.round(summary.totalSales - refunds.amount),
+      netVatAmount: this.round(summary.vatAmount - refunds.vatAmount),
+      byPaymentMethod,
+      byOrderType,
+      byVatRate: Object.values(byVatRate).sort((a, b) => b.vatRate - a.vatRate),
+      discounts: {
+        total: summary.discountAmount,
+        discountedSales,
+        byPromotion: Object.values(discountsByPromotion)
+      },
+      refunds,
+      voids,
+      openTabs,
+      tips,
+      cashDrawers
+    };
+  }
+
+  /**
+   * Cash drawers used during the period and their over/short
+   * @param {Date} periodStart - Start of period
+   * @param {Date} periodEnd - End of period
+   * @param {Number} cashierId - Optional cashier filter
+   * @returns {Promise<Object>} - { drawers, openDrawers, expectedCash, countedCash, variance }
+   */
+  async getCashDrawerSummary(periodStart, periodEnd, cashierId = null) {
+    const drawers = await CashDrawer.findAll({
+      where: {
+        openedAt: { [Op.lte]: periodEnd },
+        [Op.or]: [
+          { closedAt: null },
+          { closedAt: { [Op.gt]: periodStart } }
+        ],
+        ...(cashierId && { cashierId })
+      },
+      order: [['openedAt', 'ASC']]
+    });
+
+    const result = {
+      drawers: [],
+      openDrawers: 0,
+      expectedCash: 0,
+      countedCash: 0,
+      variance: 0
+    };
+
+    for (const drawer of drawers) {
+      const isOpen = drawer.status === 'open';
+      const expected = parseFloat(drawer.expectedBalance || 0);
+      const counted = parseFloat(drawer.actualCash || 0);
+      const variance = parseFloat(drawer.variance || 0);
+
+      result.drawers.push({
+        id: drawer.id,
+        cashierId: drawer.cashierId,
+        cashierName: drawer.cashierName,
+        status: drawer.status,
+        openedAt: drawer.openedAt,
+        closedAt: drawer.closedAt,
+        openingBalance: parseFloat(drawer.openingBalance || 0),
+        totalCashIn: parseFloat(drawer.totalCashIn || 0),
+        totalCashOut: parseFloat(drawer.totalCashOut || 0),
+        totalPaidIn: parseFloat(drawer.totalPaidIn || 0),
+        totalPaidOut: parseFloat(drawer.totalPaidOut || 0),
+        totalSafeDrops: parseFloat(drawer.totalSafeDrops || 0),
+        totalTipsPaidOut: parseFloat(drawer.totalTipsPaidOut || 0),
+        totalVoucherSales: parseFloat(drawer.totalVoucherSales || 0),
+        expectedBalance: isOpen ? null : expected,
+        actualCash: isOpen ? null : counted,
+        variance: isOpen ? null : variance
+      });
+
+      // Only counted drawers have a variance
+      if (isOpen) {
+        result.openDrawers += 1;
+        continue;
+      }
+      result.expectedCash = this.round(result.expectedCash + expected);
+      result.countedCash = this.round(result.countedCash + counted);
+      result.variance = this.round(result.variance + variance);
+    }
+
+    return result;
+  }
+
+  /**
+   * X report: everything since the last Z up to now. Nothing is stored or reset.
+   * @param {Object} options - { cashierId }
+   * @returns {Promise<Object>} - Report
+   */
+  async getXReport(options = {}) {
+    const lastZ = await this.getLastZReport();
+    const periodEnd = new Date();
+
+    let periodStart;
+    if (lastZ) {
+      periodStart = new Date(lastZ.periodEnd);
+    } else {
+      periodStart = new Date(periodEnd);
+      periodStart.setHours(0, 0, 0, 0);
+      // Include sales made at exactly midnight
+      periodStart.setMilliseconds(-1);
+    }
+
+    const report = await this.buildReport(periodStart, periodEnd, options);
+
+    return {
+      reportType: 'X',
+      generatedAt: periodEnd,
+      lastZNumber: lastZ ? lastZ.zNumber : null,
+      ...report
+    };
+  }
+
+  /**
+   * Close a business day with a Z report. The report covers everything since
+   * the previous Z, gets the next Z number and is stored as final. Only one
+   * Z report can exist per business day.
+   * @param {String} businessDate - YYYY-MM-DD, defaults to today
+   * @param {Object} user - User generating the report
+   * @returns {Promise<Object>} - ZReport record
+   */
+  async createZReport(businessDate, user) {
+    const today = this.toBusinessDate(new Date());
+    const date = businessDate || today;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      this.fail('Business date must be in YYYY-MM-DD format');
+    }
+    if (date > today) {
+      this.fail('Cannot close a business day that has not started');
+    }
+
+    const existing = await ZReport.findOne({ where: { businessDate: date } });
+    if (existing) {
+      this.fail(`Business day ${date} was already closed by Z report #${existing.zNumber}`, 409);
+    }
+
+    const lastZ = await this.getLastZReport();
+    if (lastZ && lastZ.businessDate > date) {
+      this.fail(`A later business day (${lastZ.businessDate}) has already been closed`, 409);
+    }
+
+    // Closing today runs up to now; closing a missed earlier day runs to its end
+    const periodEnd = date === today ? new Date() : new Date(`${date}T23:59:59.999`);
+    let periodStart;
+    if (lastZ) {
+      periodStart = new Date(lastZ.periodEnd);
+    } else {
+      periodStart = new Date(`${date}T00:00:00`);
+      periodStart.setMilliseconds(-1);
+    }
+
+    const report = await this.buildReport(periodStart, periodEnd);
+
+    const transaction = await sequelize.transaction();
+    try {
+      const zNumber = await NumberSequence.nextValue('Z-REPORT', transaction);
+
+      const zReport = await ZReport.create({
+        zNumber,
+        businessDate: date,
+        periodStart,
+        periodEnd,
+        transactionCount: report.summary.transactionCount,
+        totalSales: report.summary.totalSales,
+        vatAmount: report.summary.vatAmount,
+        discountAmount: report.summary.discountAmount,
+        refundAmount: report.refunds.amount,
+        netSales: report.netSales,
+        cashVariance: report.cashDrawers.variance,
+        report: { reportType: 'Z', zNumber, businessDate: date, ...report },
+        generatedBy: user.id,
+        generatedByName: user.fullName
+      }, { transaction });
+
+      await transaction.commit();
+      return zReport;
+    } catch (error) {
+      await transaction.rollback();
+      // Two managers closing the same day at once
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        this.fail(`Business day ${date} has already been closed`, 409);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ShiftReportService();
@@ -0,0 +1,320 @@
+const { sequelize, Sale, Table, KitchenOrder } = require('../models');
+const salesService = require('./salesService');
+const vatService = require('./vatService');
+const promotionService = require('./promotionService');
+const comboService = require('./comboService');
+
+/**
+ * Tab Service
+ * Running tabs for dine-in tables: rounds are appended to one open sale over
+ * time, each round is priced, deducted and sent to the kitchen on its own,
+ * and the bill is paid once when the tab is closed
+ */
+class TabService {
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Get the open tab on a table, if any
+   * @param {Number} tableId - Table ID
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Object|null>} - Sale record
+   */
+  async getOpenTabForTable(tableId, transaction = null) {
+    return Sale.findOne({
+      where: { tableId, tabStatus: 'open' },
+      transaction
+    });
+  }
+
+  /**
+   * Open a tab on a table, optionally with the first round. The table row is
+   * locked while the tab is created so two tills cannot open a tab on the
+   * same table at once.
+   * @param {Object} tabData - tableId, cashierId, cashierName, customerName, items, ...
+   * @returns {Promise<Object>} - { sale, round, kitchenOrders }
+   */
+  async openTab(tabData) {
+    const { tableId, cashierId, cashierName, items } = tabData;
+    const withRound = Array.isArray(items) && items.length > 0;
+
+    // Priced before the transaction so no locks are held while the menu is read
+    const pricedRound = withRound ? await this.priceRound(tabData) : null;
+
+    const transaction = await sequelize.transaction();
+    let result;
+
+    try {
+      const table = await Table.findByPk(tableId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!table) {
+        this.fail('Table not found', 404);
+      }
+      if (!table.isActive) {
+        this.fail('Table is not active');
+      }
+      if (table.status === 'maintenance') {
+        this.fail('Table is under maintenance');
+      }
+      if (table.mergedIntoId) {
+        this.fail(`Table ${table.tableNumber} is merged into another table; open the tab there`);
+      }
+
+      const existing = await this.getOpenTabForTable(table.id, transaction);
+      if (existing) {
+        this.fail(`Table ${table.tableNumber} already has an open tab (${existing.saleNumber})`, 409);
+      }
+
+      const sale = await Sale.create({
+        saleNumber: await salesService.generateSaleNumber(transaction),
+        items: [],
+        subtotal: 0,
+        vatAmount: 0,
+        totalAmount: 0,
+        amountPaid: 0,
+        cashierId,
+        cashierName,
+        saleDate: new Date(),
+        orderType: 'dine-in',
+        tableId: table.id,
+        tableNumber: table.tableNumber,
+        tabStatus: 'open',
+        roundCount: 0,
+        status: 'pending'
+      }, { transaction });
+
+      if (table.status === 'available' || table.status === 'reserved') {
+        await table.update({ status: 'occupied' }, { transaction });
+      }
+
+      result = withRound
+        ? await this.appendRound(sale, pricedRound, tabData, transaction)
+        : { sale, round: null, kitchenOrders: [] };
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Append a round of items to an open tab. The round is priced and its
+   * stock deducted on its own and gets its own kitchen ticket(s); the tab
+   * totals and VAT are then recomputed over every round.
+   * @param {Number} saleId - Tab (sale) ID
+   * @param {Object} roundData - items, cashierId, priority, specialInstructions, customerName, promotionIds, promoCode
+   * @returns {Promise<Object>} - { sale, round, kitchenOrders }
+   */
+  async addRound(saleId, roundData) {
+    if (!Array.isArray(roundData.items) || roundData.items.length === 0) {
+      this.fail('A round must contain at least one item');
+    }
+
+    const pricedRound = await this.priceRound(roundData);
+
+    // The tab row is locked for the whole round so concurrent rounds are
+    // numbered and totalled one after the other; the deductions, promotion
+    // usage, totals and kitchen tickets are all saved or none are
+    const transaction = await sequelize.transaction();
+    let result;
+
+    try {
+      const sale = await Sale.findByPk(saleId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!sale) {
+        this.fail('Sale not found', 404);
+      }
+      if (sale.tabStatus !== 'open') {
+        this.fail('Items can only be added to an open tab');
+      }
+
+      result = await this.appendRound(sale, pricedRound, roundData, transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Expand, validate and price a round's items
+   * @param {Object} roundData - items, promotionIds, promoCode
+   * @returns {Promise<Object>} - { items, appliedPromotions }
+   */
+  async priceRound(roundData) {
+    const { promotionIds, promoCode } = roundData;
+
+    const items = await comboService.expandComboItems(roundData.items);
+    await salesService.validateItemsExist(items);
+
+    const { billCalculation, appliedPromotions } = await salesService.priceItems(items, {
+      orderType: 'dine-in',
+      promotionIds,
+      promoCode
+    });
+
+    return { items: billCalculation.items, appliedPromotions };
+  }
+
+  /**
+   * Write a priced round onto a locked tab
+   * @param {Object} sale - Tab (sale) record, locked by the transaction
+   * @param {Object} pricedRound - { items, appliedPromotions } from priceRound
+   * @param {Object} roundData - cashierId, priority, specialInstructions, customerName, kitchenStationId
+   * @param {Object} transaction - Sequelize transaction; rolling it back undoes the whole round
+   * @returns {Promise<Object>} - { sale, round, kitchenOrders }
+   */
+  async appendRound(sale, pricedRound, roundData, transaction) {
+    const { appliedPromotions } = pricedRound;
+    const round = sale.roundCount + 1;
+    const roundItems = pricedRound.items.map(item => ({ ...item, round }));
+
+    await salesService.deductInventoryForItems(roundItems, sale.id, roundData.cashierId, transaction);
+
+    await promotionService.recordUsage(appliedPromotions, transaction);
+
+    const totals = await this.calculateTabTotals([...(sale.items || []), ...roundItems]);
+    await sale.update({
+      ...totals,
+      appliedPromotions: [...(sale.appliedPromotions || []), ...appliedPromotions.map(p => ({ ...p, round }))],
+      roundCount: round,
+      status: 'preparing'
+    }, { transaction });
+
+    const kitchenOrders = await salesService.sendItemsToKitchen(sale, roundItems, {
+      orderType: 'dine-in',
+      tableNumber: sale.tableNumber,
+      priority: roundData.priority || 'normal',
+      specialInstructions: roundData.specialInstructions || null,
+      customerName: roundData.customerName || null,
+      kitchenStationId: roundData.kitchenStationId || null,
+      paymentMethod: null,
+      // Tabs are paid at close, so each round goes straight to the kitchen
+      status: 'pending'
+    }, transaction);
+
+    return { sale, round, kitchenOrders };
+  }
+
+  /**
+   * Recompute tab totals over all rounds. Each line keeps the price and
+   * discount it was ordered at; VAT and service charge are recalculated on
+   * the whole bill.
+   * @param {Array} items - All tab lines
+   * @returns {Promise<Object>} - Sale total fields
+   */
+  async calculateTabTotals(items) {
+    const billCalculation = await vatService.calculateBillVAT(items);
+
+    return {
+      // calculateBillVAT rebuilds each line, so carry the round numbers (and
+      // the tab a line came from, after a table merge) over
+      items: billCalculation.items.map((item, index) => ({
+        ...item,
+        round: items[index].round,
+        ...(items[index].mergedFrom && { mergedFrom: items[index].mergedFrom })
+      })),
+      subtotal: billCalculation.subtotal,
+      discountAmount: billCalculation.discountAmount,
+      vatAmount: billCalculation.vatAmount,
+      vatRate: billCalculation.vatRate,
+      totalAmount: billCalculation.totalAmount
+    };
+  }
+
+  /**
+   * Close a tab for payment. No more rounds can be added; payment is then
+   * taken once for the whole bill through the payment endpoints.
+   * @param {Number} saleId - Tab (sale) ID
+   * @param {Number} userId - User closing the tab
+   * @returns {Promise<Object>} - Closed sale
+   */
+  async closeTab(saleId, userId) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Locked so a round being added at the same time waits for the close
+      const sale = await Sale.findByPk(saleId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!sale) {
+        this.fail('Sale not found', 404);
+      }
+      if (sale.tabStatus !== 'open') {
+        this.fail('Tab is not open');
+      }
+      if (!sale.items || sale.items.length === 0) {
+        this.fail('Cannot close an empty tab; cancel it instead');
+      }
+
+      await sale.update({
+        tabStatus: 'closed',
+        tabClosedAt: new Date(),
+        statusUpdatedBy: userId,
+        statusUpdatedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+      return sale;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Consolidated view of a tab: lines grouped by round with their kitchen tickets
+   * @param {Object} sale - Tab sale record
+   * @returns {Promise<Object>} - Tab summary
+   */
+  async getTabSummary(sale) {
+    const kitchenOrders = await KitchenOrder.findAll({
+      where: { saleId: sale.id },
+      attributes: ['id', 'orderNumber', 'status', 'kitchenStationId', 'items', 'createdAt'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const rounds = [];
+    for (let round = 1; round <= sale.roundCount; round++) {
+      const items = (sale.items || []).filter(item => item.round === round);
+      rounds.push({
+        round,
+        items,
+        subtotal: parseFloat(items.reduce((sum, item) => sum + parseFloat(item.subtotal || 0), 0).toFixed(2)),
+        kitchenOrders: kitchenOrders
+          .filter(ko => (ko.items || []).some(item => item.round === round))
+          .map(ko => ({
+            id: ko.id,
+            orderNumber: ko.orderNumber,
+            status: ko.status,
+            kitchenStationId: ko.kitchenStationId
+          }))
+      });
+    }
+
+    return {
+      id: sale.id,
+      saleNumber: sale.saleNumber,
+      tabStatus: sale.tabStatus,
+      status: sale.status,
+      openedAt: sale.saleDate,
+      closedAt: sale.tabClosedAt,
+      roundCount: sale.roundCount,
+      rounds,
+      subtotal: parseFloat(sale.subtotal),
+      discountAmount: parseFloat(sale.discountAmount || 0),
+      vatAmount: parseFloat(sale.vatAmount),
+      totalAmount: parseFloat(sale.totalAmount)
+    };
+  }
+}
+
+module.exports = new TabService();
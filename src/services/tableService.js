@@ -0,0 +1,383 @@
+const { Op } = require('sequelize');
+const { sequelize, Table, Sale, KitchenOrder, IngredientTransaction, Reservation } = require('../models');
+const tabService = require('./tabService');
+const reservationService = require('./reservationService');
+
+// Orders still being served at a table
+const ACTIVE_ORDER_WHERE = {
+  [Op.or]: [
+    { status: { [Op.in]: ['pending', 'preparing', 'ready'] } },
+    { tabStatus: 'open' }
+  ]
+};
+
+/**
+ * Table Service
+ * Moving orders between tables, merging tables for one party into a single
+ * bill on a main table, and splitting a merged group apart again. Sales,
+ * kitchen tickets and seated reservations follow the orders so the floor,
+ * the kitchen and the bill agree on where each order is.
+ */
+class TableService {
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Load and lock a table that orders can be moved to or from
+   * @param {Number} id - Table ID
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Object>} - Table
+   */
+  async lockTable(id, transaction) {
+    const table = await Table.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!table) {
+      this.fail('Table not found', 404);
+    }
+    if (!table.isActive) {
+      this.fail(`Table ${table.tableNumber} is not active`);
+    }
+    if (table.status === 'maintenance') {
+      this.fail(`Table ${table.tableNumber} is under maintenance`);
+    }
+    return table;
+  }
+
+  /**
+   * Orders still being served at a table (or at several)
+   * @param {Number|Array} tableId - Table ID(s)
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Array>} - Sales, oldest first
+   */
+  async getActiveOrders(tableId, transaction = null) {
+    return Sale.findAll({
+      where: { tableId, ...ACTIVE_ORDER_WHERE },
+      order: [['saleDate', 'ASC']],
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE })
+    });
+  }
+
+  /**
+   * Point orders and their kitchen tickets at another table
+   * @param {Array} sales - Sales to move
+   * @param {Object} table - Destination table
+   * @param {Object} transaction - Transaction
+   */
+  async moveOrders(sales, table, transaction) {
+    const saleIds = sales.map(sale => sale.id);
+    if (saleIds.length === 0) {
+      return;
+    }
+
+    await Sale.update(
+      { tableId: table.id, tableNumber: table.tableNumber },
+      { where: { id: { [Op.in]: saleIds } }, transaction }
+    );
+    await KitchenOrder.update(
+      { tableId: table.id, tableNumber: table.tableNumber },
+      { where: { saleId: { [Op.in]: saleIds } }, transaction }
+    );
+
+    for (const sale of sales) {
+      sale.tableId = table.id;
+      sale.tableNumber = table.tableNumber;
+    }
+  }
+
+  /**
+   * Move the party seated at one table to another
+   * @param {Object} from - Source table
+   * @param {Object} to - Destination table
+   * @param {Object} transaction - Transaction
+   */
+  async moveSeatedReservations(from, to, transaction) {
+    await Reservation.update(
+      { tableId: to.id, tableNumber: to.tableNumber },
+      { where: { tableId: from.id, status: 'seated' }, transaction }
+    );
+  }
+
+  /**
+   * Move a table's orders (or one of them) to another table. The guests'
+   * reservation moves with them when the whole table moves; the old table is
+   * released once it has no orders left.
+   * @param {Number} fromTableId - Table the guests are leaving
+   * @param {Object} data - toTableId, saleId (optional: move only this order)
+   * @returns {Promise<Object>} - { from, to, orders }
+   */
+  async transferOrders(fromTableId, data) {
+    const { toTableId, saleId } = data;
+
+    if (parseInt(fromTableId) === parseInt(toTableId)) {
+      this.fail('Choose a different table to move to');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Lock in ID order so two opposite moves can't deadlock
+      const [firstId, secondId] = [parseInt(fromTableId), parseInt(toTableId)].sort((a, b) => a - b);
+      const first = await this.lockTable(firstId, transaction);
+      const second = await this.lockTable(secondId, transaction);
+      const from = first.id === parseInt(fromTableId) ? first : second;
+      const to = from === first ? second : first;
+
+      for (const table of [from, to]) {
+        if (table.mergedIntoId) {
+          this.fail(`Table ${table.tableNumber} is merged into another table; its orders are there`);
+        }
+      }
+      if (await Table.count({ where: { mergedIntoId: from.id }, transaction }) > 0) {
+        this.fail(`Split the tables merged into table ${from.tableNumber} before moving it`);
+      }
+      if (to.status === 'reserved') {
+        this.fail(`Table ${to.tableNumber} is reserved for a booking`, 409);
+      }
+
+      const activeOrders = await this.getActiveOrders(from.id, transaction);
+      const orders = saleId
+        ? activeOrders.filter(sale => sale.id === parseInt(saleId))
+        : activeOrders;
+
+      if (orders.length === 0) {
+        this.fail(saleId
+          ? `Order is not open at table ${from.tableNumber}`
+          : `Table ${from.tableNumber} has no open orders to move`);
+      }
+
+      if (orders.some(sale => sale.tabStatus === 'open')) {
+        const existingTab = await Sale.findOne({ where: { tableId: to.id, tabStatus: 'open' }, transaction });
+        if (existingTab) {
+          this.fail(`Table ${to.tableNumber} already has an open tab (${existingTab.saleNumber}); merge the tables instead`, 409);
+        }
+      }
+
+      await this.moveOrders(orders, to, transaction);
+      await to.update({ status: 'occupied' }, { transaction });
+
+      if (orders.length === activeOrders.length) {
+        await this.moveSeatedReservations(from, to, transaction);
+        await from.update({ status: await reservationService.releaseTable(from.id, transaction) }, { transaction });
+      }
+
+      await transaction.commit();
+      return { from, to, orders };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Fold one open tab into another. The rounds are appended after the
+   * target's own (keeping where they came from), the totals are recalculated
+   * over the whole bill, and the kitchen tickets and ingredient deductions
+   * are moved so refunds on the combined bill restock correctly. The emptied
+   * tab is voided with a note pointing at the combined bill.
+   * @param {Object} target - Tab that becomes the combined bill
+   * @param {Object} source - Tab being merged in
+   * @param {Object} table - Main table the bill is at
+   * @param {Object} user - Staff member
+   * @param {Object} transaction - Transaction
+   */
+  async foldTab(target, source, table, user, transaction) {
+    const offset = target.roundCount || 0;
+    const mergedFrom = { saleId: source.id, saleNumber: source.saleNumber, tableNumber: source.tableNumber };
+
+    const items = (source.items || []).map(item => ({ ...item, round: (item.round || 1) + offset, mergedFrom }));
+    const totals = await tabService.calculateTabTotals([...(target.items || []), ...items]);
+
+    await target.update({
+      ...totals,
+      appliedPromotions: [
+        ...(target.appliedPromotions || []),
+        ...(source.appliedPromotions || []).map(p => ({ ...p, round: (p.round || 1) + offset }))
+      ],
+      roundCount: offset + (source.roundCount || 0),
+      customerId: target.customerId || source.customerId,
+      ...(source.status === 'preparing' && { status: 'preparing' })
+    }, { transaction });
+
+    const tickets = await KitchenOrder.findAll({ where: { saleId: source.id }, transaction });
+    for (const ticket of tickets) {
+      await ticket.update({
+        saleId: target.id,
+        tableId: table.id,
+        tableNumber: table.tableNumber,
+        items: (ticket.items || []).map(item => (item.round ? { ...item, round: item.round + offset } : item))
+      }, { transaction });
+    }
+
+    await IngredientTransaction.update(
+      { referenceId: target.id },
+      { where: { referenceType: 'sale', referenceId: source.id }, transaction }
+    );
+    await Reservation.update({ saleId: target.id }, { where: { saleId: source.id }, transaction });
+
+    await source.update({
+      items: [],
+      subtotal: 0,
+      discountAmount: 0,
+      vatAmount: 0,
+      totalAmount: 0,
+      appliedPromotions: [],
+      tabStatus: 'closed',
+      tabClosedAt: new Date(),
+      status: 'voided',
+      cancellationReason: `Merged into ${target.saleNumber}`,
+      statusUpdatedBy: user.id,
+      statusUpdatedAt: new Date()
+    }, { transaction });
+  }
+
+  /**
+   * Merge tables into a main table for one party. Orders at the other
+   * tables move to the main table and open tabs are combined into one bill:
+   * the main table's tab, or the oldest tab in the group.
+   * @param {Number} mainTableId - Table the group is billed at
+   * @param {Array} tableIds - Tables joining it
+   * @param {Object} user - Staff member
+   * @returns {Promise<Object>} - { table, mergedTables, bill, mergedTabs, orders }
+   */
+  async mergeTables(mainTableId, tableIds, user) {
+    const mainId = parseInt(mainTableId);
+    const otherIds = [...new Set(tableIds.map(id => parseInt(id)))].filter(id => id !== mainId);
+
+    if (otherIds.length === 0) {
+      this.fail('Choose at least one other table to merge');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Lock in ID order so overlapping merges can't deadlock
+      const tables = [];
+      for (const id of [mainId, ...otherIds].sort((a, b) => a - b)) {
+        tables.push(await this.lockTable(id, transaction));
+      }
+      const main = tables.find(table => table.id === mainId);
+      const others = tables.filter(table => table.id !== mainId);
+
+      if (main.mergedIntoId) {
+        this.fail(`Table ${main.tableNumber} is already merged into another table`);
+      }
+      for (const table of others) {
+        if (table.mergedIntoId) {
+          this.fail(`Table ${table.tableNumber} is already merged into another table`, 409);
+        }
+        if (await Table.count({ where: { mergedIntoId: table.id }, transaction }) > 0) {
+          this.fail(`Table ${table.tableNumber} has tables merged into it; split them first`, 409);
+        }
+        if (table.status === 'reserved') {
+          this.fail(`Table ${table.tableNumber} is reserved for a booking`, 409);
+        }
+      }
+
+      const orders = await this.getActiveOrders(main.id, transaction);
+      for (const table of others) {
+        orders.push(...await this.getActiveOrders(table.id, transaction));
+      }
+
+      // The main table's tab, or the oldest one, becomes the combined bill
+      const tabs = orders.filter(sale => sale.tabStatus === 'open');
+      const bill = tabs.find(sale => sale.tableId === main.id)
+        || [...tabs].sort((a, b) => new Date(a.saleDate) - new Date(b.saleDate))[0]
+        || null;
+
+      const mergedTabs = tabs.filter(tab => tab !== bill);
+      for (const tab of mergedTabs) {
+        await this.foldTab(bill, tab, main, user, transaction);
+      }
+
+      const remaining = orders.filter(sale => !mergedTabs.includes(sale));
+      await this.moveOrders(remaining.filter(sale => sale.tableId !== main.id), main, transaction);
+
+      for (const table of others) {
+        await this.moveSeatedReservations(table, main, transaction);
+        await table.update({ mergedIntoId: main.id, status: 'occupied' }, { transaction });
+      }
+      await main.update({ status: 'occupied' }, { transaction });
+
+      await transaction.commit();
+      return {
+        table: main,
+        mergedTables: others,
+        bill,
+        mergedTabs,
+        orders: remaining
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Detach tables from a merged group. The combined bill stays on the main
+   * table (split the bill to pay separately); detached tables are released,
+   * or held if a booking on them is due.
+   * @param {Number} mainTableId - Main table of the group
+   * @param {Array} tableIds - Tables to detach (default: all)
+   * @param {Object} transaction - Optional outer transaction
+   * @returns {Promise<Object>} - { table, detachedTables, remainingTables }
+   */
+  async splitTables(mainTableId, tableIds = null, transaction = null) {
+    const ownTransaction = !transaction;
+    if (ownTransaction) {
+      transaction = await sequelize.transaction();
+    }
+
+    try {
+      const main = await Table.findByPk(mainTableId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!main) {
+        this.fail('Table not found', 404);
+      }
+
+      const merged = await Table.findAll({
+        where: { mergedIntoId: main.id },
+        order: [['id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (merged.length === 0) {
+        this.fail(`Table ${main.tableNumber} has no tables merged into it`);
+      }
+
+      const ids = tableIds ? tableIds.map(id => parseInt(id)) : merged.map(table => table.id);
+      const unknown = ids.filter(id => !merged.some(table => table.id === id));
+      if (unknown.length > 0) {
+        this.fail(`Table(s) ${unknown.join(', ')} are not merged into table ${main.tableNumber}`);
+      }
+
+      const detached = merged.filter(table => ids.includes(table.id));
+      for (const table of detached) {
+        await table.update({
+          mergedIntoId: null,
+          status: await reservationService.releaseTable(table.id, transaction)
+        }, { transaction });
+      }
+
+      if (ownTransaction) {
+        await transaction.commit();
+      }
+      return {
+        table: main,
+        detachedTables: detached,
+        remainingTables: merged.filter(table => !ids.includes(table.id))
+      };
+    } catch (error) {
+      if (ownTransaction) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new TableService();
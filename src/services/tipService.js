@@ -0,0 +1,321 @@
+const { Op } = require('sequelize');
+const { sequelize, PaymentTransaction, CashDrawer, TipPayout, Sale, User } = require('../models');
+
+/**
+ * Tip Service
+ * Tips are taken with a payment on any tender and stored on the payment
+ * transaction beside (never inside) the amount applied to the sale, so they
+ * stay out of sale totals, VAT and revenue. Each tip belongs to a staff
+ * member and is settled by a cash payout from a drawer.
+ */
+class TipService {
+  /**
+   * Round to two decimals
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Throw an error with an HTTP status code
+   */
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Parse and check a tip amount
+   * @param {Number|String} tipAmount - Requested tip
+   * @returns {Number} - Tip (0 when none)
+   */
+  parseTip(tipAmount) {
+    const tip = tipAmount === undefined || tipAmount === null ? 0 : parseFloat(tipAmount);
+    if (isNaN(tip) || tip < 0) {
+      this.fail('Tip amount must be zero or more');
+    }
+    return this.round(tip);
+  }
+
+  /**
+   * Work out who a tip belongs to: the staff member named on the payment,
+   * otherwise whoever rang up the sale, otherwise the cashier taking payment
+   * @param {Number} tipRecipientId - Requested recipient
+   * @param {Number} fallbackUserId - Sale or payment cashier
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object>} - { tipRecipientId, tipRecipientName }
+   */
+  async resolveRecipient(tipRecipientId, fallbackUserId, transaction = null) {
+    const user = await User.findByPk(tipRecipientId || fallbackUserId, { transaction });
+    if (!user) {
+      this.fail('Tip recipient not found', 404);
+    }
+    if (!user.isActive) {
+      this.fail('Tip recipient is not an active staff member');
+    }
+    return { tipRecipientId: user.id, tipRecipientName: user.fullName };
+  }
+
+  /**
+   * Add a tip to the sale's running tip total
+   * @param {Number} saleId - Sale ID
+   * @param {Number} tipAmount - Tip
+   * @param {Object} transaction - Optional transaction
+   */
+  async addTipToSale(saleId, tipAmount, transaction = null) {
+    if (!saleId || tipAmount <= 0) {
+      return;
+    }
+    await Sale.increment('tipAmount', { by: tipAmount, where: { id: saleId }, transaction });
+  }
+
+  /**
+   * The cashier's open drawer, so tips taken on card or mobile are paid out
+   * with the rest of that shift
+   * @param {Number} cashierId - Cashier ID
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Number|null>} - CashDrawer ID
+   */
+  async findOpenDrawerId(cashierId, transaction = null) {
+    const drawer = await CashDrawer.findOne({
+      where: { cashierId, status: 'open' },
+      attributes: ['id'],
+      transaction
+    });
+    return drawer ? drawer.id : null;
+  }
+
+  /**
+   * Group tip-bearing payment transactions by staff member
+   * @param {Array} tips - PaymentTransaction records with tipAmount > 0
+   * @returns {Object} - { tipCount, total, cash, nonCash, paidOut, unpaid, byEmployee }
+   */
+  summarizeTips(tips) {
+    const summary = { tipCount: 0, total: 0, cash: 0, nonCash: 0, paidOut: 0, unpaid: 0 };
+    const byEmployee = {};
+
+    for (const tip of tips) {
+      const amount = parseFloat(tip.tipAmount);
+      const key = tip.tipRecipientId;
+
+      if (!byEmployee[key]) {
+        byEmployee[key] = {
+          recipientId: tip.tipRecipientId,
+          recipientName: tip.tipRecipientName,
+          tipCount: 0,
+          total: 0,
+          cash: 0,
+          nonCash: 0,
+          byPaymentMethod: {},
+          paidOut: 0,
+          unpaid: 0
+        };
+      }
+
+      for (const bucket of [summary, byEmployee[key]]) {
+        bucket.tipCount += 1;
+        bucket.total = this.round(bucket.total + amount);
+        if (tip.paymentMethod === 'cash') {
+          bucket.cash = this.round(bucket.cash + amount);
+        } else {
+          bucket.nonCash = this.round(bucket.nonCash + amount);
+        }
+        if (tip.tipPayoutId) {
+          bucket.paidOut = this.round(bucket.paidOut + amount);
+        } else {
+          bucket.unpaid = this.round(bucket.unpaid + amount);
+        }
+      }
+
+      const methods = byEmployee[key].byPaymentMethod;
+      methods[tip.paymentMethod] = this.round((methods[tip.paymentMethod] || 0) + amount);
+    }
+
+    return {
+      ...summary,
+      byEmployee: Object.values(byEmployee).sort((a, b) => b.total - a.total)
+    };
+  }
+
+  /**
+   * Tips taken on a drawer's shift
+   * @param {Number} cashDrawerId - CashDrawer ID
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object>} - Tip summary for the drawer
+   */
+  async getDrawerTipSummary(cashDrawerId, transaction = null) {
+    const tips = await PaymentTransaction.findAll({
+      where: {
+        cashDrawerId,
+        transactionType: 'payment',
+        status: { [Op.in]: ['completed', 'refunded'] },
+        tipAmount: { [Op.gt]: 0 }
+      },
+      transaction
+    });
+
+    return this.summarizeTips(tips);
+  }
+
+  /**
+   * Pay out unpaid tips in cash from a drawer, one payout per staff member.
+   * The payout is checked against the unpaid balance in the tip report and
+   * taken off the drawer's expected balance.
+   * @param {Object} payoutData - cashDrawerId, recipientId (optional), paidBy, paidByName, notes
+   * @param {Object} outerTransaction - Optional transaction to run inside
+   * @returns {Promise<Object>} - { totalPaidOut, payouts }
+   */
+  async payOutTips(payoutData, outerTransaction = null) {
+    const { cashDrawerId, recipientId, paidBy, paidByName, notes } = payoutData;
+    const transaction = outerTransaction || await sequelize.transaction();
+
+    try {
+      const drawer = await CashDrawer.findByPk(cashDrawerId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!drawer) {
+        this.fail('Cash drawer not found', 404);
+      }
+      if (drawer.status !== 'open') {
+        this.fail('Tips can only be paid out from an open cash drawer');
+      }
+
+      const tips = await PaymentTransaction.findAll({
+        where: {
+          cashDrawerId,
+          transactionType: 'payment',
+          status: { [Op.in]: ['completed', 'refunded'] },
+          tipAmount: { [Op.gt]: 0 },
+          tipPayoutId: null,
+          ...(recipientId && { tipRecipientId: recipientId })
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      // Never pay out more than the unpaid balance the tip report shows
+      const toPay = this.summarizeTips(tips);
+      const balance = await this.getTipReport({ cashDrawerId, recipientId }, transaction);
+      if (toPay.total > balance.totals.unpaid) {
+        this.fail(`Tip payout of ${toPay.total.toFixed(2)} exceeds the unpaid tip balance of ${balance.totals.unpaid.toFixed(2)}`, 409);
+      }
+      for (const employee of toPay.byEmployee) {
+        const owed = balance.byEmployee.find(entry => entry.recipientId === employee.recipientId);
+        if (!owed || employee.total > owed.unpaid) {
+          this.fail(`Tip payout for ${employee.recipientName} exceeds their unpaid tip balance`, 409);
+        }
+      }
+
+      const payouts = [];
+      for (const employee of toPay.byEmployee) {
+        const payout = await TipPayout.create({
+          recipientId: employee.recipientId,
+          recipientName: employee.recipientName,
+          cashDrawerId,
+          amount: employee.total,
+          cashTips: employee.cash,
+          nonCashTips: employee.nonCash,
+          tipCount: employee.tipCount,
+          paidBy,
+          paidByName,
+          paidAt: new Date(),
+          notes: notes || null
+        }, { transaction });
+
+        await PaymentTransaction.update({ tipPayoutId: payout.id }, {
+          where: { id: tips.filter(tip => tip.tipRecipientId === employee.recipientId).map(tip => tip.id) },
+          transaction
+        });
+
+        payouts.push(payout);
+      }
+
+      const totalPaidOut = this.round(payouts.reduce((sum, payout) => sum + parseFloat(payout.amount), 0));
+
+      if (totalPaidOut > 0) {
+        await drawer.update({
+          totalTipsPaidOut: this.round(parseFloat(drawer.totalTipsPaidOut || 0) + totalPaidOut)
+        }, { transaction });
+      }
+
+      if (!outerTransaction) {
+        await transaction.commit();
+      }
+
+      return { totalPaidOut, payouts };
+    } catch (error) {
+      if (!outerTransaction) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Tip report per employee and per shift (cash drawer)
+   * @param {Object} filters - startDate, endDate, recipientId, cashDrawerId
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object>} - { totals, byEmployee, byShift }
+   */
+  async getTipReport(filters = {}, transaction = null) {
+    const { startDate, endDate, recipientId, cashDrawerId } = filters;
+
+    const where = {
+      transactionType: 'payment',
+      status: { [Op.in]: ['completed', 'refunded'] },
+      tipAmount: { [Op.gt]: 0 }
+    };
+
+    if (startDate && endDate) {
+      where.processedAt = { [Op.between]: [new Date(startDate), new Date(endDate)] };
+    } else if (startDate) {
+      where.processedAt = { [Op.gte]: new Date(startDate) };
+    }
+    if (recipientId) where.tipRecipientId = recipientId;
+    if (cashDrawerId) where.cashDrawerId = cashDrawerId;
+
+    const tips = await PaymentTransaction.findAll({ where, order: [['processedAt', 'ASC']], transaction });
+    const { byEmployee, ...totals } = this.summarizeTips(tips);
+
+    const drawerIds = [...new Set(tips.map(tip => tip.cashDrawerId).filter(Boolean))];
+    const drawers = drawerIds.length > 0
+      ? await CashDrawer.findAll({
+        where: { id: { [Op.in]: drawerIds } },
+        attributes: ['id', 'cashierId', 'cashierName', 'status', 'openedAt', 'closedAt', 'totalTipsPaidOut'],
+        transaction
+      })
+      : [];
+
+    const byShift = drawers.map(drawer => {
+      const { byEmployee: shiftEmployees, ...shiftTotals } = this.summarizeTips(
+        tips.filter(tip => tip.cashDrawerId === drawer.id)
+      );
+      return {
+        cashDrawerId: drawer.id,
+        cashierId: drawer.cashierId,
+        cashierName: drawer.cashierName,
+        status: drawer.status,
+        openedAt: drawer.openedAt,
+        closedAt: drawer.closedAt,
+        ...shiftTotals,
+        byEmployee: shiftEmployees
+      };
+    });
+
+    // Tips taken without an open drawer cannot be paid out from a shift
+    const unassigned = tips.filter(tip => !tip.cashDrawerId);
+    if (unassigned.length > 0) {
+      const { byEmployee: shiftEmployees, ...shiftTotals } = this.summarizeTips(unassigned);
+      byShift.push({ cashDrawerId: null, ...shiftTotals, byEmployee: shiftEmployees });
+    }
+
+    return {
+      startDate: startDate || null,
+      endDate: endDate || null,
+      totals,
+      byEmployee,
+      byShift
+    };
+  }
+}
+
+module.exports = new TipService();
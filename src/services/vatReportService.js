@@ -75,8 +75,47 @@ class VATReportService {
     }
   }
 
+  /**
+   * Refunded amounts for a sale. Older sales marked refunded without running
+   * refund totals were refunded in full.
+   * @param {Object} sale - Sale record
+   * @returns {Object} - { amount, vatAmount }
+   */
+  getSaleRefund(sale) {
+    const refundedAmount = parseFloat(sale.refundedAmount || 0);
+
+    if (sale.status === 'refunded' && refundedAmount === 0) {
+      return {
+        amount: parseFloat(sale.totalAmount),
+        vatAmount: parseFloat(sale.vatAmount)
+      };
+    }
+
+    return {
+      amount: refundedAmount,
+      vatAmount: parseFloat(sale.refundedVatAmount || 0)
+    };
+  }
+
+  /**
+   * Share of a sale line that has not been refunded
+   * @param {Object} sale - Sale record
+   * @param {Object} item - Sale item line
+   * @returns {Number} - 0 to 1
+   */
+  getRetainedShare(sale, item) {
+    if (sale.status === 'refunded') {
+      return 0;
+    }
+    if (!item.quantity) {
+      return 1;
+    }
+    return Math.max(0, (item.quantity - (item.refundedQuantity || 0)) / item.quantity);
+  }
+
   /**
    * Calculate VAT summary from sales
+   * Gross figures include every sale; full and partial refunds are then netted off.
    * @param {Array} sales - Array of sale records
    * @returns {Object} Summary statistics
    */
@@ -90,28 +129,24 @@ class VATReportService {
     let nonTaxableSales = 0;
 
     sales.forEach(sale => {
-      const subtotal = parseFloat(sale.subtotal);
-      const vat = parseFloat(sale.vatAmount);
-      const total = parseFloat(sale.totalAmount);
-
-      if (sale.status === 'refunded') {
-        totalRefunded += total;
-        totalRefundedVAT += vat;
-      } else {
-        totalSales += total;
-        totalSubtotal += subtotal;
-        totalVAT += vat;
-
-        // Calculate taxable vs non-taxable
-        if (sale.items && Array.isArray(sale.items)) {
-          sale.items.forEach(item => {
-            if (item.taxable !== false) {
-              taxableSales += parseFloat(item.subtotal || 0);
-            } else {
-              nonTaxableSales += parseFloat(item.subtotal || 0);
-            }
-          });
-        }
+      totalSales += parseFloat(sale.totalAmount);
+      totalSubtotal += parseFloat(sale.subtotal);
+      totalVAT += parseFloat(sale.vatAmount);
+
+      const refund = this.getSaleRefund(sale);
+      totalRefunded += refund.amount;
+      totalRefundedVAT += refund.vatAmount;
+
+      // Calculate taxable vs non-taxable on what was kept
+      if (sale.items && Array.isArray(sale.items)) {
+        sale.items.forEach(item => {
+          const retained = parseFloat(item.subtotal || 0) * this.getRetainedShare(sale, item);
+          if (item.taxable !== false) {
+            taxableSales += retained;
+          } else {
+            nonTaxableSales += retained;
+          }
+        });
       }
     });
 
@@ -120,10 +155,14 @@ class VATReportService {
     const netVAT = totalVAT - totalRefundedVAT;
     const netTotal = totalSales - totalRefunded;
 
+    const fullyRefunded = sales.filter(s => s.status === 'refunded').length;
+    const partiallyRefunded = sales.filter(s => s.status !== 'refunded' && parseFloat(s.refundedAmount || 0) > 0).length;
+
     return {
       totalTransactions: sales.length,
       completedTransactions: sales.filter(s => s.status === 'completed').length,
-      refundedTransactions: sales.filter(s => s.status === 'refunded').length,
+      refundedTransactions: fullyRefunded,
+      partiallyRefundedTransactions: partiallyRefunded,
       
       // Gross amounts
       grossSubtotal: parseFloat(totalSubtotal.toFixed(2)),
@@ -142,16 +181,16 @@ class VATReportService {
       // Taxable breakdown
       taxableSales: parseFloat(taxableSales.toFixed(2)),
       nonTaxableSales: parseFloat(nonTaxableSales.toFixed(2)),
-      taxablePercentage: totalSubtotal > 0 
-        ? parseFloat(((taxableSales / totalSubtotal) * 100).toFixed(2))
+      taxablePercentage: netSubtotal > 0 
+        ? parseFloat(((taxableSales / netSubtotal) * 100).toFixed(2))
         : 0,
       
       // Average transaction
       averageTransaction: sales.length > 0 
-        ? parseFloat((totalSales / sales.length).toFixed(2))
+        ? parseFloat((netTotal / sales.length).toFixed(2))
         : 0,
       averageVAT: sales.length > 0 
-        ? parseFloat((totalVAT / sales.length).toFixed(2))
+        ? parseFloat((netVAT / sales.length).toFixed(2))
         : 0
     };
   }
@@ -273,11 +312,13 @@ class VATReportService {
             });
           }
 
+          // Refunded quantities are not part of the taxable supply
+          const retained = this.getRetainedShare(sale, item);
           const product = productMap.get(productId);
-          product.quantitySold += item.quantity;
-          product.subtotal += parseFloat(item.subtotal || 0);
-          product.vatAmount += parseFloat(item.vatAmount || 0);
-          product.totalAmount += parseFloat(item.totalWithVAT || item.subtotal || 0);
+          product.quantitySold += item.quantity * retained;
+          product.subtotal += parseFloat(item.subtotal || 0) * retained;
+          product.vatAmount += parseFloat(item.vatAmount || 0) * retained;
+          product.totalAmount += parseFloat(item.totalWithVAT || item.subtotal || 0) * retained;
           product.transactionCount++;
         });
       }
@@ -290,7 +331,8 @@ class VATReportService {
         subtotal: parseFloat(p.subtotal.toFixed(2)),
         vatAmount: parseFloat(p.vatAmount.toFixed(2)),
         totalAmount: parseFloat(p.totalAmount.toFixed(2)),
-        averagePrice: parseFloat((p.totalAmount / p.quantitySold).toFixed(2))
+        quantitySold: parseFloat(p.quantitySold.toFixed(3)),
+        averagePrice: p.quantitySold > 0 ? parseFloat((p.totalAmount / p.quantitySold).toFixed(2)) : 0
       }))
       .sort((a, b) => b.vatAmount - a.vatAmount);
   }
@@ -309,6 +351,7 @@ class VATReportService {
       vatAmount: parseFloat(sale.vatAmount),
       vatRate: parseFloat(sale.vatRate),
       totalAmount: parseFloat(sale.totalAmount),
+      refundedAmount: this.getSaleRefund(sale).amount,
       status: sale.status,
       paymentMethod: sale.paymentMethod,
       orderType: sale.orderType,
@@ -240,8 +240,11 @@ class VATService {
         itemType = product.sku ? 'product' : 'menu-item';
       }
 
-      let itemSubtotal = item.quantity * item.unitPrice;
-      itemSubtotal = this.roundAmount(itemSubtotal, settings.roundingMethod, settings.roundingPrecision);
+      const grossSubtotal = this.roundAmount(item.quantity * item.unitPrice, settings.roundingMethod, settings.roundingPrecision);
+
+      // Promotional discounts reduce the taxable line value before VAT is applied
+      const discountAmount = Math.min(parseFloat(item.discountAmount || 0), grossSubtotal);
+      let itemSubtotal = this.roundAmount(grossSubtotal - discountAmount, settings.roundingMethod, settings.roundingPrecision);
 
       const vatRate = await this.getProductVATRate(product, settings);
       const isTaxable = vatRate > 0;
@@ -269,6 +272,22 @@ class VATService {
         category: product ? product.category : null,
         quantity: item.quantity,
         unitPrice: item.unitPrice,
+        grossSubtotal,
+        discountAmount,
+        promotions: item.promotions || [],
+        modifiers: item.modifiers || [],
+        ...(item.priceLevelId && {
+          priceLevelId: item.priceLevelId,
+          priceLevelName: item.priceLevelName
+        }),
+        ...(item.course && { course: parseInt(item.course) }),
+        ...(item.comboId && {
+          comboId: item.comboId,
+          comboName: item.comboName,
+          comboLine: item.comboLine,
+          comboSlot: item.comboSlot,
+          comboPrice: item.comboPrice
+        }),
         subtotal: itemSubtotal,
         vatAmount: itemVAT,
         vatRate: vatRate,
@@ -299,6 +318,7 @@ class VATService {
       let billVATAmount = 0;
       let taxableSubtotal = 0;
       let nonTaxableSubtotal = 0;
+      let billDiscountAmount = 0;
       const categoryBreakdown = {};
 
       for (const item of items) {
@@ -307,6 +327,7 @@ class VATService {
 
         billSubtotal += itemWithVAT.subtotal;
         billVATAmount += itemWithVAT.vatAmount;
+        billDiscountAmount += itemWithVAT.discountAmount;
 
         if (itemWithVAT.taxable) {
           taxableSubtotal += itemWithVAT.subtotal;
@@ -330,6 +351,7 @@ class VATService {
       taxableSubtotal = this.roundAmount(taxableSubtotal, settings.roundingMethod, settings.roundingPrecision);
       nonTaxableSubtotal = this.roundAmount(nonTaxableSubtotal, settings.roundingMethod, settings.roundingPrecision);
       billVATAmount = this.roundAmount(billVATAmount, settings.roundingMethod, settings.roundingPrecision);
+      billDiscountAmount = this.roundAmount(billDiscountAmount, settings.roundingMethod, settings.roundingPrecision);
 
       const serviceCharge = await this.calculateServiceCharge(billSubtotal);
       let serviceChargeVAT = 0;
@@ -350,6 +372,7 @@ class VATService {
       return {
         items: processedItems,
         subtotal: billSubtotal,
+        discountAmount: billDiscountAmount,
         taxableSubtotal,
         nonTaxableSubtotal,
         vatAmount: billVATAmount,
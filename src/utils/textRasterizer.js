@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Draws Sinhala and Tamil text as 1-bit bitmaps for ESC/POS raster printing.
+ * Text is shaped with HarfBuzz (so vowel signs, conjuncts and ligatures come
+ * out as printed text, not as separate code points) using the bundled Noto
+ * Sans fonts, and the glyph outlines are filled at printer resolution.
+ *
+ * Same contract as an ESCPOS_RASTERIZER module:
+ *   (text, { maxWidth, bold, scale }) => Promise<{ width, height, data }>
+ */
+
+// Font size in dots at scale 1: the height of the printers' 12x24 standard font
+const FONT_SIZE = 24;
+
+// Samples per dot in each direction; a dot is black when half its samples are inside a glyph
+const OVERSAMPLE = 2;
+
+// Steps used to flatten each curve segment into lines
+const CURVE_STEPS = 8;
+
+const TAMIL = /[\u0B80-\u0BFF]/;
+const SINHALA = /[\u0D80-\u0DFF]/;
+
+const FONT_FILES = {
+  sinhala: {
+    regular: ['@expo-google-fonts/noto-sans-sinhala', '400Regular/NotoSansSinhala_400Regular.ttf'],
+    bold: ['@expo-google-fonts/noto-sans-sinhala', '700Bold/NotoSansSinhala_700Bold.ttf']
+  },
+  tamil: {
+    regular: ['@expo-google-fonts/noto-sans-tamil', '400Regular/NotoSansTamil_400Regular.ttf'],
+    bold: ['@expo-google-fonts/noto-sans-tamil', '700Bold/NotoSansTamil_700Bold.ttf']
+  }
+};
+
+let harfbuzz = null;
+const fonts = {};
+
+/**
+ * HarfBuzz font for a script and weight, loaded on first use
+ */
+const getFont = async (script, weight) => {
+  const key = `${script}-${weight}`;
+  if (!fonts[key]) {
+    if (!harfbuzz) {
+      harfbuzz = await require('harfbuzzjs');
+    }
+    const [pkg, file] = FONT_FILES[script][weight];
+    const fontPath = path.join(path.dirname(require.resolve(`${pkg}/package.json`)), file);
+    const face = harfbuzz.createFace(harfbuzz.createBlob(fs.readFileSync(fontPath)), 0);
+    fonts[key] = { font: harfbuzz.createFont(face), upem: face.upem };
+  }
+  return fonts[key];
+};
+
+/**
+ * Split a line into runs for the Tamil font and the Sinhala font. The
+ * Sinhala font also covers Latin, digits and punctuation, which stay in
+ * the run they appear in.
+ */
+const splitRuns = (text) => {
+  const runs = [];
+  for (const char of text) {
+    const script = TAMIL.test(char) ? 'tamil' : (SINHALA.test(char) ? 'sinhala' : null);
+    const last = runs[runs.length - 1];
+    if (last && (!script || !last.script || last.script === script)) {
+      last.text += char;
+      last.script = last.script || script;
+    } else {
+      runs.push({ text: char, script });
+    }
+  }
+  return runs.map(run => ({ ...run, script: run.script || 'sinhala' }));
+};
+
+/**
+ * Flatten a glyph outline (font units) into closed polygons in dots
+ * @param {Array} commands - Path commands from harfbuzz glyphToJson
+ * @param {Number} originX - Pen position in dots
+ * @param {Number} baseline - Baseline in dots from the top of the image
+ * @param {Number} unit - Dots per font unit
+ */
+const toPolygons = (commands, originX, baseline, unit) => {
+  const polygons = [];
+  let polygon = null;
+  let current = [0, 0];
+
+  const point = (x, y) => [originX + x * unit, baseline - y * unit];
+
+  for (const { type, values } of commands) {
+    if (type === 'M') {
+      polygon = [point(values[0], values[1])];
+      polygons.push(polygon);
+      current = polygon[0];
+    } else if (type === 'L') {
+      current = point(values[0], values[1]);
+      polygon.push(current);
+    } else if (type === 'Q' || type === 'C') {
+      const controls = [current];
+      for (let i = 0; i < values.length; i += 2) {
+        controls.push(point(values[i], values[i + 1]));
+      }
+      for (let step = 1; step <= CURVE_STEPS; step++) {
+        polygon.push(bezierPoint(controls, step / CURVE_STEPS));
+      }
+      current = controls[controls.length - 1];
+    }
+  }
+
+  return polygons;
+};
+
+/**
+ * Point on a quadratic or cubic Bezier curve (de Casteljau)
+ */
+const bezierPoint = (controls, t) => {
+  let points = controls;
+  while (points.length > 1) {
+    const next = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      next.push([
+        points[i][0] + (points[i + 1][0] - points[i][0]) * t,
+        points[i][1] + (points[i + 1][1] - points[i][1]) * t
+      ]);
+    }
+    points = next;
+  }
+  return points[0];
+};
+
+/**
+ * Fill polygons (non-zero winding) into a width x height bitmap
+ */
+const fill = (polygons, width, height) => {
+  const edges = [];
+  for (const polygon of polygons) {
+    for (let i = 0; i < polygon.length; i++) {
+      const [x0, y0] = polygon[i];
+      const [x1, y1] = polygon[(i + 1) % polygon.length];
+      if (y0 !== y1) {
+        edges.push({ x0, y0, x1, y1, winding: y1 > y0 ? 1 : -1 });
+      }
+    }
+  }
+
+  const samples = new Uint8Array(width * height);
+  const sampleWidth = width * OVERSAMPLE;
+
+  for (let sy = 0; sy < height * OVERSAMPLE; sy++) {
+    const y = (sy + 0.5) / OVERSAMPLE;
+    const crossings = [];
+    for (const edge of edges) {
+      if ((y >= edge.y0 && y < edge.y1) || (y >= edge.y1 && y < edge.y0)) {
+        const x = edge.x0 + (y - edge.y0) * (edge.x1 - edge.x0) / (edge.y1 - edge.y0);
+        crossings.push({ x, winding: edge.winding });
+      }
+    }
+    crossings.sort((a, b) => a.x - b.x);
+
+    let winding = 0;
+    for (let i = 0; i < crossings.length - 1; i++) {
+      winding += crossings[i].winding;
+      if (winding === 0) {
+        continue;
+      }
+      const from = Math.max(0, Math.ceil(crossings[i].x * OVERSAMPLE - 0.5));
+      const to = Math.min(sampleWidth - 1, Math.floor(crossings[i + 1].x * OVERSAMPLE - 0.5));
+      for (let sx = from; sx <= to; sx++) {
+        samples[Math.floor(sy / OVERSAMPLE) * width + Math.floor(sx / OVERSAMPLE)] += 1;
+      }
+    }
+  }
+
+  const threshold = (OVERSAMPLE * OVERSAMPLE) / 2;
+  const data = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = samples[i] >= threshold ? 1 : 0;
+  }
+  return data;
+};
+
+/**
+ * Break shaped glyphs into rows no wider than maxWidth, at spaces where possible
+ * @returns {Array<Object>} - Glyphs with the row they are drawn on and x from the row start
+ */
+const wrapGlyphs = (glyphs, maxWidth) => {
+  const rows = [];
+  let rowStart = 0;
+  let row = 0;
+
+  for (let i = 0; i < glyphs.length; i++) {
+    const glyph = glyphs[i];
+    if (glyph.space) {
+      continue;
+    }
+    // Width of the word starting here, up to the next space
+    let end = i;
+    while (end + 1 < glyphs.length && !glyphs[end + 1].space) {
+      end++;
+    }
+    const wordEnd = glyphs[end].x + glyphs[end].advance;
+    if (wordEnd - rowStart > maxWidth && glyph.x > rowStart) {
+      row++;
+      rowStart = glyph.x;
+    }
+    for (let j = i; j <= end; j++) {
+      rows.push({ ...glyphs[j], row, x: glyphs[j].x - rowStart });
+    }
+    i = end;
+  }
+
+  return rows;
+};
+
+/**
+ * Draw a line of text, wrapped at spaces to maxWidth
+ * @param {String} text - Line to draw
+ * @param {Object} options - maxWidth (dots), bold, scale (1 = standard font height)
+ * @returns {Promise<Object>} - { width, height, data } with one byte per dot, 1 = black
+ */
+const rasterize = async (text, options = {}) => {
+  const { maxWidth = Infinity, bold = false, scale = 1 } = options;
+  const size = FONT_SIZE * (scale || 1);
+  const weight = bold ? 'bold' : 'regular';
+
+  const glyphs = [];
+  let penX = 0;
+  let ascender = 0;
+  let descender = 0;
+
+  for (const run of splitRuns(text)) {
+    const { font, upem } = await getFont(run.script, weight);
+    const unit = size / upem;
+    const extents = font.hExtents();
+    ascender = Math.max(ascender, extents.ascender * unit);
+    descender = Math.max(descender, -extents.descender * unit);
+
+    const buffer = harfbuzz.createBuffer();
+    buffer.addText(run.text);
+    buffer.guessSegmentProperties();
+    harfbuzz.shape(font, buffer);
+
+    for (const glyph of buffer.json()) {
+      glyphs.push({
+        commands: font.glyphToJson(glyph.g),
+        x: penX,
+        dx: glyph.dx * unit,
+        dy: glyph.dy * unit,
+        advance: glyph.ax * unit,
+        space: /\s/.test(run.text[glyph.cl]),
+        unit
+      });
+      penX += glyph.ax * unit;
+    }
+    buffer.destroy();
+  }
+
+  const rows = wrapGlyphs(glyphs, maxWidth);
+  const rowCount = rows.length > 0 ? rows[rows.length - 1].row + 1 : 1;
+  const lineHeight = Math.ceil(ascender + descender);
+  const baseline = Math.round(ascender);
+
+  const width = Math.max(1, Math.min(Math.ceil(Math.max(0, ...rows.map(glyph => glyph.x + glyph.advance))), maxWidth));
+  const height = lineHeight * rowCount;
+
+  const polygons = rows.flatMap(glyph => toPolygons(
+    glyph.commands,
+    glyph.x + glyph.dx,
+    glyph.row * lineHeight + baseline - glyph.dy,
+    glyph.unit
+  ));
+
+  return { width, height, data: fill(polygons, width, height) };
+};
+
+module.exports = rasterize;
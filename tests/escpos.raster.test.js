@@ -0,0 +1,71 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const escposService = require('../src/services/escposService');
+const printQueueService = require('../src/services/printQueueService');
+
+const PORT = 19100 + Math.floor(Math.random() * 500);
+let printer;
+let output = '';
+
+const order = {
+    orderNumber: 'KO-20261018-0042',
+    orderType: 'dine-in',
+    tableNumber: '7',
+    priority: 'normal',
+    createdAt: new Date(),
+    items: [
+        { quantity: 2, productName: 'චිකන් කොත්තු' },
+        { quantity: 1, productName: 'Plain Tea' }
+    ]
+};
+
+// Waits for the fake printer to log a line matching the pattern
+const waitForOutput = (pattern) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Fake printer did not print ${pattern}:\n${output}`)), 5000);
+    const check = () => {
+        if (pattern.test(output)) {
+            clearTimeout(timer);
+            printer.stdout.off('data', check);
+            resolve(output);
+        }
+    };
+    printer.stdout.on('data', check);
+    check();
+});
+
+beforeAll(async () => {
+    printer = spawn(process.execPath, [path.join(__dirname, '../scripts/fake_printer.js'), String(PORT)]);
+    printer.stdout.on('data', chunk => {
+        output += chunk.toString();
+    });
+    await waitForOutput(/listening on port/);
+});
+
+afterAll(() => {
+    printer.kill();
+});
+
+describe('Sinhala text on ESC/POS printers', () => {
+    test('Should draw a Sinhala line as a raster image', async () => {
+        const data = await escposService.renderKitchenTicket(order, { paperWidth: 80 });
+
+        // GS v 0 raster band in place of the Sinhala text
+        expect(data.indexOf(Buffer.from([0x1d, 0x76, 0x30]))).toBeGreaterThan(-1);
+        expect(data.toString('latin1')).not.toContain('2 x ?');
+        expect(data.toString('latin1')).toContain('1 x Plain Tea');
+    });
+
+    test('Should print the Sinhala line as an image on the fake printer', async () => {
+        const data = await escposService.renderKitchenTicket(order, { paperWidth: 58 });
+        await printQueueService.send({ host: '127.0.0.1', port: PORT }, data, 5000);
+
+        const printed = await waitForOutput(/\[CUT\]/);
+        const image = printed.match(/\[IMAGE (\d+)x(\d+)\]/);
+
+        expect(image).not.toBeNull();
+        expect(parseInt(image[1])).toBeLessThanOrEqual(384);
+        expect(parseInt(image[2])).toBeGreaterThanOrEqual(24);
+        expect(printed).toContain('1 x Plain Tea');
+        expect(printed).not.toContain('?');
+    });
+});
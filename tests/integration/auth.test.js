@@ -1,8 +1,8 @@
 const request = require('supertest');
-const app = require('../app');
-const { sequelize, connectDB } = require('../src/config/database');
-const User = require('../src/models/User');
-const Session = require('../src/models/Session');
+const app = require('../../app');
+const { sequelize, connectDB } = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
 
 beforeAll(async () => {
     await connectDB();
@@ -0,0 +1,130 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../../src/config/database');
+const { Sale, Product, InventoryBatch, User, KitchenOrder } = require('../../src/models');
+const salesService = require('../../src/services/salesService');
+const kitchenService = require('../../src/services/kitchenService');
+
+const suffix = Date.now();
+let cashier;
+let product;
+
+const createBatch = (quantity) => InventoryBatch.create({
+    productId: product.id,
+    batchNumber: `TEST-BATCH-${suffix}-${Math.random().toString(36).slice(2, 8)}`,
+    quantity,
+    purchasedQuantity: quantity,
+    costPrice: 50,
+    sellingPrice: 100
+});
+
+const checkout = (batch) => salesService.createSale({
+    items: [{
+        product: product.id,
+        quantity: 1,
+        unitPrice: 100,
+        itemType: 'product',
+        batchNumber: batch.batchNumber
+    }],
+    cashierId: cashier.id,
+    cashierName: cashier.fullName,
+    paymentMethod: 'cash',
+    amountPaid: 1000
+});
+
+beforeAll(async () => {
+    // Needs the MySQL database from .env (npm run test:integration); connectDB would exit the test run if it is down
+    await sequelize.authenticate();
+
+    cashier = await User.create({
+        username: `concurrency-${suffix}`,
+        password: require('bcryptjs').hashSync('password123', 10),
+        email: `concurrency-${suffix}@example.com`,
+        fullName: 'Concurrency Tester',
+        role: 'Cashier'
+    });
+
+    product = await Product.create({
+        name: `Concurrency Test Product ${suffix}`,
+        sku: `CONC-${suffix}`,
+        category: 'Test',
+        unitPrice: 100,
+        costPrice: 50
+    });
+});
+
+afterAll(async () => {
+    // Remove everything the tests created, children first
+    if (cashier) {
+        const saleIds = (await Sale.findAll({ where: { cashierId: cashier.id }, attributes: ['id'] })).map(s => s.id);
+        await KitchenOrder.destroy({ where: { saleId: saleIds } });
+        await Sale.destroy({ where: { id: saleIds } });
+    }
+    if (product) {
+        await InventoryBatch.destroy({ where: { productId: product.id } });
+        await product.destroy();
+    }
+    if (cashier) {
+        await cashier.destroy();
+    }
+
+    await sequelize.close();
+});
+
+describe('Concurrent checkouts', () => {
+    test('Should give every concurrent sale a unique sale number', async () => {
+        const batch = await createBatch(50);
+
+        const results = await Promise.allSettled(
+            Array.from({ length: 10 }, () => checkout(batch))
+        );
+
+        const sales = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+        expect(sales).toHaveLength(10);
+
+        const saleNumbers = new Set(sales.map(s => s.saleNumber));
+        expect(saleNumbers.size).toBe(10);
+
+        await batch.reload();
+        expect(batch.quantity).toBe(40);
+    });
+
+    test('Should not sell more than the stock on hand', async () => {
+        const batch = await createBatch(3);
+        // Keep the fallback to other batches of the product out of the picture
+        await InventoryBatch.update({ quantity: 0 }, {
+            where: { productId: product.id, id: { [Op.ne]: batch.id } }
+        });
+
+        const results = await Promise.allSettled(
+            Array.from({ length: 6 }, () => checkout(batch))
+        );
+
+        const fulfilled = results.filter(r => r.status === 'fulfilled');
+        const rejected = results.filter(r => r.status === 'rejected');
+
+        expect(fulfilled).toHaveLength(3);
+        expect(rejected).toHaveLength(3);
+
+        await batch.reload();
+        expect(batch.quantity).toBe(0);
+
+        // Only the successful checkouts have kitchen tickets
+        const saleIds = fulfilled.map(r => r.value.id);
+        expect(await KitchenOrder.count({ where: { saleId: saleIds } })).toBe(3);
+    });
+
+    test('Should roll back the sale and stock when the kitchen ticket fails', async () => {
+        const batch = await createBatch(5);
+        const salesBefore = await Sale.count();
+
+        const spy = jest.spyOn(kitchenService, 'createKitchenOrder')
+            .mockRejectedValueOnce(new Error('Kitchen printer offline'));
+
+        await expect(checkout(batch)).rejects.toThrow('Kitchen printer offline');
+        spy.mockRestore();
+
+        await batch.reload();
+        expect(batch.quantity).toBe(5);
+        expect(await Sale.count()).toBe(salesBefore);
+    });
+});